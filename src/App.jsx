@@ -73,15 +73,16 @@ import { useBgImageState } from "./bg/useBgImageState";
 // import { dataUrlOrBlobToWebpDataUrl } from "./utils/imageUtils.js"
 // import { serializeGraph } from "./graph/ops.js";
 import { normalizeGraphData, hydrateCoordsIfMissing } from "./utils/mapHelpers.js";
+import { describeMigrationReport } from "./graph/schema.js";
 
 // 🚀 New imports: centralized persistence + edge id helper
-import { saveToLocal, loadFromLocal, saveModeToLocal, loadModeFromLocal, saveUndoStateToLocal, loadUndoStateFromLocal, saveMapNameToLocal, loadMapNameFromLocal, loadUniversalMenuCollapsed, loadGraphControlsCollapsed, loadCameraInfoCollapsed, saveUniversalMenuCollapsed, saveGraphControlsCollapsed, saveCameraInfoCollapsed } from "./persistence/index.js";
+import { saveToLocal, loadFromLocal, saveModeToLocal, loadModeFromLocal, saveUndoHistoryToLocal, loadUndoHistoryFromLocal, saveMapNameToLocal, loadMapNameFromLocal, loadUniversalMenuCollapsed, loadGraphControlsCollapsed, loadCameraInfoCollapsed, saveUniversalMenuCollapsed, saveGraphControlsCollapsed, saveCameraInfoCollapsed } from "./persistence/index.js";
 // Add new persistence imports
-import { loadOrientationFromLocal, saveOrientationToLocal, loadCompassVisibleFromLocal, saveCompassVisibleToLocal } from './persistence/index.js';
+import { loadOrientationFromLocal, saveOrientationToLocal, loadCompassVisibleFromLocal, saveCompassVisibleToLocal, CAMERA_STORAGE_KEY, LAST_LOADED_MAP_URL_KEY } from './persistence/index.js';
 // renameNode moved to useNoteDataMutations hook
 import { printDebug, printWarn } from "./utils/debug.js";
 // import { rotateNodesAndCompass } from './utils/rotation.js';  // REFACTOR STEP 1: Removed rotateCompassOnly - now using graphOps.handleRotateRight
-import { getCanEditFromQuery, hasAnyQueryParams } from "./utils/mapHelpers.js";
+import { getCanEditFromQuery, hasAnyQueryParams, getFilterFromQuery } from "./utils/mapHelpers.js";
 
 // REFACTOR STEP 1: Import graph operations hook
 import { useGraphOperations } from "./hooks/useGraphOperations.js";
@@ -99,6 +100,11 @@ import { useUndo } from "./hooks/useUndo.js";
 
 import { useImportExport } from "./hooks/useImportExport.js";
 import { useNoteDataMutations } from "./hooks/useNoteDataMutations.js";
+import { useTagOperations } from "./hooks/useTagOperations.js";
+import { useTourOperations } from "./hooks/useTourOperations.js";
+import { useTourPlayer } from "./hooks/useTourPlayer.js";
+import { useTimelineReplay } from "./hooks/useTimelineReplay.js";
+import useTourProgress from './hooks/useTourProgress.js';
 import { useNoteViewingState } from "./hooks/useNoteViewingState.js";
 import { useReadingModal } from "./hooks/useReadingModal.js";
 
@@ -112,13 +118,46 @@ import { useGlobalSearchHotkeys } from './search/useGlobalSearchHotkeys.js';
 import MobileSearchButton from './search/MobileSearchButton.jsx';
 
 import useVisited from './hooks/useVisited.js';
+import useLayerVisibility from './hooks/useLayerVisibility.js';
+import { findNodesToUnlock, isNodeLocked, getRevealedNodes, withLockedNodesHidden } from './utils/nodeLocks.js';
 import { makeVisitedLookup } from './utils/visitedLookup.js';
 
 import HelpModal from "./components/HelpModal.jsx";
+import ManageTagsModal from "./components/ManageTagsModal.jsx";
+import { countTagUsage } from "./graph/tags.js";
+import { getHiddenElements } from "./graph/layers.js";
+import LayersPanel from "./components/LayersPanel.jsx";
+import FilterPanel from "./components/FilterPanel.jsx";
+import ToursModal from "./components/ToursModal.jsx";
+import ExportImageModal from "./components/ExportImageModal.jsx";
+import ImportIssuesModal from "./components/ImportIssuesModal.jsx";
+import CsvImportModal from "./components/CsvImportModal.jsx";
+import MapLibraryModal from "./components/MapLibraryModal.jsx";
+import HistoryModal from "./components/HistoryModal.jsx";
+import MapConflictModal from "./components/MapConflictModal.jsx";
+import { compareMaps, hasLocalChanges } from "./graph/mapConflicts.js";
+import { NEXT_EDGE_DIRECTION, getContextMenuItems } from "./graph/contextMenu.js";
+import ContextMenu from "./components/ContextMenu.jsx";
+import EdgeHandles from "./components/EdgeHandles.jsx";
+import GridOverlay from "./components/GridOverlay.jsx";
+import LayoutPanel from "./components/LayoutPanel.jsx";
+import { copySubgraph } from "./graph/clipboard.js";
+import { normalizeGrid } from "./graph/ops.js";
+import { canReadSubgraph, readSubgraph, writeSubgraph } from "./utils/subgraphClipboard.js";
+import { imageCache } from "./utils/imageLoader.js";
+import { getMapLibrary } from "./persistence/mapLibrary.js";
+import { getSnapshotStore } from "./persistence/snapshots.js";
+import { useSnapshots } from "./hooks/useSnapshots.js";
+import { useChangeLog } from "./hooks/useChangeLog.js";
+import ChangeLogPanel from "./components/ChangeLogPanel.jsx";
+import TourControls from "./components/TourControls.jsx";
+import TimelineControls from "./components/TimelineControls.jsx";
+import { getPlayableSteps, getPlayablePosition } from "./graph/tours.js";
+import { getFilteredOut } from "./graph/filters.js";
 
 import { cacheGraphImages } from './swRegistration';
 
-import { getNotesForTarget, hasContent } from './utils/notes.js';
+import { getVisibleNotes, getNoteText, hasContent } from './utils/notes.js';
 
 function uniqueSorted(arr) {
   return Array.from(new Set(arr)).sort();
@@ -139,14 +178,17 @@ function hashList(urls) {
 
 /** ---------- helpers & migration ---------- **/
 // Memoize the notes object itself to prevent unnecessary re-renders
+// First-class element tags are appended as "#tag" so hashtag search finds them too
+const asHashtags = (el) => (Array.isArray(el.tags) ? el.tags.map(t => `#${t}`) : []);
+
 const createGetNodeNotes = (notes) => (node) => {
   const nodeNotes = notes?.[node.id];
-  return Array.isArray(nodeNotes) ? nodeNotes : [];
+  return [...(Array.isArray(nodeNotes) ? nodeNotes.map(getNoteText) : []), ...asHashtags(node)];
 };
 
 const createGetEdgeNotes = (notes) => (edge) => {
   const edgeNotes = notes?.[edge.id];
-  return Array.isArray(edgeNotes) ? edgeNotes : [];
+  return [...(Array.isArray(edgeNotes) ? edgeNotes.map(getNoteText) : []), ...asHashtags(edge)];
 };
 
 // Add this helper at the top of App.jsx or in a separate utils file
@@ -263,11 +305,11 @@ function App() {
     ...initialAppState,
     camera: {
       zoom: (() => {
-        const saved = localStorage.getItem("shipLogCamera");
+        const saved = localStorage.getItem(CAMERA_STORAGE_KEY);
         return saved ? JSON.parse(saved).zoom || 1 : 1;
       })(),
       position: (() => {
-        const saved = localStorage.getItem("shipLogCamera");
+        const saved = localStorage.getItem(CAMERA_STORAGE_KEY);
         return saved ? JSON.parse(saved).position || { x: 0, y: 0 } : { x: 0, y: 0 };
       })()
     },
@@ -302,10 +344,8 @@ function App() {
       cameraInfoCollapsed: !canEdit ? true : loadCameraInfoCollapsed(),
       compassVisible: loadCompassVisibleFromLocal()
     },
-    undo: {
-      lastGraphState: loadUndoStateFromLocal()
-    },
-    lastLoadedMapUrl: localStorage.getItem('shipLogLastLoadedMapUrl') || '' // Track last loaded map URL for CDN
+    undo: loadUndoHistoryFromLocal(),
+    lastLoadedMapUrl: localStorage.getItem(LAST_LOADED_MAP_URL_KEY) || '' // Track last loaded map URL for CDN
   });
 
   // Extract frequently used state for easier access
@@ -323,7 +363,6 @@ function App() {
   const cameraPosition = camera.position;
   const shouldFitOnNextRender = ui.shouldFitOnNextRender;
   const loadError = ui.loadError;
-  const lastUndoState = undo.lastGraphState;
   const universalMenuCollapsed = ui.universalMenuCollapsed;
   const graphControlsCollapsed = ui.graphControlsCollapsed;
   const cameraInfoCollapsed = ui.cameraInfoCollapsed;
@@ -348,6 +387,31 @@ function App() {
 
   // Share modal (local state — no reducer needed)
   const [isShareModalOpen, setShareModalOpen] = useState(false);
+  const [isTagsModalOpen, setTagsModalOpen] = useState(false);
+  const openTagsModal = useCallback(() => setTagsModalOpen(true), []);
+  const closeTagsModal = useCallback(() => setTagsModalOpen(false), []);
+  const [isToursModalOpen, setToursModalOpen] = useState(false);
+  const openToursModal = useCallback(() => setToursModalOpen(true), []);
+  const closeToursModal = useCallback(() => setToursModalOpen(false), []);
+  const [isExportImageModalOpen, setExportImageModalOpen] = useState(false);
+  const openExportImageModal = useCallback(() => setExportImageModalOpen(true), []);
+  const closeExportImageModal = useCallback(() => setExportImageModalOpen(false), []);
+  const [isCsvImportModalOpen, setCsvImportModalOpen] = useState(false);
+  const openCsvImportModal = useCallback(() => setCsvImportModalOpen(true), []);
+  const closeCsvImportModal = useCallback(() => setCsvImportModalOpen(false), []);
+  const [isMapLibraryModalOpen, setMapLibraryModalOpen] = useState(false);
+  const openMapLibraryModal = useCallback(() => setMapLibraryModalOpen(true), []);
+  const closeMapLibraryModal = useCallback(() => setMapLibraryModalOpen(false), []);
+  const [isHistoryModalOpen, setHistoryModalOpen] = useState(false);
+  const openHistoryModal = useCallback(() => setHistoryModalOpen(true), []);
+  const closeHistoryModal = useCallback(() => setHistoryModalOpen(false), []);
+  // { fileName, map, issues, migration } of an imported file awaiting review, or null
+  const [importIssues, setImportIssues] = useState(null);
+  const closeImportIssuesModal = useCallback(() => setImportIssues(null), []);
+  // Summary of the schema upgrade the last loaded map went through, or ''
+  const [migrationNotice, setMigrationNotice] = useState('');
+  const handleMigrationReport = useCallback((report) => setMigrationNotice(describeMigrationReport(report)), []);
+  const clearMigrationNotice = useCallback(() => setMigrationNotice(''), []);
   const openShareModal = useCallback(() => setShareModalOpen(true), []);
   const closeShareModal = useCallback(() => setShareModalOpen(false), []);
 
@@ -358,37 +422,63 @@ function App() {
   const closeHelpModal = useCallback(() => dispatchAppState({ type: ACTION_TYPES.CLOSE_HELP_MODAL }), [dispatchAppState]);
 
   // Initialize undo hook
-  const { clearUndoState, saveUndoCheckpoint, applyUndoIfAvailable, canUndo } = useUndo(
+  const { clearUndoState, saveUndoCheckpoint, applyUndoIfAvailable, applyRedoIfAvailable, canUndo, canRedo } = useUndo(
     appState, 
     dispatchAppState, 
     getCytoscapeInstance, 
     clearCytoscapeSelections
   );
 
+  // Periodic + pre-destructive snapshots of the map (History panel)
+  const snapshotGraph = useMemo(
+    () => ({ ...graphData, mode, mapName, cdnBaseUrl, orientation, compassVisible }),
+    [graphData, mode, mapName, cdnBaseUrl, orientation, compassVisible]
+  );
+  const { snapshotNow } = useSnapshots({ graph: snapshotGraph, enabled: canEdit });
+
+  // Editing change log ("update history"); like undo, it starts over when the map is replaced
+  const { entries: changeLog, startedAt: changeLogStartedAt, recordChange, clearChangeLog } = useChangeLog();
+  const clearEditHistory = useCallback(() => {
+    clearUndoState();
+    clearChangeLog();
+  }, [clearUndoState, clearChangeLog]);
+
   // Initialize import/export hook // openShareModalWithCurrentState
-  const { handleFileSelect, handleNewMap, exportGraphToJson } = useImportExport({
+  const { handleFileSelect, handleNewMap, exportGraphAs, importMapData } = useImportExport({
     dispatch: dispatchAppState,
     graph: {
       nodes: graphData.nodes,
       edges: graphData.edges,
       notes: graphData.notes,
+      tags: graphData.tags,
+      tours: graphData.tours,
       mode: mode,
       mapName: mapName,
       cdnBaseUrl: cdnBaseUrl,
       orientation: orientation,
       compassVisible: compassVisible,
+      grid: graphData.grid,
       bgImage: bgImage
     },
     setBgImage,
-    clearUndoState,
+    clearUndoState: clearEditHistory,
     onOpenShareModal: openShareModal,
     setGraphData,
     clearCytoscapeSelections,
     defaultShipLogData,
     getCanEditFromQuery,
-    hasAnyQueryParams
+    hasAnyQueryParams,
+    onImportIssues: setImportIssues,
+    onBeforeReplaceMap: snapshotNow,
+    onMigrationReport: handleMigrationReport
   });
 
+  const handleImportFixedMap = useCallback((map) => {
+    const migration = importIssues?.migration;
+    setImportIssues(null);
+    importMapData(map, { migration });
+  }, [importMapData, importIssues]);
+
   // CDN loading state
   // const [currentMapUrl, setCurrentMapUrl] = useState(null); // Initialize as null to force initial check
   
@@ -398,17 +488,101 @@ function App() {
   });
   const [isLoadingFromCDN, setIsLoadingFromCDN] = useState(false); // Flag to prevent persistence conflicts
 
+  // Everything an undo step can restore (orientation + bg image live outside graphData)
+  const getUndoSnapshot = useCallback(() => ({
+    nodes: graphData.nodes,
+    edges: graphData.edges,
+    notes: graphData.notes,
+    tags: graphData.tags || [],
+    tours: graphData.tours || [],
+    grid: graphData.grid,
+    orientation,
+    bgImage
+  }), [graphData, orientation, bgImage]);
+
+  const saveCurrentUndoCheckpoint = useCallback((options) => {
+    saveUndoCheckpoint(getUndoSnapshot(), options);
+  }, [saveUndoCheckpoint, getUndoSnapshot]);
+
   // Single seam for undoable graph mutations: captures a checkpoint then applies the update.
   // All callers use this instead of calling saveUndoCheckpoint + setGraphData separately.
-  const setGraphDataWithUndo = useCallback((updater) => {
-    saveUndoCheckpoint({
-      nodes: graphData.nodes,
-      edges: graphData.edges,
-      notes: graphData.notes,
-      orientation
-    });
+  const setGraphDataWithUndo = useCallback((updater, options) => {
+    saveCurrentUndoCheckpoint(options);
     setGraphData(updater);
-  }, [saveUndoCheckpoint, graphData, orientation, setGraphData]);
+  }, [saveCurrentUndoCheckpoint, setGraphData]);
+
+  // Undoable bg image edits; slider drags within the coalesce window count as one step
+  const changeBgImageWithUndo = useCallback((next) => {
+    saveCurrentUndoCheckpoint({ coalesceKey: 'bgImage' });
+    changeBgImage(next);
+  }, [saveCurrentUndoCheckpoint, changeBgImage]);
+  const loadBgImageFileWithUndo = useCallback((file) => {
+    saveCurrentUndoCheckpoint();
+    loadImageFile(file);
+  }, [saveCurrentUndoCheckpoint, loadImageFile]);
+  const deleteBgImageWithUndo = useCallback(() => {
+    saveCurrentUndoCheckpoint();
+    deleteImage();
+  }, [saveCurrentUndoCheckpoint, deleteImage]);
+
+  // Spreadsheet import lands as a single undo step
+  const handleCsvImport = useCallback(async (nextGraph) => {
+    setCsvImportModalOpen(false);
+    await snapshotNow('csv-import');
+    setGraphDataWithUndo(nextGraph);
+  }, [setGraphDataWithUndo, snapshotNow]);
+
+  // CDN loads over a local map with unsaved changes ask first (MapConflictModal),
+  // whether or not the two maps share a name.
+  // { local, cdn, items, resolve } while the dialog is open, else null
+  const [mapConflict, setMapConflict] = useState(null);
+  const currentMapRef = useRef(snapshotGraph);
+  useEffect(() => {
+    currentMapRef.current = snapshotGraph;
+  }, [snapshotGraph]);
+
+  // Passed to both CDN loaders: true = go on and replace the local map, false = keep it
+  // (a merge is applied here, as one undo step). Anything replaced is snapshotted first.
+  const confirmCdnOverwrite = useCallback(async (cdnGraph) => {
+    const local = currentMapRef.current;
+    if (!hasLocalChanges(local, defaultShipLogData)) return true;
+    const items = compareMaps(local, cdnGraph);
+    if (items.length === 0) {
+      await snapshotNow('cdn');
+      return true;
+    }
+
+    setCdnLoadingState({ isLoading: false, error: null });
+    const resolution = await new Promise(resolve => setMapConflict({ local, cdn: cdnGraph, items, resolve }));
+    setMapConflict(null);
+    if (resolution.choice === 'local') return false;
+
+    await snapshotNow('cdn');
+    if (resolution.choice === 'merge') {
+      const { nodes, edges, notes, tags } = resolution.graph;
+      setGraphDataWithUndo(prev => ({ ...prev, nodes, edges, notes, tags }));
+      return false;
+    }
+    return true;
+  }, [snapshotNow, setGraphDataWithUndo]);
+
+  const handleResolveMapConflict = useCallback((resolution) => {
+    mapConflict?.resolve(resolution);
+  }, [mapConflict]);
+
+  // Restoring a snapshot replaces the map's content (not its name, CDN or bg) as one undo step
+  const handleRestoreSnapshot = useCallback(async (snapshot) => {
+    setHistoryModalOpen(false);
+    await snapshotNow('restore');
+    setGraphDataWithUndo(prev => ({
+      ...prev,
+      nodes: snapshot.nodes || [],
+      edges: snapshot.edges || [],
+      notes: snapshot.notes || {},
+      tags: snapshot.tags || [],
+      tours: snapshot.tours || []
+    }));
+  }, [setGraphDataWithUndo, snapshotNow]);
 
   // REFACTOR STEP 1: Initialize graph operations hook
   // This replaces individual handleFitToView, handleRotateMap, etc. functions
@@ -419,7 +593,8 @@ function App() {
       nodes: graphData.nodes,
       edges: graphData.edges,
       notes: graphData.notes,
-      orientation: orientation
+      orientation: orientation,
+      grid: graphData.grid
     },
     selections: {
       selectedNodeIds,
@@ -427,9 +602,11 @@ function App() {
       selectedEdgeIds
     },
     setGraphData: setGraphDataWithUndo,
+    saveUndoCheckpoint: saveCurrentUndoCheckpoint,
     clearCytoscapeSelections,
     updateNodeInPlace,
-    getViewportCenter
+    getViewportCenter,
+    recordChange
   });
 
   // REFACTOR STEP 2: Initialize map loading hook for URL monitoring
@@ -440,7 +617,7 @@ function App() {
     defaultShipLogData,
     setGraphData,
     setBgImage,
-    clearUndoState,
+    clearUndoState: clearEditHistory,
     setCdnLoadingState,
     setIsLoadingFromCDN,
     clearCytoscapeSelections,
@@ -448,7 +625,9 @@ function App() {
     loadModeFromLocal,
     currentCdnLoadRef,
     cdnBaseUrl,
-    ACTION_TYPES
+    ACTION_TYPES,
+    confirmCdnOverwrite,
+    onMigrationReport: handleMigrationReport
   });
 
   const toggleUniversalMenu = useCallback(() =>
@@ -517,6 +696,15 @@ function App() {
     return () => clearTimeout(persistTimerRef.current);
   }, [graphData, mode, mapName, cdnBaseUrl, orientation, bgImage, isLoadingFromCDN]);
 
+  // Library switches happen on reload (see persistence/mapLibrary.js); flush the
+  // debounced autosave first so the outgoing map keeps its latest edits
+  const handleSwitchMap = useCallback((id) => {
+    clearTimeout(persistTimerRef.current);
+    saveToLocal({ ...graphData, mode, mapName, cdnBaseUrl, orientation, bgImage });
+    getMapLibrary().requestMapSwitch(id);
+    window.location.assign(window.location.pathname);
+  }, [graphData, mode, mapName, cdnBaseUrl, orientation, bgImage]);
+
   // Save CDN base URL to imageLoader storage
   useEffect(() => {
     setCdnBaseUrl(cdnBaseUrl);
@@ -533,7 +721,7 @@ function App() {
   useEffect(() => {
     const handleBeforeUnload = () => {
       try {
-        localStorage.setItem("shipLogCamera", JSON.stringify({
+        localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify({
           zoom: liveZoom,
           position: livePan
         }));
@@ -562,10 +750,10 @@ function App() {
     saveMapNameToLocal(mapName);
   }, [mapName]);
 
-  // Save undo state to localStorage
+  // Save undo/redo history to localStorage
   useEffect(() => {
-    saveUndoStateToLocal(lastUndoState);
-  }, [lastUndoState]);
+    saveUndoHistoryToLocal(undo);
+  }, [undo]);
 
   // Save note count overlay state to localStorage
   useEffect(() => {
@@ -592,8 +780,9 @@ function App() {
   }, []); // Run once on mount
 
   // Note data mutations (update notes content, image, and title/ID)
-  const { handleUpdateNotes, handleUpdateTitle, handleUpdateImage } = useNoteDataMutations({
-    setGraphData,
+  const { handleUpdateNotes, handleUpdateTitle, handleUpdateImage, handleUpdateLocked } = useNoteDataMutations({
+    graph: graphData,
+    recordChange,
     setGraphDataWithUndo,
     dispatchAppState,
     selectedNodeIds,
@@ -604,18 +793,69 @@ function App() {
     cdnBaseUrl,
   });
 
+  // Tag registry (Manage Tags modal) + per-element tag picker
+  const {
+    handleCreateTag,
+    handleUpdateTag,
+    handleMergeTags,
+    handleDeleteTag,
+    handleUpdateElementTags
+  } = useTagOperations({ setGraphDataWithUndo });
+  const {
+    handleCreateTour,
+    handleRenameTour,
+    handleDeleteTour,
+    handleAddTourSteps,
+    handleRemoveTourStep,
+    handleMoveTourStep,
+    handleUpdateTourNarration
+  } = useTourOperations({ setGraphDataWithUndo });
+  const tagUsage = useMemo(() => countTagUsage(graphData), [graphData]);
+
+  // Per-map layer visibility (localStorage, not domain JSON) → ids hidden on canvas and in search
+  const { hiddenLayers, toggleLayer, showAllLayers } = useLayerVisibility(mapName);
+  const hiddenElements = useMemo(() => getHiddenElements(graphData, hiddenLayers), [graphData, hiddenLayers]);
+
   const handleUndo = useCallback(() => {
-    applyUndoIfAvailable(setGraphData);
-  }, [applyUndoIfAvailable]);
+    applyUndoIfAvailable(setGraphData, getUndoSnapshot(), setBgImage);
+  }, [applyUndoIfAvailable, getUndoSnapshot, setBgImage]);
+
+  const handleRedo = useCallback(() => {
+    applyRedoIfAvailable(setGraphData, getUndoSnapshot(), setBgImage);
+  }, [applyRedoIfAvailable, getUndoSnapshot, setBgImage]);
 
   // Per-map visited state (persists to localStorage, never in domain JSON)
   const {
     visited,
     markNodeVisited,
     markEdgeVisited,
+    markNodesUnlocked,
     clearForMap: clearVisitedForMap
   } = useVisited(mapName);
 
+  // Attribute filter (Filter panel); seeded from a shared `?filter=` link
+  const [filter, setFilter] = useState(() => getFilterFromQuery());
+  const filteredOut = useMemo(() => getFilteredOut(graphData, filter, visited), [graphData, filter, visited]);
+
+  // Reveal locked "?" nodes once the player has visited something connected to them
+  useEffect(() => {
+    const ids = findNodesToUnlock(graphData, visited);
+    if (ids.length > 0) {
+      printDebug('🔓 unlocking nodes:', ids);
+      markNodesUnlocked(ids);
+    }
+  }, [graphData, visited, markNodesUnlocked]);
+
+  // Locked "?" nodes stay out of the Reading view and search while playing
+  const readableNodes = useMemo(
+    () => (mode === 'playing' ? getRevealedNodes(graphData.nodes, visited.unlocked) : graphData.nodes),
+    [mode, graphData.nodes, visited.unlocked]
+  );
+  const searchHiddenElements = useMemo(
+    () => (mode === 'playing' ? withLockedNodesHidden(hiddenElements, graphData.nodes, visited.unlocked) : hiddenElements),
+    [mode, hiddenElements, graphData.nodes, visited.unlocked]
+  );
+
   const handleClearVisited = useCallback(() => {
     const confirmed = window.confirm(
       `Are you sure you want to clear all reading history for "${mapName}"?\n\n` +
@@ -675,8 +915,43 @@ function App() {
     },
   });
   const handleStartNoteViewing = noteViewingState.open;
+
+  // Viewer only shows notes whose prerequisite has been visited; the rest count toward "more to explore"
+  const viewingNotes = useMemo(
+    () => noteViewingTarget ? getVisibleNotes(graphData, noteViewingTarget, visited) : { notes: [], hiddenCount: 0 },
+    [graphData, noteViewingTarget, visited]
+  );
   const handleCloseNoteViewing = noteViewingState.close;
 
+  // Guided tours: each step flies the camera + opens the viewer; progress persists per map
+  const { progress: tourProgress, setTourStep } = useTourProgress(mapName);
+  const tourPlayer = useTourPlayer({
+    graph: graphData,
+    progress: tourProgress,
+    setTourStep,
+    openTarget: handleStartNoteViewing,
+    closeViewer: handleCloseNoteViewing
+  });
+  const getTourStepCount = useCallback((tour) => getPlayableSteps(graphData, tour).length, [graphData]);
+  // Saved progress as positions among each tour's playable steps (what TourControls counts)
+  const tourResumePositions = useMemo(() => Object.fromEntries(
+    (graphData.tours || [])
+      .filter(tour => tourProgress?.[tour.id] != null)
+      .map(tour => [tour.id, getPlayablePosition(getPlayableSteps(graphData, tour), tourProgress[tour.id])])
+  ), [graphData, tourProgress]);
+  const { activeTour, exitTour } = tourPlayer;
+  useEffect(() => {
+    if (mode !== 'playing' && activeTour) exitTour();
+  }, [mode, activeTour, exitTour]);
+  const tourNarration = tourPlayer.currentStep?.target === noteViewingTarget ? (tourPlayer.currentStep?.narration || '') : '';
+
+  // Discovery replay: re-reveal the map in visit (or map) order
+  const replay = useTimelineReplay({ getCy: getCytoscapeInstance, graph: graphData, visited });
+  const { stop: stopReplay } = replay;
+  useEffect(() => {
+    stopReplay();
+  }, [mapName, activeTour, stopReplay]);
+
   // Track App renders (for debugging if needed)
   const renderCountRef = useRef(0);
   renderCountRef.current++;
@@ -785,6 +1060,33 @@ useEffect(() => {
     }
   }, [nodeSelectionOrder, dispatchAppState]);
 
+  // Change log entry clicked: select its element(s) and frame them (deleted ones are skipped)
+  const handleFocusChangedElements = useCallback((targets) => {
+    const cy = getCytoscapeInstance();
+    if (!cy) return;
+    const present = targets.filter(t => cy.getElementById(t.id).length > 0);
+    if (present.length === 0) return;
+
+    const nodeIds = present.filter(t => t.type === 'node').map(t => t.id);
+    const edgeIds = present.filter(t => t.type === 'edge').map(t => t.id);
+    dispatchAppState({ type: ACTION_TYPES.SET_NODE_SELECTION, payload: { nodeIds, selectionOrder: nodeIds } });
+    dispatchAppState({ type: ACTION_TYPES.SET_EDGE_SELECTION, payload: { edgeIds } });
+
+    const hasStreamingControl = typeof cy.__pauseViewportStreaming === 'function';
+    if (hasStreamingControl) cy.__pauseViewportStreaming();
+    cy.stop(true, true);
+    cy.animate({
+      fit: { eles: present.reduce((eles, t) => eles.union(cy.getElementById(t.id)), cy.collection()), padding: 120 }
+    }, {
+      duration: 400,
+      easing: 'ease-in-out-cubic',
+      queue: false,
+      complete: () => {
+        if (hasStreamingControl) cy.__resumeViewportStreaming();
+      }
+    });
+  }, [getCytoscapeInstance, dispatchAppState]);
+
   const handleNodeDoubleClick = useCallback((nodeId) => {
     printDebug('🏠 App: Node double-clicked:', nodeId);
 
@@ -847,21 +1149,7 @@ useEffect(() => {
     if (!edge) return;
 
     // Cycle through directions: forward -> backward -> bidirectional -> forward
-    let nextDirection;
-    switch (edge.direction) {
-      case "forward":
-        nextDirection = "backward";
-        break;
-      case "backward":
-        nextDirection = "bidirectional";
-        break;
-      case "bidirectional":
-        nextDirection = "forward";
-        break;
-      default:
-        nextDirection = "forward";
-        break;
-    }
+    const nextDirection = NEXT_EDGE_DIRECTION[edge.direction] || "forward";
 
     graphOps.handleEdgeDirectionChange(edgeId, nextDirection);
   }, [graphData.edges, graphOps]);
@@ -912,6 +1200,117 @@ useEffect(() => {
     }
   }, [selectedNodeIds, selectedEdgeIds, handleStartNoteEditing]);
 
+  // Edge handles need to re-subscribe when the graph remounts, so keep the instance in state too
+  const [cyInstance, setCyInstance] = useState(null);
+  const handleCytoscapeInstanceReady = useCallback((cy) => {
+    setCytoscapeInstance(cy);
+    setCyInstance(cy);
+  }, [setCytoscapeInstance]);
+
+  // Last pointer position over the graph (model coords), where Ctrl+V pastes
+  const lastPointerRef = useRef(null);
+  useEffect(() => {
+    if (!cyInstance) return undefined;
+    const container = cyInstance.container();
+    const handleMove = (evt) => { lastPointerRef.current = { ...evt.position }; };
+    const handleLeave = () => { lastPointerRef.current = null; };
+    cyInstance.on('mousemove', handleMove);
+    container?.addEventListener('mouseleave', handleLeave);
+    return () => {
+      if (!cyInstance.destroyed()) cyInstance.off('mousemove', handleMove);
+      container?.removeEventListener('mouseleave', handleLeave);
+    };
+  }, [cyInstance]);
+
+  // Copy / cut the selected nodes (with the edges between them, notes, tags and pictures)
+  const handleCopyNodes = useCallback((nodeIds, { cut = false } = {}) => {
+    const payload = copySubgraph(graphData, nodeIds, {
+      mapName,
+      resolveImage: (imageUrl) => imageCache.get(`${mapName}:${imageUrl}`)
+    });
+    if (!payload) return;
+    writeSubgraph(payload);
+    if (cut) graphOps.handleDeleteSelectedNodes(nodeIds);
+  }, [graphData, mapName, graphOps]);
+
+  const handleCutNodes = useCallback((nodeIds) => handleCopyNodes(nodeIds, { cut: true }), [handleCopyNodes]);
+
+  // Paste at `position`, else under the pointer, else the middle of the view; selects the pasted nodes
+  const handlePasteNodes = useCallback(async (position) => {
+    const payload = await readSubgraph();
+    if (!payload) {
+      printDebug('📋 App: Nothing to paste');
+      return;
+    }
+    const at = position || lastPointerRef.current || getViewportCenter();
+    const nodeIds = graphOps.handlePasteSubgraph(payload, at, mapName);
+    dispatchAppState({ type: ACTION_TYPES.SET_NODE_SELECTION, payload: { nodeIds, selectionOrder: nodeIds } });
+    dispatchAppState({ type: ACTION_TYPES.SET_EDGE_SELECTION, payload: { edgeIds: [] } });
+  }, [graphOps, mapName, getViewportCenter]);
+
+  // Snap-to-grid is a map setting (saved with the map) and undoable like the arrange ops;
+  // typing a grid size counts as one step
+  const grid = useMemo(() => normalizeGrid(graphData.grid), [graphData.grid]);
+  const handleGridChange = useCallback((patch) => {
+    setGraphDataWithUndo(
+      prev => ({ ...prev, grid: normalizeGrid({ ...normalizeGrid(prev.grid), ...patch }) }),
+      { coalesceKey: 'grid' }
+    );
+  }, [setGraphDataWithUndo]);
+
+  // Context menu (editing): { type, id, position, clientX, clientY } of the target, or null
+  const [contextMenu, setContextMenu] = useState(null);
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
+  const contextMenuProps = useMemo(() => {
+    const items = getContextMenuItems(contextMenu, { graph: graphData, canPaste: canReadSubgraph() });
+    return items.length ? { clientX: contextMenu.clientX, clientY: contextMenu.clientY, items } : null;
+  }, [contextMenu, graphData]);
+
+  // Shift+F10 / ContextMenu key: menu for the first selected node or edge, else the background
+  const handleOpenContextMenuFromKeyboard = useCallback(() => {
+    const cy = getCytoscapeInstance();
+    if (!cy) return;
+    const rect = cy.container().getBoundingClientRect();
+    const id = selectedNodeIds[0] || selectedEdgeIds[0];
+    const el = id ? cy.getElementById(id) : null;
+    if (el && el.length > 0) {
+      const box = el.renderedBoundingBox();
+      setContextMenu({
+        type: selectedNodeIds[0] ? 'node' : 'edge',
+        id,
+        position: el.isNode() ? { ...el.position() } : getViewportCenter(),
+        clientX: rect.left + (box.x1 + box.x2) / 2,
+        clientY: rect.top + (box.y1 + box.y2) / 2
+      });
+      return;
+    }
+    setContextMenu({ type: 'background', position: getViewportCenter(), clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 });
+  }, [getCytoscapeInstance, selectedNodeIds, selectedEdgeIds, getViewportCenter]);
+
+  const handleContextMenuAction = useCallback((item, value) => {
+    const target = contextMenu;
+    setContextMenu(null);
+    if (!target) return;
+    printDebug('🏠 App: Context menu action:', item.action, target.id, value);
+
+    switch (item.action) {
+      case 'rename': handleUpdateTitle(target.id, 'node', value); break;
+      case 'edit-notes': handleStartNoteEditing(target.id, target.type); break;
+      case 'color': graphOps.handleNodeColorChange([target.id], value); break;
+      case 'size': graphOps.handleNodeSizeChange(target.id, value); break;
+      case 'connect': graphOps.handleConnectNodes(target.id, value); break;
+      case 'duplicate': graphOps.handleDuplicateNode(target.id); break;
+      case 'delete-node': graphOps.handleDeleteSelectedNodes([target.id]); break;
+      case 'cycle-direction': graphOps.handleEdgeDirectionChange(target.id, value); break;
+      case 'reverse': graphOps.handleReverseEdge(target.id); break;
+      case 'delete-edge': graphOps.handleDeleteSelectedEdges([target.id]); break;
+      case 'add-node': graphOps.handleCreateNodeAt(target.position); break;
+      case 'paste': handlePasteNodes(target.position); break;
+      case 'fit': graphOps.handleFitGraph(); break;
+      default: break;
+    }
+  }, [contextMenu, graphOps, handleUpdateTitle, handleStartNoteEditing, handlePasteNodes]);
+
   const handleCloseNoteEditing = useCallback(() => {
     // Restore original camera if feature is enabled and we have a saved camera state
     if (ZOOM_TO_SELECTION && hasOriginalCamera()) {
@@ -928,7 +1327,8 @@ useEffect(() => {
       payload: { mode: newMode }
     });
     
-    // Clear selections when switching modes
+    // Clear selections (and any open context menu) when switching modes
+    setContextMenu(null);
     clearCytoscapeSelections();
     dispatchAppState({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
     
@@ -945,6 +1345,13 @@ useEffect(() => {
     printDebug('👆 node tap:', { nodeId, mode, noteViewingTarget });
     if (mode !== 'playing') return;
 
+    // Locked "?" nodes can't be opened until revealed
+    const tappedNode = graphData.nodes.find(n => n.id === nodeId);
+    if (isNodeLocked(tappedNode, visited.unlocked)) {
+      printDebug('🔒 locked node tapped -> ignored');
+      return;
+    }
+
     // Click same node → close (zoom-out)
     if (noteViewingTarget === nodeId) {
       printDebug('🔻 same-node clicked -> toggle close');
@@ -966,7 +1373,7 @@ useEffect(() => {
 
     // Open OR switch always goes through handleStartNoteViewing.
     handleStartNoteViewing(nodeId, 'node');
-  }, [mode, noteViewingTarget, noteViewingState, handleStartNoteViewing, handleCloseNoteViewing, clearCytoscapeSelections]);
+  }, [mode, noteViewingTarget, noteViewingState, handleStartNoteViewing, handleCloseNoteViewing, clearCytoscapeSelections, graphData.nodes, visited.unlocked]);
       
   const handleEdgeClick = useCallback((edgeId) => {
     if (mode === 'playing') {
@@ -1013,7 +1420,9 @@ useEffect(() => {
   // ---------- keyboard shortcuts (moved to hook) ----------
   const isAnyModalOpen = !!(
     debugModalOpen || noteEditingTarget || noteViewingTarget ||
-    helpModalOpen || bgImageModalOpen || isShareModalOpen
+    helpModalOpen || bgImageModalOpen || isShareModalOpen || isTagsModalOpen || isToursModalOpen ||
+    isExportImageModalOpen || importIssues || isCsvImportModalOpen || isMapLibraryModalOpen ||
+    isHistoryModalOpen || mapConflict
   );
   const closeAllModals = useCallback(() => {
     if (debugModalOpen) closeDebugModal();
@@ -1022,9 +1431,17 @@ useEffect(() => {
     if (helpModalOpen) closeHelpModal();
     if (isShareModalOpen) setShareModalOpen(false);
     if (bgImageModalOpen) closeBgImageModal?.();
+    if (isTagsModalOpen) closeTagsModal();
+    if (isToursModalOpen) closeToursModal();
+    if (isExportImageModalOpen) closeExportImageModal();
+    if (importIssues) closeImportIssuesModal();
+    if (isCsvImportModalOpen) closeCsvImportModal();
+    if (isMapLibraryModalOpen) closeMapLibraryModal();
+    if (isHistoryModalOpen) closeHistoryModal();
+    if (mapConflict) handleResolveMapConflict({ choice: 'local' });
   }, [debugModalOpen, noteEditingTarget, noteViewingTarget, helpModalOpen, isShareModalOpen,
-      bgImageModalOpen, closeDebugModal, handleCloseNoteEditing, handleCloseNoteViewing,
-      closeHelpModal, closeBgImageModal]);
+      bgImageModalOpen, isTagsModalOpen, isToursModalOpen, isExportImageModalOpen, importIssues, isCsvImportModalOpen, isMapLibraryModalOpen, isHistoryModalOpen, mapConflict, closeDebugModal, handleCloseNoteEditing, handleCloseNoteViewing,
+      closeHelpModal, closeBgImageModal, closeTagsModal, closeToursModal, closeExportImageModal, closeImportIssuesModal, closeCsvImportModal, closeMapLibraryModal, closeHistoryModal, handleResolveMapConflict]);
   const modalOps = { isAnyModalOpen, closeAllModals, toggleBgImageModal: openBgImageModal, isShareModalOpen, openShareModal, closeShareModal };
 
   useKeyboardHandlers({
@@ -1034,6 +1451,12 @@ useEffect(() => {
     onDeleteSelectedEdges: graphOps.handleDeleteSelectedEdges,
     graphOps,
     modalOps,
+    onUndo: handleUndo,
+    onRedo: handleRedo,
+    onOpenContextMenu: canEdit ? handleOpenContextMenuFromKeyboard : undefined,
+    onCopy: canEdit ? handleCopyNodes : undefined,
+    onCut: canEdit ? handleCutNodes : undefined,
+    onPaste: canEdit ? () => handlePasteNodes() : undefined,
     onResetSelection: () => {
       dispatchAppState({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
       clearCytoscapeSelections();
@@ -1078,8 +1501,11 @@ useEffect(() => {
         debugModalOpen
       },
       undo: {
-        canUndo: !!lastUndoState,
-        lastGraphState: lastUndoState
+        canUndo,
+        canRedo,
+        pastCount: undo.past.length,
+        futureCount: undo.future.length,
+        lastGraphState: undo.past[undo.past.length - 1] || null
       },
       features: {
         ZOOM_TO_SELECTION,
@@ -1091,7 +1517,7 @@ useEffect(() => {
     exportNodePositions, graphData, mode, zoomLevel, cameraPosition, 
     selectedNodeIds, nodeSelectionOrder, selectedEdgeIds, shouldFitOnNextRender, 
     loadError, noteEditingTarget, noteEditingType, noteViewingTarget, debugModalOpen,
-    lastUndoState
+    undo, canUndo, canRedo
   ]);
 
   // Memoize background image object to prevent infinite re-renders
@@ -1117,10 +1543,12 @@ useEffect(() => {
       setGraphData,
       dispatchAppState,
       clearCytoscapeSelections,
-      clearUndoState,
+      clearUndoState: clearEditHistory,
       defaultShipLogData,
       ACTION_TYPES,
-      setBgImage
+      setBgImage,
+      confirmCdnOverwrite,
+      onMigrationReport: handleMigrationReport
     });
   }, [
     setCdnLoadingState,
@@ -1129,9 +1557,11 @@ useEffect(() => {
     setGraphData,
     dispatchAppState,
     clearCytoscapeSelections,
-    clearUndoState,
+    clearEditHistory,
     mapName,
-    setBgImage
+    setBgImage,
+    confirmCdnOverwrite,
+    handleMigrationReport
   ]);
 
   // Keep ref current so the position-update effect below doesn't need graphData.nodes in its deps
@@ -1159,10 +1589,10 @@ useEffect(() => {
 
 useEffect(() => {
   if (appState.lastLoadedMapUrl) {
-    localStorage.setItem('shipLogLastLoadedMapUrl', appState.lastLoadedMapUrl);
+    localStorage.setItem(LAST_LOADED_MAP_URL_KEY, appState.lastLoadedMapUrl);
   } 
   else {
-    localStorage.removeItem('shipLogLastLoadedMapUrl');
+    localStorage.removeItem(LAST_LOADED_MAP_URL_KEY);
   }
 }, [appState.lastLoadedMapUrl]);
 
@@ -1178,6 +1608,7 @@ useEffect(() => {
           getNodeNotes={getNodeNotes}  // ✅ Extract notes for nodes
           getEdgeNotes={getEdgeNotes}  // ✅ Extract notes for edges
           getCy={getCytoscapeInstance}  // ✅ Use the existing hook function
+          hiddenElements={searchHiddenElements}  // Hidden layers (and locked nodes while playing) stay out of search
         />
 
         {/* Mobile Search Button - only visible on mobile, top center */}
@@ -1192,30 +1623,100 @@ useEffect(() => {
         {/* Background now renders as a Cytoscape node for perfect sync with pan/zoom */}
         {/* See CytoscapeGraph bgImage prop and bgNodeAdapter.js */}
 
-        {canEdit && (
-          <GraphControls
-            selectedNodes={selectedNodeIds}
-            selectedEdges={selectedEdgeIds}
-            onCreateNode={graphOps.handleCreateNode}
-            onDeleteSelectedNodes={graphOps.handleDeleteSelectedNodes}
-            onDeleteSelectedEdges={graphOps.handleDeleteSelectedEdges}
-            onEditSelected={handleEditSelected}
-            onConnectNodes={graphOps.handleConnectSelectedNodes}
-            onExportMap={() => exportGraphToJson(exportNodePositions)}
-            onNewMap={handleNewMap}
-            onNodeColorChange={graphOps.handleNodeColorChange}
-            areNodesConnected={areNodesConnected}
-            mode={mode}
-            collapsed={graphControlsCollapsed}
-            onToggleCollapsed={toggleGraphControls}
-            onOpenDebugModal={DEV_MODE ? openDebugModal : undefined}
-            onOpenShareModal={openShareModal}
-            onUndo={handleUndo}
-            canUndo={canUndo}
-            onRotateCompass={graphOps.handleRotateRight}
-            onOpenBgImageModal={openBgImageModal}
+        {/* Top-right dock: tours, replay, filter + layers panels sit next to the graph controls */}
+        <div style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 1000, display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+          {mode === 'playing' && (
+            <TourControls
+              tours={graphData.tours || []}
+              progress={tourResumePositions}
+              getStepCount={getTourStepCount}
+              activeTour={tourPlayer.activeTour}
+              stepIndex={tourPlayer.stepIndex}
+              stepCount={tourPlayer.steps.length}
+              onStartTour={tourPlayer.startTour}
+              onPrevStep={tourPlayer.prevStep}
+              onNextStep={tourPlayer.nextStep}
+              onExitTour={tourPlayer.exitTour}
+            />
+          )}
+          {!tourPlayer.activeTour && (
+            <TimelineControls
+              isActive={replay.isActive}
+              isPlaying={replay.isPlaying}
+              revealed={replay.revealed}
+              total={replay.total}
+              order={replay.order}
+              onOrderChange={replay.setOrder}
+              speed={replay.speed}
+              onSpeedChange={replay.setSpeed}
+              onPlay={replay.play}
+              onPause={replay.pause}
+              onStop={replay.stop}
+            />
+          )}
+          <FilterPanel filter={filter} onChange={setFilter} tags={graphData.tags} />
+          <LayersPanel
+            tags={graphData.tags}
+            usage={tagUsage}
+            hiddenLayers={hiddenLayers}
+            onToggleLayer={toggleLayer}
+            onShowAllLayers={showAllLayers}
           />
-        )}
+          {canEdit && mode === 'editing' && (
+            <LayoutPanel
+              cy={cyInstance}
+              nodes={graphData.nodes}
+              edges={graphData.edges}
+              selectedNodeIds={selectedNodeIds}
+              onApplyLayout={graphOps.handleApplyLayout}
+              onPinNodes={graphOps.handlePinNodes}
+            />
+          )}
+          {canEdit && mode === 'editing' && (
+            <ChangeLogPanel
+              entries={changeLog}
+              startedAt={changeLogStartedAt}
+              mapName={mapName}
+              onFocusElements={handleFocusChangedElements}
+            />
+          )}
+          {canEdit && (
+            <GraphControls
+              selectedNodes={selectedNodeIds}
+              selectedEdges={selectedEdgeIds}
+              onCreateNode={graphOps.handleCreateNode}
+              onDeleteSelectedNodes={graphOps.handleDeleteSelectedNodes}
+              onDeleteSelectedEdges={graphOps.handleDeleteSelectedEdges}
+              onEditSelected={handleEditSelected}
+              onConnectNodes={graphOps.handleConnectSelectedNodes}
+              onExportMap={(format) => exportGraphAs(format, exportNodePositions)}
+              onNewMap={handleNewMap}
+              onNodeColorChange={graphOps.handleNodeColorChange}
+              areNodesConnected={areNodesConnected}
+              grid={grid}
+              onGridChange={handleGridChange}
+              onAlignNodes={graphOps.handleAlignNodes}
+              onDistributeNodes={graphOps.handleDistributeNodes}
+              onEqualizeSpacing={graphOps.handleEqualizeSpacing}
+              onSnapNodesToGrid={graphOps.handleSnapNodesToGrid}
+              mode={mode}
+              collapsed={graphControlsCollapsed}
+              onToggleCollapsed={toggleGraphControls}
+              onOpenDebugModal={DEV_MODE ? openDebugModal : undefined}
+              onOpenShareModal={openShareModal}
+              onUndo={handleUndo}
+              canUndo={canUndo}
+              onRedo={handleRedo}
+              canRedo={canRedo}
+              onRotateCompass={graphOps.handleRotateRight}
+              onOpenBgImageModal={openBgImageModal}
+              onOpenTagsModal={openTagsModal}
+              onOpenToursModal={openToursModal}
+              onOpenCsvImportModal={openCsvImportModal}
+              onOpenHistoryModal={openHistoryModal}
+            />
+          )}
+        </div>
 
         <UniversalControls
           fileInputRef={fileInputRef}
@@ -1238,6 +1739,8 @@ useEffect(() => {
           onClearVisited={handleClearVisited}
           onOpenHelpModal={openHelpModal}
           onOpenReadingModal={openReadingModal}
+          onOpenExportImageModal={openExportImageModal}
+          onOpenMapLibrary={canEdit ? openMapLibraryModal : undefined}
         />
 
         <NoteEditorModal
@@ -1254,13 +1757,25 @@ useEffect(() => {
           onUpdateNotes={handleUpdateNotes}
           onUpdateTitle={handleUpdateTitle}
           onUpdateImage={handleUpdateImage}
+          isLocked={noteEditingTarget && noteEditingType === "node"
+            ? !!graphData.nodes.find(n => n.id === noteEditingTarget)?.locked
+            : false}
+          onToggleLocked={handleUpdateLocked}
+          availableTags={graphData.tags || []}
+          assignedTags={noteEditingTarget
+            ? ((noteEditingType === "node" ? graphData.nodes : graphData.edges)
+                .find(el => el.id === noteEditingTarget)?.tags || [])
+            : []}
+          onUpdateTags={handleUpdateElementTags}
           onClose={handleCloseNoteEditing}
         />
 
         <NoteViewerModal
           key={noteViewingTarget || 'no-target'}
           targetId={noteViewingTarget}
-          notes={noteViewingTarget ? getNotesForTarget(graphData, noteViewingTarget) : []}
+          notes={viewingNotes.notes}
+          hiddenCount={viewingNotes.hiddenCount}
+          narration={tourNarration}
           onClose={handleCloseNoteViewing}
           isUnseenAtOpen={viewSessions[noteViewingTarget]?.isUnseenAtOpen || false}
           typewriterReady={viewSessions[noteViewingTarget]?.typewriterReady || false}
@@ -1285,13 +1800,15 @@ useEffect(() => {
           onClose={closeShareModal}
           mapName={mapName}
           cdnBaseUrl={cdnBaseUrl}
+          filter={filter}
         />
 
         <ReadingModal
           isOpen={readingModalOpen}
           onClose={closeReadingModal}
-          nodes={graphData.nodes}
+          nodes={readableNodes}
           notes={graphData.notes}
+          visited={mode === 'playing' ? visited : null}
           cdnBaseUrl={cdnBaseUrl}
           mapName={mapName}
           getCy={getCytoscapeInstance}
@@ -1314,6 +1831,9 @@ useEffect(() => {
         )}
 
         <ErrorDisplay error={loadError} onClearError={clearError} />
+        {!loadError && (
+          <ErrorDisplay error={migrationNotice} onClearError={clearMigrationNotice} label="Notice:" tone="info" />
+        )}
 
         <CdnLoadingOverlay
           isLoading={cdnLoadingState.isLoading}
@@ -1332,6 +1852,7 @@ useEffect(() => {
             selectedNodeIds={selectedNodeIds}
             selectedEdgeIds={selectedEdgeIds}
             onNodeMove={graphOps.handleNodeMove}
+            onContextMenu={setContextMenu}
             onViewportChange={onViewportChange} // 🔴 every-frame stream for BG
             initialZoom={zoomLevel}
             initialCameraPosition={cameraPosition}
@@ -1349,24 +1870,119 @@ useEffect(() => {
             onNodeSizeChange={graphOps.handleNodeSizeChange}
             onNodeColorChange={graphOps.handleNodeColorChange}
             onBackgroundClick={handleBackgroundClick}
-            onCytoscapeInstanceReady={setCytoscapeInstance}
+            onCytoscapeInstanceReady={handleCytoscapeInstanceReady}
             showNoteCountOverlay={showNoteCountOverlay}
             notes={graphData.notes}
             visited={visited} /* pass visited to drive unseen badges */
+            hiddenElements={hiddenElements}
+            filteredOut={filteredOut}
+            hideFilteredOut={filter.hide}
             bgImage={memoBgImage}
           />
         </Suspense>
 
+        {canEdit && mode === 'editing' && grid.enabled && <GridOverlay cy={cyInstance} size={grid.size} />}
+
+        {canEdit && mode === 'editing' && (
+          <EdgeHandles
+            cy={cyInstance}
+            edges={graphData.edges}
+            selectedNodeIds={selectedNodeIds}
+            selectedEdgeIds={selectedEdgeIds}
+            onConnect={graphOps.handleConnectNodes}
+            onRetarget={graphOps.handleRetargetEdge}
+          />
+        )}
+
         {compassVisible && <CompassOverlay orientation={orientation} />}
 
         <BgImageModal
           isOpen={bgImageModalOpen}
           onClose={closeBgImageModal}
           bgImage={bgImage}
-          onChange={changeBgImage}
-          onLoadImage={loadImageFile}
-          onDeleteImage={deleteImage}
+          onChange={changeBgImageWithUndo}
+          onLoadImage={loadBgImageFileWithUndo}
+          onDeleteImage={deleteBgImageWithUndo}
+        />
+
+        <ManageTagsModal
+          isOpen={isTagsModalOpen}
+          onClose={closeTagsModal}
+          tags={graphData.tags || []}
+          usage={tagUsage}
+          onCreateTag={handleCreateTag}
+          onUpdateTag={handleUpdateTag}
+          onMergeTags={handleMergeTags}
+          onDeleteTag={handleDeleteTag}
+        />
+
+        <ToursModal
+          isOpen={isToursModalOpen}
+          onClose={closeToursModal}
+          tours={graphData.tours || []}
+          nodes={graphData.nodes}
+          edges={graphData.edges}
+          selectedNodeIds={nodeSelectionOrder.length ? nodeSelectionOrder : selectedNodeIds}
+          selectedEdgeIds={selectedEdgeIds}
+          onCreateTour={handleCreateTour}
+          onRenameTour={handleRenameTour}
+          onDeleteTour={handleDeleteTour}
+          onAddTourSteps={handleAddTourSteps}
+          onRemoveTourStep={handleRemoveTourStep}
+          onMoveTourStep={handleMoveTourStep}
+          onUpdateTourNarration={handleUpdateTourNarration}
         />
+
+        <ExportImageModal
+          isOpen={isExportImageModalOpen}
+          onClose={closeExportImageModal}
+          getCy={getCytoscapeInstance}
+          graph={graphData}
+          mapName={mapName}
+          orientation={orientation}
+          compassVisible={compassVisible}
+          showNoteCountOverlay={showNoteCountOverlay}
+        />
+
+        <ImportIssuesModal
+          isOpen={!!importIssues}
+          onClose={closeImportIssuesModal}
+          fileName={importIssues?.fileName}
+          map={importIssues?.map}
+          issues={importIssues?.issues}
+          onImport={handleImportFixedMap}
+        />
+
+        <CsvImportModal
+          isOpen={isCsvImportModalOpen}
+          onClose={closeCsvImportModal}
+          graph={graphData}
+          defaultGraph={defaultShipLogData}
+          onImport={handleCsvImport}
+        />
+
+        <MapLibraryModal
+          isOpen={isMapLibraryModalOpen}
+          onClose={closeMapLibraryModal}
+          library={getMapLibrary()}
+          onSwitchMap={handleSwitchMap}
+        />
+
+        <HistoryModal
+          isOpen={isHistoryModalOpen}
+          onClose={closeHistoryModal}
+          store={getSnapshotStore()}
+          mapId={getMapLibrary().getActiveId() || 'default'}
+          currentGraph={snapshotGraph}
+          onSnapshotNow={snapshotNow}
+          onRestore={handleRestoreSnapshot}
+        />
+
+        <MapConflictModal conflict={mapConflict} onResolve={handleResolveMapConflict} />
+
+        {canEdit && mode === 'editing' && (
+          <ContextMenu menu={contextMenuProps} onAction={handleContextMenuAction} onClose={closeContextMenu} />
+        )}
       </div>
   );
 }
@@ -0,0 +1,45 @@
+// src/anim/edgeDraw.js
+
+import { printDebug } from '../utils/debug.js';
+import { prefersReducedMotion } from './motion.js';
+
+// Bypass styles set while drawing; removing them restores the stylesheet look
+const DRAW_STYLES = 'line-style line-dash-pattern line-dash-offset mid-target-arrow-shape mid-source-arrow-shape';
+
+/**
+ * Grow an edge's line from source to target.
+ *
+ * The line is drawn as a single dash as long as the edge, starting fully
+ * offset (invisible) and sliding to 0. Mid arrows are hidden until it lands.
+ * Styles are applied synchronously, so callers can un-hide the edge right
+ * after calling without a flash of the full line.
+ *
+ * Resolves immediately under prefers-reduced-motion or when duration is 0.
+ */
+export function animateEdgeDraw(edge, { duration = 600 } = {}) {
+  if (!edge || edge.empty?.() || edge.removed?.()) return Promise.resolve();
+  if (duration <= 0 || prefersReducedMotion()) return Promise.resolve();
+
+  const s = edge.source().position();
+  const t = edge.target().position();
+  // A little slack so the dash gap covers curved/bundled routes too
+  const length = Math.max(1, Math.hypot(t.x - s.x, t.y - s.y) * 1.2);
+
+  printDebug(`🎬 [edgeDraw.js] Drawing ${edge.id()} over ${duration}ms`);
+  edge.stop(true, false);
+  edge.style({
+    'line-style': 'dashed',
+    'line-dash-pattern': [length, length],
+    'line-dash-offset': length,
+    'mid-target-arrow-shape': 'none',
+    'mid-source-arrow-shape': 'none'
+  });
+
+  return edge
+    .animation({ style: { 'line-dash-offset': 0 }, duration, easing: 'ease-out' })
+    .play()
+    .promise('completed')
+    .then(() => {
+      if (!edge.removed()) edge.removeStyle(DRAW_STYLES);
+    });
+}
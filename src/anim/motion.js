@@ -0,0 +1,12 @@
+// src/anim/motion.js
+
+/** True when the user asked the OS/browser to minimise motion */
+export function prefersReducedMotion() {
+  try {
+    return typeof window !== 'undefined'
+      && typeof window.matchMedia === 'function'
+      && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  } catch {
+    return false;
+  }
+}
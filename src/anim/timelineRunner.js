@@ -0,0 +1,80 @@
+// src/anim/timelineRunner.js
+
+/**
+ * createTimelineRunner — step through a list with play / pause / speed
+ *
+ * Each step is handed to `playStep(step, { duration })`, which may return a
+ * promise (e.g. an animation); the next step starts `interval / speed` ms after
+ * it settles. Durations shrink with speed too.
+ *
+ * Gotchas
+ * - Pausing while a step is animating lets that animation finish; the next
+ *   step waits for play().
+ * - `onStep(revealedCount, step)` fires before playStep, `onDone()` after the last step.
+ */
+
+export const TIMELINE_SPEEDS = [0.5, 1, 2, 4];
+
+export function createTimelineRunner({
+  steps = [], playStep, onStep, onDone, onStateChange,
+  interval = 700, duration = 600, speed = 1
+} = {}) {
+  let index = 0;
+  let playing = false;
+  let timer = null;
+  let token = 0; // bumps on pause/stop so stale step completions are ignored
+  let currentSpeed = speed;
+
+  const setPlaying = (next) => {
+    if (playing === next) return;
+    playing = next;
+    onStateChange?.(playing);
+  };
+
+  const tick = () => {
+    timer = null;
+    if (!playing) return;
+    if (index >= steps.length) {
+      setPlaying(false);
+      onDone?.();
+      return;
+    }
+    const step = steps[index++];
+    const myToken = token;
+    onStep?.(index, step);
+    Promise.resolve(playStep?.(step, { duration: duration / currentSpeed }))
+      .catch(() => { /* a failed animation must not stall playback */ })
+      .then(() => {
+        if (myToken !== token || !playing) return;
+        timer = setTimeout(tick, interval / currentSpeed);
+      });
+  };
+
+  const halt = () => {
+    token++;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  return {
+    play() {
+      if (playing || index >= steps.length) return;
+      setPlaying(true);
+      tick();
+    },
+    pause() {
+      halt();
+      setPlaying(false);
+    },
+    stop() {
+      halt();
+      index = steps.length;
+      setPlaying(false);
+    },
+    setSpeed(next) {
+      if (Number.isFinite(next) && next > 0) currentSpeed = next;
+    },
+    get index() { return index; },
+    get isPlaying() { return playing; }
+  };
+}
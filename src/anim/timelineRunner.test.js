@@ -0,0 +1,73 @@
+// src/anim/timelineRunner.test.js
+
+import { jest } from '@jest/globals';
+import { createTimelineRunner } from './timelineRunner.js';
+
+const steps = ['a', 'b', 'c'];
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('createTimelineRunner', () => {
+  test('plays every step in order, spaced by the interval, then reports done', async () => {
+    const played = [];
+    const onDone = jest.fn();
+    const runner = createTimelineRunner({ steps, interval: 100, playStep: (s) => { played.push(s); }, onDone });
+
+    runner.play();
+    expect(played).toEqual(['a']);
+    await jest.advanceTimersByTimeAsync(100);
+    expect(played).toEqual(['a', 'b']);
+    await jest.advanceTimersByTimeAsync(200);
+    expect(played).toEqual(['a', 'b', 'c']);
+    expect(onDone).toHaveBeenCalledTimes(1);
+    expect(runner.isPlaying).toBe(false);
+  });
+
+  test('pause holds the position and play resumes from it', async () => {
+    const played = [];
+    const runner = createTimelineRunner({ steps, interval: 100, playStep: (s) => { played.push(s); } });
+
+    runner.play();
+    runner.pause();
+    await jest.advanceTimersByTimeAsync(500);
+    expect(played).toEqual(['a']);
+    expect(runner.index).toBe(1);
+
+    runner.play();
+    expect(played).toEqual(['a', 'b']);
+  });
+
+  test('speed scales both the gap and the step duration', async () => {
+    const durations = [];
+    const runner = createTimelineRunner({
+      steps, interval: 100, duration: 400, speed: 2,
+      playStep: (_s, { duration }) => { durations.push(duration); }
+    });
+
+    runner.play();
+    await jest.advanceTimersByTimeAsync(50);
+    expect(durations).toEqual([200, 200]);
+
+    // Already-scheduled gaps keep their length; the next step's duration picks up the new speed
+    runner.setSpeed(4);
+    await jest.advanceTimersByTimeAsync(50);
+    expect(durations).toEqual([200, 200, 100]);
+  });
+
+  test('waits for a step\'s promise before scheduling the next', async () => {
+    let finish;
+    const played = [];
+    const runner = createTimelineRunner({
+      steps, interval: 10,
+      playStep: (s) => { played.push(s); return new Promise(r => { finish = r; }); }
+    });
+
+    runner.play();
+    await jest.advanceTimersByTimeAsync(100);
+    expect(played).toEqual(['a']);
+    finish();
+    await jest.advanceTimersByTimeAsync(10);
+    expect(played).toEqual(['a', 'b']);
+  });
+});
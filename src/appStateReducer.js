@@ -75,8 +75,10 @@ export const ACTION_TYPES = {
   SET_GRAPH_CONTROLS_COLLAPSED: 'SET_GRAPH_CONTROLS_COLLAPSED',
   SET_CAMERA_INFO_COLLAPSED: 'SET_CAMERA_INFO_COLLAPSED',
   
-  // Undo actions
-  SET_UNDO_STATE: 'SET_UNDO_STATE',
+  // Undo/redo history actions
+  PUSH_UNDO_STATE: 'PUSH_UNDO_STATE',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
   CLEAR_UNDO_STATE: 'CLEAR_UNDO_STATE',
   
   // Map name actions
@@ -97,6 +99,9 @@ export const ACTION_TYPES = {
   SET_BG_IMAGE: 'SET_BG_IMAGE'
 };
 
+// Max snapshots kept on each side of the undo/redo history (oldest dropped first)
+export const UNDO_HISTORY_LIMIT = 50;
+
 // *****************************
 // Initial state
 // *****************************
@@ -146,7 +151,8 @@ export const initialAppState = {
     compassVisible: true // Compass visibility toggle
   },
   undo: {
-    lastGraphState: null
+    past: [],   // oldest → newest; last entry is what Undo restores
+    future: []  // oldest → newest; last entry is what Redo restores
   },
   lastLoadedMapUrl: '', // Track last loaded map URL for CDN
   bgImage: {
@@ -444,19 +450,48 @@ export function appStateReducer(state, action) {
         }
       };
       
-    case ACTION_TYPES.SET_UNDO_STATE:
+    case ACTION_TYPES.PUSH_UNDO_STATE: {
+      // A fresh edit invalidates anything that could have been redone
+      const past = [...state.undo.past, action.payload.graphState];
+      return {
+        ...state,
+        undo: {
+          past: past.slice(-UNDO_HISTORY_LIMIT),
+          future: []
+        }
+      };
+    }
+
+    case ACTION_TYPES.UNDO: {
+      if (state.undo.past.length === 0) return state;
+      const future = [...state.undo.future, action.payload.currentState];
+      return {
+        ...state,
+        undo: {
+          past: state.undo.past.slice(0, -1),
+          future: future.slice(-UNDO_HISTORY_LIMIT)
+        }
+      };
+    }
+
+    case ACTION_TYPES.REDO: {
+      if (state.undo.future.length === 0) return state;
+      const past = [...state.undo.past, action.payload.currentState];
       return {
         ...state,
         undo: {
-          lastGraphState: action.payload.graphState
+          past: past.slice(-UNDO_HISTORY_LIMIT),
+          future: state.undo.future.slice(0, -1)
         }
       };
+    }
       
     case ACTION_TYPES.CLEAR_UNDO_STATE:
       return {
         ...state,
         undo: {
-          lastGraphState: null
+          past: [],
+          future: []
         }
       };
       
@@ -613,4 +648,23 @@ export const actions = {
     type: ACTION_TYPES.SET_BG_IMAGE,
     payload: { bgImage }
   }),
+
+  pushUndoState: (graphState) => ({
+    type: ACTION_TYPES.PUSH_UNDO_STATE,
+    payload: { graphState }
+  }),
+
+  undo: (currentState) => ({
+    type: ACTION_TYPES.UNDO,
+    payload: { currentState }
+  }),
+
+  redo: (currentState) => ({
+    type: ACTION_TYPES.REDO,
+    payload: { currentState }
+  }),
+
+  clearUndoState: () => ({
+    type: ACTION_TYPES.CLEAR_UNDO_STATE
+  }),
 };
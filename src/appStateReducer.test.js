@@ -3,7 +3,7 @@
 // break modal or collapse behaviour. Tests are intentionally at the reducer level —
 // the interface is the pure (state, action) → state function, not the hook wrappers.
 
-import { appStateReducer, ACTION_TYPES, initialAppState } from './appStateReducer';
+import { appStateReducer, ACTION_TYPES, initialAppState, UNDO_HISTORY_LIMIT } from './appStateReducer';
 
 // ---------------------------------------------------------------------------
 // helpers
@@ -194,3 +194,50 @@ describe('isAnyModalOpen selector logic', () => {
     expect(isAnyModalOpen(state)).toBe(false);
   });
 });
+
+// ---------------------------------------------------------------------------
+// undo/redo history
+// ---------------------------------------------------------------------------
+
+describe('undo/redo history', () => {
+  const snap = (n) => ({ nodes: [{ id: `n${n}`, x: n, y: n }], edges: [], notes: {} });
+
+  test('PUSH_UNDO_STATE appends to past and clears future', () => {
+    let state = { ...initialAppState, undo: { past: [], future: [snap(9)] } };
+    state = reduce(state, ACTION_TYPES.PUSH_UNDO_STATE, { graphState: snap(1) });
+    expect(state.undo.past).toEqual([snap(1)]);
+    expect(state.undo.future).toEqual([]);
+  });
+
+  test('history is bounded by UNDO_HISTORY_LIMIT, dropping the oldest entries', () => {
+    let state = initialAppState;
+    for (let i = 0; i < UNDO_HISTORY_LIMIT + 5; i++) {
+      state = reduce(state, ACTION_TYPES.PUSH_UNDO_STATE, { graphState: snap(i) });
+    }
+    expect(state.undo.past).toHaveLength(UNDO_HISTORY_LIMIT);
+    expect(state.undo.past[0]).toEqual(snap(5));
+  });
+
+  test('UNDO then REDO moves snapshots between the stacks', () => {
+    let state = reduce(initialAppState, ACTION_TYPES.PUSH_UNDO_STATE, { graphState: snap(1) });
+    state = reduce(state, ACTION_TYPES.PUSH_UNDO_STATE, { graphState: snap(2) });
+
+    state = reduce(state, ACTION_TYPES.UNDO, { currentState: snap(3) });
+    expect(state.undo.past).toEqual([snap(1)]);
+    expect(state.undo.future).toEqual([snap(3)]);
+
+    state = reduce(state, ACTION_TYPES.REDO, { currentState: snap(2) });
+    expect(state.undo.past).toEqual([snap(1), snap(2)]);
+    expect(state.undo.future).toEqual([]);
+  });
+
+  test('UNDO/REDO with empty stacks return the same state', () => {
+    expect(reduce(initialAppState, ACTION_TYPES.UNDO, { currentState: snap(1) })).toBe(initialAppState);
+    expect(reduce(initialAppState, ACTION_TYPES.REDO, { currentState: snap(1) })).toBe(initialAppState);
+  });
+
+  test('CLEAR_UNDO_STATE empties both stacks', () => {
+    const state = { ...initialAppState, undo: { past: [snap(1)], future: [snap(2)] } };
+    expect(reduce(state, ACTION_TYPES.CLEAR_UNDO_STATE).undo).toEqual({ past: [], future: [] });
+  });
+});
@@ -26,7 +26,7 @@ import { useCallback, useEffect, useState, useMemo } from "react";
 import { printDebug } from "../utils/debug";
 
 /** LocalStorage key */
-const LS_KEY = "shipLogBgImage";
+export const LS_KEY = "shipLogBgImage";
 
 /** Shape (documented for clarity)
  * {
@@ -0,0 +1,78 @@
+// src/components/ArrangeControls.jsx
+
+/**
+ * ArrangeControls — Align, distribute and snap the selected nodes
+ *
+ * Responsibilities
+ * - Compact button grid for the arrange ops in graph/ops.js: align (2+ nodes),
+ *   distribute centers and equalize gaps (3+ nodes), snap to grid (grid on).
+ *
+ * Props
+ * - selectedNodeIds
+ * - onAlign(ids, mode), onDistribute(ids, direction), onEqualize(ids, direction)
+ * - onSnapToGrid(ids) — omitted while the grid is off
+ */
+
+import React from "react";
+
+const ALIGN_BUTTONS = [
+  { mode: 'left', label: '⇤', title: 'Align left edges' },
+  { mode: 'center', label: '↔', title: 'Align horizontal centers' },
+  { mode: 'right', label: '⇥', title: 'Align right edges' },
+  { mode: 'top', label: '⤒', title: 'Align top edges' },
+  { mode: 'middle', label: '↕', title: 'Align vertical middles' },
+  { mode: 'bottom', label: '⤓', title: 'Align bottom edges' }
+];
+
+const buttonStyle = (enabled) => ({
+  padding: '4px 0',
+  background: enabled ? '#37474f' : '#333',
+  color: enabled ? '#fff' : '#777',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontSize: '12px'
+});
+
+const ArrangeControls = ({ selectedNodeIds, onAlign, onDistribute, onEqualize, onSnapToGrid }) => {
+  const count = selectedNodeIds.length;
+  if (count < 2 && !(count > 0 && onSnapToGrid)) return null;
+  const canSpread = count >= 3;
+
+  return (
+    <div role="group" aria-label="Arrange selected nodes" style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+      {count >= 2 && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '3px' }}>
+          {ALIGN_BUTTONS.map(b => (
+            <button key={b.mode} onClick={() => onAlign(selectedNodeIds, b.mode)} style={buttonStyle(true)} title={b.title} aria-label={b.title}>
+              {b.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {count >= 2 && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '3px' }}>
+          <button onClick={() => onDistribute(selectedNodeIds, 'horizontal')} disabled={!canSpread} style={buttonStyle(canSpread)} title="Distribute centers horizontally (3+ nodes)">
+            Dist ↔
+          </button>
+          <button onClick={() => onDistribute(selectedNodeIds, 'vertical')} disabled={!canSpread} style={buttonStyle(canSpread)} title="Distribute centers vertically (3+ nodes)">
+            Dist ↕
+          </button>
+          <button onClick={() => onEqualize(selectedNodeIds, 'horizontal')} disabled={!canSpread} style={buttonStyle(canSpread)} title="Equal horizontal gaps between nodes (3+ nodes)">
+            Gap ↔
+          </button>
+          <button onClick={() => onEqualize(selectedNodeIds, 'vertical')} disabled={!canSpread} style={buttonStyle(canSpread)} title="Equal vertical gaps between nodes (3+ nodes)">
+            Gap ↕
+          </button>
+        </div>
+      )}
+      {onSnapToGrid && (
+        <button onClick={() => onSnapToGrid(selectedNodeIds)} style={buttonStyle(true)} title="Move the selected nodes onto the nearest grid points">
+          Snap to grid
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ArrangeControls;
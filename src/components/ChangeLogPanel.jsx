@@ -0,0 +1,128 @@
+// src/components/ChangeLogPanel.jsx
+
+/**
+ * ChangeLogPanel — Edits made since the map was loaded ("update history")
+ *
+ * Responsibilities
+ * - List change-log entries newest first, with time and a readable description.
+ * - Filter the list down to one element; clicking an entry focuses its element(s).
+ * - Export the (filtered) log as Markdown for release notes.
+ *
+ * Props
+ * - entries: change-log entries (graph/changeLog.js), oldest first; startedAt (ms)
+ * - mapName — used in the Markdown heading and file name
+ * - onFocusElements(targets) — select and frame [{ type, id }] on the graph
+ *
+ * Gotchas
+ * - Entries for deleted elements stay listed; focusing them does nothing.
+ * - The log lives in memory only; it resets on reload and when the map is replaced.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { HamburgerIcon } from './HamburgerIcon';
+import { changeLogToMarkdown, describeChange, filterChanges, listChangedElements } from '../graph/changeLog.js';
+import { downloadBlob } from '../utils/imageExport.js';
+import { getMapFileBaseName } from '../utils/mapHelpers.js';
+
+const selectStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '3px 6px',
+  fontSize: '12px',
+  minWidth: 0,
+  flex: 1
+};
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function ChangeLogPanel({ entries = [], startedAt, mapName, onFocusElements }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const [elementKey, setElementKey] = useState('');
+
+  const elements = useMemo(() => listChangedElements(entries), [entries]);
+  // A filter on an element that left the log (map replaced) falls back to everything
+  const activeKey = elements.some(el => el.key === elementKey) ? elementKey : '';
+  const visible = useMemo(() => filterChanges(entries, activeKey), [entries, activeKey]);
+
+  if (collapsed) {
+    return (
+      <div>
+        <button
+          onClick={() => setCollapsed(false)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
+          aria-label="Open change log"
+          title="Edits made since the map was loaded"
+        >
+          <HamburgerIcon />
+          <span>Changes{entries.length > 0 ? ` (${entries.length})` : ''}</span>
+        </button>
+      </div>
+    );
+  }
+
+  const handleExport = () => {
+    const markdown = changeLogToMarkdown(visible, { mapName, since: startedAt });
+    downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `${getMapFileBaseName(mapName)}_changes.md`);
+  };
+
+  return (
+    <div
+      data-testid="change-log-panel"
+      style={{ display: 'flex', flexDirection: 'column', gap: '6px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px', color: '#fff', width: '280px', maxHeight: '60vh' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 'bold' }}>Changes</span>
+        <button
+          onClick={() => setCollapsed(true)}
+          style={{ padding: '4px 8px', background: 'rgba(0,0,0,0.55)', color: '#fff', border: '1px solid #444', borderRadius: '4px', cursor: 'pointer', fontSize: '16px', lineHeight: 1 }}
+          aria-label="Collapse change log"
+          title="Collapse change log"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <select
+          value={activeKey}
+          onChange={(e) => setElementKey(e.target.value)}
+          style={selectStyle}
+          aria-label="Filter changes by element"
+        >
+          <option value="">All elements</option>
+          {elements.map(el => (
+            <option key={el.key} value={el.key}>{el.type === 'edge' ? 'Edge' : 'Node'}: {el.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={visible.length === 0}
+          style={{ padding: '4px 8px', background: visible.length === 0 ? '#444' : '#2196f3', color: '#fff', border: 'none', borderRadius: '4px', cursor: visible.length === 0 ? 'not-allowed' : 'pointer', fontSize: '12px', whiteSpace: 'nowrap' }}
+          title="Download these changes as Markdown"
+        >
+          Export .md
+        </button>
+      </div>
+
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '2px' }}>
+        {visible.length === 0 && <li style={{ color: '#aaa', fontSize: '12px' }}>No changes since the map was loaded.</li>}
+        {[...visible].reverse().map(entry => (
+          <li key={entry.id}>
+            <button
+              onClick={() => onFocusElements?.(entry.targets)}
+              disabled={entry.targets.length === 0}
+              style={{ width: '100%', textAlign: 'left', background: 'transparent', color: '#fff', border: 'none', borderRadius: '4px', padding: '3px 4px', cursor: entry.targets.length ? 'pointer' : 'default', fontSize: '12px' }}
+              title={entry.targets.length ? 'Show on the map' : undefined}
+            >
+              <span style={{ color: '#aaa' }}>{formatTime(entry.at)}</span> {describeChange(entry)}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ChangeLogPanel;
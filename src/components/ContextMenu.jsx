@@ -0,0 +1,268 @@
+// src/components/ContextMenu.jsx
+
+/**
+ * ContextMenu — Editing actions for a right-clicked / long-pressed graph target
+ *
+ * Responsibilities
+ * - Render menu items (graph/contextMenu.js) at a screen position, with one level
+ *   of submenus and an in-place text field for input items (rename).
+ * - Keyboard: ↑/↓/Home/End move, Enter/Space activate, → opens and ← / Escape
+ *   closes a submenu, Escape / Tab close the menu, letters jump to matching items.
+ *
+ * Props
+ * - menu — { clientX, clientY, items } or null
+ * - onAction(item, value) — value is the child's value or the input text
+ * - onClose()
+ *
+ * Gotchas
+ * - Key events stop here so the app's global shortcuts (F, R, Delete, …) don't fire.
+ * - Any pointerdown outside the menu closes it.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+
+const MENU_WIDTH = 220;
+
+const menuStyle = {
+  listStyle: 'none',
+  margin: 0,
+  padding: '4px',
+  minWidth: `${MENU_WIDTH}px`,
+  background: '#1e1e1e',
+  border: '1px solid #444',
+  borderRadius: '6px',
+  boxShadow: '0 4px 16px rgba(0,0,0,0.6)',
+  color: '#fff',
+  fontFamily: 'system-ui, -apple-system, sans-serif',
+  fontSize: '13px',
+  outline: 'none'
+};
+
+const itemStyle = (active, item) => ({
+  display: 'flex',
+  justifyContent: 'space-between',
+  gap: '12px',
+  padding: '6px 10px',
+  borderRadius: '4px',
+  cursor: item.disabled ? 'default' : 'pointer',
+  background: active ? '#37474f' : 'transparent',
+  color: item.disabled ? '#777' : (item.danger ? '#ff8a80' : '#fff')
+});
+
+const enabledIndexes = (items) => items.map((item, i) => (item.disabled ? -1 : i)).filter(i => i !== -1);
+
+// Next enabled index from `from` in direction `step`, wrapping around
+function moveIndex(items, from, step) {
+  const enabled = enabledIndexes(items);
+  if (enabled.length === 0) return -1;
+  const pos = enabled.indexOf(from);
+  if (pos === -1) return step > 0 ? enabled[0] : enabled[enabled.length - 1];
+  return enabled[(pos + step + enabled.length) % enabled.length];
+}
+
+// First enabled item after `from` whose label starts with `letter`
+function matchLetter(items, from, letter) {
+  const n = items.length;
+  for (let k = 1; k <= n; k++) {
+    const i = (from + k) % n;
+    if (!items[i].disabled && items[i].label.toLowerCase().startsWith(letter)) return i;
+  }
+  return from;
+}
+
+function ContextMenu({ menu, onAction, onClose }) {
+  const [active, setActive] = useState(-1);
+  const [subActive, setSubActive] = useState(-1); // -1 = focus on the main list
+  const [openSub, setOpenSub] = useState(-1);
+  const [editing, setEditing] = useState(null); // { index, text } for input items
+  const rootRef = useRef(null);
+
+  // Reset and focus whenever a new menu opens
+  useEffect(() => {
+    if (!menu) return;
+    setActive(moveIndex(menu.items, -1, 1));
+    setSubActive(-1);
+    setOpenSub(-1);
+    setEditing(null);
+    rootRef.current?.focus();
+  }, [menu]);
+
+  // Keep the active submenu item visible in long lists (Connect to)
+  useEffect(() => {
+    if (openSub === -1 || subActive === -1) return;
+    document.getElementById(`context-menu-item-${openSub}-${subActive}`)?.scrollIntoView?.({ block: 'nearest' });
+  }, [openSub, subActive]);
+
+  // Close on any pointerdown outside the menu
+  useEffect(() => {
+    if (!menu) return;
+    const handlePointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) onClose();
+    };
+    document.addEventListener('pointerdown', handlePointerDown, true);
+    return () => document.removeEventListener('pointerdown', handlePointerDown, true);
+  }, [menu, onClose]);
+
+  if (!menu) return null;
+
+  const { items } = menu;
+  const left = Math.max(4, Math.min(menu.clientX, window.innerWidth - MENU_WIDTH - 8));
+  const top = Math.max(4, Math.min(menu.clientY, window.innerHeight - (items.length * 30 + 16)));
+  const submenuOnLeft = left + MENU_WIDTH * 2 > window.innerWidth;
+
+  const activate = (index, childIndex = -1) => {
+    const item = items[index];
+    if (!item || item.disabled) return;
+    if (item.children) {
+      if (childIndex === -1) {
+        setOpenSub(index);
+        setSubActive(moveIndex(item.children, -1, 1));
+        return;
+      }
+      const child = item.children[childIndex];
+      if (child && !child.disabled) onAction(child, child.value);
+      return;
+    }
+    if (item.input) {
+      setEditing({ index, text: item.value || '' });
+      return;
+    }
+    onAction(item, item.value);
+  };
+
+  const closeSubmenu = () => {
+    setOpenSub(-1);
+    setSubActive(-1);
+    rootRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+    if (editing) return; // the text field handles its own keys
+
+    const inSub = openSub !== -1 && subActive !== -1;
+    const list = inSub ? items[openSub].children : items;
+    const current = inSub ? subActive : active;
+    const setCurrent = inSub ? setSubActive : (i) => { setActive(i); setOpenSub(-1); };
+
+    switch (e.key) {
+      case 'ArrowDown': e.preventDefault(); setCurrent(moveIndex(list, current, 1)); break;
+      case 'ArrowUp': e.preventDefault(); setCurrent(moveIndex(list, current, -1)); break;
+      case 'Home': e.preventDefault(); setCurrent(moveIndex(list, -1, 1)); break;
+      case 'End': e.preventDefault(); setCurrent(moveIndex(list, -1, -1)); break;
+      case 'ArrowRight':
+        e.preventDefault();
+        if (!inSub && items[active]?.children && !items[active].disabled) activate(active);
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        if (inSub) closeSubmenu();
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (inSub) activate(openSub, subActive);
+        else activate(active);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        if (inSub) closeSubmenu();
+        else onClose();
+        break;
+      case 'Tab':
+        e.preventDefault();
+        onClose();
+        break;
+      default:
+        if (e.key.length === 1 && /\S/.test(e.key) && !e.ctrlKey && !e.metaKey) {
+          setCurrent(matchLetter(list, current, e.key.toLowerCase()));
+        }
+    }
+  };
+
+  const handleInputKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const text = editing.text.trim();
+      if (text) onAction(items[editing.index], text);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setEditing(null);
+      rootRef.current?.focus();
+    }
+  };
+
+  const activeId = (index, childIndex = -1) => `context-menu-item-${index}${childIndex === -1 ? '' : `-${childIndex}`}`;
+
+  return (
+    <ul
+      ref={rootRef}
+      role="menu"
+      tabIndex={-1}
+      aria-label="Graph actions"
+      aria-activedescendant={openSub !== -1 && subActive !== -1 ? activeId(openSub, subActive) : (active !== -1 ? activeId(active) : undefined)}
+      data-testid="context-menu"
+      onKeyDown={handleKeyDown}
+      onContextMenu={(e) => e.preventDefault()}
+      style={{ ...menuStyle, position: 'fixed', left, top, zIndex: 10001 }}
+    >
+      {items.map((item, index) => {
+        if (editing?.index === index) {
+          return (
+            <li key={item.action} role="none" style={{ padding: '4px' }}>
+              <input
+                autoFocus
+                value={editing.text}
+                onChange={(e) => setEditing({ index, text: e.target.value })}
+                onKeyDown={handleInputKeyDown}
+                aria-label={item.label.replace('…', '')}
+                style={{ width: '100%', boxSizing: 'border-box', background: '#2a2a2a', color: '#fff', border: '1px solid #4fc3f7', borderRadius: '4px', padding: '4px 6px', fontSize: '13px' }}
+              />
+            </li>
+          );
+        }
+        const isOpen = openSub === index;
+        return (
+          <li
+            key={item.action}
+            id={activeId(index)}
+            role="menuitem"
+            aria-disabled={item.disabled || undefined}
+            aria-haspopup={item.children ? 'menu' : undefined}
+            aria-expanded={item.children ? isOpen : undefined}
+            onMouseEnter={() => { if (!item.disabled) { setActive(index); if (!isOpen) setOpenSub(-1); } }}
+            onClick={() => activate(index)}
+            style={{ ...itemStyle(active === index && subActive === -1, item), position: 'relative' }}
+          >
+            <span>{item.label}</span>
+            {item.children && <span aria-hidden="true">▸</span>}
+            {isOpen && (
+              <ul
+                role="menu"
+                aria-label={item.label}
+                style={{ ...menuStyle, position: 'absolute', top: '-4px', [submenuOnLeft ? 'right' : 'left']: '100%', maxHeight: '50vh', overflowY: 'auto' }}
+              >
+                {item.children.map((child, childIndex) => (
+                  <li
+                    key={`${child.action}-${child.value}`}
+                    id={activeId(index, childIndex)}
+                    role="menuitem"
+                    aria-disabled={child.disabled || undefined}
+                    onMouseEnter={() => { if (!child.disabled) setSubActive(childIndex); }}
+                    onClick={(e) => { e.stopPropagation(); activate(index, childIndex); }}
+                    style={itemStyle(subActive === childIndex, child)}
+                  >
+                    {child.label}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default ContextMenu;
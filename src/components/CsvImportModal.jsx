@@ -0,0 +1,226 @@
+// src/components/CsvImportModal.jsx
+
+/**
+ * CsvImportModal — Bulk import nodes, edges and notes from spreadsheets
+ *
+ * Responsibilities
+ * - Pick a nodes CSV and/or an edges CSV and map their columns to fields
+ *   (guessed from the headers, adjustable per field).
+ * - Preview every row as added, updated or skipped (with the reason) against
+ *   the current map before anything changes.
+ * - Hand the planned map to onImport; the caller applies it as one undo step.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - graph — current map; defaultGraph — where missing coordinates come from
+ * - onImport(graph) — called with the merged map
+ *
+ * Gotchas
+ * - The plan is recomputed from scratch on every mapping change; nothing is
+ *   applied until Import.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { parseCsv, guessColumnMapping, planCsvImport, NODE_FIELDS, EDGE_FIELDS } from '../importers/csv.js';
+import { readFileAsText } from '../importers/readFile.js';
+
+const EMPTY_SHEETS = { nodes: null, edges: null };
+
+const ACTION_STYLES = {
+  add: { label: 'Add', color: '#a5d6a7' },
+  update: { label: 'Update', color: '#90caf9' },
+  skip: { label: 'Skip', color: '#888' }
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  color: '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '14px',
+  fontWeight: 'bold'
+};
+
+const selectStyle = { background: '#2a2a2a', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '2px 4px' };
+
+function SheetPicker({ kind, fields, sheet, onLoad, onMappingChange }) {
+  return (
+    <div style={{ background: '#2a2a2a', borderRadius: '6px', padding: '10px', fontSize: '13px' }}>
+      <label style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <strong style={{ minWidth: '90px', textTransform: 'capitalize' }}>{kind} CSV</strong>
+        <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={(e) => onLoad(e.target.files?.[0])} />
+      </label>
+      {sheet?.error && <div style={{ color: '#ff8a80', marginTop: '6px' }}>{sheet.error}</div>}
+      {sheet?.headers && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: '6px', marginTop: '8px' }}>
+          {fields.map(field => (
+            <label key={field} style={{ display: 'flex', justifyContent: 'space-between', gap: '6px', alignItems: 'center' }}>
+              <span>{field}</span>
+              <select
+                value={sheet.mapping[field] ?? ''}
+                onChange={(e) => onMappingChange(field, e.target.value === '' ? null : Number(e.target.value))}
+                style={selectStyle}
+              >
+                <option value="">(none)</option>
+                {sheet.headers.map((header, i) => (
+                  <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CsvImportModal({ isOpen, onClose, graph, defaultGraph, onImport }) {
+  const [sheets, setSheets] = useState(EMPTY_SHEETS);
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (isOpen) setSheets(EMPTY_SHEETS);
+  }, [isOpen]);
+
+  // Close modal on Escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  const plan = useMemo(() => {
+    const usable = (sheet) => (sheet?.rows ? sheet : undefined);
+    if (!isOpen || (!usable(sheets.nodes) && !usable(sheets.edges))) return null;
+    return planCsvImport(graph, { nodes: usable(sheets.nodes), edges: usable(sheets.edges) }, { defaultGraph });
+  }, [isOpen, graph, defaultGraph, sheets]);
+
+  if (!isOpen) return null;
+
+  const loadSheet = async (kind, fields, file) => {
+    if (!file) return;
+    try {
+      const { headers, rows } = parseCsv(await readFileAsText(file));
+      setSheets(prev => ({ ...prev, [kind]: { fileName: file.name, headers, rows, mapping: guessColumnMapping(headers, fields) } }));
+    } catch (err) {
+      setSheets(prev => ({ ...prev, [kind]: { fileName: file.name, error: `${file.name}: ${err.message}` } }));
+    }
+  };
+
+  const setMapping = (kind, field, index) => {
+    setSheets(prev => ({ ...prev, [kind]: { ...prev[kind], mapping: { ...prev[kind].mapping, [field]: index } } }));
+  };
+
+  const rows = plan ? [
+    ...plan.nodes.map(r => ({ ...r, kind: 'Node' })),
+    ...plan.edges.map(r => ({ ...r, kind: 'Edge' }))
+  ] : [];
+  const canImport = Boolean(plan && (plan.counts.added || plan.counts.updated));
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="csv-import-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '720px',
+          width: '100%',
+          maxHeight: '85vh',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>Import from Spreadsheet</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <SheetPicker
+          kind="nodes"
+          fields={NODE_FIELDS}
+          sheet={sheets.nodes}
+          onLoad={(file) => loadSheet('nodes', NODE_FIELDS, file)}
+          onMappingChange={(field, index) => setMapping('nodes', field, index)}
+        />
+        <SheetPicker
+          kind="edges"
+          fields={EDGE_FIELDS}
+          sheet={sheets.edges}
+          onLoad={(file) => loadSheet('edges', EDGE_FIELDS, file)}
+          onMappingChange={(field, index) => setMapping('edges', field, index)}
+        />
+
+        {/* Preview */}
+        {plan && (
+          <>
+            <div style={{ fontSize: '14px', color: '#ccc' }}>
+              {plan.counts.added} to add, {plan.counts.updated} to update, {plan.counts.skipped} skipped
+            </div>
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {rows.map(r => (
+                <li key={`${r.kind}-${r.row}`} style={{ background: '#2a2a2a', borderRadius: '4px', padding: '4px 8px', fontSize: '13px', display: 'flex', gap: '8px' }}>
+                  <span style={{ color: ACTION_STYLES[r.action].color, fontWeight: 'bold', minWidth: '52px' }}>{ACTION_STYLES[r.action].label}</span>
+                  <span style={{ color: '#888', minWidth: '70px' }}>{r.kind} row {r.row}</span>
+                  <code style={{ color: '#fff' }}>{r.id ?? '—'}</code>
+                  <span style={{ color: '#aaa' }}>{r.reason || (r.changes ? r.changes.join(', ') : '')}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+          <button onClick={onClose} style={{ ...buttonStyle, background: '#555', cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button
+            onClick={() => onImport(plan.graph)}
+            disabled={!canImport}
+            title={canImport ? 'Import (can be undone)' : 'Nothing to add or update'}
+            style={{ ...buttonStyle, background: canImport ? '#4caf50' : '#444', cursor: canImport ? 'pointer' : 'not-allowed' }}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CsvImportModal;
@@ -14,7 +14,10 @@
  * - nodes, edges, mode ('editing'|'playing'), mapName, cdnBaseUrl
  * - onNodeSelectionChange(ids), onEdgeSelectionChange(ids)
  * - onNodeClick(id), onEdgeClick(id), onBackgroundClick()
+ * - onContextMenu({ type, id, position, clientX, clientY }) — right-click / long-press (editing)
  * - shouldFitOnNextRender, onFitCompleted()
+ * - hiddenElements: { nodes:Set, edges:Set } on switched-off tag layers (graph/layers.js)
+ * - filteredOut: { nodes:Set, edges:Set } not matching the filter; hideFilteredOut hides instead of dims
  *
  * Gotchas
  * - Keep props stable (useCallback/memo) to avoid unnecessary full re-syncs.
@@ -30,9 +33,10 @@ import {
   hasPendingGrayscaleConversions, 
   updateCompletedGrayscaleImages 
 } from "../utils/grayscaleUtils.js";
-import { setNoteCountsVisible, refreshPositions as refreshOverlayPositions } from '../graph/overlayManager.js';
+import { setNoteCountsVisible, setLayerHidden, setFilteredOut, refreshPositions as refreshOverlayPositions } from '../graph/overlayManager.js';
 import { printDebug, printError, printWarn } from "../utils/debug.js";
 import { TEST_ICON_SVG } from "../constants/testAssets.js";
+import { isNodeLocked } from "../utils/nodeLocks.js";
 import { GRAYSCALE_IMAGES, DEV_MODE } from "../config/features.js";
 
 function CytoscapeGraph({
@@ -62,10 +66,14 @@ function CytoscapeGraph({
   onEdgeDoubleClick,
   onBackgroundClick,
   onNodeMove,
+  onContextMenu,
 
   showNoteCountOverlay = false,
   notes = {},
   visited = { nodes: new Set(), edges: new Set() },
+  hiddenElements = null,
+  filteredOut = null,
+  hideFilteredOut = false,
   onCytoscapeInstanceReady,
   
   // Background image integration
@@ -228,7 +236,8 @@ function CytoscapeGraph({
         const cy = await mountCy({
           container: containerRef.current,
           graph: { nodes, edges, mapName, cdnBaseUrl },
-          mode
+          mode,
+          unlocked: visited?.unlocked
         });
         cyRef.current = cy;
         containerRef.current._cy = cy; // exposes cy to E2E tests via document.getElementById('cy')._cy
@@ -250,6 +259,7 @@ function CytoscapeGraph({
           onEdgeDoubleClick: onEdgeDoubleClickRef,
           onBackgroundClick: onBackgroundClickRef,
           onNodeMove: onNodeMoveRef,
+          onContextMenu: onContextMenuRef,
           notes: notesRef
         }, mode);
         cy._eventCleanup = off;
@@ -340,6 +350,7 @@ function CytoscapeGraph({
       onEdgeDoubleClick: onEdgeDoubleClickRef,
       onBackgroundClick: onBackgroundClickRef,
       onNodeMove: onNodeMoveRef,
+      onContextMenu: onContextMenuRef,
       notes: notesRef
     }, mode);
 
@@ -362,9 +373,12 @@ function CytoscapeGraph({
   // String keys encoding only structural fields (no positions).
   // When the key is unchanged between renders, only positions changed — skip the
   // expensive Cytoscape Map-build + N-comparison and go straight to batch update.
+  // Locked "?" state is included so revealing a node re-syncs its label/image;
+  // so is the pinned flag, which only changes a node's outline.
+  const unlocked = visited?.unlocked;
   const nodesKey = useMemo(() =>
-    nodes.map(n => [n.id, n.title ?? '', n.size ?? '', n.color ?? '', n.originalImageUrl || n.imageUrl || ''].join('\x1F')).join('\x1E')
-  , [nodes]);
+    nodes.map(n => [n.id, n.title ?? '', n.size ?? '', n.color ?? '', n.originalImageUrl || n.imageUrl || '', isNodeLocked(n, unlocked) ? 'L' : '', n.pinned ? 'P' : ''].join('\x1F')).join('\x1E')
+  , [nodes, unlocked]);
 
   const edgesKey = useMemo(() =>
     edges.map(e => [e.id, e.source, e.target, e.direction ?? 'forward'].join('\x1F')).join('\x1E')
@@ -389,7 +403,7 @@ function CytoscapeGraph({
 
     if (nodesKeyChanged || edgesKeyChanged || modeChanged) {
       printDebug(`🔄 [CytoscapeGraph] Structural or mode change — performing full sync`);
-      syncElements(cy, { nodes, edges, mapName, cdnBaseUrl }, { mode });
+      syncElements(cy, { nodes, edges, mapName, cdnBaseUrl }, { mode, unlocked });
       try { updateOverlays(cy, notesRef.current, showNoteCountOverlay, visitedRef.current, mode); } catch {
         printWarn('Failed to update overlays after full sync');
       }
@@ -424,13 +438,13 @@ function CytoscapeGraph({
         printWarn('Failed to update overlays after position-only update');
       }
       if (majorChange) {
-        syncElements(cy, { nodes, edges, mapName, cdnBaseUrl }, { mode });
+        syncElements(cy, { nodes, edges, mapName, cdnBaseUrl }, { mode, unlocked });
         try { updateOverlays(cy, notesRef.current, showNoteCountOverlay, visitedRef.current, mode); } catch {
           printWarn('Failed to update overlays after major position update');
         }
       }
     }
-  }, [nodesKey, edgesKey, mode, mapName, cdnBaseUrl, showNoteCountOverlay, nodes, edges]);
+  }, [nodesKey, edgesKey, mode, mapName, cdnBaseUrl, showNoteCountOverlay, nodes, edges, unlocked]);
   // notes removed from deps: accessed via notesRef.current (kept current by dedicated effect at line 692)
 
   // ------------------- Note count visibility toggle -------------------
@@ -442,6 +456,20 @@ function CytoscapeGraph({
     setNoteCountsVisible(cy, showNoteCountOverlay);
   }, [showNoteCountOverlay]);
 
+  // ------------------- Layer visibility + filter -------------------
+  // Structural syncs drop classes; overlayManager.ensure re-applies from scratch.
+  useEffect(() => {
+    const cy = cyRef.current;
+    if (!cy || !isCyReady) return;
+    setLayerHidden(cy, hiddenElements);
+  }, [hiddenElements, isCyReady]);
+
+  useEffect(() => {
+    const cy = cyRef.current;
+    if (!cy || !isCyReady) return;
+    setFilteredOut(cy, filteredOut, { hide: hideFilteredOut });
+  }, [filteredOut, hideFilteredOut, isCyReady]);
+
   // ------------------- Sync selections when app state changes -------------------
   useEffect(() => {
     const cy = cyRef.current;
@@ -492,7 +520,9 @@ function CytoscapeGraph({
         printDebug(`🎯 [CytoscapeGraph] Fit attempt - nodes available: ${nodeCount}`);
 
         if (nodeCount > 0) {
-          cy.fit(cy.nodes(), 50);
+          // Frame only what layers/filters leave visible; fall back to everything if all are hidden
+          const visibleNodes = cy.nodes().not('.layer-hidden, .filter-hidden');
+          cy.fit(visibleNodes.length > 0 ? visibleNodes : cy.nodes(), 50);
           printDebug(`✅ [CytoscapeGraph] Fit completed successfully with ${nodeCount} nodes`);
           if (onFitCompleted) onFitCompleted();
         } else {
@@ -629,6 +659,7 @@ function CytoscapeGraph({
   const onEdgeDoubleClickRef = useRef(onEdgeDoubleClick);
   const onBackgroundClickRef = useRef(onBackgroundClick);
   const onNodeMoveRef = useRef(onNodeMove);
+  const onContextMenuRef = useRef(onContextMenu);
 
   // Keep refs in sync with props:
   useEffect(() => { onNodeSelectionChangeRef.current = onNodeSelectionChange; }, [onNodeSelectionChange]);
@@ -639,6 +670,7 @@ function CytoscapeGraph({
   useEffect(() => { onEdgeDoubleClickRef.current = onEdgeDoubleClick; }, [onEdgeDoubleClick]);
   useEffect(() => { onBackgroundClickRef.current = onBackgroundClick; }, [onBackgroundClick]);
   useEffect(() => { onNodeMoveRef.current = onNodeMove; }, [onNodeMove]);
+  useEffect(() => { onContextMenuRef.current = onContextMenu; }, [onContextMenu]);
 
   const notesRef = useRef(notes);
   useEffect(() => { notesRef.current = notes; }, [notes]);
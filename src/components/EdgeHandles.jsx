@@ -0,0 +1,350 @@
+// src/components/EdgeHandles.jsx
+
+/**
+ * EdgeHandles — Drag-to-connect and edge endpoint retargeting (editing mode)
+ *
+ * Responsibilities
+ * - Show a connect handle on the hovered node (or the single selected node, for touch).
+ *   Dragging it draws a live preview line; dropping on another node opens a small
+ *   direction chooser (Forward / Backward / Both) before the edge is created.
+ * - When exactly one edge is selected, show handles on its two endpoints. Dragging one
+ *   onto a different node moves that end of the edge (notes travel with it).
+ *
+ * Props
+ * - cy — Cytoscape instance (null until the graph mounts)
+ * - edges — domain edges, to reject drops that would duplicate an edge
+ * - selectedNodeIds, selectedEdgeIds
+ * - onConnect(sourceId, targetId, direction)
+ * - onRetarget(edgeId, end: 'source' | 'target', nodeId)
+ *
+ * Gotchas
+ * - Handles are fixed-position DOM over the canvas, so Cytoscape never sees their
+ *   pointer events (no accidental pan / box-select). Pointer capture keeps the drag
+ *   alive when the pointer leaves the handle.
+ * - Drop targets are hit-tested against rendered node boxes, skipping nodes hidden by
+ *   layers or filters. Self-loops and existing edges are shown as invalid and ignored.
+ * - Escape cancels a drag; the direction chooser also closes on Escape or an outside click.
+ * - Positions are read from Cytoscape at render time; viewport / position events
+ *   schedule a re-render once per animation frame.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { edgeId } from '../graph/ops.js';
+
+const HANDLE_SIZE = 18;
+const HIDE_DELAY_MS = 500; // time to move from the node onto its handle
+
+const DIRECTIONS = [
+  { value: 'forward', label: 'Forward', symbol: '→' },
+  { value: 'backward', label: 'Backward', symbol: '←' },
+  { value: 'bidirectional', label: 'Both', symbol: '↔' }
+];
+
+const handleStyle = (x, y, color) => ({
+  position: 'fixed',
+  left: x - HANDLE_SIZE / 2,
+  top: y - HANDLE_SIZE / 2,
+  width: HANDLE_SIZE,
+  height: HANDLE_SIZE,
+  borderRadius: '50%',
+  background: color,
+  border: '2px solid #fff',
+  boxShadow: '0 1px 4px rgba(0,0,0,0.6)',
+  boxSizing: 'border-box',
+  cursor: 'crosshair',
+  touchAction: 'none',
+  zIndex: 950
+});
+
+const chooserButtonStyle = {
+  padding: '6px 10px',
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const nodeBox = (node) => node.renderedBoundingBox({ includeLabels: false, includeOverlays: false });
+
+function EdgeHandles({ cy, edges = [], selectedNodeIds = [], selectedEdgeIds = [], onConnect, onRetarget }) {
+  const [hoverId, setHoverId] = useState(null);
+  const [grabbing, setGrabbing] = useState(false);
+  const [drag, setDrag] = useState(null);       // { kind, sourceId?, edgeId?, end?, from, to, candidateId, valid }
+  const [pending, setPending] = useState(null); // { sourceId, targetId, clientX, clientY }
+  const [, setFrame] = useState(0);
+  const hideTimerRef = useRef(null);
+  const chooserRef = useRef(null);
+
+  const cancelHide = useCallback(() => {
+    clearTimeout(hideTimerRef.current);
+    hideTimerRef.current = null;
+  }, []);
+
+  const scheduleHide = useCallback(() => {
+    cancelHide();
+    hideTimerRef.current = setTimeout(() => setHoverId(null), HIDE_DELAY_MS);
+  }, [cancelHide]);
+
+  // Follow hover, node drags and the camera
+  useEffect(() => {
+    if (!cy) return undefined;
+    let raf = 0;
+    const rerender = () => {
+      if (raf) return;
+      raf = requestAnimationFrame(() => { raf = 0; setFrame(f => f + 1); });
+    };
+    const handleOver = (evt) => { cancelHide(); setHoverId(evt.target.id()); };
+    const handleGrab = () => setGrabbing(true);
+    const handleFree = () => setGrabbing(false);
+
+    cy.on('mouseover', 'node.entry-parent', handleOver);
+    cy.on('mouseout', 'node.entry-parent', scheduleHide);
+    cy.on('grab', 'node.entry-parent', handleGrab);
+    cy.on('free', 'node.entry-parent', handleFree);
+    cy.on('viewport position add remove', rerender);
+    window.addEventListener('resize', rerender);
+    return () => {
+      cancelAnimationFrame(raf);
+      cancelHide();
+      if (!cy.destroyed()) {
+        cy.off('mouseover', 'node.entry-parent', handleOver);
+        cy.off('mouseout', 'node.entry-parent', scheduleHide);
+        cy.off('grab', 'node.entry-parent', handleGrab);
+        cy.off('free', 'node.entry-parent', handleFree);
+        cy.off('viewport position add remove', rerender);
+      }
+      window.removeEventListener('resize', rerender);
+    };
+  }, [cy, cancelHide, scheduleHide]);
+
+  // Escape abandons a drag in progress
+  const dragging = drag !== null;
+  useEffect(() => {
+    if (!dragging) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      setDrag(null);
+    };
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => document.removeEventListener('keydown', handleKeyDown, true);
+  }, [dragging]);
+
+  // Direction chooser: focus it, close on outside pointerdown
+  useEffect(() => {
+    if (!pending) return undefined;
+    chooserRef.current?.querySelector('button')?.focus();
+    const handlePointerDown = (e) => {
+      if (!chooserRef.current?.contains(e.target)) setPending(null);
+    };
+    document.addEventListener('pointerdown', handlePointerDown, true);
+    return () => document.removeEventListener('pointerdown', handlePointerDown, true);
+  }, [pending]);
+
+  if (!cy || cy.destroyed()) return null;
+
+  const rect = cy.container().getBoundingClientRect();
+  const toClient = (p) => ({ x: rect.left + p.x, y: rect.top + p.y });
+
+  const liveNode = (id) => {
+    const node = id ? cy.getElementById(id) : null;
+    return node && node.length > 0 && node.hasClass('entry-parent') && node.visible() ? node : null;
+  };
+
+  const hasEdge = (source, target) => edges.some(e => (e.id || edgeId(e.source, e.target)) === edgeId(source, target));
+
+  // Which node is under the pointer, and would dropping there make a new, valid edge?
+  const findCandidate = (clientX, clientY, current) => {
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    const hit = cy.nodes('node.entry-parent').not('.layer-hidden, .filter-hidden').filter(n => {
+      const box = nodeBox(n);
+      return x >= box.x1 && x <= box.x2 && y >= box.y1 && y <= box.y2;
+    }).last();
+    if (hit.length === 0) return { candidateId: null, valid: false };
+    const id = hit.id();
+    if (current.kind === 'connect') {
+      return { candidateId: id, valid: id !== current.sourceId && !hasEdge(current.sourceId, id) };
+    }
+    const edge = cy.getElementById(current.edgeId);
+    const source = current.end === 'source' ? id : edge.source().id();
+    const target = current.end === 'target' ? id : edge.target().id();
+    return { candidateId: id, valid: source !== target && !hasEdge(source, target) };
+  };
+
+  const startDrag = (e, state) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    cancelHide();
+    setPending(null);
+    const to = { x: e.clientX, y: e.clientY };
+    setDrag({ ...state, to, candidateId: null, valid: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    e.preventDefault();
+    setDrag({ ...drag, to: { x: e.clientX, y: e.clientY }, ...findCandidate(e.clientX, e.clientY, drag) });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+    const { candidateId, valid } = findCandidate(e.clientX, e.clientY, drag);
+    setDrag(null);
+    if (!candidateId || !valid) return;
+    if (drag.kind === 'connect') {
+      setPending({ sourceId: drag.sourceId, targetId: candidateId, clientX: e.clientX, clientY: e.clientY });
+    } else {
+      onRetarget?.(drag.edgeId, drag.end, candidateId);
+    }
+  };
+
+  const dragHandlers = { onPointerMove: handlePointerMove, onPointerUp: handlePointerUp, onPointerCancel: () => setDrag(null) };
+
+  const chooseDirection = (direction) => {
+    const { sourceId, targetId } = pending;
+    setPending(null);
+    onConnect?.(sourceId, targetId, direction);
+  };
+
+  const handleChooserKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setPending(null);
+    } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+      e.preventDefault();
+      const buttons = [...chooserRef.current.querySelectorAll('button')];
+      const i = buttons.indexOf(document.activeElement);
+      buttons[(i + (e.key === 'ArrowRight' ? 1 : -1) + buttons.length) % buttons.length]?.focus();
+    }
+  };
+
+  // Connect handle: hovered node, else the only selected node (touch has no hover)
+  const anchorId = drag?.kind === 'connect'
+    ? drag.sourceId
+    : (hoverId || (selectedNodeIds.length === 1 && selectedEdgeIds.length === 0 ? selectedNodeIds[0] : null));
+  const anchor = !grabbing && !pending ? liveNode(anchorId) : null;
+  let connectHandle = null;
+  if (anchor) {
+    const box = nodeBox(anchor);
+    connectHandle = toClient({ x: box.x2 + HANDLE_SIZE / 2 + 4, y: (box.y1 + box.y2) / 2 });
+  }
+
+  // Endpoint handles for the single selected edge
+  const selectedEdge = selectedEdgeIds.length === 1 && selectedNodeIds.length === 0 && !grabbing
+    ? cy.getElementById(selectedEdgeIds[0])
+    : null;
+  const endpoints = selectedEdge && selectedEdge.length > 0 && selectedEdge.visible()
+    ? { source: toClient(selectedEdge.renderedSourceEndpoint()), target: toClient(selectedEdge.renderedTargetEndpoint()) }
+    : null;
+
+  const candidate = drag ? liveNode(drag.candidateId) : null;
+  const candidateBox = candidate ? nodeBox(candidate) : null;
+
+  return (
+    <>
+      {connectHandle && !(drag && drag.kind !== 'connect') && (
+        <div
+          role="button"
+          tabIndex={-1}
+          aria-label="Drag to connect to another node"
+          title="Drag onto another node to connect"
+          data-testid="edge-handle"
+          onPointerDown={(e) => startDrag(e, { kind: 'connect', sourceId: anchor.id(), from: connectHandle })}
+          onPointerEnter={cancelHide}
+          onPointerLeave={() => { if (!drag) scheduleHide(); }}
+          {...dragHandlers}
+          style={handleStyle(connectHandle.x, connectHandle.y, '#4fc3f7')}
+        />
+      )}
+
+      {endpoints && ['source', 'target'].map(end => (
+        (!drag || drag.end === end) && (
+          <div
+            key={end}
+            role="button"
+            tabIndex={-1}
+            aria-label={`Drag to move the edge ${end}`}
+            title={`Drag onto another node to move the edge ${end}`}
+            data-testid={`edge-endpoint-${end}`}
+            onPointerDown={(e) => startDrag(e, { kind: 'retarget', edgeId: selectedEdgeIds[0], end, from: endpoints[end === 'source' ? 'target' : 'source'] })}
+            {...dragHandlers}
+            style={handleStyle(
+              drag?.end === end ? drag.to.x : endpoints[end].x,
+              drag?.end === end ? drag.to.y : endpoints[end].y,
+              '#ffb74d'
+            )}
+          />
+        )
+      ))}
+
+      {drag && (
+        <svg
+          aria-hidden="true"
+          style={{ position: 'fixed', left: 0, top: 0, width: '100vw', height: '100vh', pointerEvents: 'none', zIndex: 949 }}
+        >
+          {candidateBox && (
+            <rect
+              x={rect.left + candidateBox.x1 - 4}
+              y={rect.top + candidateBox.y1 - 4}
+              width={candidateBox.w + 8}
+              height={candidateBox.h + 8}
+              rx="6"
+              fill="none"
+              stroke={drag.valid ? '#4fc3f7' : '#ff5252'}
+              strokeWidth="3"
+            />
+          )}
+          <line
+            x1={drag.from.x}
+            y1={drag.from.y}
+            x2={drag.to.x}
+            y2={drag.to.y}
+            stroke={drag.candidateId && !drag.valid ? '#ff5252' : '#4fc3f7'}
+            strokeWidth="3"
+            strokeDasharray="8 6"
+          />
+        </svg>
+      )}
+
+      {pending && (
+        <div
+          ref={chooserRef}
+          role="dialog"
+          aria-label="Edge direction"
+          data-testid="edge-direction-chooser"
+          onKeyDown={handleChooserKeyDown}
+          style={{
+            position: 'fixed',
+            left: Math.max(4, Math.min(pending.clientX, window.innerWidth - 300)),
+            top: Math.max(4, Math.min(pending.clientY + 12, window.innerHeight - 60)),
+            display: 'flex',
+            gap: '4px',
+            padding: '6px',
+            background: '#1e1e1e',
+            border: '1px solid #444',
+            borderRadius: '6px',
+            boxShadow: '0 4px 16px rgba(0,0,0,0.6)',
+            zIndex: 10001
+          }}
+        >
+          {DIRECTIONS.map(d => (
+            <button key={d.value} onClick={() => chooseDirection(d.value)} style={chooserButtonStyle} title={`${d.label} edge`}>
+              {d.symbol} {d.label}
+            </button>
+          ))}
+          <button onClick={() => setPending(null)} style={{ ...chooserButtonStyle, background: 'transparent' }}>
+            Cancel
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default EdgeHandles;
@@ -5,24 +5,32 @@
  *
  * Responsibilities
  * - Presents validation or import failures with actionable guidance.
+ * - Also shows informational notices (tone "info"), e.g. a map upgraded on load.
  *
  * Props
- * - message, details, onDismiss
+ * - error, onClearError
+ * - label — bold prefix (default "Load Error:")
+ * - tone — "error" (default, red) | "info" (blue)
  */
 
 import React from "react";
 
-function ErrorDisplay({ error, onClearError }) {
+const BACKGROUNDS = {
+  error: "rgba(211, 47, 47, 0.9)",
+  info: "rgba(25, 118, 210, 0.9)"
+};
+
+function ErrorDisplay({ error, onClearError, label = "Load Error:", tone = "error" }) {
   if (!error) return null;
 
   return (
-    <div style={{
+    <div role={tone === "info" ? "status" : "alert"} style={{
       position: "absolute",
       bottom: "10px",
       left: "10px",
       right: "10px",
       zIndex: 1000,
-      background: "rgba(211, 47, 47, 0.9)",
+      background: BACKGROUNDS[tone] || BACKGROUNDS.error,
       color: "#fff",
       padding: "10px",
       borderRadius: "5px",
@@ -34,7 +42,7 @@ function ErrorDisplay({ error, onClearError }) {
       gap: "10px"
     }}>
       <div style={{ flex: 1 }}>
-        <strong>Load Error:</strong> {error}
+        <strong>{label}</strong> {error}
       </div>
       <button
         onClick={onClearError}
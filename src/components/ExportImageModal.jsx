@@ -0,0 +1,208 @@
+// src/components/ExportImageModal.jsx
+
+/**
+ * ExportImageModal — Save the map as a PNG or SVG image
+ *
+ * Responsibilities
+ * - Pick format, area (current view / whole map) and scale.
+ * - Optional title and tag legend; toggles for compass, note-count badges and
+ *   a transparent background.
+ * - Render via utils/imageExport.js and download as <map_name>.png / .svg.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - getCy() -> cytoscape instance
+ * - graph: { nodes, edges, tags } (legend), mapName
+ * - orientation, compassVisible, showNoteCountOverlay (defaults mirror the screen)
+ *
+ * Gotchas
+ * - The background underlay is part of the Cytoscape render; a cross-origin
+ *   underlay without CORS headers makes the browser refuse the export, which is
+ *   shown as an error here.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  EXPORT_FORMATS, EXPORT_SCALES, EXPORT_BACKGROUND,
+  getLegendEntries, renderExportPng, renderExportSvg, downloadBlob
+} from '../utils/imageExport.js';
+import { getMapFileBaseName } from '../utils/mapHelpers.js';
+import { printError } from '../utils/debug.js';
+
+const inputStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '4px 8px',
+  fontSize: '14px'
+};
+
+const labelStyle = { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', cursor: 'pointer' };
+
+function ExportImageModal({
+  isOpen, onClose, getCy,
+  graph, mapName = '',
+  orientation = 0, compassVisible = true, showNoteCountOverlay = false
+}) {
+  const [format, setFormat] = useState('png');
+  const [full, setFull] = useState(true);
+  const [scale, setScale] = useState(2);
+  const [title, setTitle] = useState('');
+  const [legend, setLegend] = useState(false);
+  const [compass, setCompass] = useState(compassVisible);
+  const [noteCounts, setNoteCounts] = useState(showNoteCountOverlay);
+  const [transparent, setTransparent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Re-seed screen-dependent defaults each time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setTitle(mapName);
+    setCompass(compassVisible);
+    setNoteCounts(showNoteCountOverlay);
+    setError('');
+  }, [isOpen, mapName, compassVisible, showNoteCountOverlay]);
+
+  // Close modal on Escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const hasLegend = getLegendEntries(graph).length > 0;
+
+  const handleExport = async () => {
+    const cy = getCy?.();
+    if (!cy || cy.destroyed()) return;
+    setBusy(true);
+    setError('');
+    try {
+      const options = {
+        full, scale, title, graph, compass, orientation, noteCounts,
+        legend: legend && hasLegend,
+        bg: transparent ? null : EXPORT_BACKGROUND
+      };
+      const blob = format === 'svg' ? await renderExportSvg(cy, options) : await renderExportPng(cy, options);
+      downloadBlob(blob, `${getMapFileBaseName(mapName)}.${format}`);
+      onClose();
+    } catch (err) {
+      printError('Image export failed:', err);
+      setError(err?.name === 'SecurityError'
+        ? 'The browser blocked the export because the background image comes from another site without CORS. Hide the background image and try again.'
+        : `Export failed: ${err?.message || err}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="export-image-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '420px',
+          width: '100%',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>Export Image</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} style={inputStyle} title="Format">
+            {EXPORT_FORMATS.map(f => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+          </select>
+          <select value={full ? 'full' : 'view'} onChange={(e) => setFull(e.target.value === 'full')} style={inputStyle} title="Area">
+            <option value="full">Whole map</option>
+            <option value="view">Current view</option>
+          </select>
+          <select value={scale} onChange={(e) => setScale(Number(e.target.value))} style={inputStyle} title="Scale">
+            {EXPORT_SCALES.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </div>
+
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Title (optional)"
+          style={inputStyle}
+        />
+
+        <label style={{ ...labelStyle, cursor: hasLegend ? 'pointer' : 'not-allowed', color: hasLegend ? '#fff' : '#888' }} title={hasLegend ? '' : 'No tags are used on this map'}>
+          <input type="checkbox" checked={legend && hasLegend} disabled={!hasLegend} onChange={(e) => setLegend(e.target.checked)} />
+          Tag legend
+        </label>
+        <label style={labelStyle}>
+          <input type="checkbox" checked={compass} onChange={(e) => setCompass(e.target.checked)} />
+          Compass
+        </label>
+        <label style={labelStyle}>
+          <input type="checkbox" checked={noteCounts} onChange={(e) => setNoteCounts(e.target.checked)} />
+          Note-count badges
+        </label>
+        <label style={labelStyle}>
+          <input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} />
+          Transparent background
+        </label>
+
+        {error && <div style={{ color: '#ff8a80', fontSize: '13px' }}>{error}</div>}
+
+        <button
+          onClick={handleExport}
+          disabled={busy}
+          style={{ padding: '8px 16px', background: busy ? '#555' : '#4caf50', color: '#fff', border: 'none', borderRadius: '4px', cursor: busy ? 'wait' : 'pointer', fontSize: '14px', fontWeight: 'bold' }}
+        >
+          {busy ? 'Exporting…' : `Export ${format.toUpperCase()}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ExportImageModal;
@@ -0,0 +1,145 @@
+// src/components/FieldGuidePrint.jsx
+
+/**
+ * FieldGuidePrint — Print-only booklet of a map's notes
+ *
+ * Responsibilities
+ * - Cover, overview map page, table of contents, then one entry per node:
+ *   thumbnail, title and notes, with hashtags turned into "see §n" links to the
+ *   other entries that mention the same tag.
+ * - Signal `onReady` once every image has loaded (or failed), so printing
+ *   doesn't capture blank thumbnails.
+ *
+ * Props
+ * - entries: utils/fieldGuide.getGuideEntries(...)
+ * - mapName, overviewUrl (optional image of the whole map)
+ * - getImageUrl(node) -> thumbnail src
+ * - onReady()
+ *
+ * Gotchas
+ * - Rendered into document.body via a portal; index.css hides it on screen and,
+ *   while body has .printing-field-guide, hides the app (#root) in print instead.
+ * - Page breaks come from the .field-guide-page / .field-guide-entry rules in index.css.
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { splitHashtags } from '../search/hashtagUtils.js';
+import { buildHashtagCrossRefs, getCrossRefs, guideAnchorId } from '../utils/fieldGuide.js';
+
+const IMAGE_WAIT_MS = 5000;
+
+const linkStyle = { color: '#1565c0', textDecoration: 'none' };
+
+function waitForImages(container) {
+  const pending = [...container.querySelectorAll('img')].filter(img => !img.complete);
+  return Promise.all(pending.map(img => new Promise(resolve => {
+    img.addEventListener('load', resolve, { once: true });
+    img.addEventListener('error', resolve, { once: true });
+  })));
+}
+
+function NoteText({ text, entry, refs }) {
+  return splitHashtags(text).map((part, i) => {
+    if (!part.tag) return <React.Fragment key={i}>{part.text}</React.Fragment>;
+    const others = getCrossRefs(refs, part.tag, entry.id);
+    return (
+      <React.Fragment key={i}>
+        <strong>{part.text}</strong>
+        {others.length > 0 && (
+          <span style={{ fontSize: '0.85em', color: '#555' }}>
+            {' (see '}
+            {others.map((other, j) => (
+              <React.Fragment key={other.id}>
+                {j > 0 && ', '}
+                <a href={`#${guideAnchorId(other.id)}`} style={linkStyle}>§{other.number} {other.title}</a>
+              </React.Fragment>
+            ))}
+            {')'}
+          </span>
+        )}
+      </React.Fragment>
+    );
+  });
+}
+
+function FieldGuidePrint({ entries = [], mapName = '', overviewUrl = null, getImageUrl, onReady }) {
+  const containerRef = useRef(null);
+  const refs = useMemo(() => buildHashtagCrossRefs(entries), [entries]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    let cancelled = false;
+    const timeout = new Promise(resolve => setTimeout(resolve, IMAGE_WAIT_MS));
+    Promise.race([waitForImages(container), timeout]).then(() => {
+      if (!cancelled) onReady?.();
+    });
+    return () => { cancelled = true; };
+  }, [onReady]);
+
+  return createPortal(
+    <div
+      ref={containerRef}
+      className="field-guide"
+      data-testid="field-guide"
+      style={{ background: '#fff', color: '#111', fontFamily: 'Georgia, "Times New Roman", serif', fontSize: '11pt', lineHeight: 1.5 }}
+    >
+      {/* Cover */}
+      <section className="field-guide-page" style={{ textAlign: 'center', paddingTop: '30vh' }}>
+        <h1 style={{ fontSize: '32pt', margin: 0 }}>{mapName || 'Unnamed Map'}</h1>
+        <div style={{ fontSize: '16pt', marginTop: '8pt', color: '#444' }}>Field Guide</div>
+        <div style={{ marginTop: '24pt', color: '#666' }}>
+          {entries.length} {entries.length === 1 ? 'entry' : 'entries'} • {new Date().toLocaleDateString()}
+        </div>
+      </section>
+
+      {/* Overview map */}
+      {overviewUrl && (
+        <section className="field-guide-page">
+          <h2 style={{ marginTop: 0 }}>Overview Map</h2>
+          <img src={overviewUrl} alt={`Overview of ${mapName}`} style={{ width: '100%', maxHeight: '230mm', objectFit: 'contain' }} />
+        </section>
+      )}
+
+      {/* Table of contents */}
+      <section className="field-guide-page">
+        <h2 style={{ marginTop: 0 }}>Contents</h2>
+        <ol style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {entries.map(entry => (
+            <li key={entry.id} style={{ padding: '2pt 0', borderBottom: '1px dotted #bbb' }}>
+              <a href={`#${guideAnchorId(entry.id)}`} style={{ ...linkStyle, color: '#111' }}>
+                <span style={{ display: 'inline-block', minWidth: '3em', color: '#666' }}>§{entry.number}</span>
+                {entry.title}
+              </a>
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      {/* Entries */}
+      {entries.map(entry => (
+        <article key={entry.id} id={guideAnchorId(entry.id)} className="field-guide-entry" style={{ display: 'flex', gap: '12pt', padding: '10pt 0', borderBottom: '1px solid #ddd' }}>
+          <img
+            src={getImageUrl(entry.node)}
+            alt={entry.title}
+            style={{ width: '28mm', height: '28mm', objectFit: 'cover', flexShrink: 0, border: '1px solid #ccc', borderRadius: '4px' }}
+          />
+          <div style={{ flex: 1 }}>
+            <h3 style={{ margin: '0 0 6pt 0' }}>
+              <span style={{ color: '#666', fontWeight: 'normal' }}>§{entry.number}</span> {entry.title}
+            </h3>
+            {entry.texts.filter(text => text.trim()).map((text, i) => (
+              <p key={i} style={{ margin: '0 0 6pt 0', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                <NoteText text={text} entry={entry} refs={refs} />
+              </p>
+            ))}
+          </div>
+        </article>
+      ))}
+    </div>,
+    document.body
+  );
+}
+
+export default FieldGuidePrint;
@@ -0,0 +1,157 @@
+// src/components/FilterPanel.jsx
+
+/**
+ * FilterPanel — Narrow the map down by node attributes
+ *
+ * Responsibilities
+ * - Toggle chips for size, color and tag; selects for visited state and notes.
+ * - Choose whether non-matching elements are dimmed or hidden; clear all.
+ *
+ * Props
+ * - filter: see graph/filters.js; onChange(nextFilter)
+ * - tags: map tag registry [{ name, color, icon? }]
+ *
+ * Gotchas
+ * - Matching lives in graph/filters.js; this panel only edits the filter object.
+ * - The active filter is included in Share links, so keep it serializable.
+ */
+
+import React, { useState } from 'react';
+import { HamburgerIcon } from './HamburgerIcon';
+import { COLORS } from '../styles/tokens.js';
+import { FILTER_SIZES, FILTER_COLORS, EMPTY_FILTER, isFilterActive } from '../graph/filters.js';
+
+const chipStyle = (active, accent = '#2196f3') => ({
+  padding: '3px 8px',
+  background: active ? accent : 'rgba(0,0,0,0.4)',
+  color: '#fff',
+  border: `1px solid ${active ? accent : '#555'}`,
+  borderRadius: '12px',
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+const selectStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '3px 6px',
+  fontSize: '12px'
+};
+
+const sectionLabelStyle = { fontSize: '11px', color: '#aaa', textTransform: 'uppercase', marginTop: '4px' };
+
+function toggleValue(list, value) {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+}
+
+function FilterPanel({ filter = EMPTY_FILTER, onChange, tags = [] }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const active = isFilterActive(filter);
+
+  if (collapsed) {
+    return (
+      <div>
+        <button
+          onClick={() => setCollapsed(false)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: active ? 'rgba(33,150,243,0.55)' : 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
+          aria-label="Open filter panel"
+          title="Filter nodes by size, color, tag, visited state or notes"
+        >
+          <HamburgerIcon />
+          <span>Filter{active ? ' (on)' : ''}</span>
+        </button>
+      </div>
+    );
+  }
+
+  const update = (patch) => onChange({ ...filter, ...patch });
+
+  return (
+    <div
+      data-testid="filter-panel"
+      style={{ display: 'flex', flexDirection: 'column', gap: '6px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px', color: '#fff', width: '220px', maxHeight: '70vh', overflowY: 'auto' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 'bold' }}>Filter</span>
+        <button
+          onClick={() => setCollapsed(true)}
+          style={{ padding: '4px 8px', background: 'rgba(0,0,0,0.55)', color: '#fff', border: '1px solid #444', borderRadius: '4px', cursor: 'pointer', fontSize: '16px', lineHeight: 1 }}
+          aria-label="Collapse filter panel"
+          title="Collapse filter panel"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={sectionLabelStyle}>Size</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+        {FILTER_SIZES.map(size => (
+          <button key={size} style={chipStyle(filter.sizes.includes(size))} onClick={() => update({ sizes: toggleValue(filter.sizes, size) })}>
+            {size}
+          </button>
+        ))}
+      </div>
+
+      <div style={sectionLabelStyle}>Color</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+        {FILTER_COLORS.map(color => (
+          <button
+            key={color}
+            style={chipStyle(filter.colors.includes(color), COLORS[color].base)}
+            onClick={() => update({ colors: toggleValue(filter.colors, color) })}
+          >
+            {color}
+          </button>
+        ))}
+      </div>
+
+      {tags.length > 0 && (
+        <>
+          <div style={sectionLabelStyle}>Tags</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+            {tags.map(tag => (
+              <button
+                key={tag.name}
+                style={chipStyle(filter.tags.includes(tag.name), tag.color)}
+                onClick={() => update({ tags: toggleValue(filter.tags, tag.name) })}
+              >
+                {tag.icon ? `${tag.icon} ` : ''}{tag.name}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginTop: '4px' }}>
+        <select value={filter.visited || ''} onChange={(e) => update({ visited: e.target.value || null })} style={selectStyle} title="Visited state">
+          <option value="">Any visited state</option>
+          <option value="visited">Visited</option>
+          <option value="unvisited">Unvisited</option>
+        </select>
+        <select value={filter.notes || ''} onChange={(e) => update({ notes: e.target.value || null })} style={selectStyle} title="Notes">
+          <option value="">Any notes</option>
+          <option value="with">Has notes</option>
+          <option value="without">No notes</option>
+        </select>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', cursor: 'pointer', marginTop: '4px' }}>
+        <input type="checkbox" checked={!!filter.hide} onChange={(e) => update({ hide: e.target.checked })} />
+        Hide non-matching (instead of dimming)
+      </label>
+
+      {active && (
+        <button
+          onClick={() => onChange({ ...EMPTY_FILTER, hide: filter.hide })}
+          style={{ marginTop: '4px', padding: '6px 10px', background: '#f44336', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          Clear filter
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default FilterPanel;
@@ -12,16 +12,30 @@
  * - mode, onModeChange(mode)
  * - selection info + callbacks (delete, rotate, fit)
  * - bgImage + onToggleBgImageVisible
+ * - onOpenTagsModal (Manage Tags), onOpenToursModal (Guided Tours)
+ * - onOpenCsvImportModal (spreadsheet import)
+ * - onOpenHistoryModal (snapshots: preview, diff, restore)
  * - cdnBaseUrl + onLoadFromCdn
+ * - onExportMap(format) — 'json', 'zip' (map package) or a GRAPH_FORMATS key (GraphML/GEXF/DOT)
+ * - grid { enabled, size } + onGridChange(patch) — snap-to-grid, saved with the map
+ * - onAlignNodes / onDistributeNodes / onEqualizeSpacing / onSnapNodesToGrid (see <ArrangeControls/>)
  *
  * UX Notes
  * - Keep critical actions grouped and keyboard-accessible.
+ * - Positioned by App's top-right dock (shared with <LayersPanel/>), not by itself.
  */
 
-import React from "react";
+import React, { useState } from "react";
 import NodeColorPicker from "./NodeColorPicker";
+import ArrangeControls from "./ArrangeControls";
 import { DEV_MODE } from "../config/features";
 import { HamburgerIcon } from "./HamburgerIcon";
+import { GRAPH_FORMATS } from "../importers/graphFormats.js";
+
+const EXPORT_TITLES = {
+  json: 'Export Map JSON',
+  zip: 'Export a package (.zip) with the map JSON and all its images, for use without a CDN'
+};
 
 function GraphControls({
   // editing-only actions
@@ -33,6 +47,8 @@ function GraphControls({
   onRotateCompass,
   onUndo,
   canUndo,
+  onRedo,
+  canRedo,
   onOpenDebugModal,
   onOpenShareModal,
   // selection state + conditional actions
@@ -44,18 +60,35 @@ function GraphControls({
   onConnectNodes,
   onNodeColorChange,
   areNodesConnected,
+  // arrange + grid
+  grid,
+  onGridChange,
+  onAlignNodes,
+  onDistributeNodes,
+  onEqualizeSpacing,
+  onSnapNodesToGrid,
   // collapse state
   collapsed,
   onToggleCollapsed,
   // background image
-  onOpenBgImageModal
+  onOpenBgImageModal,
+  // tag registry
+  onOpenTagsModal,
+  // guided tours
+  onOpenToursModal,
+  // spreadsheet import
+  onOpenCsvImportModal,
+  // snapshot history
+  onOpenHistoryModal
 }) {
+  const [exportFormat, setExportFormat] = useState('json');
+
   if (mode !== 'editing') return null; // Only render in editing mode
 
   // When collapsed just show hamburger + label
   if (collapsed) {
     return (
-      <div style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 1000 }}>
+      <div>
         <button
           onClick={onToggleCollapsed}
           style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
@@ -84,7 +117,7 @@ function GraphControls({
   };
 
   return (
-    <div style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 1000, display: 'flex', flexDirection: 'column', gap: '14px' }}>
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '14px' }}>
       {/* Editing-only primary buttons */}
       <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px' }}>
         {/* Collapse button (open state) */}
@@ -105,18 +138,40 @@ function GraphControls({
             style={{ padding: '8px 12px', background: canUndo ? '#ff9800' : '#666', color: canUndo ? '#fff' : '#999', border: `1px solid ${canUndo ? '#f57c00' : '#555'}`, cursor: canUndo ? 'pointer' : 'not-allowed', opacity: canUndo ? 1 : 0.6 }}
             onClick={canUndo ? onUndo : undefined}
             disabled={!canUndo}
-            title={canUndo ? 'Undo last action' : 'No action to undo'}
+            title={canUndo ? 'Undo last action (Ctrl+Z)' : 'No action to undo'}
           >
             Undo
           </button>
         }
+        {canRedo && 
+          <button
+            style={{ padding: '8px 12px', background: '#ff9800', color: '#fff', border: '1px solid #f57c00', cursor: 'pointer' }}
+            onClick={onRedo}
+            title='Redo last undone action (Ctrl+Shift+Z)'
+          >
+            Redo
+          </button>
+        }
         <button
           style={{ padding: '8px 12px', background: '#222', color: '#fff', border: '1px solid #444', cursor: 'pointer' }}
-          onClick={onExportMap}
-          title="Export Map JSON"
+          onClick={() => onExportMap(exportFormat)}
+          title={EXPORT_TITLES[exportFormat] || `Export Map as ${GRAPH_FORMATS[exportFormat].label}`}
         >
           Save
         </button>
+        <select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          style={{ padding: '8px 4px', background: '#222', color: '#fff', border: '1px solid #444', cursor: 'pointer' }}
+          aria-label="Save format"
+          title="Save format"
+        >
+          <option value="json">JSON</option>
+          {Object.entries(GRAPH_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+          <option value="zip">Package (.zip)</option>
+        </select>
         <button
           style={{ padding: '8px 12px', background: '#4caf50', color: '#fff', border: '1px solid #388e3c', cursor: 'pointer' }}
           onClick={onCreateNode}
@@ -152,6 +207,69 @@ function GraphControls({
         >
           BG Img
         </button>
+        {grid && onGridChange && (
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button
+              style={{ flex: 1, padding: '8px 12px', background: grid.enabled ? '#5c6bc0' : '#666', color: '#fff', border: `1px solid ${grid.enabled ? '#3949ab' : '#555'}`, cursor: 'pointer' }}
+              onClick={() => onGridChange({ enabled: !grid.enabled })}
+              aria-pressed={grid.enabled}
+              title={`${grid.enabled ? 'Turn off' : 'Turn on'} the grid (show it and snap dropped nodes to it)`}
+            >
+              Grid {grid.enabled ? 'ON' : 'OFF'}
+            </button>
+            {grid.enabled && (
+              <input
+                type="number"
+                min={5}
+                max={500}
+                step={5}
+                key={grid.size}
+                defaultValue={grid.size}
+                onBlur={(e) => { if (e.target.value !== '') onGridChange({ size: Number(e.target.value) }); }}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                style={{ width: '56px', background: '#222', color: '#fff', border: '1px solid #444', padding: '4px' }}
+                aria-label="Grid size"
+                title="Grid size (map units)"
+              />
+            )}
+          </div>
+        )}
+        {onOpenTagsModal && (
+          <button
+            style={{ padding: '8px 12px', background: '#6d4c41', color: '#fff', border: '1px solid #4e342e', cursor: 'pointer' }}
+            onClick={onOpenTagsModal}
+            title="Manage Tags"
+          >
+            🏷️ Tags
+          </button>
+        )}
+        {onOpenToursModal && (
+          <button
+            style={{ padding: '8px 12px', background: '#00796b', color: '#fff', border: '1px solid #004d40', cursor: 'pointer' }}
+            onClick={onOpenToursModal}
+            title="Guided Tours"
+          >
+            🧭 Tours
+          </button>
+        )}
+        {onOpenCsvImportModal && (
+          <button
+            style={{ padding: '8px 12px', background: '#33691e', color: '#fff', border: '1px solid #1b5e20', cursor: 'pointer' }}
+            onClick={onOpenCsvImportModal}
+            title="Import nodes, edges and notes from spreadsheet CSV files"
+          >
+            CSV
+          </button>
+        )}
+        {onOpenHistoryModal && (
+          <button
+            style={{ padding: '8px 12px', background: '#455a64', color: '#fff', border: '1px solid #263238', cursor: 'pointer' }}
+            onClick={onOpenHistoryModal}
+            title="Snapshots of this map: preview, compare and restore"
+          >
+            History
+          </button>
+        )}
         {DEV_MODE && onOpenDebugModal && (
           <button
             style={{ padding: '8px 12px', background: '#795548', color: '#fff', border: '1px solid #5d4037', cursor: 'pointer', fontWeight: 'bold' }}
@@ -195,6 +313,15 @@ function GraphControls({
           {hasNodeSelection && (
             <NodeColorPicker selectedNodeIds={selectedNodes} onNodeColorChange={onNodeColorChange} />
           )}
+          {hasNodeSelection && onAlignNodes && (
+            <ArrangeControls
+              selectedNodeIds={selectedNodes}
+              onAlign={onAlignNodes}
+              onDistribute={onDistributeNodes}
+              onEqualize={onEqualizeSpacing}
+              onSnapToGrid={grid?.enabled ? onSnapNodesToGrid : undefined}
+            />
+          )}
         </div>
       )}
     </div>
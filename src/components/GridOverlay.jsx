@@ -0,0 +1,71 @@
+// src/components/GridOverlay.jsx
+
+/**
+ * GridOverlay — Faint snap grid drawn over the graph canvas (editing mode)
+ *
+ * Props
+ * - cy — Cytoscape instance (null until the graph mounts)
+ * - size — grid spacing in model units; lines sit on multiples of it, where
+ *   snapped node centers land
+ *
+ * Gotchas
+ * - CSS gradients over the container, not canvas drawing, so it costs nothing
+ *   per frame beyond a style update; pointer-events are off.
+ * - When zoomed far out the spacing doubles until lines are at least 8px apart.
+ */
+
+import React, { useEffect, useState } from 'react';
+
+const MIN_SPACING_PX = 8;
+const LINE_COLOR = 'rgba(255,255,255,0.12)';
+
+function GridOverlay({ cy, size }) {
+  const [viewport, setViewport] = useState(null);
+
+  useEffect(() => {
+    if (!cy) return undefined;
+    let raf = 0;
+    const read = () => {
+      raf = 0;
+      if (cy.destroyed()) return;
+      const rect = cy.container().getBoundingClientRect();
+      setViewport({ pan: { ...cy.pan() }, zoom: cy.zoom(), rect: { left: rect.left, top: rect.top, width: rect.width, height: rect.height } });
+    };
+    const schedule = () => { if (!raf) raf = requestAnimationFrame(read); };
+    read();
+    cy.on('viewport resize', schedule);
+    window.addEventListener('resize', schedule);
+    return () => {
+      cancelAnimationFrame(raf);
+      if (!cy.destroyed()) cy.off('viewport resize', schedule);
+      window.removeEventListener('resize', schedule);
+    };
+  }, [cy]);
+
+  if (!viewport || !(size > 0)) return null;
+
+  let spacing = size * viewport.zoom;
+  while (spacing < MIN_SPACING_PX) spacing *= 2;
+  const offset = (v) => ((v % spacing) + spacing) % spacing;
+
+  return (
+    <div
+      aria-hidden="true"
+      data-testid="grid-overlay"
+      style={{
+        position: 'fixed',
+        left: viewport.rect.left,
+        top: viewport.rect.top,
+        width: viewport.rect.width,
+        height: viewport.rect.height,
+        pointerEvents: 'none',
+        zIndex: 1,
+        backgroundImage: `linear-gradient(to right, ${LINE_COLOR} 1px, transparent 1px), linear-gradient(to bottom, ${LINE_COLOR} 1px, transparent 1px)`,
+        backgroundSize: `${spacing}px ${spacing}px`,
+        backgroundPosition: `${offset(viewport.pan.x)}px ${offset(viewport.pan.y)}px`
+      }}
+    />
+  );
+}
+
+export default GridOverlay;
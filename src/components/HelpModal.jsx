@@ -144,6 +144,19 @@ function HelpModal({ isOpen, onClose }) {
               <strong> Editing Mode</strong> and <strong> Playing Mode</strong> using the Mode button, 
               create new nodes, add connections, edit notes, and save your changes.
             </p>
+            <p style={{ lineHeight: '1.5' }}>
+              In Editing Mode, <strong>right-click</strong> (or long-press on touch screens) a node, an edge or
+              the background for a menu of editing actions. <strong>Shift + F10</strong> opens it for the
+              selected element from the keyboard; use the arrow keys, Enter and Escape to work it.
+            </p>
+            <p style={{ lineHeight: '1.5' }}>
+              To connect two nodes, drag the blue handle next to a node onto another node and pick a
+              direction. Drag the orange handle at either end of a selected edge to reconnect it.
+            </p>
+            <p style={{ lineHeight: '1.5' }}>
+              The <strong>Layout</strong> panel arranges the whole map or the selected nodes automatically.
+              Preview a layout first, then Apply it (one undo step) or Cancel. Pinned nodes stay where they are.
+            </p>
           </div>
         )}
 
@@ -249,6 +262,9 @@ function HelpModal({ isOpen, onClose }) {
                 <div style={{ marginBottom: '8px' }}>
                   <strong>Double-click edges:</strong> Cycle through directions (editing mode)
                 </div>
+                <div style={{ marginBottom: '8px' }}>
+                  <strong>Ctrl/⌘ + C, X, V:</strong> Copy, cut and paste selected nodes, even between maps (editing mode)
+                </div>
               </>
             )}
           </div>
@@ -0,0 +1,285 @@
+// src/components/HistoryModal.jsx
+
+/**
+ * HistoryModal — Browse, compare and restore map snapshots
+ *
+ * Responsibilities
+ * - List the open map's snapshots (newest first) with time, reason and counts.
+ * - Preview a snapshot read-only (a static drawing of its nodes and edges) and
+ *   diff it against the current map.
+ * - Take a manual snapshot; restore a snapshot through onRestore.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - store — API from persistence/snapshots.js; mapId — library id of the open map
+ * - currentGraph — the map as it is now (diff baseline)
+ * - onSnapshotNow(reason) — returns a promise; used by "Snapshot now"
+ * - onRestore(graph) — replace the map's content with the snapshot's
+ *
+ * Gotchas
+ * - The diff reads "since this snapshot": added = in the current map only.
+ */
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { SNAPSHOT_REASONS } from '../persistence/snapshots.js';
+import { diffGraphs } from '../graph/diff.js';
+import { COLORS, NODE_SIZES } from '../styles/tokens.js';
+import { printWarn } from '../utils/debug.js';
+
+const buttonStyle = {
+  padding: '6px 12px',
+  color: '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '13px',
+  fontWeight: 'bold',
+  cursor: 'pointer'
+};
+
+const MAX_LISTED = 8;
+
+const nodeWidth = (size) => (NODE_SIZES[size === 'half' ? 'small' : size] || NODE_SIZES.regular).width;
+
+function SnapshotPreview({ graph }) {
+  const nodes = graph.nodes || [];
+  if (nodes.length === 0) {
+    return <div style={{ color: '#888', fontSize: '13px', padding: '20px', textAlign: 'center' }}>Empty map</div>;
+  }
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const pad = 150;
+  const xs = nodes.map(n => n.x);
+  const ys = nodes.map(n => n.y);
+  const minX = Math.min(...xs) - pad;
+  const minY = Math.min(...ys) - pad;
+  const width = Math.max(...xs) - minX + pad;
+  const height = Math.max(...ys) - minY + pad;
+
+  return (
+    <svg
+      viewBox={`${minX} ${minY} ${width} ${height}`}
+      style={{ width: '100%', height: '220px', background: COLORS.bg, borderRadius: '6px' }}
+      role="img"
+      aria-label="Snapshot preview"
+    >
+      {(graph.edges || []).map(e => {
+        const s = byId.get(e.source);
+        const t = byId.get(e.target);
+        if (!s || !t) return null;
+        return <line key={`${e.source}__${e.target}`} x1={s.x} y1={s.y} x2={t.x} y2={t.y} stroke={COLORS.edge} strokeWidth={8} />;
+      })}
+      {nodes.map(n => {
+        const w = nodeWidth(n.size);
+        return (
+          <rect key={n.id} x={n.x - w / 2} y={n.y - w / 2} width={w} height={w} fill={(COLORS[n.color] || COLORS.gray).base}>
+            <title>{n.title || n.id}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+function DiffSection({ label, part }) {
+  const rows = [
+    ...part.added.map(el => ({ sign: '+', color: '#a5d6a7', el })),
+    ...part.removed.map(el => ({ sign: '−', color: '#ff8a80', el })),
+    ...part.changed.map(el => ({ sign: '~', color: '#90caf9', el }))
+  ];
+  if (rows.length === 0) return null;
+  const name = (el) => (typeof el === 'string' ? el : el.title || el.id);
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <strong>{label}</strong>{' '}
+      <span style={{ color: '#aaa' }}>
+        {part.added.length} added, {part.removed.length} removed, {part.changed.length} changed
+      </span>
+      <ul style={{ margin: '4px 0 0', paddingLeft: '18px' }}>
+        {rows.slice(0, MAX_LISTED).map(({ sign, color, el }, i) => (
+          <li key={i} style={{ color }}>
+            {sign} {name(el)}{el.fields ? <span style={{ color: '#888' }}> ({el.fields.join(', ')})</span> : null}
+          </li>
+        ))}
+        {rows.length > MAX_LISTED && <li style={{ color: '#888' }}>…and {rows.length - MAX_LISTED} more</li>}
+      </ul>
+    </div>
+  );
+}
+
+function HistoryModal({ isOpen, onClose, store, mapId, currentGraph, onSnapshotNow, onRestore }) {
+  const [entries, setEntries] = useState([]);
+  const [selected, setSelected] = useState(null); // full snapshot record
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await store.list(mapId));
+    } catch (err) {
+      printWarn('[HistoryModal] Failed to list snapshots:', err);
+      setError(err.message || String(err));
+    }
+  }, [store, mapId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSelected(null);
+    setError(null);
+    refresh();
+  }, [isOpen, refresh]);
+
+  // Close modal on Escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  const diff = useMemo(
+    () => (selected ? diffGraphs(selected.graph, currentGraph) : null),
+    [selected, currentGraph]
+  );
+
+  if (!isOpen) return null;
+
+  const select = async (id) => {
+    try {
+      setSelected(await store.get(id));
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  };
+
+  const handleSnapshotNow = async () => {
+    const entry = await onSnapshotNow('manual');
+    if (!entry) setError('No changes since the latest snapshot.');
+    else setError(null);
+    refresh();
+  };
+
+  const handleRestore = () => {
+    const when = new Date(selected.createdAt).toLocaleString();
+    if (!window.confirm(`Restore the map as it was on ${when}? The current map is snapshotted first, and the restore can be undone.`)) return;
+    onRestore(selected.graph);
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="history-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '860px',
+          width: '100%',
+          maxHeight: '85vh',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>History</h2>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <button onClick={handleSnapshotNow} style={{ ...buttonStyle, background: '#1976d2' }} title="Save a snapshot of the map as it is now">
+              Snapshot now
+            </button>
+            <button
+              onClick={onClose}
+              style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+              title="Close"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        {error && <div style={{ color: '#ff8a80', fontSize: '13px' }}>{error}</div>}
+
+        <div style={{ display: 'flex', gap: '12px', minHeight: 0, flex: 1 }}>
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', width: '280px', flexShrink: 0, display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            {entries.length === 0 && <li style={{ color: '#888', fontSize: '13px' }}>No snapshots yet.</li>}
+            {entries.map(entry => (
+              <li key={entry.id}>
+                <button
+                  onClick={() => select(entry.id)}
+                  style={{
+                    width: '100%',
+                    textAlign: 'left',
+                    background: selected?.id === entry.id ? '#37474f' : '#2a2a2a',
+                    color: '#fff',
+                    border: selected?.id === entry.id ? '1px solid #4fc3f7' : '1px solid transparent',
+                    borderRadius: '4px',
+                    padding: '6px 8px',
+                    cursor: 'pointer',
+                    fontSize: '13px'
+                  }}
+                >
+                  <div>{new Date(entry.createdAt).toLocaleString()}</div>
+                  <div style={{ color: '#aaa', fontSize: '12px' }}>
+                    {SNAPSHOT_REASONS[entry.reason] || entry.reason} · {entry.summary.mapName}
+                  </div>
+                  <div style={{ color: '#888', fontSize: '12px' }}>
+                    {entry.summary.nodes} nodes · {entry.summary.edges} edges · {entry.summary.notes} notes
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {!selected && <div style={{ color: '#888', fontSize: '14px' }}>Select a snapshot to preview it and compare it with the current map.</div>}
+            {selected && (
+              <>
+                <SnapshotPreview graph={selected.graph} />
+                <div style={{ fontSize: '14px', color: '#ccc' }}>
+                  {diff.total === 0 ? 'Identical to the current map.' : 'Changes since this snapshot:'}
+                </div>
+                <DiffSection label="Nodes" part={diff.nodes} />
+                <DiffSection label="Edges" part={diff.edges} />
+                <DiffSection label="Notes" part={diff.notes} />
+                <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                  <button
+                    onClick={handleRestore}
+                    disabled={diff.total === 0}
+                    style={{ ...buttonStyle, background: diff.total === 0 ? '#444' : '#4caf50', cursor: diff.total === 0 ? 'not-allowed' : 'pointer' }}
+                  >
+                    Restore
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryModal;
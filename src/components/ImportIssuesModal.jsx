@@ -0,0 +1,188 @@
+// src/components/ImportIssuesModal.jsx
+
+/**
+ * ImportIssuesModal — Review and fix problems in an imported map file
+ *
+ * Responsibilities
+ * - List each validation issue with its severity, JSON path and message.
+ * - Let the user pick which automatic fixes to apply (all by default), apply
+ *   them and see what's left after re-validating.
+ * - Import once no errors remain; warnings alone don't block.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - fileName, map (upgraded map the issues refer to), issues
+ *   (rumorMapValidation.collectMapIssues)
+ * - onImport(map) — called with the (fixed) map
+ *
+ * Gotchas
+ * - Fixes are applied to a working copy; nothing loads until Import.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { applyIssueFixes, collectMapIssues } from '../rumorMapValidation.js';
+
+const NO_ISSUES = [];
+
+const SEVERITY_COLORS = { error: '#ff8a80', warning: '#ffd54f' };
+
+// Indexes of the issues that have a fix (pre-selected)
+const fixableIndexes = (issues) => new Set(issues.flatMap((issue, i) => (issue.fix ? [i] : [])));
+
+const buttonStyle = {
+  padding: '8px 16px',
+  color: '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '14px',
+  fontWeight: 'bold'
+};
+
+function ImportIssuesModal({ isOpen, onClose, fileName = '', map = null, issues = NO_ISSUES, onImport }) {
+  const [working, setWorking] = useState({ map, issues });
+  const [selected, setSelected] = useState(() => new Set());
+
+  // Start over whenever a new file comes in
+  useEffect(() => {
+    if (!isOpen) return;
+    setWorking({ map, issues });
+    setSelected(fixableIndexes(issues));
+  }, [isOpen, map, issues]);
+
+  // Close modal on Escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  const errorCount = useMemo(() => working.issues.filter(i => i.severity === 'error').length, [working.issues]);
+
+  if (!isOpen || !working.map) return null;
+
+  const toggle = (index) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const handleApplyFixes = () => {
+    const chosen = working.issues.filter((_, i) => selected.has(i));
+    const fixedMap = applyIssueFixes(working.map, chosen);
+    const remaining = collectMapIssues(fixedMap);
+    setWorking({ map: fixedMap, issues: remaining });
+    setSelected(fixableIndexes(remaining));
+  };
+
+  const canImport = errorCount === 0;
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="import-issues-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '640px',
+          width: '100%',
+          maxHeight: '85vh',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>Import Issues</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ fontSize: '14px', color: '#ccc' }}>
+          {fileName ? <strong style={{ color: '#fff' }}>{fileName}</strong> : 'This file'}
+          {working.issues.length === 0
+            ? ' has no remaining issues.'
+            : ` has ${errorCount} error${errorCount === 1 ? '' : 's'} and ${working.issues.length - errorCount} warning${working.issues.length - errorCount === 1 ? '' : 's'}.`}
+        </div>
+
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {working.issues.map((issue, i) => (
+            <li key={`${issue.path}-${issue.code}-${i}`} style={{ background: '#2a2a2a', borderRadius: '6px', padding: '8px 10px', fontSize: '13px' }}>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'baseline' }}>
+                <span style={{ color: SEVERITY_COLORS[issue.severity], fontWeight: 'bold', textTransform: 'uppercase', fontSize: '11px' }}>{issue.severity}</span>
+                <code style={{ color: '#90caf9' }}>{issue.path}</code>
+              </div>
+              <div style={{ marginTop: '4px' }}>{issue.context ? `${issue.context}: ` : ''}{issue.message}</div>
+              {issue.fix ? (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', color: '#a5d6a7', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={selected.has(i)} onChange={() => toggle(i)} />
+                  Fix: {issue.fix.label}
+                </label>
+              ) : (
+                <div style={{ marginTop: '4px', color: '#888' }}>No automatic fix — edit the file by hand.</div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+          <button onClick={onClose} style={{ ...buttonStyle, background: '#555', cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button
+            onClick={handleApplyFixes}
+            disabled={selected.size === 0}
+            style={{ ...buttonStyle, background: selected.size ? '#1976d2' : '#444', cursor: selected.size ? 'pointer' : 'not-allowed' }}
+          >
+            Apply {selected.size} fix{selected.size === 1 ? '' : 'es'}
+          </button>
+          <button
+            onClick={() => onImport(working.map)}
+            disabled={!canImport}
+            title={canImport ? '' : 'Fix the remaining errors first'}
+            style={{ ...buttonStyle, background: canImport ? '#4caf50' : '#444', cursor: canImport ? 'pointer' : 'not-allowed' }}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportIssuesModal;
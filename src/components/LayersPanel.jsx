@@ -0,0 +1,97 @@
+// src/components/LayersPanel.jsx
+
+/**
+ * LayersPanel — Show/hide parts of the map by tag
+ *
+ * Responsibilities
+ * - Lists the map's tag registry as layers with a visibility checkbox each.
+ * - Shows how many nodes/edges sit on each layer; "Show all" resets.
+ *
+ * Props
+ * - tags: [{ name, color, icon? }], usage: Map(name -> { nodes, edges })
+ * - hiddenLayers: Set of hidden tag names
+ * - onToggleLayer(name), onShowAllLayers()
+ *
+ * Gotchas
+ * - Which elements actually disappear is decided by graph/layers.js
+ *   (untagged elements never hide; multi-tag elements need every tag off).
+ * - Renders nothing when the map has no tags.
+ */
+
+import React, { useState } from 'react';
+import { HamburgerIcon } from './HamburgerIcon';
+import { DEFAULT_TAG_COLOR } from '../graph/tags.js';
+
+function LayersPanel({ tags = [], usage = new Map(), hiddenLayers = new Set(), onToggleLayer, onShowAllLayers }) {
+  const [collapsed, setCollapsed] = useState(true);
+
+  if (tags.length === 0) return null;
+
+  const hiddenCount = tags.filter(t => hiddenLayers.has(t.name)).length;
+
+  if (collapsed) {
+    return (
+      <div>
+        <button
+          onClick={() => setCollapsed(false)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
+          aria-label="Open layers panel"
+          title="Show or hide map layers by tag"
+        >
+          <HamburgerIcon />
+          <span>Layers{hiddenCount > 0 ? ` (${hiddenCount} hidden)` : ''}</span>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      data-testid="layers-panel"
+      style={{ display: 'flex', flexDirection: 'column', gap: '6px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px', color: '#fff', minWidth: '170px', maxHeight: '60vh', overflowY: 'auto' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 'bold' }}>Layers</span>
+        <button
+          onClick={() => setCollapsed(true)}
+          style={{ padding: '4px 8px', background: 'rgba(0,0,0,0.55)', color: '#fff', border: '1px solid #444', borderRadius: '4px', cursor: 'pointer', fontSize: '16px', lineHeight: 1 }}
+          aria-label="Collapse layers panel"
+          title="Collapse layers panel"
+        >
+          ✕
+        </button>
+      </div>
+
+      {tags.map(tag => {
+        const counts = usage.get(tag.name);
+        return (
+          <label
+            key={tag.name}
+            data-testid={`layer-toggle-${tag.name}`}
+            style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '13px' }}
+          >
+            <input
+              type="checkbox"
+              checked={!hiddenLayers.has(tag.name)}
+              onChange={() => onToggleLayer(tag.name)}
+            />
+            <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: tag.color || DEFAULT_TAG_COLOR, flexShrink: 0 }} />
+            <span style={{ flex: 1 }}>{tag.icon ? `${tag.icon} ` : ''}{tag.name}</span>
+            <span style={{ color: '#aaa', fontSize: '11px' }}>{(counts?.nodes || 0) + (counts?.edges || 0)}</span>
+          </label>
+        );
+      })}
+
+      {hiddenCount > 0 && (
+        <button
+          onClick={onShowAllLayers}
+          style={{ marginTop: '4px', padding: '6px 10px', background: '#2196f3', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          Show all
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default LayersPanel;
@@ -0,0 +1,234 @@
+// src/components/LayoutPanel.jsx
+
+/**
+ * LayoutPanel — Automatic layouts with a preview (editing mode)
+ *
+ * Responsibilities
+ * - Pick a layout (graph/layouts.js LAYOUTS) and a scope: the whole map or the
+ *   selected nodes (2+).
+ * - Preview animates the Cytoscape nodes into place without touching the map;
+ *   Apply commits those positions as one undo step, Cancel animates them back.
+ * - Pin / Unpin the selected nodes so layouts leave them where they are.
+ *
+ * Props
+ * - cy — Cytoscape instance (null until the graph mounts)
+ * - nodes, edges — current graph data
+ * - selectedNodeIds
+ * - onApplyLayout(positions, algorithm) — commit a previewed layout
+ * - onPinNodes(nodeIds, pinned)
+ *
+ * Gotchas
+ * - A preview only moves the drawing. Any change to the map while previewing
+ *   (a drag, undo, another edit) drops the preview and puts nodes back where the
+ *   map says they are; so does collapsing the panel or leaving editing mode.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { HamburgerIcon } from './HamburgerIcon';
+import { LAYOUTS, computeLayout } from '../graph/layouts.js';
+import { printDebug } from '../utils/debug.js';
+
+const PREVIEW_MS = 500;
+
+const selectStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '3px 6px',
+  fontSize: '12px'
+};
+
+const buttonStyle = (background, enabled = true) => ({
+  flex: 1,
+  padding: '6px 10px',
+  background: enabled ? background : '#333',
+  color: enabled ? '#fff' : '#777',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed'
+});
+
+// Move the drawn nodes; animated moves run side by side, instant ones stop any running animation
+function moveDrawnNodes(cy, positions, animate) {
+  if (!cy || cy.destroyed()) return;
+  Object.entries(positions).forEach(([id, position]) => {
+    const node = cy.getElementById(id);
+    if (node.empty()) return;
+    node.stop(true);
+    if (animate) node.animate({ position }, { duration: PREVIEW_MS, easing: 'ease-in-out-cubic', queue: false });
+    else node.position(position);
+  });
+}
+
+function LayoutPanel({ cy, nodes = [], edges = [], selectedNodeIds = [], onApplyLayout, onPinNodes }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const [algorithm, setAlgorithm] = useState('layered');
+  const [scope, setScope] = useState('map');
+  const [message, setMessage] = useState('');
+  // { algorithm, positions, original } while previewing; mirrored in a ref for effects
+  const [preview, setPreviewState] = useState(null);
+  const previewRef = useRef(null);
+  const setPreview = useCallback((next) => {
+    previewRef.current = next;
+    setPreviewState(next);
+  }, []);
+
+  const canUseSelection = selectedNodeIds.length >= 2;
+  const layoutScope = scope === 'selection' && canUseSelection ? 'selection' : 'map';
+
+  // The map changed under the preview: snap the drawing back to the map's positions
+  useEffect(() => {
+    const current = previewRef.current;
+    if (!current) return;
+    printDebug('📐 [LayoutPanel] Map changed during preview; dropping it');
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const actual = Object.fromEntries(Object.keys(current.original)
+      .filter(id => byId.has(id))
+      .map(id => [id, { x: byId.get(id).x, y: byId.get(id).y }]));
+    moveDrawnNodes(cy, actual, false);
+    setPreview(null);
+  }, [nodes, cy, setPreview]);
+
+  // Unmounting (leaving editing mode) mid-preview puts the drawing back
+  useEffect(() => () => {
+    if (previewRef.current) moveDrawnNodes(cy, previewRef.current.original, false);
+    previewRef.current = null;
+  }, [cy]);
+
+  const handlePreview = () => {
+    const positions = computeLayout({ nodes, edges }, algorithm, {
+      nodeIds: layoutScope === 'selection' ? selectedNodeIds : undefined
+    });
+    if (Object.keys(positions).length === 0) {
+      setMessage('Nothing to lay out: every node in scope is pinned.');
+      return;
+    }
+    setMessage('');
+
+    // Keep the positions from before the first preview; nodes dropped from the
+    // new scope go straight back
+    const previous = previewRef.current?.original || {};
+    const original = { ...previous };
+    nodes.forEach(n => {
+      if (positions[n.id] && !original[n.id]) original[n.id] = { x: n.x, y: n.y };
+    });
+    const leftOut = Object.fromEntries(Object.entries(previous).filter(([id]) => !positions[id]));
+    moveDrawnNodes(cy, leftOut, true);
+    moveDrawnNodes(cy, positions, true);
+    setPreview({ algorithm, positions, original });
+    printDebug('📐 [LayoutPanel] Previewing', algorithm, 'on', Object.keys(positions).length, 'nodes');
+  };
+
+  const handleApply = () => {
+    const current = previewRef.current;
+    if (!current) return;
+    setPreview(null);
+    onApplyLayout(current.positions, current.algorithm);
+  };
+
+  const handleCancel = () => {
+    const current = previewRef.current;
+    if (!current) return;
+    moveDrawnNodes(cy, current.original, true);
+    setPreview(null);
+  };
+
+  const handleCollapse = () => {
+    handleCancel();
+    setCollapsed(true);
+  };
+
+  const pinnedCount = nodes.filter(n => n.pinned).length;
+
+  if (collapsed) {
+    return (
+      <div>
+        <button
+          onClick={() => setCollapsed(false)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
+          aria-label="Open layout panel"
+          title="Lay out the map automatically"
+        >
+          <HamburgerIcon />
+          <span>Layout</span>
+        </button>
+      </div>
+    );
+  }
+
+  const selected = nodes.filter(n => selectedNodeIds.includes(n.id));
+  const canPin = selected.some(n => !n.pinned);
+  const canUnpin = selected.some(n => n.pinned);
+
+  return (
+    <div
+      data-testid="layout-panel"
+      style={{ display: 'flex', flexDirection: 'column', gap: '8px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px', color: '#fff', width: '220px', fontSize: '13px' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 'bold' }}>Layout</span>
+        <button
+          onClick={handleCollapse}
+          style={{ padding: '4px 8px', background: 'rgba(0,0,0,0.55)', color: '#fff', border: '1px solid #444', borderRadius: '4px', cursor: 'pointer', fontSize: '16px', lineHeight: 1 }}
+          aria-label="Collapse layout panel"
+          title={preview ? 'Cancel the preview and collapse' : 'Collapse layout panel'}
+        >
+          ✕
+        </button>
+      </div>
+
+      <select value={algorithm} onChange={(e) => setAlgorithm(e.target.value)} style={selectStyle} aria-label="Layout algorithm">
+        {Object.entries(LAYOUTS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+
+      <div role="radiogroup" aria-label="Layout scope" style={{ display: 'flex', gap: '10px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+          <input type="radio" name="layout-scope" checked={layoutScope === 'map'} onChange={() => setScope('map')} />
+          Whole map
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: canUseSelection ? 'pointer' : 'not-allowed', color: canUseSelection ? '#fff' : '#777' }}>
+          <input type="radio" name="layout-scope" checked={layoutScope === 'selection'} disabled={!canUseSelection} onChange={() => setScope('selection')} />
+          Selection{canUseSelection ? ` (${selectedNodeIds.length})` : ''}
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={handlePreview} style={buttonStyle('#5c6bc0')} title="Animate the nodes into the new layout without changing the map yet">
+          Preview
+        </button>
+        {preview && (
+          <>
+            <button onClick={handleApply} style={buttonStyle('#4caf50')} title="Keep this layout (one undo step)">
+              Apply
+            </button>
+            <button onClick={handleCancel} style={buttonStyle('#757575')} title="Put the nodes back">
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+      {message && <div role="status" style={{ color: '#ffcc80', fontSize: '12px' }}>{message}</div>}
+
+      <div style={{ borderTop: '1px solid #444', paddingTop: '8px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+        <span style={{ color: '#aaa', fontSize: '12px' }}>
+          📌 {pinnedCount} pinned — layouts leave pinned nodes in place
+        </span>
+        {selected.length > 0 && (
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => onPinNodes(selectedNodeIds, true)} disabled={!canPin} style={buttonStyle('#f9a825', canPin)} title="Pin the selected nodes">
+              Pin
+            </button>
+            <button onClick={() => onPinNodes(selectedNodeIds, false)} disabled={!canUnpin} style={buttonStyle('#757575', canUnpin)} title="Unpin the selected nodes">
+              Unpin
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LayoutPanel;
@@ -0,0 +1,248 @@
+// src/components/ManageTagsModal.jsx
+
+/**
+ * ManageTagsModal — Edit the map's tag registry
+ *
+ * Responsibilities
+ * - Create tags (name, color, optional icon).
+ * - Rename / recolor / re-icon, merge one tag into another, delete.
+ * - Show how many nodes/edges use each tag.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - tags: [{ name, color, icon? }], usage: Map(name -> { nodes, edges })
+ * - onCreateTag(tag), onUpdateTag(name, patch), onMergeTags(source, target), onDeleteTag(name)
+ *
+ * Gotchas
+ * - Cascading to nodes/edges happens in graph/tags.js; this modal only collects intent.
+ * - Name clashes are caught here so the user gets feedback instead of a silent no-op.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { normalizeTagName, DEFAULT_TAG_COLOR } from '../graph/tags.js';
+
+const inputStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '4px 8px',
+  fontSize: '14px'
+};
+
+const buttonStyle = (background) => ({
+  background,
+  color: '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  padding: '4px 10px',
+  cursor: 'pointer',
+  fontSize: '13px'
+});
+
+function TagRow({ tag, usage, otherTags, nameTaken, onUpdateTag, onMergeTags, onDeleteTag }) {
+  const [nameValue, setNameValue] = useState(tag.name);
+  const [error, setError] = useState(null);
+
+  useEffect(() => { setNameValue(tag.name); }, [tag.name]);
+
+  const commitRename = () => {
+    const next = normalizeTagName(nameValue);
+    if (next === tag.name) { setNameValue(tag.name); setError(null); return; }
+    if (!next) { setError('Name cannot be empty'); return; }
+    if (nameTaken(next)) { setError(`"${next}" already exists — use Merge instead`); return; }
+    setError(null);
+    onUpdateTag(tag.name, { name: next });
+  };
+
+  const handleDelete = () => {
+    const used = (usage?.nodes || 0) + (usage?.edges || 0);
+    if (used > 0 && !window.confirm(`Delete tag "${tag.name}"? It will be removed from ${used} node(s)/edge(s).`)) return;
+    onDeleteTag(tag.name);
+  };
+
+  return (
+    <div data-testid={`tag-row-${tag.name}`} style={{ borderBottom: '1px solid #333', padding: '8px 0' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <input
+          type="color"
+          value={tag.color || DEFAULT_TAG_COLOR}
+          onChange={(e) => onUpdateTag(tag.name, { color: e.target.value })}
+          title="Tag color"
+          style={{ width: '32px', height: '28px', padding: 0, border: 'none', background: 'transparent' }}
+        />
+        <input
+          type="text"
+          value={tag.icon || ''}
+          onChange={(e) => onUpdateTag(tag.name, { icon: e.target.value })}
+          placeholder="icon"
+          title="Optional icon (emoji)"
+          style={{ ...inputStyle, width: '48px', textAlign: 'center' }}
+        />
+        <input
+          type="text"
+          value={nameValue}
+          onChange={(e) => setNameValue(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename();
+            if (e.key === 'Escape') { e.stopPropagation(); setNameValue(tag.name); setError(null); }
+          }}
+          title="Rename (applies to every node and edge)"
+          style={{ ...inputStyle, flex: 1, minWidth: '120px' }}
+        />
+        <span style={{ color: '#aaa', fontSize: '12px', minWidth: '80px' }}>
+          {usage?.nodes || 0} nodes, {usage?.edges || 0} edges
+        </span>
+        {otherTags.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && onMergeTags(tag.name, e.target.value)}
+            title="Merge this tag into another one"
+            style={inputStyle}
+          >
+            <option value="">Merge into…</option>
+            {otherTags.map(t => <option key={t.name} value={t.name}>{t.name}</option>)}
+          </select>
+        )}
+        <button onClick={handleDelete} style={buttonStyle('#f44336')} title="Delete tag">
+          Delete
+        </button>
+      </div>
+      {error && <div style={{ color: '#f44336', fontSize: '12px', marginTop: '4px' }}>{error}</div>}
+    </div>
+  );
+}
+
+function ManageTagsModal({ isOpen, onClose, tags = [], usage = new Map(), onCreateTag, onUpdateTag, onMergeTags, onDeleteTag }) {
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(DEFAULT_TAG_COLOR);
+  const [newIcon, setNewIcon] = useState('');
+  const [createError, setCreateError] = useState(null);
+
+  // Close modal on Escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const nameTaken = (name) => tags.some(t => t.name === name);
+
+  const handleCreate = () => {
+    const name = normalizeTagName(newName);
+    if (!name) { setCreateError('Name cannot be empty'); return; }
+    if (nameTaken(name)) { setCreateError(`"${name}" already exists`); return; }
+    onCreateTag({ name, color: newColor, ...(newIcon ? { icon: newIcon } : {}) });
+    setNewName('');
+    setNewIcon('');
+    setCreateError(null);
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="manage-tags-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '640px',
+          width: '100%',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>Manage Tags</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Create */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+          <input
+            type="color"
+            value={newColor}
+            onChange={(e) => setNewColor(e.target.value)}
+            title="Tag color"
+            style={{ width: '32px', height: '28px', padding: 0, border: 'none', background: 'transparent' }}
+          />
+          <input
+            type="text"
+            value={newIcon}
+            onChange={(e) => setNewIcon(e.target.value)}
+            placeholder="icon"
+            style={{ ...inputStyle, width: '48px', textAlign: 'center' }}
+          />
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleCreate(); }}
+            placeholder="New tag name"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button onClick={handleCreate} style={buttonStyle('#4caf50')}>Add Tag</button>
+        </div>
+        {createError && <div style={{ color: '#f44336', fontSize: '12px', marginBottom: '6px' }}>{createError}</div>}
+
+        {/* Registry */}
+        {tags.length === 0 ? (
+          <div style={{ color: '#888', fontStyle: 'italic', margin: '20px 0', textAlign: 'center' }}>
+            No tags yet.
+          </div>
+        ) : (
+          tags.map(tag => (
+            <TagRow
+              key={tag.name}
+              tag={tag}
+              usage={usage.get(tag.name)}
+              otherTags={tags.filter(t => t.name !== tag.name)}
+              nameTaken={nameTaken}
+              onUpdateTag={onUpdateTag}
+              onMergeTags={onMergeTags}
+              onDeleteTag={onDeleteTag}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ManageTagsModal;
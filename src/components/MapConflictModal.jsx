@@ -0,0 +1,241 @@
+// src/components/MapConflictModal.jsx
+
+/**
+ * MapConflictModal — Local map vs CDN map, before a CDN load overwrites unsaved local edits
+ *
+ * Responsibilities
+ * - Draw both versions on one canvas: moved nodes get a dashed line from the
+ *   local to the CDN position; local-only / CDN-only / changed nodes are tinted.
+ * - List every differing node, edge and note list with its field changes
+ *   (position, color, size, direction, notes, …) and a Local/CDN choice.
+ * - Resolve as Keep local, Take CDN, or Merge (item by item).
+ *
+ * Props
+ * - conflict — { local, cdn, items } (items from graph/mapConflicts.js compareMaps), or null
+ * - onResolve({ choice: 'local' }) | ({ choice: 'cdn' | 'merge', graph })
+ *
+ * Gotchas
+ * - Closing (✕, Escape, backdrop) keeps the local map; nothing is lost by dismissing.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { mergeMaps } from '../graph/mapConflicts.js';
+import { COLORS } from '../styles/tokens.js';
+
+const STATUS_STYLES = {
+  'local-only': { label: 'Only local', color: '#ff8a80' },
+  'cdn-only': { label: 'Only on CDN', color: '#a5d6a7' },
+  changed: { label: 'Changed', color: '#90caf9' }
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  color: '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '14px',
+  fontWeight: 'bold',
+  cursor: 'pointer'
+};
+
+function formatValue(field, value) {
+  if (value == null) return '—';
+  if (field === 'position') return `(${Math.round(value.x)}, ${Math.round(value.y)})`;
+  if (field === 'notes') return `${value.length} note${value.length === 1 ? '' : 's'}`;
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}…` : text;
+}
+
+function ConflictPreview({ local, cdn, items }) {
+  const status = new Map(items.filter(i => i.kind === 'node').map(i => [i.id, i.status]));
+  const localById = new Map((local.nodes || []).map(n => [n.id, n]));
+  const cdnById = new Map((cdn.nodes || []).map(n => [n.id, n]));
+  const all = [...localById.values(), ...(cdn.nodes || []).filter(n => !localById.has(n.id))];
+  if (all.length === 0) return null;
+
+  const points = [...localById.values(), ...cdnById.values()];
+  const pad = 120;
+  const minX = Math.min(...points.map(n => n.x)) - pad;
+  const minY = Math.min(...points.map(n => n.y)) - pad;
+  const width = Math.max(...points.map(n => n.x)) - minX + pad;
+  const height = Math.max(...points.map(n => n.y)) - minY + pad;
+  const fill = (id) => STATUS_STYLES[status.get(id)]?.color || COLORS.gray.base;
+
+  return (
+    <svg
+      viewBox={`${minX} ${minY} ${width} ${height}`}
+      style={{ width: '100%', height: '200px', background: COLORS.bg, borderRadius: '6px', flexShrink: 0 }}
+      role="img"
+      aria-label="Local and CDN maps overlaid"
+    >
+      {(local.edges || []).map(e => {
+        const s = localById.get(e.source) || cdnById.get(e.source);
+        const t = localById.get(e.target) || cdnById.get(e.target);
+        return s && t ? <line key={`${e.source}__${e.target}`} x1={s.x} y1={s.y} x2={t.x} y2={t.y} stroke={COLORS.edge} strokeWidth={6} /> : null;
+      })}
+      {all.map(n => {
+        const to = cdnById.get(n.id);
+        const moved = localById.has(n.id) && to && (to.x !== n.x || to.y !== n.y);
+        return (
+          <g key={n.id}>
+            {moved && <line x1={n.x} y1={n.y} x2={to.x} y2={to.y} stroke="#90caf9" strokeWidth={6} strokeDasharray="20 12" />}
+            {moved && <circle cx={to.x} cy={to.y} r={40} fill="none" stroke="#90caf9" strokeWidth={8} />}
+            <circle cx={n.x} cy={n.y} r={45} fill={fill(n.id)}>
+              <title>{`${n.title || n.id}${status.has(n.id) ? ` — ${STATUS_STYLES[status.get(n.id)].label}` : ''}`}</title>
+            </circle>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function MapConflictModal({ conflict, onResolve }) {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices({});
+  }, [conflict]);
+
+  // Close (keep local) on Escape key
+  useEffect(() => {
+    if (!conflict) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onResolve({ choice: 'local' });
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [conflict, onResolve]);
+
+  if (!conflict) return null;
+
+  const { local, cdn, items } = conflict;
+  const choose = (key, side) => setChoices(prev => ({ ...prev, [key]: side }));
+  const chooseAll = (side) => setChoices(Object.fromEntries(items.map(i => [i.key, side])));
+  const cdnCount = items.filter(i => choices[i.key] === 'cdn').length;
+  const keepLocal = () => onResolve({ choice: 'local' });
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={keepLocal}
+    >
+      <div
+        data-testid="map-conflict-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '760px',
+          width: '100%',
+          maxHeight: '88vh',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>Local map differs from the CDN</h2>
+          <button
+            onClick={keepLocal}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close (keep local)"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ fontSize: '14px', color: '#ccc' }}>
+          {local.mapName === cdn.mapName
+            ? <>Your saved copy of <strong>{local.mapName}</strong> has {items.length} difference{items.length === 1 ? '' : 's'} from the CDN version.</>
+            : <>Loading <strong>{cdn.mapName || 'the CDN map'}</strong> would replace your unsaved map <strong>{local.mapName || 'untitled'}</strong> ({items.length} difference{items.length === 1 ? '' : 's'}).</>}
+          Keep yours, take the CDN's, or pick per item and merge.
+        </div>
+
+        <ConflictPreview local={local} cdn={cdn} items={items} />
+
+        <div style={{ display: 'flex', gap: '8px', fontSize: '13px', alignItems: 'center' }}>
+          <span style={{ color: '#aaa' }}>Select all:</span>
+          <button onClick={() => chooseAll('local')} style={{ ...buttonStyle, padding: '2px 10px', fontSize: '13px', background: '#555' }}>Local</button>
+          <button onClick={() => chooseAll('cdn')} style={{ ...buttonStyle, padding: '2px 10px', fontSize: '13px', background: '#555' }}>CDN</button>
+        </div>
+
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          {items.map(item => {
+            const side = choices[item.key] === 'cdn' ? 'cdn' : 'local';
+            return (
+              <li key={item.key} style={{ background: '#2a2a2a', borderRadius: '4px', padding: '6px 8px', fontSize: '13px', display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+                <span style={{ color: STATUS_STYLES[item.status].color, fontWeight: 'bold', minWidth: '88px' }}>{STATUS_STYLES[item.status].label}</span>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div>
+                    <span style={{ color: '#888', textTransform: 'capitalize' }}>{item.kind === 'notes' ? 'Notes of' : item.kind}</span>{' '}
+                    <code style={{ color: '#fff' }}>{item.label}</code>
+                  </div>
+                  {item.changes.map(change => (
+                    <div key={change.field} style={{ color: '#aaa' }}>
+                      {change.field === 'position' ? 'moved' : change.field}: {formatValue(change.field, change.local)} → {formatValue(change.field, change.cdn)}
+                    </div>
+                  ))}
+                </div>
+                <div role="radiogroup" aria-label={`Version of ${item.label}`} style={{ display: 'flex', gap: '8px', flexShrink: 0 }}>
+                  {['local', 'cdn'].map(option => (
+                    <label key={option} style={{ cursor: 'pointer' }}>
+                      <input type="radio" name={item.key} checked={side === option} onChange={() => choose(item.key, option)} />
+                      {' '}{option === 'local' ? 'Local' : 'CDN'}
+                    </label>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+          <button onClick={keepLocal} style={{ ...buttonStyle, background: '#555' }}>
+            Keep local
+          </button>
+          <button onClick={() => onResolve({ choice: 'cdn', graph: cdn })} style={{ ...buttonStyle, background: '#009688' }}>
+            Take CDN
+          </button>
+          <button
+            onClick={() => onResolve({ choice: 'merge', graph: mergeMaps(local, cdn, choices) })}
+            disabled={cdnCount === 0 || cdnCount === items.length}
+            title={cdnCount === 0 || cdnCount === items.length ? 'Pick CDN for some items (but not all) to merge' : `Merge: ${cdnCount} item(s) from the CDN, the rest local`}
+            style={{
+              ...buttonStyle,
+              background: cdnCount === 0 || cdnCount === items.length ? '#444' : '#4caf50',
+              cursor: cdnCount === 0 || cdnCount === items.length ? 'not-allowed' : 'pointer'
+            }}
+          >
+            Merge
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MapConflictModal;
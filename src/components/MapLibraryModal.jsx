@@ -0,0 +1,251 @@
+// src/components/MapLibraryModal.jsx
+
+/**
+ * MapLibraryModal — Browse and manage the maps kept in this browser
+ *
+ * Responsibilities
+ * - List library maps (newest first) with search by name / mapName.
+ * - Create, open, duplicate, rename and delete maps.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - library — API from persistence/mapLibrary.js (getMapLibrary())
+ * - onSwitchMap(id) — open another map; the caller reloads the app
+ *
+ * Gotchas
+ * - The working map is saved into the library when the dialog opens, so its
+ *   entry (node count, date) is current and Duplicate copies the latest state.
+ * - Deleting the open map switches to the newest remaining one (or a new blank map).
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { searchMaps } from '../persistence/mapLibrary.js';
+import { getSnapshotStore } from '../persistence/snapshots.js';
+import { printWarn } from '../utils/debug.js';
+
+const buttonStyle = {
+  padding: '4px 10px',
+  color: '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+const inputStyle = { background: '#2a2a2a', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '6px 8px', fontSize: '14px' };
+
+const formatDate = (ms) => (ms ? new Date(ms).toLocaleString() : '');
+
+function MapLibraryModal({ isOpen, onClose, library, onSwitchMap }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setEntries(await library.list());
+  }, [library]);
+
+  // Runs an action, surfacing failures in the dialog instead of throwing
+  const run = useCallback(async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      printWarn('[MapLibraryModal] action failed:', err);
+      setError(err.message || String(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setRenaming(null);
+    run(async () => {
+      await library.ensureActive();
+      await library.saveActive();
+      await refresh();
+    });
+  }, [isOpen, library, refresh, run]);
+
+  // Close modal on Escape key (first cancels an open rename)
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        if (renaming) setRenaming(null);
+        else onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose, renaming]);
+
+  if (!isOpen) return null;
+
+  const activeId = library.getActiveId();
+  const visible = searchMaps(entries, query);
+
+  const handleCreate = () => run(async () => {
+    const entry = await library.create(newName.trim() || 'Untitled map');
+    setNewName('');
+    onSwitchMap(entry.id);
+  });
+
+  const handleRename = () => run(async () => {
+    await library.rename(renaming.id, renaming.name);
+    setRenaming(null);
+    await refresh();
+  });
+
+  const handleDuplicate = (id) => run(async () => {
+    await library.duplicate(id);
+    await refresh();
+  });
+
+  const handleDelete = (entry) => run(async () => {
+    if (!window.confirm(`Delete "${entry.name}" from this browser? This cannot be undone.`)) return;
+    await library.remove(entry.id);
+    await getSnapshotStore().removeAllFor(entry.id);
+    if (entry.id !== activeId) {
+      await refresh();
+      return;
+    }
+    const [next] = await library.list();
+    onSwitchMap((next || await library.create('Untitled map')).id);
+  });
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="map-library-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '640px',
+          width: '100%',
+          maxHeight: '85vh',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>My Maps</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleCreate(); }}
+            placeholder="New map name"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button onClick={handleCreate} style={{ ...buttonStyle, background: '#4caf50', fontWeight: 'bold' }} title="Create a blank map and open it">
+            New map
+          </button>
+        </div>
+
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search maps…"
+          aria-label="Search maps"
+          style={inputStyle}
+        />
+
+        {error && <div style={{ color: '#ff8a80', fontSize: '13px' }}>{error}</div>}
+
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {visible.length === 0 && (
+            <li style={{ color: '#888', fontSize: '14px' }}>{entries.length ? 'No maps match your search.' : 'No maps yet.'}</li>
+          )}
+          {visible.map(entry => {
+            const isActive = entry.id === activeId;
+            const isRenaming = renaming?.id === entry.id;
+            return (
+              <li
+                key={entry.id}
+                style={{ background: '#2a2a2a', borderRadius: '6px', padding: '8px 10px', display: 'flex', alignItems: 'center', gap: '8px', border: isActive ? '1px solid #4fc3f7' : '1px solid transparent' }}
+              >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  {isRenaming ? (
+                    <input
+                      autoFocus
+                      value={renaming.name}
+                      onChange={(e) => setRenaming({ id: entry.id, name: e.target.value })}
+                      onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); }}
+                      aria-label="Map name"
+                      style={{ ...inputStyle, width: '100%', boxSizing: 'border-box' }}
+                    />
+                  ) : (
+                    <div style={{ fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {entry.name}{isActive && <span style={{ color: '#4fc3f7', fontWeight: 'normal' }}> (open)</span>}
+                    </div>
+                  )}
+                  <div style={{ color: '#888', fontSize: '12px' }}>
+                    {entry.mapName} · {entry.nodeCount} node{entry.nodeCount === 1 ? '' : 's'} · {formatDate(entry.updatedAt)}
+                  </div>
+                </div>
+                {isRenaming ? (
+                  <>
+                    <button onClick={handleRename} style={{ ...buttonStyle, background: '#4caf50' }}>Save</button>
+                    <button onClick={() => setRenaming(null)} style={{ ...buttonStyle, background: '#555' }}>Cancel</button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => onSwitchMap(entry.id)}
+                      disabled={isActive}
+                      style={{ ...buttonStyle, background: isActive ? '#444' : '#1976d2', cursor: isActive ? 'default' : 'pointer' }}
+                    >
+                      Open
+                    </button>
+                    <button onClick={() => setRenaming({ id: entry.id, name: entry.name })} style={{ ...buttonStyle, background: '#555' }}>Rename</button>
+                    <button onClick={() => handleDuplicate(entry.id)} style={{ ...buttonStyle, background: '#555' }}>Duplicate</button>
+                    <button onClick={() => handleDelete(entry)} style={{ ...buttonStyle, background: '#af4a4a' }}>Delete</button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default MapLibraryModal;
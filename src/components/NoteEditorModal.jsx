@@ -9,6 +9,11 @@
  *
  * Props
  * - isOpen, onClose(), nodeId, initialText, onSave(text)
+ * - isLocked, onToggleLocked(nodeId, locked) — locked "?" node toggle (nodes only)
+ * - availableTags, assignedTags, onUpdateTags(targetId, targetType, names) — tag picker
+ *
+ * Notes may carry a prerequisite ("Requires" field): the node/edge id the player must
+ * visit before the note shows up in the viewer. See utils/notes.js for the entry shape.
  *
  * Gotchas
  * - Avoid storing heavy editor state globally; keep it local to the modal.
@@ -17,6 +22,17 @@
 import React, { useState, useCallback, useEffect } from "react";
 import { processImageFile, saveImageFiles } from "../utils/imageUtils.js";
 import { printDebug, printError, printWarn } from "../utils/debug.js";
+import { getNoteText, getNoteRequirement, makeNote } from "../utils/notes.js";
+
+const requiresInputStyle = {
+  padding: "4px 8px",
+  background: "#333",
+  color: "#ccc",
+  border: "1px solid #555",
+  borderRadius: "4px",
+  fontSize: "12px",
+  fontFamily: "monospace"
+};
 
 function NoteEditorModal({
   targetId,
@@ -28,12 +44,19 @@ function NoteEditorModal({
   onUpdateNotes,
   onUpdateTitle,
   onUpdateImage, // New prop for updating node image
+  isLocked = false, // node is hidden behind "?" in playing mode
+  onToggleLocked,
+  availableTags = [], // map tag registry [{ name, color, icon? }]
+  assignedTags = [],  // tag names on this node/edge
+  onUpdateTags,
   onClose
 }) {
   const [editingIndex, setEditingIndex] = useState(null);
   const [editingValue, setEditingValue] = useState("");
+  const [editingRequires, setEditingRequires] = useState("");
   const [isAddingNew, setIsAddingNew] = useState(false);
   const [newNoteValue, setNewNoteValue] = useState("");
+  const [newNoteRequires, setNewNoteRequires] = useState("");
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [titleValue, setTitleValue] = useState(currentTitle);
   
@@ -77,23 +100,26 @@ function NoteEditorModal({
 
   const handleStartEdit = useCallback((index) => {
     setEditingIndex(index);
-    setEditingValue(notes[index]);
+    setEditingValue(getNoteText(notes[index]));
+    setEditingRequires(getNoteRequirement(notes[index]) || "");
     setIsAddingNew(false);
   }, [notes]);
 
   const handleSaveEdit = useCallback(() => {
     if (editingValue.trim()) {
       const updatedNotes = [...notes];
-      updatedNotes[editingIndex] = editingValue.trim();
+      updatedNotes[editingIndex] = makeNote(editingValue.trim(), editingRequires);
       onUpdateNotes(targetId, updatedNotes);
     }
     setEditingIndex(null);
     setEditingValue("");
-  }, [editingIndex, editingValue, notes, targetId, onUpdateNotes]);
+    setEditingRequires("");
+  }, [editingIndex, editingValue, editingRequires, notes, targetId, onUpdateNotes]);
 
   const handleCancelEdit = useCallback(() => {
     setEditingIndex(null);
     setEditingValue("");
+    setEditingRequires("");
   }, []);
 
   const handleRemoveNote = useCallback((index) => {
@@ -104,21 +130,24 @@ function NoteEditorModal({
   const handleStartAddNew = useCallback(() => {
     setIsAddingNew(true);
     setNewNoteValue("");
+    setNewNoteRequires("");
     setEditingIndex(null);
   }, []);
 
   const handleSaveNew = useCallback(() => {
     if (newNoteValue.trim()) {
-      const updatedNotes = [...notes, newNoteValue.trim()];
+      const updatedNotes = [...notes, makeNote(newNoteValue.trim(), newNoteRequires)];
       onUpdateNotes(targetId, updatedNotes);
     }
     setIsAddingNew(false);
     setNewNoteValue("");
-  }, [newNoteValue, notes, targetId, onUpdateNotes]);
+    setNewNoteRequires("");
+  }, [newNoteValue, newNoteRequires, notes, targetId, onUpdateNotes]);
 
   const handleCancelNew = useCallback(() => {
     setIsAddingNew(false);
     setNewNoteValue("");
+    setNewNoteRequires("");
   }, []);
 
   const handleStartEditTitle = useCallback(() => {
@@ -329,6 +358,21 @@ function NoteEditorModal({
           )}
         </div>
         <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          {/* Locked "?" toggle - Only for nodes */}
+          {targetType === 'node' && onToggleLocked && (
+            <label
+              style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#ccc', fontSize: '13px', cursor: 'pointer' }}
+              title='Hide this node behind a "?" in playing mode until a connected node or edge is visited'
+            >
+              <input
+                type="checkbox"
+                checked={isLocked}
+                onChange={(e) => onToggleLocked(targetId, e.target.checked)}
+              />
+              Locked
+            </label>
+          )}
+
           {/* Image Import Button - Only for nodes */}
           {targetType === 'node' && (
             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '5px' }}>
@@ -397,6 +441,36 @@ function NoteEditorModal({
         </div>
       </div>
 
+      {/* Tag picker: click a registry tag to toggle it on this node/edge */}
+      {onUpdateTags && availableTags.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", padding: "10px 20px", borderBottom: "1px solid #444" }}>
+          {availableTags.map(tag => {
+            const active = assignedTags.includes(tag.name);
+            return (
+              <button
+                key={tag.name}
+                onClick={() => onUpdateTags(targetId, targetType, active
+                  ? assignedTags.filter(n => n !== tag.name)
+                  : [...assignedTags, tag.name])}
+                style={{
+                  background: active ? tag.color : "transparent",
+                  color: "#fff",
+                  border: `1px solid ${tag.color}`,
+                  borderRadius: "12px",
+                  padding: "2px 10px",
+                  cursor: "pointer",
+                  fontSize: "12px",
+                  opacity: active ? 1 : 0.7
+                }}
+                title={active ? `Remove tag "${tag.name}"` : `Add tag "${tag.name}"`}
+              >
+                {tag.icon ? `${tag.icon} ` : ""}{tag.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       {/* Error display for image import */}
       {imageImportError && (
         <div style={{
@@ -467,6 +541,14 @@ function NoteEditorModal({
                   placeholder="Enter your note..."
                   autoFocus
                 />
+                <input
+                  type="text"
+                  value={editingRequires}
+                  onChange={(e) => setEditingRequires(e.target.value)}
+                  style={requiresInputStyle}
+                  placeholder="Requires (optional node/edge id to visit first)"
+                  title="Hide this note in playing mode until the given node or edge has been visited"
+                />
                 <div style={{ display: "flex", gap: "8px" }}>
                   <button
                     onClick={handleSaveEdit}
@@ -506,7 +588,12 @@ function NoteEditorModal({
                   whiteSpace: "pre-wrap",
                   wordBreak: "break-word"
                 }}>
-                  {note}
+                  {getNoteText(note)}
+                  {getNoteRequirement(note) && (
+                    <div style={{ color: "#888", fontSize: "11px", marginTop: "4px" }}>
+                      🔒 requires {getNoteRequirement(note)}
+                    </div>
+                  )}
                 </div>
                 <div style={{ display: "flex", flexDirection: "row", gap: "4px" }}>
                   <button
@@ -580,6 +667,14 @@ function NoteEditorModal({
                 placeholder="Enter your new note..."
                 autoFocus
               />
+              <input
+                type="text"
+                value={newNoteRequires}
+                onChange={(e) => setNewNoteRequires(e.target.value)}
+                style={requiresInputStyle}
+                placeholder="Requires (optional node/edge id to visit first)"
+                title="Hide this note in playing mode until the given node or edge has been visited"
+              />
               <div style={{ display: "flex", gap: "8px" }}>
                 <button
                   onClick={handleSaveNew}
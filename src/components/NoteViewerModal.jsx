@@ -6,8 +6,13 @@
  * Responsibilities
  * - Displays a node’s rendered note(s) for viewing mode.
  *
+ * - Shows a "more to explore" hint while some notes are still locked behind
+ *   prerequisites (see utils/notes.js); the hint goes away once all are found.
+ *
  * Props
  * - isOpen, onClose(), nodeId, text
+ * - hiddenCount: number of notes not yet revealed
+ * - narration: guided-tour narration for this step, shown above the notes
  */
 
 import React, { useEffect } from "react";
@@ -21,7 +26,9 @@ function NoteViewerModal({
   notes,            // array of strings
   onClose,
   isUnseenAtOpen,   // boolean
-  typewriterReady   // boolean
+  typewriterReady,  // boolean
+  hiddenCount = 0,  // notes still locked behind a prerequisite
+  narration = ''    // guided-tour step narration (see graph/tours.js)
 }) {
   // console.log('🎭 [NoteViewerModal] Rendered with props:', {
   //   targetId,
@@ -92,7 +99,22 @@ function NoteViewerModal({
       }}
         className="hide-scrollbar"
       >
-        {notes.length === 0 ? (
+        {narration && (
+          <div
+            data-testid="note-viewer-narration"
+            style={{
+              borderLeft: `3px solid ${BLUE_OUTLINE_COLOR}`,
+              padding: "4px 10px",
+              marginBottom: "12px",
+              fontStyle: "italic",
+              whiteSpace: "pre-wrap",
+              fontSize: "14px"
+            }}
+          >
+            {narration}
+          </div>
+        )}
+        {notes.length === 0 ? (hiddenCount > 0 ? null : (
           <div style={{
             textAlign: "center",
             color: "#888",
@@ -102,7 +124,7 @@ function NoteViewerModal({
           }}>
             No notes for this item.
           </div>
-        ) : (
+        )) : (
           <ul style={{
             listStyleType: "disc",
             paddingLeft: "20px",
@@ -124,6 +146,20 @@ function NoteViewerModal({
             ))}
           </ul>
         )}
+        {hiddenCount > 0 && (
+          <div
+            data-testid="note-viewer-more-indicator"
+            title={`${hiddenCount} more note${hiddenCount === 1 ? '' : 's'} to discover`}
+            style={{
+              color: BLUE_OUTLINE_COLOR,
+              fontStyle: "italic",
+              fontSize: "14px",
+              margin: "10px 0 0 20px"
+            }}
+          >
+            There&apos;s more to explore here.
+          </div>
+        )}
       </div>
     </div>
     </div>
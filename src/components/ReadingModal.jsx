@@ -1,9 +1,57 @@
 // src/components/ReadingModal.jsx
-import React, { useEffect } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { getDefaultPlaceholderSvg } from '../utils/imageLoader.js';
 import { TEST_ICON_SVG } from '../constants/testAssets.js';
+import { getGuideEntries } from '../utils/fieldGuide.js';
+import { renderExportPng } from '../utils/imageExport.js';
+import { printWarn } from '../utils/debug.js';
+import FieldGuidePrint from './FieldGuidePrint.jsx';
+
+const PRINTING_CLASS = 'printing-field-guide';
+
+// `visited` (optional): when given, notes still locked behind a prerequisite are left out
+function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, visited = null, cdnBaseUrl = '', mapName = '', getCy = null }) {
+  // Field guide print job: the booklet is mounted only while preparing/printing
+  const [printJob, setPrintJob] = useState(null); // { overviewUrl } | null
+  const [preparingPrint, setPreparingPrint] = useState(false);
+  const overviewUrlRef = useRef(null);
+
+  const finishPrint = useCallback(() => {
+    document.body.classList.remove(PRINTING_CLASS);
+    if (overviewUrlRef.current) URL.revokeObjectURL(overviewUrlRef.current);
+    overviewUrlRef.current = null;
+    setPrintJob(null);
+  }, []);
+
+  const handlePrintFieldGuide = async () => {
+    setPreparingPrint(true);
+    let overviewUrl = null;
+    const cy = getCy?.();
+    if (cy && !cy.destroyed()) {
+      try {
+        overviewUrl = URL.createObjectURL(await renderExportPng(cy, { full: true, scale: 1 }));
+      } catch (err) {
+        // e.g. a cross-origin background image; the guide is still useful without the overview
+        printWarn('Field guide: overview map skipped:', err);
+      }
+    }
+    overviewUrlRef.current = overviewUrl;
+    setPreparingPrint(false);
+    setPrintJob({ overviewUrl });
+  };
+
+  // Images are in: swap the app out for the booklet and open the print dialog
+  const handleGuideReady = useCallback(() => {
+    document.body.classList.add(PRINTING_CLASS);
+    window.addEventListener('afterprint', finishPrint, { once: true });
+    window.print();
+  }, [finishPrint]);
+
+  useEffect(() => () => {
+    window.removeEventListener('afterprint', finishPrint);
+    document.body.classList.remove(PRINTING_CLASS);
+  }, [finishPrint]);
 
-function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = '', mapName = '', getCy = null }) {
   // Close modal on Escape key
   useEffect(() => {
     if (!isOpen) return;
@@ -20,28 +68,8 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
 
   if (!isOpen) return null;
 
-  // Filter nodes that have notes
-  const nodesWithNotes = nodes.filter(node => {
-    const nodeNotes = notes[node.id];
-    if (Array.isArray(nodeNotes)) {
-      return nodeNotes.some(note => note && note.trim().length > 0);
-    }
-    return nodeNotes && nodeNotes.trim().length > 0;
-  }).sort((a, b) => {
-    // Sort alphabetically by title (case-insensitive)
-    const titleA = (a.title || a.id).toLowerCase();
-    const titleB = (b.title || b.id).toLowerCase();
-    return titleA.localeCompare(titleB);
-  });
-
-  // Helper to get note text
-  const getNodeNoteText = (nodeId) => {
-    const nodeNotes = notes[nodeId];
-    if (Array.isArray(nodeNotes)) {
-      return nodeNotes.join('\n\n');
-    }
-    return nodeNotes || '';
-  };
+  // Nodes that have readable notes, sorted alphabetically by title (utils/fieldGuide.js)
+  const entries = getGuideEntries(nodes, notes, visited);
 
   // Helper to get image URL with placeholder fallback (matches cyAdapter logic)
   const getImageUrl = (node) => {
@@ -164,25 +192,43 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
           <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '24px' }}>
             📖 Reading View
           </h2>
-          <button
-            onClick={onClose}
-            style={{
-              background: 'transparent',
-              border: 'none',
-              color: '#fff',
-              fontSize: '24px',
-              cursor: 'pointer',
-              padding: '0',
-              width: '30px',
-              height: '30px',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center'
-            }}
-            title="Close Reading View"
-          >
-            ✕
-          </button>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <button
+              onClick={handlePrintFieldGuide}
+              disabled={entries.length === 0 || preparingPrint || !!printJob}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: entries.length === 0 ? '#555' : '#4caf50',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: entries.length === 0 ? 'not-allowed' : 'pointer',
+                fontSize: '14px'
+              }}
+              title="Print or save as PDF: a booklet with contents, overview map and every entry"
+            >
+              {preparingPrint ? 'Preparing…' : '🖨️ Field Guide'}
+            </button>
+            <button
+              onClick={onClose}
+              style={{
+                background: 'transparent',
+                border: 'none',
+                color: '#fff',
+                fontSize: '24px',
+                cursor: 'pointer',
+                padding: '0',
+                width: '30px',
+                height: '30px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center'
+              }}
+              title="Close Reading View"
+            >
+              ✕
+            </button>
+          </div>
         </div>
 
         {/* Map info */}
@@ -194,11 +240,11 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
           border: '1px solid rgba(79, 195, 247, 0.3)',
           fontSize: '14px'
         }}>
-          <strong>Map:</strong> {mapName || 'Unnamed Map'} • <strong>{nodesWithNotes.length}</strong> {nodesWithNotes.length === 1 ? 'entry' : 'entries'} with notes
+          <strong>Map:</strong> {mapName || 'Unnamed Map'} • <strong>{entries.length}</strong> {entries.length === 1 ? 'entry' : 'entries'} with notes
         </div>
 
         {/* Node list */}
-        {nodesWithNotes.length === 0 ? (
+        {entries.length === 0 ? (
           <div style={{ 
             textAlign: 'center', 
             padding: '40px 20px',
@@ -209,8 +255,7 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
           </div>
         ) : (
           <div style={{ display: 'flex', flexDirection: 'column', gap: '30px' }}>
-            {nodesWithNotes.map((node, index) => {
-              const noteText = getNodeNoteText(node.id);
+            {entries.map(({ node, texts }, index) => {
               const imageUrl = getImageUrl(node);
               
               return (
@@ -269,7 +314,7 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
                         color: '#888',
                         marginBottom: '5px'
                       }}>
-                        Entry {index + 1} of {nodesWithNotes.length}
+                        Entry {index + 1} of {entries.length}
                       </div>
                       <h3 style={{ 
                         margin: 0, 
@@ -293,25 +338,15 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
                       paddingLeft: '20px',
                       margin: 0
                     }}>
-                      {Array.isArray(notes[node.id]) ? (
-                        notes[node.id].map((note, noteIndex) => (
-                          <li key={noteIndex} style={{
-                            marginBottom: '10px',
-                            whiteSpace: 'pre-wrap',
-                            wordBreak: 'break-word'
-                          }}>
-                            {note}
-                          </li>
-                        ))
-                      ) : (
-                        <li style={{
+                      {texts.map((note, noteIndex) => (
+                        <li key={noteIndex} style={{
                           marginBottom: '10px',
                           whiteSpace: 'pre-wrap',
                           wordBreak: 'break-word'
                         }}>
-                          {noteText}
+                          {note}
                         </li>
-                      )}
+                      ))}
                     </ul>
                   </div>
                 </div>
@@ -344,6 +379,16 @@ function ReadingModal({ isOpen, onClose, nodes = [], notes = {}, cdnBaseUrl = ''
           </button>
         </div>
       </div>
+
+      {printJob && (
+        <FieldGuidePrint
+          entries={entries}
+          mapName={mapName}
+          overviewUrl={printJob.overviewUrl}
+          getImageUrl={getImageUrl}
+          onReady={handleGuideReady}
+        />
+      )}
     </div>
   );
 }
@@ -7,21 +7,25 @@
  * - Compose a minimal sharable representation of the current map:
  *   - URL query params (for small maps) or copyable JSON blob (for large).
  * - Optionally include background image metadata when `bgImage.included`.
+ * - Carry the active attribute filter as `&filter=` so links open pre-filtered.
  *
  * Props
  * - isOpen, onClose, map data, onCopyUrl(), onCopyJson()
+ * - filter: current Filter panel state (graph/filters.js)
  *
  * Gotchas
  * - Beware URL length limits; fall back to JSON when too long.
  */
 
 import React, { useState, useCallback } from 'react';
+import { encodeFilter } from '../graph/filters.js';
 
 function ShareModal({ 
   isOpen, 
   onClose, 
   mapName, 
-  cdnBaseUrl 
+  cdnBaseUrl,
+  filter = null
 }) {
   const [copyStatus, setCopyStatus] = useState('');
 
@@ -31,11 +35,15 @@ function ShareModal({
   // Construct the full CDN JSON URL
   const cdnJsonUrl = cdnBaseUrl ? `${cdnBaseUrl.replace(/\/$/, '')}/${jsonFileName}` : '';
   
+  // Active filter rides along so the link opens the same filtered view
+  const encodedFilter = encodeFilter(filter);
+  const filterParam = encodedFilter ? `&filter=${encodeURIComponent(encodedFilter)}` : '';
+
   // Construct the shareable app URL (read-only)
-  const shareUrl = cdnJsonUrl ? `${window.location.origin}${window.location.pathname}?map=${encodeURIComponent(cdnJsonUrl)}` : '';
+  const shareUrl = cdnJsonUrl ? `${window.location.origin}${window.location.pathname}?map=${encodeURIComponent(cdnJsonUrl)}${filterParam}` : '';
 
   // Construct the shareable app URL (editing mode)
-  const shareUrlEditing = cdnJsonUrl ? `${window.location.origin}${window.location.pathname}?map=${encodeURIComponent(cdnJsonUrl)}&canedit=true` : '';
+  const shareUrlEditing = cdnJsonUrl ? `${window.location.origin}${window.location.pathname}?map=${encodeURIComponent(cdnJsonUrl)}&canedit=true${filterParam}` : '';
 
   const handleCopyUrl = useCallback(async () => {
     try {
@@ -161,7 +169,7 @@ function ShareModal({
                 Step 2: Share the Link
               </h3>
               <p style={{ margin: '0 0 8px 0', color: '#ccc' }}>
-                Send this URL to share your map in read-only mode:
+                Send this URL to share your map in read-only mode{encodedFilter ? ' (with the current filter applied)' : ''}:
               </p>
               <div style={{ 
                 background: '#333', 
@@ -0,0 +1,110 @@
+// src/components/TimelineControls.jsx
+
+/**
+ * TimelineControls — Replay how the map was discovered
+ *
+ * Responsibilities
+ * - Collapsed: a "Replay" button in the top-right dock.
+ * - Expanded: order (visit order / map order), Play / Pause, speed, progress and Stop.
+ *
+ * Props
+ * - isActive, isPlaying, revealed, total
+ * - order, onOrderChange(order), speed, onSpeedChange(speed)
+ * - onPlay(), onPause(), onStop()
+ *
+ * Gotchas
+ * - Reveal + animation live in hooks/useTimelineReplay.js; this is view only.
+ * - Changing the order applies on the next Play from the start.
+ */
+
+import React, { useState } from 'react';
+import { HamburgerIcon } from './HamburgerIcon';
+import { TIMELINE_SPEEDS } from '../anim/timelineRunner.js';
+
+const buttonStyle = (enabled, background = '#2196f3') => ({
+  padding: '6px 12px',
+  background: enabled ? background : '#555',
+  color: enabled ? '#fff' : '#999',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontSize: '13px'
+});
+
+const selectStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '3px 6px',
+  fontSize: '12px'
+};
+
+function TimelineControls({
+  isActive = false, isPlaying = false, revealed = 0, total = 0,
+  order = 'visited', onOrderChange, speed = 1, onSpeedChange,
+  onPlay, onPause, onStop
+}) {
+  const [collapsed, setCollapsed] = useState(true);
+
+  if (collapsed) {
+    return (
+      <div>
+        <button
+          onClick={() => setCollapsed(false)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: isActive ? 'rgba(33,150,243,0.55)' : 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
+          aria-label="Open discovery replay"
+          title="Replay the order this map was discovered in"
+        >
+          <HamburgerIcon />
+          <span>Replay{isActive ? ` (${revealed}/${total})` : ''}</span>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      data-testid="timeline-controls"
+      style={{ display: 'flex', flexDirection: 'column', gap: '6px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px', color: '#fff', minWidth: '220px' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 'bold' }}>Replay</span>
+        <button
+          onClick={() => setCollapsed(true)}
+          style={{ padding: '4px 8px', background: 'rgba(0,0,0,0.55)', color: '#fff', border: '1px solid #444', borderRadius: '4px', cursor: 'pointer', fontSize: '16px', lineHeight: 1 }}
+          aria-label="Collapse discovery replay"
+          title="Collapse discovery replay"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <select value={order} onChange={(e) => onOrderChange(e.target.value)} style={selectStyle} title="Reveal order" disabled={isActive}>
+          <option value="visited">Visit order</option>
+          <option value="map">Map order</option>
+        </select>
+        <select value={speed} onChange={(e) => onSpeedChange(Number(e.target.value))} style={selectStyle} title="Playback speed">
+          {TIMELINE_SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        {isPlaying
+          ? <button onClick={onPause} style={buttonStyle(true)}>⏸ Pause</button>
+          : <button onClick={onPlay} style={buttonStyle(true, '#4caf50')}>▶ Play</button>}
+        <button onClick={onStop} disabled={!isActive} style={buttonStyle(isActive, '#f44336')} title="Stop and show the whole map">⏹ Stop</button>
+        {isActive && <span style={{ color: '#aaa', fontSize: '13px' }}>{revealed} / {total}</span>}
+      </div>
+
+      {isActive && total === 0 && (
+        <div style={{ color: '#888', fontSize: '12px', fontStyle: 'italic' }}>
+          Nothing to replay yet — visit some nodes first, or use map order.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TimelineControls;
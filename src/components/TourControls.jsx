@@ -0,0 +1,114 @@
+// src/components/TourControls.jsx
+
+/**
+ * TourControls — Play guided tours (playing mode)
+ *
+ * Responsibilities
+ * - No tour running: a "Tours" button in the top-right dock that lists the
+ *   map's tours with Start / Resume.
+ * - Tour running: a bar pinned top-center with the tour name, step counter,
+ *   Previous / Next and Exit.
+ *
+ * Props
+ * - tours, progress: { [tourId]: saved position among the playable steps }, getStepCount(tour)
+ * - activeTour, stepIndex, stepCount
+ * - onStartTour(id), onPrevStep(), onNextStep(), onExitTour()
+ *
+ * Gotchas
+ * - Camera flights + opening NoteViewerModal happen in useTourPlayer; this is view only.
+ */
+
+import React, { useState } from 'react';
+import { HamburgerIcon } from './HamburgerIcon';
+
+const barButtonStyle = (enabled, background = '#2196f3') => ({
+  padding: '6px 12px',
+  background: enabled ? background : '#555',
+  color: enabled ? '#fff' : '#999',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontSize: '13px'
+});
+
+function TourControls({
+  tours = [], progress = {}, getStepCount,
+  activeTour, stepIndex = 0, stepCount = 0,
+  onStartTour, onPrevStep, onNextStep, onExitTour
+}) {
+  const [collapsed, setCollapsed] = useState(true);
+
+  if (activeTour) {
+    const isLast = stepIndex >= stepCount - 1;
+    return (
+      <div
+        data-testid="tour-controls-bar"
+        style={{ position: 'fixed', top: '10px', left: '50%', transform: 'translateX(-50%)', zIndex: 1003, display: 'flex', alignItems: 'center', gap: '8px', background: 'rgba(0,0,0,0.8)', border: '1px solid #5878b6', borderRadius: '6px', padding: '8px 12px', color: '#fff' }}
+      >
+        <span style={{ fontWeight: 'bold' }}>🧭 {activeTour.name}</span>
+        <span style={{ color: '#aaa', fontSize: '13px' }}>Step {stepIndex + 1} / {stepCount}</span>
+        <button onClick={onPrevStep} disabled={stepIndex === 0} style={barButtonStyle(stepIndex > 0)}>◀ Previous</button>
+        {isLast
+          ? <button onClick={onExitTour} style={barButtonStyle(true, '#4caf50')}>Finish</button>
+          : <button onClick={onNextStep} style={barButtonStyle(true)}>Next ▶</button>}
+        <button onClick={onExitTour} style={barButtonStyle(true, '#f44336')} title="Exit tour">✕</button>
+      </div>
+    );
+  }
+
+  if (tours.length === 0) return null;
+
+  if (collapsed) {
+    return (
+      <div>
+        <button
+          onClick={() => setCollapsed(false)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '8px 12px', background: 'rgba(0,0,0,0.55)', border: '1px solid #444', borderRadius: '6px', cursor: 'pointer', color: '#fff', fontWeight: 'bold' }}
+          aria-label="Open guided tours"
+          title="Guided tours"
+        >
+          <HamburgerIcon />
+          <span>Tours</span>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      data-testid="tour-picker"
+      style={{ display: 'flex', flexDirection: 'column', gap: '6px', background: 'rgba(0,0,0,0.55)', padding: '10px', borderRadius: '6px', color: '#fff', minWidth: '200px' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 'bold' }}>Tours</span>
+        <button
+          onClick={() => setCollapsed(true)}
+          style={{ padding: '4px 8px', background: 'rgba(0,0,0,0.55)', color: '#fff', border: '1px solid #444', borderRadius: '4px', cursor: 'pointer', fontSize: '16px', lineHeight: 1 }}
+          aria-label="Collapse guided tours"
+          title="Collapse guided tours"
+        >
+          ✕
+        </button>
+      </div>
+      {tours.map(tour => {
+        const count = getStepCount(tour);
+        const saved = progress[tour.id];
+        const canResume = saved > 0 && saved < count - 1;
+        return (
+          <div key={tour.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+            <span style={{ flex: 1 }}>{tour.name} <span style={{ color: '#aaa' }}>({count})</span></span>
+            <button
+              onClick={() => { setCollapsed(true); onStartTour(tour.id); }}
+              disabled={count === 0}
+              style={barButtonStyle(count > 0, '#4caf50')}
+            >
+              {canResume ? `Resume (${saved + 1})` : 'Start'}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default TourControls;
@@ -0,0 +1,242 @@
+// src/components/ToursModal.jsx
+
+/**
+ * ToursModal — Author guided tours (editing mode)
+ *
+ * Responsibilities
+ * - Create, rename and delete tours.
+ * - Build a tour's ordered steps from the current node/edge selection, reorder
+ *   and remove steps, and write optional narration per step.
+ *
+ * Props
+ * - isOpen, onClose()
+ * - tours, nodes, edges, selectedNodeIds, selectedEdgeIds
+ * - onCreateTour(name), onRenameTour(id, name), onDeleteTour(id)
+ * - onAddTourSteps(id, targetIds), onRemoveTourStep(id, index),
+ *   onMoveTourStep(id, index, delta), onUpdateTourNarration(id, index, text)
+ *
+ * Gotchas
+ * - Data rules live in graph/tours.js; this modal only collects intent.
+ * - Steps whose node/edge was deleted are shown as missing; players skip them.
+ */
+
+import React, { useEffect, useState } from 'react';
+
+const inputStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '4px 8px',
+  fontSize: '14px'
+};
+
+const buttonStyle = (background, disabled = false) => ({
+  background: disabled ? '#555' : background,
+  color: disabled ? '#999' : '#fff',
+  border: 'none',
+  borderRadius: '4px',
+  padding: '4px 10px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '13px'
+});
+
+function describeTarget(targetId, nodes, edges) {
+  const node = nodes.find(n => n.id === targetId);
+  if (node) return `📍 ${node.title || node.id}`;
+  const edge = edges.find(e => e.id === targetId);
+  if (edge) {
+    const title = (id) => nodes.find(n => n.id === id)?.title || id;
+    return `↔ ${title(edge.source)} → ${title(edge.target)}`;
+  }
+  return `⚠️ missing "${targetId}"`;
+}
+
+function TourNameInput({ tour, onRenameTour }) {
+  const [value, setValue] = useState(tour.name);
+  useEffect(() => { setValue(tour.name); }, [tour.name]);
+
+  const commit = () => {
+    if (!value.trim()) { setValue(tour.name); return; }
+    if (value !== tour.name) onRenameTour(tour.id, value.trim());
+  };
+
+  return (
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') { e.stopPropagation(); setValue(tour.name); }
+      }}
+      title="Rename tour"
+      style={{ ...inputStyle, flex: 1 }}
+    />
+  );
+}
+
+function ToursModal({
+  isOpen, onClose,
+  tours = [], nodes = [], edges = [], selectedNodeIds = [], selectedEdgeIds = [],
+  onCreateTour, onRenameTour, onDeleteTour,
+  onAddTourSteps, onRemoveTourStep, onMoveTourStep, onUpdateTourNarration
+}) {
+  const [activeTourId, setActiveTourId] = useState(null);
+  const [newName, setNewName] = useState('');
+
+  // Close modal on Escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const tour = tours.find(t => t.id === activeTourId) || tours[0] || null;
+  const selection = [...selectedNodeIds, ...selectedEdgeIds];
+
+  const handleCreate = () => {
+    if (!newName.trim()) return;
+    onCreateTour(newName.trim());
+    setNewName('');
+  };
+
+  const handleDelete = () => {
+    if (!tour) return;
+    if (tour.steps.length > 0 && !window.confirm(`Delete tour "${tour.name}" and its ${tour.steps.length} step(s)?`)) return;
+    onDeleteTour(tour.id);
+    setActiveTourId(null);
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        data-testid="tours-modal"
+        style={{
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          padding: '24px',
+          borderRadius: '12px',
+          maxWidth: '680px',
+          width: '100%',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          border: '2px solid #444',
+          fontFamily: 'system-ui, -apple-system, sans-serif'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{ margin: 0, color: '#4fc3f7', fontSize: '22px' }}>Guided Tours</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: '24px', cursor: 'pointer' }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Create */}
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleCreate(); }}
+            placeholder="New tour name"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button onClick={handleCreate} style={buttonStyle('#4caf50', !newName.trim())} disabled={!newName.trim()}>Add Tour</button>
+        </div>
+
+        {tours.length === 0 ? (
+          <div style={{ color: '#888', fontStyle: 'italic', margin: '20px 0', textAlign: 'center' }}>
+            No tours yet.
+          </div>
+        ) : (
+          <>
+            {/* Tour picker + rename/delete */}
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px' }}>
+              <select
+                value={tour?.id || ''}
+                onChange={(e) => setActiveTourId(e.target.value)}
+                style={inputStyle}
+                title="Tour to edit"
+              >
+                {tours.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+              {tour && <TourNameInput key={tour.id} tour={tour} onRenameTour={onRenameTour} />}
+              <button onClick={handleDelete} style={buttonStyle('#f44336')} title="Delete tour">Delete</button>
+            </div>
+
+            {/* Steps */}
+            {tour && (
+              <div data-testid={`tour-steps-${tour.id}`}>
+                {tour.steps.length === 0 && (
+                  <div style={{ color: '#888', fontStyle: 'italic', margin: '12px 0' }}>
+                    No steps yet — select nodes or edges on the map, then add them below.
+                  </div>
+                )}
+                {tour.steps.map((step, index) => (
+                  <div key={`${index}-${step.target}`} style={{ borderBottom: '1px solid #333', padding: '8px 0' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <span style={{ color: '#aaa', minWidth: '24px' }}>{index + 1}.</span>
+                      <span style={{ flex: 1 }}>{describeTarget(step.target, nodes, edges)}</span>
+                      <button onClick={() => onMoveTourStep(tour.id, index, -1)} disabled={index === 0} style={buttonStyle('#607d8b', index === 0)} title="Move up">↑</button>
+                      <button onClick={() => onMoveTourStep(tour.id, index, 1)} disabled={index === tour.steps.length - 1} style={buttonStyle('#607d8b', index === tour.steps.length - 1)} title="Move down">↓</button>
+                      <button onClick={() => onRemoveTourStep(tour.id, index)} style={buttonStyle('#f44336')} title="Remove step">✕</button>
+                    </div>
+                    <textarea
+                      value={step.narration || ''}
+                      onChange={(e) => onUpdateTourNarration(tour.id, index, e.target.value)}
+                      placeholder="Narration (optional)"
+                      rows={2}
+                      style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginTop: '6px', resize: 'vertical', fontFamily: 'inherit' }}
+                    />
+                  </div>
+                ))}
+                <button
+                  onClick={() => onAddTourSteps(tour.id, selection)}
+                  disabled={selection.length === 0}
+                  style={{ ...buttonStyle('#2196f3', selection.length === 0), marginTop: '12px' }}
+                  title="Append the selected nodes (in selection order) and edges as steps"
+                >
+                  + Add selection ({selection.length})
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ToursModal;
@@ -9,6 +9,7 @@
  *
  * Props
  * - mode, onModeChange, onOpenShareModal, onOpenImport, onOpenDebug, etc.
+ * - onOpenMapLibrary (optional; the Maps button is hidden without it)
  */
 
 import React from 'react';
@@ -35,7 +36,9 @@ function UniversalControls({
   onToggleBgImageVisible,
   onClearVisited,
   onOpenHelpModal,
-  onOpenReadingModal
+  onOpenReadingModal,
+  onOpenExportImageModal,
+  onOpenMapLibrary
 }) {
 
   const { open } = useSearchUI();
@@ -82,7 +85,8 @@ function UniversalControls({
       <input
         ref={fileInputRef}
         type="file"
-        accept=".json"
+        accept=".json,.zip,.xml,.graphml,.gexf,.dot,.gv"
+        multiple
         onChange={onImportFile}
         style={{ display: 'none' }}
       />
@@ -144,10 +148,26 @@ function UniversalControls({
       <button
         style={{ padding: '6px 10px', background: '#1976d2', color: '#fff', border: '1px solid #0d47a1', cursor: 'pointer' }}
         onClick={() => fileInputRef.current?.click()}
-        title="Load Map JSON"
+        title="Load Map JSON, map package (.zip), GraphML, GEXF or DOT (or Outer Wilds ship log XML files)"
       >
         Load JSON
       </button>
+      {onOpenMapLibrary && (
+        <button
+          style={{ padding: '6px 10px', background: '#3949ab', color: '#fff', border: '1px solid #283593', cursor: 'pointer' }}
+          onClick={onOpenMapLibrary}
+          title="Switch between, create and manage maps saved in this browser"
+        >
+          Maps
+        </button>
+      )}
+      <button
+        style={{ padding: '6px 10px', background: '#5c6bc0', color: '#fff', border: '1px solid #3949ab', cursor: 'pointer' }}
+        onClick={onOpenExportImageModal}
+        title="Export map as PNG or SVG image"
+      >
+        Image
+      </button>
       {/* Load CDN button, only if cdnBaseUrl is set and not empty */}
       {cdnBaseUrl && cdnBaseUrl.trim() !== '' && (
         <button
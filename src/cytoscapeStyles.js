@@ -386,6 +386,58 @@ const badgeRules = [
   ...unseenBadgeRules
 ];
 
+// Locked ("?") nodes: playing mode hides title + image; editing mode only hints with a dashed border.
+// Listed after size rules so the larger font-size wins.
+const lockRules = [
+  {
+    selector: 'node.entry[?locked]',
+    style: {
+      'background-image': 'none',
+      'font-size': 48,
+      'text-margin-y': 0
+    }
+  },
+  {
+    selector: 'node.entry[?lockable]',
+    style: { 'border-style': 'dashed' }
+  }
+];
+
+// Nodes pinned against automatic layouts (graph/layouts.js); the data flag is only set while editing
+const pinnedRule = {
+  selector: 'node.entry[?pinned]',
+  style: {
+    'underlay-color': '#ffd54f',
+    'underlay-padding': 8,
+    'underlay-opacity': 0.35
+  }
+};
+
+// Tag layers switched off in the Layers panel (see graph/layers.js). Last so it beats every display rule.
+const layerHiddenRule = {
+  selector: '.layer-hidden',
+  style: { 'display': 'none' }
+};
+
+// Elements a discovery replay hasn't revealed yet (hooks/useTimelineReplay.js)
+const timelinePendingRule = {
+  selector: '.timeline-pending',
+  style: { 'display': 'none' }
+};
+
+// Elements not matching the Filter panel (see graph/filters.js).
+// Dim only top-level elements: compound children (entry, node note badge) inherit the parent's opacity.
+const filterRules = [
+  {
+    selector: 'node.entry-parent.filter-dimmed, edge.filter-dimmed, node.unseen.filter-dimmed, node.edge-note-count.filter-dimmed, node.edge-unseen.filter-dimmed',
+    style: { 'opacity': 0.2 }
+  },
+  {
+    selector: '.filter-hidden',
+    style: { 'display': 'none' }
+  }
+];
+
 // Background image node - giant locked node that renders behind everything
 const backgroundImageNodeRule = {
   selector: 'node.background-image-node',
@@ -421,7 +473,12 @@ const cytoscapeStyles = [
   ...parentSizeRules,
   ...animationRules,
   ...badgeRules,
-  entryChildInteractionRule
+  ...lockRules,
+  pinnedRule,
+  entryChildInteractionRule,
+  ...filterRules,
+  timelinePendingRule,
+  layerHiddenRule
 ];
 
 export default cytoscapeStyles;
@@ -0,0 +1,153 @@
+// src/graph/changeLog.js
+
+/**
+ * Change log — human-readable record of edits made since the map was loaded
+ *
+ * Entry shape
+ *   { id, at, action, targets: [{ type: 'node'|'edge', id, label }], data }
+ *   Text is derived with describeChange(entry), e.g.
+ *   'moved "Node A" from (0, 0) to (120, 40)' or 'added picture to "Node B"'.
+ *
+ * Contracts
+ * - Pure; the mutation hooks build entries with makeChange / nodeTarget / edgeTarget
+ *   from the graph as it was before the change, and useChangeLog appends them.
+ * - Map-wide changes (rotation) have no targets and only show unfiltered.
+ * - Consecutive moves of the same node collapse into one entry (first "from",
+ *   latest "to"), so dragging a node back and forth stays a single line.
+ */
+
+const PLACEHOLDER_IMAGES = new Set(['', 'unspecified']);
+
+let nextId = 1;
+
+/** Label a node the way the UI shows it */
+export function nodeTarget(node, fallbackId) {
+  return { type: 'node', id: node?.id ?? fallbackId, label: node?.title || node?.id || fallbackId };
+}
+
+/** Label an edge as "Source → Target" using node titles when known */
+export function edgeTarget(edge, nodes = []) {
+  const title = (id) => nodes.find(n => n.id === id)?.title || id;
+  return { type: 'edge', id: edge.id, label: `${title(edge.source)} → ${title(edge.target)}` };
+}
+
+/**
+ * Build an entry.
+ * @param {string} action - key of DESCRIBERS
+ * @param {Array<{ type, id, label }>} targets
+ * @param {object} [data] - action-specific details (from/to values, counts)
+ */
+export function makeChange(action, targets, data = {}, at = Date.now()) {
+  return { id: nextId++, at, action, targets, data };
+}
+
+const quote = (label) => `"${label}"`;
+const list = (targets) => targets.map(t => quote(t.label)).join(', ');
+const point = (p) => `(${Math.round(p.x)}, ${Math.round(p.y)})`;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const DESCRIBERS = {
+  'node-create': (t) => `created node ${list(t)}`,
+  'node-duplicate': (t, d) => `duplicated "${d.from}" as ${list(t)}`,
+  'node-paste': (t, d) => `pasted ${list(t)}${d.from ? ` from map "${d.from}"` : ''}`,
+  'node-delete': (t, d) => `deleted ${t.length === 1 ? 'node' : 'nodes'} ${list(t)}${d.edges ? ` and ${plural(d.edges, 'connected edge')}` : ''}`,
+  'node-move': (t, d) => `moved ${list(t)} from ${point(d.from)} to ${point(d.to)}`,
+  'node-arrange': (t, d) => ({
+    align: `aligned ${list(t)} (${d.value})`,
+    distribute: `distributed ${list(t)} ${d.value}ly`,
+    equalize: `equalized ${d.value} spacing of ${list(t)}`,
+    snap: `snapped ${list(t)} to the grid`,
+    layout: `applied the ${d.value} layout to ${t.length > 3 ? plural(t.length, 'node') : list(t)}`
+  })[d.op] || `arranged ${list(t)}`,
+  'node-rename': (t, d) => `renamed "${d.from}" to "${d.to}"`,
+  'node-size': (t, d) => `resized ${list(t)} from ${d.from} to ${d.to}`,
+  'node-color': (t, d) => `colored ${list(t)} ${d.to}`,
+  'node-image': (t, d) => {
+    if (PLACEHOLDER_IMAGES.has(d.from || '')) return `added picture to ${list(t)}`;
+    if (PLACEHOLDER_IMAGES.has(d.to || '')) return `removed picture from ${list(t)}`;
+    return `changed picture of ${list(t)}`;
+  },
+  'node-lock': (t, d) => `${d.locked ? 'locked' : 'unlocked'} ${list(t)}`,
+  'node-pin': (t, d) => `${d.pinned ? 'pinned' : 'unpinned'} ${list(t)}`,
+  'edge-create': (t) => `connected ${list(t)}`,
+  'edge-delete': (t) => `deleted ${t.length === 1 ? 'edge' : 'edges'} ${list(t)}`,
+  'edge-reverse': (t, d) => `reversed "${d.from}" to ${list(t)}`,
+  'edge-retarget': (t, d) => `reconnected "${d.from}" as ${list(t)}`,
+  'edge-direction': (t, d) => `changed direction of ${list(t)} from ${d.from} to ${d.to}`,
+  notes: (t, d) => {
+    const parts = [];
+    if (d.added) parts.push(`added ${plural(d.added, 'note')}`);
+    if (d.removed) parts.push(`removed ${plural(d.removed, 'note')}`);
+    if (!parts.length) parts.push('edited notes');
+    return `${parts.join(' and ')} on ${list(t)}`;
+  },
+  'map-rotate': (t, d) => `rotated the ${d.withNodes ? 'map and all nodes' : 'map'} from ${d.from}° to ${d.to}°`
+};
+
+/** One-line description of an entry */
+export function describeChange(entry) {
+  const describe = DESCRIBERS[entry.action];
+  return describe ? describe(entry.targets, entry.data || {}) : entry.action;
+}
+
+// A rename can change a node's id (and so its edges' ids); point older entries at the new ids
+function followRename(entries, fromId, toId, label) {
+  const renameId = (id) => (id === fromId ? toId : id);
+  return entries.map(e => ({
+    ...e,
+    targets: e.targets.map(t => {
+      if (t.type === 'node') return t.id === fromId ? { ...t, id: toId, label } : t;
+      const [source, target] = t.id.split('__');
+      return target === undefined ? t : { ...t, id: `${renameId(source)}__${renameId(target)}` };
+    })
+  }));
+}
+
+/**
+ * Append an entry, collapsing consecutive moves of the same node.
+ * A 'node-rename' with data.fromId re-targets earlier entries at the renamed node.
+ */
+export function appendChange(entries, entry) {
+  if (entry.action === 'node-rename' && entry.data.fromId && entry.data.fromId !== entry.targets[0]?.id) {
+    entries = followRename(entries, entry.data.fromId, entry.targets[0].id, entry.targets[0].label);
+  }
+  const last = entries[entries.length - 1];
+  if (
+    last && entry.action === 'node-move' && last.action === 'node-move' &&
+    last.targets[0]?.id === entry.targets[0]?.id
+  ) {
+    return [...entries.slice(0, -1), { ...entry, id: last.id, data: { from: last.data.from, to: entry.data.to } }];
+  }
+  return [...entries, entry];
+}
+
+/**
+ * Elements mentioned in the log, for the filter dropdown.
+ * @returns {Array<{ key: string, type, id, label }>} sorted by label
+ */
+export function listChangedElements(entries) {
+  const byKey = new Map();
+  entries.forEach(e => e.targets.forEach(t => byKey.set(`${t.type}:${t.id}`, { key: `${t.type}:${t.id}`, ...t })));
+  return [...byKey.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/** Entries touching one element (`type:id`), or all entries for an empty key */
+export function filterChanges(entries, elementKey) {
+  if (!elementKey) return entries;
+  return entries.filter(e => e.targets.some(t => `${t.type}:${t.id}` === elementKey));
+}
+
+/**
+ * Render the log as Markdown, oldest first, for release notes.
+ * @param {Array<object>} entries
+ * @param {{ mapName?: string, since?: number }} [options]
+ */
+export function changeLogToMarkdown(entries, { mapName = 'default_map', since } = {}) {
+  const lines = [`# Changes to ${mapName}`, ''];
+  if (since) lines.push(`Since ${new Date(since).toISOString()}`, '');
+  if (entries.length === 0) lines.push('_No changes._');
+  entries.forEach(e => {
+    lines.push(`- ${new Date(e.at).toISOString().slice(0, 16).replace('T', ' ')} — ${describeChange(e)}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
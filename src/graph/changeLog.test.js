@@ -0,0 +1,114 @@
+// src/graph/changeLog.test.js
+
+import {
+  appendChange,
+  changeLogToMarkdown,
+  describeChange,
+  edgeTarget,
+  filterChanges,
+  listChangedElements,
+  makeChange,
+  nodeTarget
+} from "./changeLog.js";
+
+const nodes = [
+  { id: "a", title: "Node A" },
+  { id: "b", title: "Node B" }
+];
+const a = nodeTarget(nodes[0]);
+const b = nodeTarget(nodes[1]);
+const ab = edgeTarget({ id: "a__b", source: "a", target: "b" }, nodes);
+
+describe("describeChange", () => {
+  test("labels targets with node titles", () => {
+    expect(a).toEqual({ type: "node", id: "a", label: "Node A" });
+    expect(ab).toEqual({ type: "edge", id: "a__b", label: "Node A → Node B" });
+    expect(nodeTarget(undefined, "gone").label).toBe("gone");
+  });
+
+  test("moves show rounded coordinates", () => {
+    const entry = makeChange("node-move", [a], { from: { x: 0, y: 0 }, to: { x: 120.4, y: 39.6 } });
+    expect(describeChange(entry)).toBe('moved "Node A" from (0, 0) to (120, 40)');
+  });
+
+  test("pictures are added, changed or removed", () => {
+    expect(describeChange(makeChange("node-image", [b], { from: "unspecified", to: "b.png" }))).toBe('added picture to "Node B"');
+    expect(describeChange(makeChange("node-image", [b], { from: "b.png", to: "c.png" }))).toBe('changed picture of "Node B"');
+    expect(describeChange(makeChange("node-image", [b], { from: "b.png", to: "" }))).toBe('removed picture from "Node B"');
+  });
+
+  test("covers deletes, notes, edges and rotation", () => {
+    expect(describeChange(makeChange("node-delete", [a, b], { edges: 1 }))).toBe('deleted nodes "Node A", "Node B" and 1 connected edge');
+    expect(describeChange(makeChange("notes", [a], { added: 2, removed: 0 }))).toBe('added 2 notes on "Node A"');
+    expect(describeChange(makeChange("notes", [a], { added: 0, removed: 0 }))).toBe('edited notes on "Node A"');
+    expect(describeChange(makeChange("edge-direction", [ab], { from: "forward", to: "backward" })))
+      .toBe('changed direction of "Node A → Node B" from forward to backward');
+    expect(describeChange(makeChange("edge-reverse", [edgeTarget({ id: "b__a", source: "b", target: "a" }, nodes)], { from: "Node A → Node B" })))
+      .toBe('reversed "Node A → Node B" to "Node B → Node A"');
+    expect(describeChange(makeChange("edge-retarget", [edgeTarget({ id: "b__a", source: "b", target: "a" }, nodes)], { from: "Node A → Node B" })))
+      .toBe('reconnected "Node A → Node B" as "Node B → Node A"');
+    expect(describeChange(makeChange("node-duplicate", [{ type: "node", id: "a2", label: "Node A copy" }], { from: "Node A" })))
+      .toBe('duplicated "Node A" as "Node A copy"');
+    expect(describeChange(makeChange("node-paste", [a, b], { from: "other" }))).toBe('pasted "Node A", "Node B" from map "other"');
+    expect(describeChange(makeChange("node-arrange", [a, b], { op: "distribute", value: "vertical" }))).toBe('distributed "Node A", "Node B" vertically');
+    expect(describeChange(makeChange("node-arrange", [a, b], { op: "layout", value: "layered" }))).toBe('applied the layered layout to "Node A", "Node B"');
+    expect(describeChange(makeChange("node-pin", [a], { pinned: true }))).toBe('pinned "Node A"');
+    expect(describeChange(makeChange("map-rotate", [], { from: 0, to: 90, withNodes: true }))).toBe("rotated the map and all nodes from 0° to 90°");
+  });
+
+  test("falls back to the action name for unknown actions", () => {
+    expect(describeChange(makeChange("mystery", [a]))).toBe("mystery");
+  });
+});
+
+describe("appendChange", () => {
+  test("collapses consecutive moves of the same node", () => {
+    let log = appendChange([], makeChange("node-move", [a], { from: { x: 0, y: 0 }, to: { x: 10, y: 0 } }));
+    log = appendChange(log, makeChange("node-move", [a], { from: { x: 10, y: 0 }, to: { x: 20, y: 5 } }));
+    expect(log).toHaveLength(1);
+    expect(log[0].data).toEqual({ from: { x: 0, y: 0 }, to: { x: 20, y: 5 } });
+
+    log = appendChange(log, makeChange("node-move", [b], { from: { x: 0, y: 0 }, to: { x: 1, y: 1 } }));
+    log = appendChange(log, makeChange("node-move", [a], { from: { x: 20, y: 5 }, to: { x: 0, y: 0 } }));
+    expect(log).toHaveLength(3);
+  });
+
+  test("a rename that changes the id re-targets earlier entries", () => {
+    let log = appendChange([], makeChange("node-color", [a], { to: "red" }));
+    log = appendChange(log, makeChange("edge-create", [ab]));
+    log = appendChange(log, makeChange("node-rename", [{ type: "node", id: "alpha", label: "Alpha" }], { from: "Node A", to: "Alpha", fromId: "a" }));
+
+    expect(log[0].targets[0]).toEqual({ type: "node", id: "alpha", label: "Alpha" });
+    expect(log[1].targets[0].id).toBe("alpha__b");
+    expect(filterChanges(log, "node:alpha")).toHaveLength(2);
+  });
+});
+
+describe("filtering and export", () => {
+  const log = [
+    makeChange("node-color", [a], { to: "red" }, Date.UTC(2025, 0, 2, 3, 4)),
+    makeChange("edge-create", [ab], {}, Date.UTC(2025, 0, 2, 3, 5)),
+    makeChange("map-rotate", [], { from: 0, to: 90 }, Date.UTC(2025, 0, 2, 3, 6))
+  ];
+
+  test("lists each changed element once, by label", () => {
+    expect(listChangedElements(log).map(el => el.key)).toEqual(["node:a", "edge:a__b"]);
+  });
+
+  test("filters by element key; an empty key keeps everything", () => {
+    expect(filterChanges(log, "node:a")).toEqual([log[0]]);
+    expect(filterChanges(log, "")).toBe(log);
+  });
+
+  test("renders Markdown oldest first", () => {
+    expect(changeLogToMarkdown(log, { mapName: "demo" })).toBe([
+      "# Changes to demo",
+      "",
+      '- 2025-01-02 03:04 — colored "Node A" red',
+      '- 2025-01-02 03:05 — connected "Node A → Node B"',
+      "- 2025-01-02 03:06 — rotated the map from 0° to 90°",
+      ""
+    ].join("\n"));
+    expect(changeLogToMarkdown([])).toContain("_No changes._");
+  });
+});
@@ -0,0 +1,164 @@
+// src/graph/clipboard.js
+
+/**
+ * Subgraph clipboard — copy a cluster of nodes out of one map and paste it into any map
+ *
+ * Payload (JSON text on the system clipboard)
+ *   { type: 'ship-log-map/subgraph', version: 1, mapName,
+ *     nodes, edges, notes, tags, images: { [imageUrl]: dataUrl } }
+ *   - edges: only edges with both ends among the copied nodes
+ *   - notes: entries keyed by the copied node and edge ids
+ *   - tags: registry entries used by the copied elements
+ *   - images: loaded copies of file-referenced pictures, so a paste into another
+ *     map (whose image folder doesn't have the files) still shows them
+ *
+ * Contracts
+ * - Pure; App does the clipboard I/O and useGraphOperations applies the paste.
+ * - Pasted ids go through findUniqueId, so a paste never overwrites anything.
+ *   Edge ids, note keys, note `requires` and reveal conditions follow the new ids.
+ * - References to elements outside the copy are kept only if the target map has
+ *   them; otherwise they are dropped rather than left dangling.
+ */
+
+import { edgeId, findUniqueId, normalizeGraph } from './ops.js';
+import { normalizeTagName } from './tags.js';
+
+export const CLIPBOARD_TYPE = 'ship-log-map/subgraph';
+export const CLIPBOARD_VERSION = 1;
+
+const isFileImage = (url) => typeof url === 'string' && url !== '' && url !== 'unspecified' && !url.startsWith('data:');
+
+/**
+ * Build a clipboard payload from the given nodes.
+ * @param {object} graph - { nodes, edges, notes, tags }
+ * @param {string[]} nodeIds
+ * @param {{ mapName?: string, resolveImage?: (imageUrl: string) => string|null }} [options]
+ *   resolveImage returns an already-loaded data URL for a file-referenced picture
+ * @returns {object|null} payload, or null when none of the nodes exist
+ */
+export function copySubgraph(graph, nodeIds, { mapName = '', resolveImage } = {}) {
+  const g = normalizeGraph(graph);
+  const ids = new Set(nodeIds);
+  const nodes = g.nodes.filter(n => ids.has(n.id));
+  if (nodes.length === 0) return null;
+
+  const edges = g.edges.filter(e => ids.has(e.source) && ids.has(e.target));
+  const keys = new Set([...nodes.map(n => n.id), ...edges.map(e => e.id || edgeId(e.source, e.target))]);
+  const notes = Object.fromEntries(Object.entries(g.notes).filter(([key]) => keys.has(key)));
+
+  const usedTags = new Set([...nodes, ...edges].flatMap(el => (Array.isArray(el.tags) ? el.tags : [])));
+  const tags = g.tags.filter(t => usedTags.has(t.name));
+
+  const images = {};
+  nodes.forEach(n => {
+    if (!isFileImage(n.imageUrl) || images[n.imageUrl]) return;
+    const dataUrl = resolveImage?.(n.imageUrl);
+    if (typeof dataUrl === 'string' && dataUrl.startsWith('data:')) images[n.imageUrl] = dataUrl;
+  });
+
+  return { type: CLIPBOARD_TYPE, version: CLIPBOARD_VERSION, mapName, nodes, edges, notes, tags, images };
+}
+
+/** Clipboard text → payload, or null if the text isn't a subgraph copied from this app */
+export function parseClipboardSubgraph(text) {
+  if (typeof text !== 'string' || !text.trim().startsWith('{')) return null;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (data?.type !== CLIPBOARD_TYPE || data.version !== CLIPBOARD_VERSION) return null;
+  if (!Array.isArray(data.nodes) || data.nodes.length === 0) return null;
+  return {
+    ...data,
+    edges: Array.isArray(data.edges) ? data.edges : [],
+    notes: data.notes && typeof data.notes === 'object' ? data.notes : {},
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    images: data.images && typeof data.images === 'object' ? data.images : {}
+  };
+}
+
+/**
+ * Add a copied subgraph to a graph, centered on `position`.
+ * @param {object} graph
+ * @param {object} payload - from copySubgraph / parseClipboardSubgraph
+ * @param {{ position: { x, y }, mapName?: string }} options
+ *   mapName is the target map; file-referenced pictures from another map are
+ *   swapped for the copied data URLs
+ * @returns {{ graph: object, idMap: Record<string, string> }} idMap: copied node id → pasted id
+ */
+export function pasteSubgraph(graph, payload, { position, mapName = '' }) {
+  const g = normalizeGraph(graph);
+  const sameMap = payload.mapName === mapName;
+
+  // Keep the cluster's shape; move its bounding-box center to the paste position
+  const xs = payload.nodes.map(n => Number(n.x) || 0);
+  const ys = payload.nodes.map(n => Number(n.y) || 0);
+  const dx = Math.round(position.x - (Math.min(...xs) + Math.max(...xs)) / 2);
+  const dy = Math.round(position.y - (Math.min(...ys) + Math.max(...ys)) / 2);
+
+  const idMap = {};
+  let working = g;
+  payload.nodes.forEach(n => {
+    const id = findUniqueId(working, n.id);
+    idMap[n.id] = id;
+    working = { ...working, nodes: [...working.nodes, { id }] };
+  });
+
+  const edgeIdMap = {};
+  const edges = payload.edges
+    .filter(e => idMap[e.source] && idMap[e.target])
+    .map(e => {
+      const id = edgeId(idMap[e.source], idMap[e.target]);
+      edgeIdMap[e.id || edgeId(e.source, e.target)] = id;
+      return { ...e, id, source: idMap[e.source], target: idMap[e.target] };
+    });
+
+  const existing = new Set([...g.nodes.map(n => n.id), ...g.edges.map(e => e.id || edgeId(e.source, e.target))]);
+  const remapRef = (ref) => idMap[ref] || edgeIdMap[ref] || (existing.has(ref) ? ref : null);
+
+  const nodes = payload.nodes.map(n => {
+    const node = {
+      ...n,
+      id: idMap[n.id],
+      x: (Number(n.x) || 0) + dx,
+      y: (Number(n.y) || 0) + dy
+    };
+    if (!sameMap && isFileImage(n.imageUrl) && payload.images[n.imageUrl]) {
+      node.imageUrl = payload.images[n.imageUrl];
+    }
+    if (Array.isArray(n.revealCondition?.anyOf)) {
+      const anyOf = n.revealCondition.anyOf.map(remapRef).filter(Boolean);
+      if (anyOf.length) node.revealCondition = { ...n.revealCondition, anyOf };
+      else delete node.revealCondition;
+    }
+    return node;
+  });
+
+  const notes = { ...g.notes };
+  Object.entries(payload.notes).forEach(([key, entries]) => {
+    const newKey = idMap[key] || edgeIdMap[key];
+    if (!newKey || !Array.isArray(entries)) return;
+    notes[newKey] = entries.map(note => {
+      if (!note || typeof note !== 'object' || typeof note.requires !== 'string') return note;
+      const requires = remapRef(note.requires);
+      if (requires) return { ...note, requires };
+      const { requires: _dropped, ...rest } = note;
+      return rest;
+    });
+  });
+
+  const known = new Set(g.tags.map(t => t.name));
+  const tags = [...g.tags, ...payload.tags.filter(t => {
+    const name = normalizeTagName(t?.name);
+    if (!name || known.has(name)) return false;
+    known.add(name);
+    return true;
+  })];
+
+  return {
+    graph: { ...g, nodes: [...g.nodes, ...nodes], edges: [...g.edges, ...edges], notes, tags },
+    idMap
+  };
+}
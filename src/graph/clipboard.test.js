@@ -0,0 +1,85 @@
+// src/graph/clipboard.test.js
+
+import { CLIPBOARD_TYPE, copySubgraph, parseClipboardSubgraph, pasteSubgraph } from "./clipboard.js";
+
+const source = {
+  nodes: [
+    { id: "A", title: "Alpha", x: 0, y: 0, imageUrl: "alpha.png", tags: ["ruins"] },
+    { id: "B", title: "Beta", x: 100, y: 50, imageUrl: "data:image/png;base64,BBB", locked: true, revealCondition: { anyOf: ["A__B", "C"] } },
+    { id: "C", title: "Charlie", x: 500, y: 500, imageUrl: "unspecified" }
+  ],
+  edges: [
+    { id: "A__B", source: "A", target: "B", direction: "forward" },
+    { id: "B__C", source: "B", target: "C", direction: "forward" }
+  ],
+  notes: {
+    A: ["alpha note"],
+    A__B: [{ text: "gated", requires: "A" }, { text: "outside", requires: "C" }],
+    C: ["not copied"]
+  },
+  tags: [{ name: "ruins", color: "#aa0000" }, { name: "unused", color: "#00aa00" }]
+};
+
+const resolveImage = (url) => (url === "alpha.png" ? "data:image/webp;base64,AAA" : null);
+
+describe("copySubgraph", () => {
+  test("keeps the selected nodes, the edges between them, their notes and tags", () => {
+    const payload = copySubgraph(source, ["A", "B"], { mapName: "one", resolveImage });
+    expect(payload.type).toBe(CLIPBOARD_TYPE);
+    expect(payload.nodes.map(n => n.id)).toEqual(["A", "B"]);
+    expect(payload.edges.map(e => e.id)).toEqual(["A__B"]);
+    expect(Object.keys(payload.notes)).toEqual(["A", "A__B"]);
+    expect(payload.tags).toEqual([{ name: "ruins", color: "#aa0000" }]);
+    expect(payload.images).toEqual({ "alpha.png": "data:image/webp;base64,AAA" });
+  });
+
+  test("returns null when nothing is copied", () => {
+    expect(copySubgraph(source, [])).toBeNull();
+    expect(copySubgraph(source, ["zzz"])).toBeNull();
+  });
+});
+
+describe("parseClipboardSubgraph", () => {
+  test("round-trips through JSON and rejects other text", () => {
+    const payload = copySubgraph(source, ["A"], { mapName: "one" });
+    expect(parseClipboardSubgraph(JSON.stringify(payload))).toEqual(payload);
+    expect(parseClipboardSubgraph("hello")).toBeNull();
+    expect(parseClipboardSubgraph("{ not json")).toBeNull();
+    expect(parseClipboardSubgraph(JSON.stringify({ type: "other", nodes: [{}] }))).toBeNull();
+    expect(parseClipboardSubgraph(JSON.stringify({ ...payload, version: 99 }))).toBeNull();
+  });
+});
+
+describe("pasteSubgraph", () => {
+  const payload = copySubgraph(source, ["A", "B"], { mapName: "one", resolveImage });
+
+  test("pasting into the same map remaps ids and centers on the position", () => {
+    const { graph, idMap } = pasteSubgraph(source, payload, { position: { x: 1000, y: 1000 }, mapName: "one" });
+    expect(idMap).toEqual({ A: "A1", B: "B1" });
+    const pasted = graph.nodes.slice(3);
+    expect(pasted.map(n => [n.id, n.x, n.y])).toEqual([["A1", 950, 975], ["B1", 1050, 1025]]);
+    expect(pasted[0].imageUrl).toBe("alpha.png");
+    expect(graph.edges.at(-1)).toEqual({ id: "A1__B1", source: "A1", target: "B1", direction: "forward" });
+    expect(graph.notes.A1__B1).toEqual([{ text: "gated", requires: "A1" }, { text: "outside", requires: "C" }]);
+    expect(pasted[1].revealCondition.anyOf).toEqual(["A1__B1", "C"]);
+    expect(graph.notes.A).toEqual(["alpha note"]);
+    expect(graph.tags).toHaveLength(2);
+  });
+
+  test("pasting into another map brings images and tags and drops dangling references", () => {
+    const target = { nodes: [{ id: "X", x: 0, y: 0 }], edges: [], notes: {}, tags: [] };
+    const { graph, idMap } = pasteSubgraph(target, payload, { position: { x: 0, y: 0 }, mapName: "two" });
+    expect(idMap).toEqual({ A: "A", B: "B" });
+    expect(graph.nodes.find(n => n.id === "A").imageUrl).toBe("data:image/webp;base64,AAA");
+    expect(graph.nodes.find(n => n.id === "B").revealCondition.anyOf).toEqual(["A__B"]);
+    expect(graph.notes.A__B).toEqual([{ text: "gated", requires: "A" }, { text: "outside" }]);
+    expect(graph.tags).toEqual([{ name: "ruins", color: "#aa0000" }]);
+  });
+
+  test("pasting twice never collides", () => {
+    const once = pasteSubgraph(source, payload, { position: { x: 0, y: 0 }, mapName: "one" }).graph;
+    const twice = pasteSubgraph(once, payload, { position: { x: 0, y: 0 }, mapName: "one" });
+    expect(twice.idMap).toEqual({ A: "A2", B: "B2" });
+    expect(new Set(twice.graph.nodes.map(n => n.id)).size).toBe(twice.graph.nodes.length);
+  });
+});
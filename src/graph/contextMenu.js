@@ -0,0 +1,94 @@
+// src/graph/contextMenu.js
+
+/**
+ * Context menu — which editing actions apply to a right-clicked / long-pressed target
+ *
+ * Target shape (from cyAdapter.wireEvents → onContextMenu)
+ *   { type: 'node' | 'edge' | 'background', id?, position: { x, y } (model coords) }
+ *
+ * Item shape
+ *   { action, label, value?, disabled?, danger?, input?, children? }
+ *   - input: the item edits text in place (rename); its value is the starting text
+ *   - children: a submenu of items; a child's value is passed with its action
+ *
+ * Contracts
+ * - Pure; <ContextMenu/> renders the items and App maps actions to graph operations.
+ * - Returns [] for a node/edge that no longer exists.
+ */
+
+import { FILTER_COLORS } from './filters.js';
+import { edgeId } from './ops.js';
+
+export const NODE_SIZE_OPTIONS = [
+  { value: 'regular', label: 'Regular' },
+  { value: 'double', label: 'Double' },
+  { value: 'half', label: 'Half' }
+];
+
+// Same cycle as double-clicking an edge
+export const NEXT_EDGE_DIRECTION = { forward: 'backward', backward: 'bidirectional', bidirectional: 'forward' };
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+function nodeItems(graph, node) {
+  const linked = new Set(graph.edges.filter(e => e.source === node.id).map(e => e.target));
+  const targets = graph.nodes
+    .filter(n => n.id !== node.id && !linked.has(n.id))
+    .sort((a, b) => (a.title || a.id).localeCompare(b.title || b.id));
+
+  return [
+    { action: 'rename', label: 'Rename…', input: true, value: node.title || node.id },
+    { action: 'edit-notes', label: 'Edit notes…' },
+    {
+      action: 'color',
+      label: 'Color',
+      children: FILTER_COLORS.map(color => ({ action: 'color', label: capitalize(color), value: color, disabled: (node.color || 'gray') === color }))
+    },
+    {
+      action: 'size',
+      label: 'Size',
+      children: NODE_SIZE_OPTIONS.map(size => ({ action: 'size', label: size.label, value: size.value, disabled: (node.size || 'regular') === size.value }))
+    },
+    {
+      action: 'connect',
+      label: 'Connect to',
+      disabled: targets.length === 0,
+      children: targets.map(n => ({ action: 'connect', label: n.title || n.id, value: n.id }))
+    },
+    { action: 'duplicate', label: 'Duplicate' },
+    { action: 'delete-node', label: 'Delete', danger: true }
+  ];
+}
+
+function edgeItems(graph, edge) {
+  const next = NEXT_EDGE_DIRECTION[edge.direction] || 'forward';
+  const reversedExists = graph.edges.some(e => (e.id || edgeId(e.source, e.target)) === edgeId(edge.target, edge.source));
+  return [
+    { action: 'cycle-direction', label: `Cycle direction (${edge.direction || 'none'} → ${next})`, value: next },
+    { action: 'edit-notes', label: 'Edit notes…' },
+    { action: 'reverse', label: 'Reverse', disabled: reversedExists },
+    { action: 'delete-edge', label: 'Delete', danger: true }
+  ];
+}
+
+/**
+ * @param {object} target - see module doc
+ * @param {{ graph: { nodes, edges }, canPaste?: boolean }} context
+ * @returns {Array<object>} menu items
+ */
+export function getContextMenuItems(target, { graph, canPaste = false }) {
+  if (!target) return [];
+  if (target.type === 'node') {
+    const node = graph.nodes.find(n => n.id === target.id);
+    return node ? nodeItems(graph, node) : [];
+  }
+  if (target.type === 'edge') {
+    const edge = graph.edges.find(e => (e.id || edgeId(e.source, e.target)) === target.id);
+    return edge ? edgeItems(graph, edge) : [];
+  }
+  return [
+    { action: 'add-node', label: 'Add node here' },
+    { action: 'paste', label: 'Paste', disabled: !canPaste },
+    { action: 'fit', label: 'Fit map to view' }
+  ];
+}
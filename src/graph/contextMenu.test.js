@@ -0,0 +1,60 @@
+// src/graph/contextMenu.test.js
+
+import { getContextMenuItems } from "./contextMenu.js";
+
+const graph = {
+  nodes: [
+    { id: "a", title: "Alpha", color: "red", size: "double" },
+    { id: "b", title: "Beta" },
+    { id: "c", title: "Charlie" }
+  ],
+  edges: [
+    { id: "a__b", source: "a", target: "b", direction: "forward" },
+    { id: "b__c", source: "b", target: "c", direction: "bidirectional" },
+    { id: "c__b", source: "c", target: "b", direction: "forward" }
+  ]
+};
+
+const actions = (items) => items.map(i => i.action);
+const byAction = (items, action) => items.find(i => i.action === action);
+
+describe("getContextMenuItems", () => {
+  test("node menu offers the editing actions", () => {
+    const items = getContextMenuItems({ type: "node", id: "a" }, { graph });
+    expect(actions(items)).toEqual(["rename", "edit-notes", "color", "size", "connect", "duplicate", "delete-node"]);
+    expect(byAction(items, "rename")).toMatchObject({ input: true, value: "Alpha" });
+  });
+
+  test("current color and size are disabled; connect skips existing targets", () => {
+    const items = getContextMenuItems({ type: "node", id: "a" }, { graph });
+    expect(byAction(items, "color").children.find(c => c.value === "red").disabled).toBe(true);
+    expect(byAction(items, "size").children.filter(c => c.disabled).map(c => c.value)).toEqual(["double"]);
+    expect(byAction(items, "connect").children.map(c => c.value)).toEqual(["c"]);
+
+    const fromB = getContextMenuItems({ type: "node", id: "b" }, { graph });
+    expect(byAction(fromB, "connect").children.map(c => c.label)).toEqual(["Alpha"]);
+  });
+
+  test("edge menu cycles direction and disables reverse when the reverse edge exists", () => {
+    const ab = getContextMenuItems({ type: "edge", id: "a__b" }, { graph });
+    expect(actions(ab)).toEqual(["cycle-direction", "edit-notes", "reverse", "delete-edge"]);
+    expect(byAction(ab, "cycle-direction").value).toBe("backward");
+    expect(byAction(ab, "reverse").disabled).toBe(false);
+
+    const bc = getContextMenuItems({ type: "edge", id: "b__c" }, { graph });
+    expect(byAction(bc, "cycle-direction").value).toBe("forward");
+    expect(byAction(bc, "reverse").disabled).toBe(true);
+  });
+
+  test("background menu; paste depends on the clipboard", () => {
+    const items = getContextMenuItems({ type: "background", position: { x: 0, y: 0 } }, { graph });
+    expect(actions(items)).toEqual(["add-node", "paste", "fit"]);
+    expect(byAction(items, "paste").disabled).toBe(true);
+    expect(byAction(getContextMenuItems({ type: "background" }, { graph, canPaste: true }), "paste").disabled).toBe(false);
+  });
+
+  test("missing targets give an empty menu", () => {
+    expect(getContextMenuItems({ type: "node", id: "zzz" }, { graph })).toEqual([]);
+    expect(getContextMenuItems(null, { graph })).toEqual([]);
+  });
+});
@@ -12,7 +12,8 @@
  * Key Functions
  * - mountCy(container, opts) -> cy
  * - syncElements(cy, {nodes, edges})
- * - wireEvents(cy, callbacks)
+ * - wireEvents(cy, callbacks, mode) — incl. onContextMenu({ type, id, position, clientX, clientY })
+ *   on right-click / touch long-press (editing mode only)
  * - updateOverlays(cy, notes, showNoteCountOverlay)
  *
  * Contracts
@@ -21,6 +22,7 @@
  */
 
 import cytoscape from "cytoscape";
+import cytoscapeSvg from "cytoscape-svg";
 import cytoscapeStyles from "../cytoscapeStyles.js";
 import { deserializeGraph } from "./ops.js";
 import { TEST_ICON_SVG } from "../constants/testAssets.js";
@@ -34,10 +36,14 @@ import {
 import { getCdnBaseUrl } from "../utils/cdnHelpers.js";
 import { loadImageWithFallback, imageCache, getDefaultPlaceholderSvg, ensureDefaultPlaceholderLoaded, onDefaultPlaceholderLoaded } from "../utils/imageLoader.js";
 import { printDebug } from "../utils/debug.js"; // printWarn
+import { isNodeLocked } from "../utils/nodeLocks.js";
 import { installAppearOnAdd } from '../anim/appear.js';
 import { isSearchInProgress, isCurrentSearchSelection, getCurrentSearchIds } from '../search/searchHighlighter.js';
 import { ensure as ensureOverlays, refreshPositions as refreshOverlayPositions, attach as attachOverlayManager, detach as detachOverlayManager, setNoteCountsVisible } from './overlayManager.js';
 
+// cy.svg() for image export (utils/imageExport.js)
+cytoscape.use(cytoscapeSvg);
+
 // Track pending image loads to prevent duplicate requests
 const pendingImageLoads = new Set();
 
@@ -92,7 +98,7 @@ export function updateOverlays(cy, notes, showNoteCountOverlay, visited = null,
 
 // Convert domain graph -> Cytoscape elements (now synchronous with fallback)
 export function buildElementsFromDomain(graph, options = {}) {
-  const { mode = 'editing', onImageLoaded = null, forceImageLoad = false, cdnBaseUrlOverride = undefined, markAsNew = false } = options;
+  const { mode = 'editing', onImageLoaded = null, forceImageLoad = false, cdnBaseUrlOverride = undefined, markAsNew = false, unlocked = null } = options;
   const g = deserializeGraph(graph);
 
   // Resolve effective CDN base URL with override priority to avoid first-load race with localStorage
@@ -201,11 +207,15 @@ export function buildElementsFromDomain(graph, options = {}) {
     const parentId = n.id; // domain id becomes parent container id
     const entryChildId = `${parentId}__entry`; // child visual node
     const entryClasses = markAsNew ? 'entry node-entering' : 'entry';
+    // Locked nodes only hide behind "?" while playing; editors see a dashed hint instead
+    const locked = mode === 'playing' && isNodeLocked(n, unlocked);
+    // Pinned nodes (kept in place by automatic layouts) are only marked for editors
+    const pinned = mode === 'editing' && !!n.pinned;
     
     nodes.push(
       {
         group: 'nodes',
-        data: { id: parentId, size: n.size ?? 'regular', color: n.color ?? 'gray', label: '', isContainer: true },
+        data: { id: parentId, size: n.size ?? 'regular', color: n.color ?? 'gray', label: '', isContainer: true, locked },
         position: { x: n.x, y: n.y },
         selectable: true,
         grabbable: mode === 'editing',
@@ -213,7 +223,7 @@ export function buildElementsFromDomain(graph, options = {}) {
       },
       {
         group: 'nodes',
-        data: { id: entryChildId, parent: parentId, label: n.title ?? '', color: n.color ?? 'gray', size: n.size ?? 'regular', imageUrl, originalImageUrl: n.imageUrl, isNewlyCreated: markAsNew },
+        data: { id: entryChildId, parent: parentId, label: locked ? '?' : (n.title ?? ''), color: n.color ?? 'gray', size: n.size ?? 'regular', imageUrl, originalImageUrl: n.imageUrl, isNewlyCreated: markAsNew, locked, lockable: !!n.locked, pinned },
         position: { x: n.x, y: n.y },
         selectable: false,
         grabbable: false,
@@ -237,7 +247,7 @@ export function buildElementsFromDomain(graph, options = {}) {
 }
 
 // Create & mount Cytoscape instance
-export async function mountCy({ container, graph, styles = cytoscapeStyles, mode = 'editing' }) {
+export async function mountCy({ container, graph, styles = cytoscapeStyles, mode = 'editing', unlocked = null }) {
   let cy;
   const unsubscribePlaceholder = onDefaultPlaceholderLoaded((mapName, dataUrl) => {
     try {
@@ -331,7 +341,7 @@ export async function mountCy({ container, graph, styles = cytoscapeStyles, mode
   if (needsImageLoading) {
     printDebug(`⏳ [cyAdapter] Some images need loading, mounting with placeholders first...`);
     
-    const elements = buildElementsFromDomain(graph, { mode, onImageLoaded, forceImageLoad: true, cdnBaseUrlOverride });
+    const elements = buildElementsFromDomain(graph, { mode, onImageLoaded, forceImageLoad: true, cdnBaseUrlOverride, unlocked });
     printDebug(`🚀 [cyAdapter] Mounting cytoscape with image loading enabled`);
     
     cy = cytoscape({
@@ -384,7 +394,7 @@ export async function mountCy({ container, graph, styles = cytoscapeStyles, mode
   } else {
     printDebug(`✅ [cyAdapter] All images are cached, mounting with cached images...`);
     
-    const elements = buildElementsFromDomain(graph, { mode, onImageLoaded, forceImageLoad: false, cdnBaseUrlOverride });
+    const elements = buildElementsFromDomain(graph, { mode, onImageLoaded, forceImageLoad: false, cdnBaseUrlOverride, unlocked });
     printDebug(`🚀 [cyAdapter] Mounting cytoscape with cached images`);
     
     cy = cytoscape({
@@ -676,7 +686,7 @@ export function wireEvents(cy, callbacks, mode = 'editing') {
   }
   cy.__eventsWired = true;
   
-  const { onNodeSelectionChange, onEdgeSelectionChange, onNodeClick, onEdgeClick, onNodeDoubleClick, onEdgeDoubleClick, onBackgroundClick, onNodeMove } = callbacks;
+  const { onNodeSelectionChange, onEdgeSelectionChange, onNodeClick, onEdgeClick, onNodeDoubleClick, onEdgeDoubleClick, onBackgroundClick, onNodeMove, onContextMenu } = callbacks;
 
   // Create wrapper functions that call .current:
   const handleNodeSelect = () => {
@@ -869,6 +879,30 @@ export function wireEvents(cy, callbacks, mode = 'editing') {
 
   const container = cy.container();
 
+  // Context menu (editing): right-click, or long-press on touch. Mouse long-presses are
+  // ignored so holding a node before dragging it doesn't open the menu.
+  const handleContextMenu = (evt) => {
+    if (!onContextMenu?.current) return;
+    if (evt.type === 'taphold' && evt.originalEvent?.type?.startsWith('mouse')) return;
+    const target = evt.target;
+    const isBackground = target === cy;
+    if (!isBackground && !target.isEdge() && !target.hasClass('entry-parent')) return;
+
+    const rect = container.getBoundingClientRect();
+    onContextMenu.current({
+      type: isBackground ? 'background' : (target.isEdge() ? 'edge' : 'node'),
+      id: isBackground ? undefined : target.id(),
+      position: { ...evt.position },
+      clientX: rect.left + evt.renderedPosition.x,
+      clientY: rect.top + evt.renderedPosition.y
+    });
+  };
+  function preventNativeMenu(e) { e.preventDefault(); }
+  if (mode === 'editing') {
+    cy.on('cxttap taphold', handleContextMenu);
+    container.addEventListener('contextmenu', preventNativeMenu);
+  }
+
   function handleCameraUpdate(source) {
     printDebug(`Camera update triggered by: ${source}`);
   }
@@ -910,6 +944,7 @@ export function wireEvents(cy, callbacks, mode = 'editing') {
     container.removeEventListener('wheel', debouncedWheelHandler);
     container.removeEventListener('touchend', touchEndHandler);
     container.removeEventListener('touchmove', debouncedTouchMoveHandler);
+    container.removeEventListener('contextmenu', preventNativeMenu);
     if (wheelTimer) clearTimeout(wheelTimer);
     if (touchMoveTimer) clearTimeout(touchMoveTimer);
     // ✅ Reset flag so events can be re-wired (e.g., on mode change)
@@ -0,0 +1,85 @@
+// src/graph/diff.js
+
+/**
+ * Graph diff — what changed between two versions of a map
+ *
+ * Used by the History panel to compare a snapshot with the current map.
+ *
+ * Result shape (from `before` to `after`)
+ * - nodes / edges: { added: [{ id, title? }], removed: [...], changed: [{ id, title?, fields: string[] }] }
+ * - notes: { added: string[], removed: string[], changed: string[] } — target ids whose note list differs
+ * - total: number of added + removed + changed entries across all three
+ *
+ * Contracts
+ * - Pure; elements are matched by id (edges by their `source__target` id).
+ * - A moved node reports the single field "position" rather than x and y.
+ */
+
+import { edgeId } from "./ops.js";
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function describe(el) {
+  return el.title ? { id: el.id, title: el.title } : { id: el.id };
+}
+
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const fields = [];
+  keys.forEach(key => {
+    if (key === 'id' || same(before[key], after[key])) return;
+    if (key === 'x' || key === 'y') {
+      if (!fields.includes('position')) fields.push('position');
+      return;
+    }
+    fields.push(key);
+  });
+  return fields;
+}
+
+function diffById(beforeList, afterList) {
+  const before = new Map(beforeList.map(el => [el.id, el]));
+  const after = new Map(afterList.map(el => [el.id, el]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+  after.forEach((el, id) => {
+    if (!before.has(id)) added.push(describe(el));
+  });
+  before.forEach((el, id) => {
+    if (!after.has(id)) {
+      removed.push(describe(el));
+      return;
+    }
+    const fields = changedFields(el, after.get(id));
+    if (fields.length) changed.push({ ...describe(after.get(id)), fields });
+  });
+  return { added, removed, changed };
+}
+
+const withEdgeIds = (edges) => (edges || []).map(e => ({ ...e, id: e.id || edgeId(e.source, e.target) }));
+
+/**
+ * Compare two maps.
+ * @param {object} before - e.g. a snapshot's graph
+ * @param {object} after - e.g. the current map
+ */
+export function diffGraphs(before, after) {
+  const nodes = diffById(before?.nodes || [], after?.nodes || []);
+  const edges = diffById(withEdgeIds(before?.edges), withEdgeIds(after?.edges));
+
+  const beforeNotes = before?.notes || {};
+  const afterNotes = after?.notes || {};
+  const notes = { added: [], removed: [], changed: [] };
+  new Set([...Object.keys(beforeNotes), ...Object.keys(afterNotes)]).forEach(id => {
+    const a = beforeNotes[id] || [];
+    const b = afterNotes[id] || [];
+    if (same(a, b)) return;
+    if (a.length === 0) notes.added.push(id);
+    else if (b.length === 0) notes.removed.push(id);
+    else notes.changed.push(id);
+  });
+
+  const count = (d) => d.added.length + d.removed.length + d.changed.length;
+  return { nodes, edges, notes, total: count(nodes) + count(edges) + count(notes) };
+}
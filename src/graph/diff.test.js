@@ -0,0 +1,56 @@
+// src/graph/diff.test.js
+
+import { diffGraphs } from "./diff.js";
+
+const before = {
+  nodes: [
+    { id: "a", title: "A", x: 0, y: 0, color: "gray" },
+    { id: "b", title: "B", x: 10, y: 0, color: "gray" },
+    { id: "c", title: "C", x: 20, y: 0 }
+  ],
+  edges: [
+    { source: "a", target: "b", direction: "forward" },
+    { source: "b", target: "c", direction: "forward" }
+  ],
+  notes: { a: ["one"], b: ["two"] }
+};
+
+const after = {
+  nodes: [
+    { id: "a", title: "A", x: 5, y: 5, color: "red" },
+    { id: "b", title: "B", x: 10, y: 0, color: "gray" },
+    { id: "d", title: "D", x: 30, y: 0 }
+  ],
+  edges: [
+    { id: "a__b", source: "a", target: "b", direction: "bidirectional" },
+    { source: "b", target: "d", direction: "forward" }
+  ],
+  notes: { a: ["one", "more"], d: ["new"] }
+};
+
+describe("diffGraphs", () => {
+  test("reports added, removed and changed nodes and edges", () => {
+    const diff = diffGraphs(before, after);
+    expect(diff.nodes).toEqual({
+      added: [{ id: "d", title: "D" }],
+      removed: [{ id: "c", title: "C" }],
+      changed: [{ id: "a", title: "A", fields: ["position", "color"] }]
+    });
+    expect(diff.edges).toEqual({
+      added: [{ id: "b__d" }],
+      removed: [{ id: "b__c" }],
+      changed: [{ id: "a__b", fields: ["direction"] }]
+    });
+  });
+
+  test("reports notes per target and a total", () => {
+    const diff = diffGraphs(before, after);
+    expect(diff.notes).toEqual({ added: ["d"], removed: ["b"], changed: ["a"] });
+    expect(diff.total).toBe(9);
+  });
+
+  test("identical maps have no differences", () => {
+    expect(diffGraphs(before, JSON.parse(JSON.stringify(before))).total).toBe(0);
+    expect(diffGraphs(undefined, {}).total).toBe(0);
+  });
+});
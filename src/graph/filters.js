@@ -0,0 +1,113 @@
+// src/graph/filters.js
+
+/**
+ * Attribute filters — which nodes/edges match the Filter panel
+ *
+ * Shape:
+ *   { sizes: string[], colors: string[], tags: string[],
+ *     visited: null|'visited'|'unvisited', notes: null|'with'|'without', hide: boolean }
+ *
+ * Rules
+ * - Categories combine with AND; values inside a list combine with OR.
+ * - Empty lists / null predicates don't filter anything.
+ * - Edges carry no size/color, so an edge matches when both endpoints match.
+ * - `hide` only picks how non-matching elements are shown (hidden vs dimmed).
+ *
+ * The filter round-trips through the share URL as `?filter=` (encodeFilter/decodeFilter).
+ */
+
+import { getNotesForTarget, getNoteText } from '../utils/notes.js';
+import { NO_HIDDEN_ELEMENTS } from './layers.js';
+
+export const FILTER_SIZES = ['half', 'regular', 'double'];
+export const FILTER_COLORS = ['gray', 'green', 'orange', 'purple', 'red', 'blue'];
+const VISITED_VALUES = ['visited', 'unvisited'];
+const NOTES_VALUES = ['with', 'without'];
+
+export const EMPTY_FILTER = Object.freeze({
+  sizes: [], colors: [], tags: [], visited: null, notes: null, hide: false
+});
+
+export function isFilterActive(filter) {
+  return !!filter && (
+    filter.sizes?.length > 0 || filter.colors?.length > 0 || filter.tags?.length > 0 ||
+    !!filter.visited || !!filter.notes
+  );
+}
+
+function nodeMatches(graph, node, filter, visited) {
+  if (filter.sizes.length && !filter.sizes.includes(node.size ?? 'regular')) return false;
+  if (filter.colors.length && !filter.colors.includes(node.color ?? 'gray')) return false;
+  if (filter.tags.length && !(node.tags || []).some(t => filter.tags.includes(t))) return false;
+  if (filter.visited) {
+    const seen = !!visited?.nodes?.has(node.id);
+    if (seen !== (filter.visited === 'visited')) return false;
+  }
+  if (filter.notes) {
+    // Blank notes show nothing in the reader, so they don't count
+    const hasNotes = getNotesForTarget(graph, node.id).some(n => getNoteText(n).trim() !== '');
+    if (hasNotes !== (filter.notes === 'with')) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {{nodes: Array, edges: Array, notes: Object}} graph
+ * @param {Object} filter - see shape above
+ * @param {{nodes: Set}} [visited] - from useVisited
+ * @returns {{nodes: Set<string>, edges: Set<string>}} ids that do NOT match
+ */
+export function getFilteredOut(graph, filter, visited) {
+  if (!isFilterActive(filter)) return NO_HIDDEN_ELEMENTS;
+  const f = { ...EMPTY_FILTER, ...filter };
+
+  const nodes = new Set(
+    (graph?.nodes || []).filter(n => !nodeMatches(graph, n, f, visited)).map(n => n.id)
+  );
+  const edges = new Set(
+    (graph?.edges || []).filter(e => nodes.has(e.source) || nodes.has(e.target)).map(e => e.id)
+  );
+  return { nodes, edges };
+}
+
+//// URL encoding ////////////////////////////////////////////////////////////////////
+// "size:half,double;tag:water;visited:unvisited;hide" — list values are URI-encoded
+// so tag names can't break the separators.
+
+const LIST_KEYS = { size: 'sizes', color: 'colors', tag: 'tags' };
+
+export function encodeFilter(filter) {
+  if (!isFilterActive(filter)) return '';
+  const parts = [];
+  for (const [key, field] of Object.entries(LIST_KEYS)) {
+    if (filter[field]?.length) parts.push(`${key}:${filter[field].map(encodeURIComponent).join(',')}`);
+  }
+  if (filter.visited) parts.push(`visited:${filter.visited}`);
+  if (filter.notes) parts.push(`notes:${filter.notes}`);
+  if (filter.hide) parts.push('hide');
+  return parts.join(';');
+}
+
+/** Parse an encoded filter; unknown keys/values are dropped. Always returns a full filter object. */
+export function decodeFilter(str) {
+  const filter = { ...EMPTY_FILTER, sizes: [], colors: [], tags: [] };
+  if (typeof str !== 'string' || !str) return filter;
+
+  for (const part of str.split(';')) {
+    const [key, raw = ''] = part.split(':');
+    if (key === 'hide') { filter.hide = true; continue; }
+    if (LIST_KEYS[key]) {
+      let values = raw.split(',').filter(Boolean).map(v => {
+        try { return decodeURIComponent(v); } catch { return ''; }
+      }).filter(Boolean);
+      if (key === 'size') values = values.filter(v => FILTER_SIZES.includes(v));
+      if (key === 'color') values = values.filter(v => FILTER_COLORS.includes(v));
+      filter[LIST_KEYS[key]] = values;
+    } else if (key === 'visited' && VISITED_VALUES.includes(raw)) {
+      filter.visited = raw;
+    } else if (key === 'notes' && NOTES_VALUES.includes(raw)) {
+      filter.notes = raw;
+    }
+  }
+  return filter;
+}
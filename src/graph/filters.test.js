@@ -0,0 +1,73 @@
+// src/graph/filters.test.js
+
+import {
+  getFilteredOut, isFilterActive, encodeFilter, decodeFilter, EMPTY_FILTER
+} from "./filters.js";
+import { NO_HIDDEN_ELEMENTS } from "./layers.js";
+
+const graph = {
+  nodes: [
+    { id: "a", size: "double", color: "red", tags: ["water"] },
+    { id: "b", size: "half", color: "blue" },
+    { id: "c" }
+  ],
+  edges: [
+    { id: "a__b", source: "a", target: "b" },
+    { id: "a__c", source: "a", target: "c" }
+  ],
+  notes: { a: ["hi"], c: [{ text: "later", requires: "a" }] }
+};
+
+const visited = { nodes: new Set(["b"]), edges: new Set() };
+const filter = (patch) => ({ ...EMPTY_FILTER, ...patch });
+
+describe("getFilteredOut", () => {
+  test("inactive filter filters nothing", () => {
+    expect(isFilterActive(EMPTY_FILTER)).toBe(false);
+    expect(getFilteredOut(graph, filter({ hide: true }), visited)).toBe(NO_HIDDEN_ELEMENTS);
+  });
+
+  test("values in one category are OR-ed; missing size/color use defaults", () => {
+    const out = getFilteredOut(graph, filter({ sizes: ["half", "regular"] }), visited);
+    expect([...out.nodes]).toEqual(["a"]);
+    expect([...out.edges]).toEqual(["a__b", "a__c"]);
+  });
+
+  test("categories are AND-ed", () => {
+    const out = getFilteredOut(graph, filter({ colors: ["gray", "blue"], visited: "unvisited" }), visited);
+    expect([...out.nodes].sort()).toEqual(["a", "b"]);
+  });
+
+  test("tag and note predicates", () => {
+    expect([...getFilteredOut(graph, filter({ tags: ["water"] })).nodes]).toEqual(["b", "c"]);
+    expect([...getFilteredOut(graph, filter({ notes: "without" })).nodes]).toEqual(["a", "c"]);
+  });
+
+  test("blank notes don't count as notes", () => {
+    const blank = { ...graph, notes: { ...graph.notes, b: ["  ", { text: "\n", requires: "a" }] } };
+    expect([...getFilteredOut(blank, filter({ notes: "with" })).nodes]).toEqual(["b"]);
+    expect([...getFilteredOut(blank, filter({ notes: "without" })).nodes]).toEqual(["a", "c"]);
+  });
+
+  test("edges match only when both endpoints match", () => {
+    const out = getFilteredOut(graph, filter({ colors: ["red", "gray"] }), visited);
+    expect([...out.nodes]).toEqual(["b"]);
+    expect([...out.edges]).toEqual(["a__b"]);
+  });
+});
+
+describe("filter URL encoding", () => {
+  test("round-trips, including awkward tag names", () => {
+    const f = filter({ sizes: ["half"], tags: ["a;b", "c,d"], visited: "visited", notes: "with", hide: true });
+    expect(decodeFilter(encodeFilter(f))).toEqual(f);
+  });
+
+  test("inactive filters encode to an empty string", () => {
+    expect(encodeFilter(filter({ hide: true }))).toBe("");
+  });
+
+  test("unknown keys and values are dropped", () => {
+    expect(decodeFilter("size:huge,half;color:pink;visited:maybe;bogus:1")).toEqual(filter({ sizes: ["half"] }));
+    expect(decodeFilter(null)).toEqual(EMPTY_FILTER);
+  });
+});
@@ -0,0 +1,39 @@
+// src/graph/layers.js
+
+/**
+ * Layers — tag-driven visibility
+ *
+ * Each registry tag acts as a layer that can be hidden. Rules:
+ * - Untagged nodes/edges are always visible.
+ * - A tagged element is hidden only when ALL of its tags are hidden
+ *   (a node on both "water" and "power" stays visible while either layer is on).
+ * - An edge is also hidden when either endpoint node is hidden.
+ *
+ * Pure; the Cytoscape side lives in overlayManager.setLayerHidden.
+ */
+
+export const NO_HIDDEN_ELEMENTS = Object.freeze({ nodes: new Set(), edges: new Set() });
+
+function isHiddenByTags(el, hiddenTags) {
+  const tags = Array.isArray(el?.tags) ? el.tags : [];
+  return tags.length > 0 && tags.every(t => hiddenTags.has(t));
+}
+
+/**
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {Set<string>} hiddenTags
+ * @returns {{nodes: Set<string>, edges: Set<string>}} ids of hidden nodes/edges
+ */
+export function getHiddenElements(graph, hiddenTags) {
+  if (!hiddenTags || hiddenTags.size === 0) return NO_HIDDEN_ELEMENTS;
+
+  const nodes = new Set(
+    (graph?.nodes || []).filter(n => isHiddenByTags(n, hiddenTags)).map(n => n.id)
+  );
+  const edges = new Set(
+    (graph?.edges || [])
+      .filter(e => isHiddenByTags(e, hiddenTags) || nodes.has(e.source) || nodes.has(e.target))
+      .map(e => e.id)
+  );
+  return { nodes, edges };
+}
@@ -0,0 +1,46 @@
+// src/graph/layers.test.js
+
+import { getHiddenElements, NO_HIDDEN_ELEMENTS } from "./layers.js";
+
+const graph = {
+  nodes: [
+    { id: "pump", tags: ["water"] },
+    { id: "panel", tags: ["power"] },
+    { id: "hub", tags: ["water", "power"] },
+    { id: "gate" }
+  ],
+  edges: [
+    { id: "pump__hub", source: "pump", target: "hub", tags: ["water"] },
+    { id: "panel__hub", source: "panel", target: "hub" },
+    { id: "gate__hub", source: "gate", target: "hub", tags: ["wifi"] }
+  ]
+};
+
+describe("getHiddenElements", () => {
+  test("nothing hidden when no layers are off", () => {
+    expect(getHiddenElements(graph, new Set())).toBe(NO_HIDDEN_ELEMENTS);
+  });
+
+  test("hides elements whose every tag is off, keeps untagged ones", () => {
+    const hidden = getHiddenElements(graph, new Set(["water"]));
+    expect([...hidden.nodes]).toEqual(["pump"]);
+    expect([...hidden.edges]).toEqual(["pump__hub"]);
+  });
+
+  test("multi-tag nodes hide only when all their layers are off", () => {
+    const hidden = getHiddenElements(graph, new Set(["water", "power"]));
+    expect([...hidden.nodes].sort()).toEqual(["hub", "panel", "pump"]);
+  });
+
+  test("edges follow hidden endpoints even when untagged", () => {
+    const hidden = getHiddenElements(graph, new Set(["power"]));
+    expect([...hidden.nodes]).toEqual(["panel"]);
+    expect([...hidden.edges]).toEqual(["panel__hub"]);
+  });
+
+  test("edge-only layers hide just the edge", () => {
+    const hidden = getHiddenElements(graph, new Set(["wifi"]));
+    expect(hidden.nodes.size).toBe(0);
+    expect([...hidden.edges]).toEqual(["gate__hub"]);
+  });
+});
@@ -0,0 +1,320 @@
+// src/graph/layouts.js
+
+/**
+ * Automatic layouts — place a whole map (or part of it) from its edges
+ *
+ * Algorithms (LAYOUTS)
+ * - layered: ranks top to bottom following edge direction (forward = source
+ *   above target, backward = the reverse). Bidirectional edges only shape the
+ *   ranks where they don't contradict a directed path; edges closing a cycle are
+ *   ignored. Nodes without edges go in a grid below.
+ * - force: deterministic force-directed (Fruchterman–Reingold) starting from the
+ *   current positions (from a ring when some share a spot, e.g. an imported
+ *   pile); pinned nodes act as fixed anchors.
+ * - circular: one ring, neighbors next to each other (breadth-first order).
+ * - grid: rows in reading order of the current positions.
+ *
+ * Contracts
+ * - Pure; computeLayout returns { [nodeId]: { x, y } } for the nodes that may
+ *   move. Pinned nodes (node.pinned) and nodes outside `nodeIds` never appear
+ *   in the result, and only edges between laid-out nodes count.
+ * - Results are centered on the middle of the nodes' current bounding box
+ *   (force with pinned anchors keeps the anchors' frame instead).
+ * - Spacing comes from the largest node in the layout (see nodeExtent).
+ */
+
+import { nodeExtent, normalizeGraph } from './ops.js';
+
+export const LAYOUTS = {
+  layered: 'Layered',
+  force: 'Force-directed',
+  circular: 'Circular',
+  grid: 'Grid'
+};
+
+const GAP = 80;
+const FORCE_ITERATIONS = 300;
+
+const hasPosition = (n) => typeof n.x === 'number' && typeof n.y === 'number';
+
+/**
+ * @param {object} graph - { nodes, edges }
+ * @param {string} algorithm - key of LAYOUTS
+ * @param {{ nodeIds?: string[] }} [options] - limit to these nodes (default: all)
+ * @returns {Record<string, { x: number, y: number }>} new positions; empty if nothing can move
+ */
+export function computeLayout(graph, algorithm, { nodeIds } = {}) {
+  const g = normalizeGraph(graph);
+  const scope = nodeIds ? new Set(nodeIds) : null;
+  const nodes = g.nodes.filter(n => hasPosition(n) && (!scope || scope.has(n.id)));
+  const ids = new Set(nodes.map(n => n.id));
+  const edges = g.edges.filter(e => e.source !== e.target && ids.has(e.source) && ids.has(e.target));
+  const free = nodes.filter(n => !n.pinned);
+  if (free.length === 0 || !LAYOUTS[algorithm]) return {};
+
+  const extents = nodes.map(nodeExtent);
+  const cell = {
+    w: Math.max(...extents.map(e => e.w)) + GAP,
+    h: Math.max(...extents.map(e => e.h)) + GAP
+  };
+
+  if (algorithm === 'force') {
+    const positions = forceLayout(nodes, edges, cell);
+    return free.length < nodes.length ? roundAll(positions) : centerOn(positions, free);
+  }
+
+  // The other layouts arrange only the free nodes; pinned ones simply stay put
+  const freeIds = new Set(free.map(n => n.id));
+  const freeEdges = edges.filter(e => freeIds.has(e.source) && freeIds.has(e.target));
+  const place = { layered: layeredLayout, circular: circularLayout, grid: gridLayout }[algorithm];
+  return centerOn(place(free, freeEdges, cell), free);
+}
+
+// --- helpers ---------------------------------------------------------------
+
+function roundAll(positions) {
+  return Object.fromEntries(Object.entries(positions).map(([id, p]) => [id, { x: Math.round(p.x), y: Math.round(p.y) }]));
+}
+
+// Shift `positions` so their bounding-box center matches the current one of `nodes`
+function centerOn(positions, nodes) {
+  const center = (points) => {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+  };
+  const from = center(Object.values(positions));
+  const to = center(nodes);
+  return Object.fromEntries(Object.entries(positions).map(([id, p]) => [
+    id,
+    { x: Math.round(p.x - from.x + to.x), y: Math.round(p.y - from.y + to.y) }
+  ]));
+}
+
+function adjacency(nodes, edges) {
+  const adj = new Map(nodes.map(n => [n.id, []]));
+  edges.forEach(e => {
+    adj.get(e.source).push(e.target);
+    adj.get(e.target).push(e.source);
+  });
+  return adj;
+}
+
+// Breadth-first order, component by component, starting from the map's node order
+function traversalOrder(nodes, edges) {
+  const adj = adjacency(nodes, edges);
+  const seen = new Set();
+  const order = [];
+  nodes.forEach(start => {
+    if (seen.has(start.id)) return;
+    seen.add(start.id);
+    const queue = [start.id];
+    while (queue.length) {
+      const id = queue.shift();
+      order.push(id);
+      adj.get(id).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      });
+    }
+  });
+  return order;
+}
+
+// --- grid ------------------------------------------------------------------
+
+function gridLayout(nodes, edges, cell, origin = { x: 0, y: 0 }) {
+  const sorted = [...nodes].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+  const columns = Math.ceil(Math.sqrt(sorted.length));
+  return Object.fromEntries(sorted.map((n, i) => [
+    n.id,
+    { x: origin.x + (i % columns) * cell.w, y: origin.y + Math.floor(i / columns) * cell.h }
+  ]));
+}
+
+// --- circular --------------------------------------------------------------
+
+function circularLayout(nodes, edges, cell) {
+  const order = traversalOrder(nodes, edges);
+  if (order.length === 1) return { [order[0]]: { x: 0, y: 0 } };
+  // Neighboring centers at least one cell apart along the chord
+  const radius = Math.max(cell.w, cell.h) / (2 * Math.sin(Math.PI / order.length));
+  return Object.fromEntries(order.map((id, i) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i) / order.length;
+    return [id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) }];
+  }));
+}
+
+// --- layered ---------------------------------------------------------------
+
+function layeredLayout(nodes, edges, cell) {
+  const connected = new Set(edges.flatMap(e => [e.source, e.target]));
+  const linked = nodes.filter(n => connected.has(n.id));
+  const loose = nodes.filter(n => !connected.has(n.id));
+
+  const ranks = rankNodes(linked, edges);
+  const rows = orderRanks(linked, ranks);
+
+  const positions = {};
+  const widest = Math.max(0, ...rows.map(r => r.length));
+  rows.forEach((row, rank) => {
+    const offset = (widest - row.length) / 2;
+    row.forEach((id, i) => {
+      positions[id] = { x: (offset + i) * cell.w, y: rank * cell.h };
+    });
+  });
+
+  if (loose.length) {
+    const columns = Math.ceil(Math.sqrt(loose.length));
+    const left = ((Math.max(widest, columns) - columns) / 2) * cell.w;
+    Object.assign(positions, gridLayout(loose, [], cell, { x: left, y: rows.length * cell.h }));
+  }
+  return positions;
+}
+
+// Orient edges into a DAG (directed edges first, then bidirectional ones either
+// way round), skipping any edge that would close a cycle; then longest-path ranks.
+function rankNodes(nodes, edges) {
+  const out = new Map(nodes.map(n => [n.id, []]));
+  const reaches = (from, to) => {
+    const seen = new Set([from]);
+    const stack = [from];
+    while (stack.length) {
+      const id = stack.pop();
+      if (id === to) return true;
+      out.get(id).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      });
+    }
+    return false;
+  };
+  const tryAdd = (from, to) => {
+    if (reaches(to, from)) return false;
+    out.get(from).push(to);
+    return true;
+  };
+
+  const directed = edges.filter(e => e.direction !== 'bidirectional');
+  directed.forEach(e => {
+    if (e.direction === 'backward') tryAdd(e.target, e.source);
+    else tryAdd(e.source, e.target);
+  });
+  edges.filter(e => e.direction === 'bidirectional').forEach(e => {
+    if (!tryAdd(e.source, e.target)) tryAdd(e.target, e.source);
+  });
+
+  // Kahn's algorithm in map order; rank = longest path from a source
+  const indegree = new Map(nodes.map(n => [n.id, 0]));
+  out.forEach(targets => targets.forEach(t => indegree.set(t, indegree.get(t) + 1)));
+  const rank = new Map(nodes.map(n => [n.id, 0]));
+  const queue = nodes.map(n => n.id).filter(id => indegree.get(id) === 0);
+  while (queue.length) {
+    const id = queue.shift();
+    out.get(id).forEach(next => {
+      rank.set(next, Math.max(rank.get(next), rank.get(id) + 1));
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    });
+  }
+  return { rank, out };
+}
+
+// Group by rank, then a few barycenter sweeps (down, then up) to untangle edges
+function orderRanks(nodes, { rank, out }) {
+  const rows = [];
+  nodes.forEach(n => {
+    const r = rank.get(n.id);
+    (rows[r] = rows[r] || []).push(n.id);
+  });
+  const above = new Map(nodes.map(n => [n.id, []]));
+  out.forEach((targets, id) => targets.forEach(t => above.get(t).push(id)));
+
+  const slot = new Map();
+  const measure = () => rows.forEach(row => row.forEach((id, i) => slot.set(id, i - (row.length - 1) / 2)));
+  const sweep = (row, neighbors) => {
+    const weight = new Map(row.map(id => {
+      const ns = neighbors(id);
+      return [id, ns.length ? ns.reduce((sum, n) => sum + slot.get(n), 0) / ns.length : slot.get(id)];
+    }));
+    row.sort((a, b) => weight.get(a) - weight.get(b));
+    row.forEach((id, i) => slot.set(id, i - (row.length - 1) / 2));
+  };
+
+  measure();
+  for (let pass = 0; pass < 4; pass++) {
+    rows.forEach(row => sweep(row, id => above.get(id)));
+    [...rows].reverse().forEach(row => sweep(row, id => out.get(id)));
+  }
+  return rows;
+}
+
+// --- force -----------------------------------------------------------------
+
+function forceLayout(nodes, edges, cell) {
+  const k = Math.max(cell.w, cell.h);
+  const fixed = new Set(nodes.filter(n => n.pinned).map(n => n.id));
+
+  // A pile of nodes on the same spot has no direction to push apart: start from a ring
+  const distinct = new Set(nodes.map(n => `${n.x},${n.y}`));
+  const start = distinct.size < nodes.length
+    ? circularLayout(nodes.filter(n => !fixed.has(n.id)), edges.filter(e => !fixed.has(e.source) && !fixed.has(e.target)), cell)
+    : {};
+  const pos = new Map(nodes.map(n => [n.id, { ...(start[n.id] || { x: n.x, y: n.y }) }]));
+  if (fixed.size && distinct.size < nodes.length) {
+    // Keep the ring around the anchors rather than the origin
+    const anchor = nodes.filter(n => fixed.has(n.id));
+    const cx = anchor.reduce((s, n) => s + n.x, 0) / anchor.length;
+    const cy = anchor.reduce((s, n) => s + n.y, 0) / anchor.length;
+    Object.keys(start).forEach(id => { const p = pos.get(id); p.x += cx; p.y += cy; });
+  }
+
+  // Flat arrays: the pairwise loop dominates the cost on large maps
+  const ids = nodes.map(n => n.id);
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const xs = Float64Array.from(ids, id => pos.get(id).x);
+  const ys = Float64Array.from(ids, id => pos.get(id).y);
+  const links = edges.map(e => [index.get(e.source), index.get(e.target)]);
+  const count = ids.length;
+  const dispX = new Float64Array(count);
+  const dispY = new Float64Array(count);
+
+  let temperature = k * 2;
+  const cooling = temperature / FORCE_ITERATIONS;
+  for (let iteration = 0; iteration < FORCE_ITERATIONS; iteration++) {
+    dispX.fill(0);
+    dispY.fill(0);
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        let dx = xs[i] - xs[j];
+        let dy = ys[i] - ys[j];
+        if (dx === 0 && dy === 0) { dx = 0.1 * (j - i); dy = 0.1; }
+        const push = (k * k) / (dx * dx + dy * dy);
+        dispX[i] += dx * push; dispY[i] += dy * push;
+        dispX[j] -= dx * push; dispY[j] -= dy * push;
+      }
+    }
+    links.forEach(([a, b]) => {
+      const dx = xs[a] - xs[b];
+      const dy = ys[a] - ys[b];
+      const pull = Math.sqrt(dx * dx + dy * dy) / k;
+      dispX[a] -= dx * pull; dispY[a] -= dy * pull;
+      dispX[b] += dx * pull; dispY[b] += dy * pull;
+    });
+    for (let i = 0; i < count; i++) {
+      if (fixed.has(ids[i])) continue;
+      const length = Math.sqrt(dispX[i] * dispX[i] + dispY[i] * dispY[i]);
+      if (length === 0) continue;
+      const step = Math.min(length, temperature) / length;
+      xs[i] += dispX[i] * step;
+      ys[i] += dispY[i] * step;
+    }
+    temperature = Math.max(temperature - cooling, 1);
+  }
+
+  return Object.fromEntries(ids.flatMap((id, i) => (fixed.has(id) ? [] : [[id, { x: xs[i], y: ys[i] }]])));
+}
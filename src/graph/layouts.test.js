@@ -0,0 +1,81 @@
+// src/graph/layouts.test.js
+
+import { computeLayout } from "./layouts.js";
+
+const pile = (ids, extra = {}) => ids.map(id => ({ id, x: 0, y: 0, size: "regular", ...(extra[id] || {}) }));
+const edge = (source, target, direction = "forward") => ({ id: `${source}__${target}`, source, target, direction });
+
+const distinct = (positions) => new Set(Object.values(positions).map(p => `${p.x},${p.y}`)).size;
+
+describe("computeLayout", () => {
+  test("layered ranks follow edge direction and put loose nodes below", () => {
+    const graph = {
+      nodes: pile(["A", "B", "C", "D", "E"]),
+      edges: [edge("A", "B"), edge("C", "B", "backward"), edge("B", "D")]
+    };
+    const p = computeLayout(graph, "layered");
+    expect(p.A.y).toBeLessThan(p.B.y);
+    expect(p.B.y).toBeLessThan(p.C.y);
+    expect(p.B.y).toBeLessThan(p.D.y);
+    expect(p.C.y).toBe(p.D.y);
+    expect(p.E.y).toBeGreaterThan(p.D.y);
+    expect(distinct(p)).toBe(5);
+  });
+
+  test("layered survives cycles and orients bidirectional edges where they fit", () => {
+    const graph = {
+      nodes: pile(["A", "B", "C"]),
+      edges: [edge("A", "B"), edge("B", "C"), edge("C", "A"), edge("C", "B", "bidirectional")]
+    };
+    const p = computeLayout(graph, "layered");
+    expect(p.A.y).toBeLessThan(p.B.y);
+    expect(p.B.y).toBeLessThan(p.C.y);
+  });
+
+  test("circular puts every node at the same distance from the center", () => {
+    const graph = { nodes: pile(["A", "B", "C", "D"]), edges: [edge("A", "B"), edge("B", "C")] };
+    const p = computeLayout(graph, "circular");
+    const radii = Object.values(p).map(({ x, y }) => Math.round(Math.hypot(x, y)));
+    expect(Math.max(...radii) - Math.min(...radii)).toBeLessThanOrEqual(1);
+    expect(distinct(p)).toBe(4);
+  });
+
+  test("grid fills rows in reading order, centered where the nodes were", () => {
+    const nodes = [
+      { id: "A", x: 500, y: 0 }, { id: "B", x: 0, y: 0 },
+      { id: "C", x: 0, y: 300 }, { id: "D", x: 500, y: 300 }
+    ];
+    const p = computeLayout({ nodes, edges: [] }, "grid");
+    expect(p.B.y).toBe(p.A.y);
+    expect(p.B.x).toBeLessThan(p.A.x);
+    expect(p.C.y).toBeGreaterThan(p.A.y);
+    expect(Math.abs((p.B.x + p.A.x) / 2 - 250)).toBeLessThanOrEqual(1);
+    expect(Math.abs((p.B.y + p.C.y) / 2 - 150)).toBeLessThanOrEqual(1);
+  });
+
+  test("force spreads a pile, is deterministic and keeps connected nodes closer", () => {
+    const graph = { nodes: pile(["A", "B", "C", "D"]), edges: [edge("A", "B"), edge("C", "D")] };
+    const p = computeLayout(graph, "force");
+    expect(computeLayout(graph, "force")).toEqual(p);
+    expect(distinct(p)).toBe(4);
+    const dist = (a, b) => Math.hypot(p[a].x - p[b].x, p[a].y - p[b].y);
+    expect(dist("A", "B")).toBeLessThan(dist("A", "C"));
+  });
+
+  test("pinned nodes and nodes outside the scope never move", () => {
+    const graph = {
+      nodes: pile(["A", "B", "C", "D"], { A: { pinned: true, x: 1000, y: 1000 } }),
+      edges: [edge("A", "B"), edge("B", "C")]
+    };
+    ["layered", "force", "circular", "grid"].forEach(algorithm => {
+      const p = computeLayout(graph, algorithm, { nodeIds: ["A", "B", "C"] });
+      expect(Object.keys(p).sort()).toEqual(["B", "C"]);
+    });
+  });
+
+  test("returns nothing for unknown algorithms or when every node is pinned", () => {
+    const graph = { nodes: pile(["A"], { A: { pinned: true } }), edges: [] };
+    expect(computeLayout(graph, "grid")).toEqual({});
+    expect(computeLayout({ nodes: pile(["A"]), edges: [] }, "spiral")).toEqual({});
+  });
+});
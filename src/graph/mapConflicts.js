@@ -0,0 +1,134 @@
+// src/graph/mapConflicts.js
+
+/**
+ * Local vs CDN map conflicts — compare two copies of the same map and merge them
+ *
+ * Used when a CDN load would overwrite a local map with unsaved changes, whatever
+ * either map is called (see <MapConflictModal/>).
+ *
+ * Item shape (one per differing node, edge or note list)
+ *   { key: 'node:a' | 'edge:a__b' | 'notes:a', kind: 'node'|'edge'|'notes', id, label,
+ *     status: 'local-only' | 'cdn-only' | 'changed',
+ *     changes: [{ field, local, cdn }] }   — only for 'changed'; a move is field "position"
+ *
+ * Contracts
+ * - Pure; built on graph/diff.js (local = before, cdn = after).
+ * - mergeMaps starts from the local map and applies each item whose choice is 'cdn';
+ *   unlisted items keep the local version.
+ * - After merging, edges whose endpoints are gone are dropped, and so are their notes.
+ * - hasLocalChanges treats an empty map, or one identical to the starter map, as
+ *   having nothing to lose.
+ */
+
+import { diffGraphs } from "./diff.js";
+import { edgeId } from "./ops.js";
+
+const keyOf = (kind, id) => `${kind}:${id}`;
+
+const withEdgeIds = (edges) => (edges || []).map(e => ({ ...e, id: e.id || edgeId(e.source, e.target) }));
+
+function fieldValue(el, field) {
+  return field === 'position' ? { x: el.x, y: el.y } : el[field];
+}
+
+/**
+ * List every difference between the local and the CDN copy of a map.
+ * @returns {Array<object>} items (see module doc), nodes first, then edges, then notes
+ */
+export function compareMaps(local, cdn) {
+  const diff = diffGraphs(local, cdn);
+  const items = [];
+
+  const collect = (kind, part, localList, cdnList) => {
+    const localById = new Map(localList.map(el => [el.id, el]));
+    const cdnById = new Map(cdnList.map(el => [el.id, el]));
+    const label = (el) => el.title || el.id;
+    part.removed.forEach(el => items.push({ key: keyOf(kind, el.id), kind, id: el.id, label: label(el), status: 'local-only', changes: [] }));
+    part.added.forEach(el => items.push({ key: keyOf(kind, el.id), kind, id: el.id, label: label(el), status: 'cdn-only', changes: [] }));
+    part.changed.forEach(el => {
+      const a = localById.get(el.id);
+      const b = cdnById.get(el.id);
+      items.push({
+        key: keyOf(kind, el.id),
+        kind,
+        id: el.id,
+        label: label(el),
+        status: 'changed',
+        changes: el.fields.map(field => ({ field, local: fieldValue(a, field), cdn: fieldValue(b, field) }))
+      });
+    });
+  };
+
+  collect('node', diff.nodes, local?.nodes || [], cdn?.nodes || []);
+  collect('edge', diff.edges, withEdgeIds(local?.edges), withEdgeIds(cdn?.edges));
+
+  const localNotes = local?.notes || {};
+  const cdnNotes = cdn?.notes || {};
+  const notesItem = (id, status) => ({
+    key: keyOf('notes', id),
+    kind: 'notes',
+    id,
+    label: id,
+    status,
+    changes: status === 'changed' ? [{ field: 'notes', local: localNotes[id], cdn: cdnNotes[id] }] : []
+  });
+  diff.notes.removed.forEach(id => items.push(notesItem(id, 'local-only')));
+  diff.notes.added.forEach(id => items.push(notesItem(id, 'cdn-only')));
+  diff.notes.changed.forEach(id => items.push(notesItem(id, 'changed')));
+
+  return items;
+}
+
+/**
+ * Does the local map hold work a CDN load would throw away?
+ * @param {object} local - the current map
+ * @param {object} starter - the map the app starts with (default_ship_log.json)
+ */
+export function hasLocalChanges(local, starter) {
+  if (!local?.nodes?.length) return false;
+  return compareMaps(starter, local).length > 0;
+}
+
+// Replace, add or remove one element by id, keeping the local order
+function applyChoice(list, id, cdnEl) {
+  const index = list.findIndex(el => el.id === id);
+  if (!cdnEl) return index === -1 ? list : list.filter((_, i) => i !== index);
+  if (index === -1) return [...list, cdnEl];
+  return list.map((el, i) => (i === index ? cdnEl : el));
+}
+
+/**
+ * Merge the CDN map into the local one item by item.
+ * @param {object} local
+ * @param {object} cdn
+ * @param {{ [itemKey: string]: 'local'|'cdn' }} choices
+ * @returns {object} the merged map (local map-level fields, tags from both)
+ */
+export function mergeMaps(local, cdn, choices) {
+  const items = compareMaps(local, cdn);
+  let nodes = [...(local?.nodes || [])];
+  let edges = withEdgeIds(local?.edges);
+  const notes = { ...(local?.notes || {}) };
+  const cdnNodes = new Map((cdn?.nodes || []).map(n => [n.id, n]));
+  const cdnEdges = new Map(withEdgeIds(cdn?.edges).map(e => [e.id, e]));
+
+  items.forEach(item => {
+    if (choices?.[item.key] !== 'cdn') return;
+    if (item.kind === 'node') nodes = applyChoice(nodes, item.id, cdnNodes.get(item.id));
+    else if (item.kind === 'edge') edges = applyChoice(edges, item.id, cdnEdges.get(item.id));
+    else if (cdn?.notes?.[item.id]) notes[item.id] = cdn.notes[item.id];
+    else delete notes[item.id];
+  });
+
+  const nodeIds = new Set(nodes.map(n => n.id));
+  edges = edges.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target));
+  const targetIds = new Set([...nodeIds, ...edges.map(e => e.id)]);
+  Object.keys(notes).forEach(id => {
+    if (!targetIds.has(id)) delete notes[id];
+  });
+
+  const tagNames = new Set((local?.tags || []).map(t => t.name));
+  const tags = [...(local?.tags || []), ...(cdn?.tags || []).filter(t => !tagNames.has(t.name))];
+
+  return { ...local, nodes, edges, notes, tags };
+}
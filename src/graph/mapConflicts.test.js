@@ -0,0 +1,96 @@
+// src/graph/mapConflicts.test.js
+
+import { compareMaps, hasLocalChanges, mergeMaps } from "./mapConflicts.js";
+
+const local = {
+  mapName: "m",
+  nodes: [
+    { id: "a", title: "A", x: 0, y: 0, color: "gray", size: "regular" },
+    { id: "b", title: "B", x: 10, y: 0, color: "gray", size: "regular" },
+    { id: "mine", title: "Mine", x: 20, y: 0 }
+  ],
+  edges: [
+    { source: "a", target: "b", direction: "forward" },
+    { source: "b", target: "mine", direction: "forward" }
+  ],
+  notes: { a: ["local note"], mine: ["only here"] },
+  tags: [{ name: "x", color: "#fff" }]
+};
+
+const cdn = {
+  mapName: "m",
+  nodes: [
+    { id: "a", title: "A", x: 5, y: 0, color: "red", size: "double" },
+    { id: "b", title: "B", x: 10, y: 0, color: "gray", size: "regular" },
+    { id: "theirs", title: "Theirs", x: 30, y: 0 }
+  ],
+  edges: [
+    { source: "a", target: "b", direction: "bidirectional" },
+    { source: "b", target: "theirs", direction: "forward" }
+  ],
+  notes: { a: ["cdn note"], theirs: ["from cdn"] },
+  tags: [{ name: "x", color: "#000" }, { name: "y", color: "#111" }]
+};
+
+describe("compareMaps", () => {
+  test("lists local-only, cdn-only and changed items with both values", () => {
+    const items = compareMaps(local, cdn);
+    const byKey = Object.fromEntries(items.map(i => [i.key, i]));
+
+    expect(items.map(i => `${i.key}:${i.status}`)).toEqual([
+      "node:mine:local-only", "node:theirs:cdn-only", "node:a:changed",
+      "edge:b__mine:local-only", "edge:b__theirs:cdn-only", "edge:a__b:changed",
+      "notes:mine:local-only", "notes:theirs:cdn-only", "notes:a:changed"
+    ]);
+    expect(byKey["node:a"].changes).toEqual([
+      { field: "position", local: { x: 0, y: 0 }, cdn: { x: 5, y: 0 } },
+      { field: "color", local: "gray", cdn: "red" },
+      { field: "size", local: "regular", cdn: "double" }
+    ]);
+    expect(byKey["edge:a__b"].changes).toEqual([{ field: "direction", local: "forward", cdn: "bidirectional" }]);
+    expect(byKey["notes:a"].changes).toEqual([{ field: "notes", local: ["local note"], cdn: ["cdn note"] }]);
+  });
+
+  test("identical maps have no items", () => {
+    expect(compareMaps(local, JSON.parse(JSON.stringify(local)))).toEqual([]);
+  });
+});
+
+describe("hasLocalChanges", () => {
+  test("an empty or untouched starter map has nothing to lose, whatever its name", () => {
+    expect(hasLocalChanges({ mapName: "m", nodes: [], edges: [] }, local)).toBe(false);
+    expect(hasLocalChanges({ ...JSON.parse(JSON.stringify(local)), mapName: "other" }, local)).toBe(false);
+  });
+
+  test("any edit to the starter map counts, even under another name", () => {
+    const edited = { ...local, mapName: "other", nodes: local.nodes.map(n => (n.id === "a" ? { ...n, x: 99 } : n)) };
+    expect(hasLocalChanges(edited, local)).toBe(true);
+    expect(hasLocalChanges(cdn, local)).toBe(true);
+  });
+});
+
+describe("mergeMaps", () => {
+  test("keeps local for items without a cdn choice", () => {
+    const merged = mergeMaps(local, cdn, {});
+    expect(merged.nodes).toEqual(local.nodes);
+    expect(merged.notes).toEqual(local.notes);
+    expect(merged.tags.map(t => t.name)).toEqual(["x", "y"]);
+    expect(merged.tags[0].color).toBe("#fff");
+  });
+
+  test("applies cdn choices and drops dangling edges and notes", () => {
+    const merged = mergeMaps(local, cdn, {
+      "node:a": "cdn",
+      "node:mine": "cdn",        // removed on the CDN
+      "node:theirs": "cdn",
+      "edge:b__theirs": "cdn",
+      "notes:theirs": "cdn"
+    });
+    expect(merged.nodes.map(n => n.id)).toEqual(["a", "b", "theirs"]);
+    expect(merged.nodes[0].color).toBe("red");
+    expect(merged.edges.map(e => e.id)).toEqual(["a__b", "b__theirs"]);
+    expect(merged.edges[0].direction).toBe("forward");
+    expect(merged.notes).toEqual({ a: ["local note"], theirs: ["from cdn"] });
+    expect(merged.mapName).toBe("m");
+  });
+});
@@ -13,6 +13,7 @@
  * - addEdge(edges, newEdge)
  * - deleteNodes(nodes, edges, ids)
  * - rotateNodes90Clockwise(nodes), incrementOrientationBy90(orientation)
+ * - alignNodes / distributeNodes / equalizeSpacing(graph, ids, …), snapNodesToGrid(graph, ids, size)
  *
  * Gotchas
  * - Functions are PURE; do not reach into Cytoscape or window.
@@ -21,6 +22,10 @@
 
 import { TEST_ICON_SVG } from "../constants/testAssets.js";
 import { printDebug } from "../utils/debug.js";
+import { normalizeTagEntry, normalizeElementTags } from "./tags.js";
+import { normalizeTours, renameTourTargets } from "./tours.js";
+import { CURRENT_SCHEMA_VERSION, migrateGraph, logMigrationReport } from "./schema.js";
+import { NODE_SIZES } from "../styles/tokens.js";
 
 // Utility: create a stable edge id from endpoints
 export function edgeId(source, target) {
@@ -40,7 +45,12 @@ export function normalizeGraph(graph) {
   const bgImage = (graph && typeof graph.bgImage === 'object' && graph.bgImage !== null)
     ? graph.bgImage
     : { included: false, imageUrl: "", x: 0, y: 0, scale: 100, opacity: 100, visible: false };
-  return { nodes, edges, notes, mode, mapName, cdnBaseUrl, orientation, compassVisible, bgImage };
+  const tags = Array.isArray(graph?.tags) ? graph.tags : [];
+  const tours = Array.isArray(graph?.tours) ? graph.tours : [];
+  const grid = normalizeGrid(graph?.grid);
+  // Keep the version stamp deserializeGraph adds, so ops results don't migrate again
+  const version = Number.isInteger(graph?.schemaVersion) ? { schemaVersion: graph.schemaVersion } : {};
+  return { ...version, nodes, edges, notes, mode, mapName, cdnBaseUrl, orientation, compassVisible, bgImage, tags, tours, grid };
 }
 
 // Add node
@@ -129,7 +139,7 @@ export function renameNode(graph, nodeId, newTitle) {
   printDebug(`renameNode: ID changed from "${nodeId}" to "${newId}", updating all references`);
   
   // Update node with new ID and title
-  const updatedNodes = g.nodes.map(n => 
+  const renamedNodes = g.nodes.map(n => 
     n.id === nodeId ? { ...n, id: newId, title: newTitle } : n
   );
   
@@ -166,6 +176,14 @@ export function renameNode(graph, nodeId, newTitle) {
     return newEdge;
   });
   
+  // Locked nodes may list the renamed node/edges in revealCondition.anyOf
+  const renameRef = (id) => (id === nodeId ? newId : (edgeIdChanges.get(id) ?? id));
+  const updatedNodes = renamedNodes.map(n =>
+    Array.isArray(n.revealCondition?.anyOf)
+      ? { ...n, revealCondition: { ...n.revealCondition, anyOf: n.revealCondition.anyOf.map(renameRef) } }
+      : n
+  );
+  
   // Update notes object - move notes from old IDs to new IDs
   const updatedNotes = { ...g.notes };
   
@@ -184,12 +202,94 @@ export function renameNode(graph, nodeId, newTitle) {
       printDebug(`renameNode: Moved edge notes from "${oldEdgeId}" to "${newEdgeId}"`);
     }
   });
+
+  // Note prerequisites ({ text, requires }) may point at the renamed node/edges
+  Object.keys(updatedNotes).forEach(key => {
+    const entries = updatedNotes[key];
+    if (!Array.isArray(entries)) return;
+    updatedNotes[key] = entries.map(note =>
+      note && typeof note === 'object' && typeof note.requires === 'string'
+        ? { ...note, requires: renameRef(note.requires) }
+        : note
+    );
+  });
   
   return {
     ...g,
     nodes: updatedNodes,
     edges: updatedEdges,
-    notes: updatedNotes
+    notes: updatedNotes,
+    tours: renameTourTargets(g.tours, renameRef)
+  };
+}
+
+// Copy a node (with its notes and tags) next to the original; the copy is appended last.
+// Title gets a " copy" suffix and a unique id derived from it; edges are not copied.
+export function duplicateNode(graph, nodeId, { dx = 60, dy = 60 } = {}) {
+  const g = normalizeGraph(graph);
+  const original = g.nodes.find(n => n.id === nodeId);
+  if (!original) return g;
+
+  const title = `${original.title || original.id} copy`;
+  const id = findUniqueId(g, generateIdFromTitle(title));
+  const copy = { ...original, id, title, x: original.x + dx, y: original.y + dy };
+  const notes = g.notes[nodeId] ? { ...g.notes, [id]: [...g.notes[nodeId]] } : g.notes;
+  return { ...g, nodes: [...g.nodes, copy], notes };
+}
+
+// Swap an edge's endpoints (its id, notes and every reference follow).
+// No-op when the reversed edge already exists.
+export function reverseEdge(graph, id) {
+  const g = normalizeGraph(graph);
+  const edge = g.edges.find(e => (e.id || edgeId(e.source, e.target)) === id);
+  if (!edge) return g;
+  const newId = edgeId(edge.target, edge.source);
+  if (g.edges.some(e => (e.id || edgeId(e.source, e.target)) === newId)) return g;
+
+  return {
+    ...renameEdgeRefs(g, id, newId),
+    edges: g.edges.map(e => (e === edge ? { ...e, id: newId, source: edge.target, target: edge.source } : e))
+  };
+}
+
+// Move one end of an edge to another node, keeping its direction and notes.
+// No-op when the edge is missing, the result would be a self-loop, or the
+// new endpoint pair is already connected.
+export function retargetEdge(graph, id, end, nodeId) {
+  const g = normalizeGraph(graph);
+  const edge = g.edges.find(e => (e.id || edgeId(e.source, e.target)) === id);
+  if (!edge || (end !== "source" && end !== "target")) return g;
+  if (!g.nodes.some(n => n.id === nodeId)) return g;
+  const source = end === "source" ? nodeId : edge.source;
+  const target = end === "target" ? nodeId : edge.target;
+  const newId = edgeId(source, target);
+  if (source === target || g.edges.some(e => (e.id || edgeId(e.source, e.target)) === newId)) return g;
+
+  return {
+    ...renameEdgeRefs(g, id, newId),
+    edges: g.edges.map(e => (e === edge ? { ...e, id: newId, source, target } : e))
+  };
+}
+
+// Point notes, note `requires`, reveal conditions and tour stops at an edge's new id
+function renameEdgeRefs(g, fromId, toId) {
+  const renameRef = (ref) => (ref === fromId ? toId : ref);
+  const notes = {};
+  Object.entries(g.notes).forEach(([key, entries]) => {
+    notes[renameRef(key)] = Array.isArray(entries)
+      ? entries.map(note => (note && typeof note === 'object' && typeof note.requires === 'string' ? { ...note, requires: renameRef(note.requires) } : note))
+      : entries;
+  });
+
+  return {
+    ...g,
+    nodes: g.nodes.map(n =>
+      Array.isArray(n.revealCondition?.anyOf)
+        ? { ...n, revealCondition: { ...n.revealCondition, anyOf: n.revealCondition.anyOf.map(renameRef) } }
+        : n
+    ),
+    notes,
+    tours: renameTourTargets(g.tours, renameRef)
   };
 }
 
@@ -247,19 +347,123 @@ export function setEdgeMeta(graph, idOrPair, patch) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Arrange: align / distribute / snap. Positions are node centers, so edge-based
+// alignment uses the rendered node sizes (NODE_SIZES; "half" renders as small).
+// All of these leave the graph unchanged when too few of the ids exist.
+// ---------------------------------------------------------------------------
+
+export const ALIGN_MODES = ["left", "center", "right", "top", "middle", "bottom"];
+export const DEFAULT_GRID = { enabled: false, size: 40 };
+const GRID_SIZE_RANGE = { min: 5, max: 500 };
+
+// Map setting { enabled, size }: snapping on drop + the canvas overlay
+export function normalizeGrid(grid) {
+  const size = Math.round(Number(grid?.size));
+  return {
+    enabled: typeof grid?.enabled === "boolean" ? grid.enabled : DEFAULT_GRID.enabled,
+    size: Number.isFinite(size) ? Math.min(GRID_SIZE_RANGE.max, Math.max(GRID_SIZE_RANGE.min, size)) : DEFAULT_GRID.size
+  };
+}
+
+export function snapToGrid(value, size) {
+  return Math.round(value / size) * size;
+}
+
+// Rendered width/height of a node (also used by graph/layouts.js)
+export function nodeExtent(node) {
+  const box = NODE_SIZES[node.size === "half" ? "small" : node.size] || NODE_SIZES.regular;
+  return { w: box.width, h: box.height };
+}
+
+function moveNodes(g, positions) {
+  return { ...g, nodes: g.nodes.map(n => (positions.has(n.id) ? { ...n, ...positions.get(n.id) } : n)) };
+}
+
+const selectNodes = (g, nodeIds) => g.nodes.filter(n => nodeIds.includes(n.id) && typeof n.x === "number" && typeof n.y === "number");
+
+// Line the nodes up along one side or center line of their bounding box
+export function alignNodes(graph, nodeIds, mode) {
+  const g = normalizeGraph(graph);
+  const picked = selectNodes(g, nodeIds);
+  if (picked.length < 2 || !ALIGN_MODES.includes(mode)) return g;
+
+  const horizontal = mode === "left" || mode === "center" || mode === "right";
+  const axis = horizontal ? "x" : "y";
+  const half = (n) => (horizontal ? nodeExtent(n).w : nodeExtent(n).h) / 2;
+  const low = Math.min(...picked.map(n => n[axis] - half(n)));
+  const high = Math.max(...picked.map(n => n[axis] + half(n)));
+
+  const positions = new Map(picked.map(n => {
+    let value;
+    if (mode === "left" || mode === "top") value = low + half(n);
+    else if (mode === "right" || mode === "bottom") value = high - half(n);
+    else value = (low + high) / 2;
+    return [n.id, { [axis]: Math.round(value) }];
+  }));
+  return moveNodes(g, positions);
+}
+
+// Even steps between node centers; the outermost two stay put
+export function distributeNodes(graph, nodeIds, direction = "horizontal") {
+  const g = normalizeGraph(graph);
+  const axis = direction === "vertical" ? "y" : "x";
+  const picked = selectNodes(g, nodeIds).sort((a, b) => a[axis] - b[axis]);
+  if (picked.length < 3) return g;
+
+  const first = picked[0][axis];
+  const step = (picked[picked.length - 1][axis] - first) / (picked.length - 1);
+  return moveNodes(g, new Map(picked.map((n, i) => [n.id, { [axis]: Math.round(first + step * i) }])));
+}
+
+// Equal gaps between neighboring nodes' edges (differs from distribute when sizes differ);
+// the outermost two stay put
+export function equalizeSpacing(graph, nodeIds, direction = "horizontal") {
+  const g = normalizeGraph(graph);
+  const axis = direction === "vertical" ? "y" : "x";
+  const picked = selectNodes(g, nodeIds).sort((a, b) => a[axis] - b[axis]);
+  if (picked.length < 3) return g;
+
+  const length = (n) => (axis === "x" ? nodeExtent(n).w : nodeExtent(n).h);
+  const start = picked[0][axis] - length(picked[0]) / 2;
+  const end = picked[picked.length - 1][axis] + length(picked[picked.length - 1]) / 2;
+  const total = picked.reduce((sum, n) => sum + length(n), 0);
+  const gap = (end - start - total) / (picked.length - 1);
+
+  let cursor = start;
+  const positions = new Map(picked.map(n => {
+    const center = cursor + length(n) / 2;
+    cursor += length(n) + gap;
+    return [n.id, { [axis]: Math.round(center) }];
+  }));
+  return moveNodes(g, positions);
+}
+
+// Move node centers onto the nearest grid point
+export function snapNodesToGrid(graph, nodeIds, size) {
+  const g = normalizeGraph(graph);
+  const picked = selectNodes(g, nodeIds);
+  if (picked.length === 0 || !(size > 0)) return g;
+  return moveNodes(g, new Map(picked.map(n => [n.id, { x: snapToGrid(n.x, size), y: snapToGrid(n.y, size) }])));
+}
+
 // Serialization helpers
 export function serializeGraph(graph) {
   const g = normalizeGraph(graph);
   // keep clean shape
   const out = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     nodes: g.nodes,
     edges: g.edges,
     notes: g.notes,
+    tags: g.tags,
+    tours: g.tours,
     mode: g.mode,
     mapName: g.mapName,
     cdnBaseUrl: g.cdnBaseUrl,
     orientation: g.orientation,
-    compassVisible: g.compassVisible
+    compassVisible: g.compassVisible,
+    grid: g.grid
   };
   if (g.bgImage) {
     out.bgImage = {
@@ -281,35 +485,52 @@ export function serializeGraph(graph) {
 }
 
 
-// Accepts an object (already parsed) or a string
-export function deserializeGraph(input) {
+// Accepts an object (already parsed) or a string. Older maps are upgraded via
+// graph/schema.js first, and the result carries `schemaVersion`, so feeding it
+// back in (render sync, undo, normalizeGraphData) doesn't migrate again.
+// `missingImageUrl` fills nodes without an image; loaders pass "unspecified" so
+// the map's CDN placeholder applies. `onMigrate(report)` is called when the
+// input was upgraded (or comes from a newer app), for loaders to tell the user.
+export function deserializeGraph(input, { missingImageUrl = TEST_ICON_SVG, onMigrate } = {}) {
   const parsed = typeof input === "string" ? JSON.parse(input) : input;
-  const g = normalizeGraph(parsed);
+  const { graph: migrated, report } = migrateGraph(parsed);
+  logMigrationReport(report, "deserializeGraph");
+  if (report.applied.length || report.newer) onMigrate?.(report);
+  const g = normalizeGraph(migrated);
 
   // Backfill defaults
   const nodes = g.nodes.map(n => ({
     id: n.id,
-    title: n.title ?? n.label ?? "",
+    title: n.title ?? "",
     x: typeof n.x === "number" ? n.x : 0,
     y: typeof n.y === "number" ? n.y : 0,
     size: n.size ?? "regular",
     color: n.color ?? "gray",
-    imageUrl: n.imageUrl || TEST_ICON_SVG
+    imageUrl: n.imageUrl || missingImageUrl,
+    ...(n.locked ? { locked: true } : {}),
+    ...(n.pinned ? { pinned: true } : {}),
+    ...(n.revealCondition ? { revealCondition: n.revealCondition } : {}),
+    ...withElementTags(n)
   }));
 
   const edges = g.edges.map(e => ({
     id: e.id || edgeId(e.source, e.target),
     source: e.source,
     target: e.target,
-    direction: e.direction ?? "forward"
+    direction: e.direction ?? "forward",
+    ...withElementTags(e)
   }));
 
+  const tags = g.tags.map(normalizeTagEntry).filter(Boolean);
+  const tours = normalizeTours(g.tours);
+
   const notes = g.notes;
   const mode = g.mode;
   const mapName = g.mapName;
   const cdnBaseUrl = g.cdnBaseUrl;
   const orientation = g.orientation;
   const compassVisible = g.compassVisible;
+  const grid = g.grid;
   const bgImage = {
     included: !!g.bgImage?.included,
     imageUrl: typeof g.bgImage?.imageUrl === "string" ? g.bgImage.imageUrl : "",
@@ -320,5 +541,11 @@ export function deserializeGraph(input) {
     visible: typeof g.bgImage?.visible === "boolean" ? g.bgImage.visible : !!g.bgImage?.included
   };
 
-  return { nodes, edges, notes, mode, mapName, cdnBaseUrl, orientation, compassVisible, bgImage };
+  return { schemaVersion: report.toVersion, nodes, edges, notes, mode, mapName, cdnBaseUrl, orientation, compassVisible, bgImage, tags, tours, grid };
+}
+
+// `{ tags }` spread for a node/edge, omitted when it has none
+function withElementTags(el) {
+  const tags = normalizeElementTags(el.tags);
+  return tags.length ? { tags } : {};
 }
@@ -4,8 +4,11 @@ import { jest } from '@jest/globals';
 import {
   addNode, removeNodeAndEdges, renameNode,
   connectNodes, disconnectNodes, setNodeMeta,
-  setEdgeMeta, serializeGraph, deserializeGraph, edgeId
+  setEdgeMeta, serializeGraph, deserializeGraph, edgeId,
+  duplicateNode, reverseEdge, retargetEdge,
+  alignNodes, distributeNodes, equalizeSpacing, snapNodesToGrid, normalizeGrid
 } from "./ops.js";
+import { CURRENT_SCHEMA_VERSION } from "./schema.js";
 
 describe("graph ops", () => {
   const blank = { nodes: [], edges: [], notes: {} };
@@ -40,6 +43,71 @@ describe("graph ops", () => {
     expect(g2.edges[0].id).toBe(edgeId("N1", "N1"));
   });
 
+  test("serialize stamps the schema version; deserialize upgrades unversioned maps", () => {
+    expect(JSON.parse(serializeGraph(blank)).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    const g = deserializeGraph({
+      nodes: [{ id: "A", label: "Alpha" }, { id: "B", title: "B" }],
+      edges: [{ id: "A->B", source: "A", target: "B" }],
+      notes: { "A->B": "legacy note" }
+    });
+    expect(g.nodes[0].title).toBe("Alpha");
+    expect(g.edges[0].id).toBe(edgeId("A", "B"));
+    expect(g.notes).toEqual({ [edgeId("A", "B")]: ["legacy note"] });
+  });
+
+  test("deserialize stamps its output, so feeding it back in doesn't migrate again", () => {
+    const onMigrate = jest.fn();
+    const once = deserializeGraph({ nodes: [{ id: "A", label: "Alpha" }], edges: [] }, { onMigrate });
+    expect(once.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(onMigrate).toHaveBeenCalledTimes(1);
+    expect(onMigrate.mock.calls[0][0].applied[0].changes).toEqual(["1 node: label renamed to title"]);
+    deserializeGraph(once, { onMigrate });
+    deserializeGraph(setNodeMeta(once, "A", { color: "red" }), { onMigrate });
+    expect(onMigrate).toHaveBeenCalledTimes(1);
+  });
+
+  test("deserialize fills missing images with the given fallback", () => {
+    const raw = { nodes: [{ id: "A", title: "A" }], edges: [] };
+    expect(deserializeGraph(raw, { missingImageUrl: "unspecified" }).nodes[0].imageUrl).toBe("unspecified");
+    expect(deserializeGraph(raw).nodes[0].imageUrl).toMatch(/^data:image\/svg\+xml/);
+  });
+
+  test("deserialize keeps locked/pinned/revealCondition only when set", () => {
+    const g = deserializeGraph({
+      nodes: [
+        { id: "A", title: "A", x: 0, y: 0 },
+        { id: "B", title: "B", x: 0, y: 0, locked: true, pinned: true, revealCondition: { anyOf: ["A"] } }
+      ],
+      edges: [], notes: {}
+    });
+    expect(g.nodes[0]).not.toHaveProperty("locked");
+    expect(g.nodes[0]).not.toHaveProperty("pinned");
+    expect(g.nodes[1].locked).toBe(true);
+    expect(g.nodes[1].pinned).toBe(true);
+    expect(g.nodes[1].revealCondition).toEqual({ anyOf: ["A"] });
+  });
+
+  test("renameNode rewrites revealCondition references", () => {
+    let g = { ...blank, nodes: [
+      { id: "A", title: "A" },
+      { id: "B", title: "B" },
+      { id: "C", title: "C", locked: true, revealCondition: { anyOf: ["A", edgeId("A", "B"), "B"] } }
+    ] };
+    g = connectNodes(g, "A", "B");
+    g = renameNode(g, "A", "Alpha");
+    expect(g.nodes[2].revealCondition.anyOf).toEqual(["Alpha", edgeId("Alpha", "B"), "B"]);
+  });
+
+  test("renameNode rewrites note prerequisites", () => {
+    let g = { ...blank, nodes: [{ id: "A", title: "A" }, { id: "B", title: "B" }],
+      notes: { B: ["plain", { text: "after A", requires: "A" }] } };
+    g = connectNodes(g, "A", "B");
+    g = { ...g, notes: { ...g.notes, A: [{ text: "after edge", requires: edgeId("A", "B") }] } };
+    g = renameNode(g, "A", "Alpha");
+    expect(g.notes.B).toEqual(["plain", { text: "after A", requires: "Alpha" }]);
+    expect(g.notes.Alpha).toEqual([{ text: "after edge", requires: edgeId("Alpha", "B") }]);
+  });
+
   test("setNodeMeta updates node properties", () => {
     // Start with a node with default properties
     let g = addNode(blank, { id: "TestNode", title: "Original Title", x: 10, y: 20, color: "gray", size: "regular" });
@@ -84,6 +152,115 @@ describe("graph ops", () => {
     expect(g.nodes[0].imageUrl).toBe("custom-image-url");
   });
 
+  test("duplicateNode copies a node and its notes next to the original", () => {
+    const g = {
+      nodes: [{ id: "A", title: "Alpha", x: 0, y: 0, color: "red", tags: ["x"] }],
+      edges: [],
+      notes: { A: ["one"] }
+    };
+    const out = duplicateNode(g, "A");
+    expect(out.nodes).toHaveLength(2);
+    expect(out.nodes[1]).toEqual({ id: "Alpha_copy", title: "Alpha copy", x: 60, y: 60, color: "red", tags: ["x"] });
+    expect(out.notes.Alpha_copy).toEqual(["one"]);
+    expect(out.notes.Alpha_copy).not.toBe(g.notes.A);
+
+    const again = duplicateNode(out, "A", { dx: 10, dy: 0 });
+    expect(again.nodes[2].id).toBe("Alpha_copy1");
+    expect(again.nodes[2].x).toBe(10);
+    expect(duplicateNode(g, "missing").nodes).toHaveLength(1);
+  });
+
+  test("reverseEdge swaps endpoints and moves notes and references", () => {
+    const g = {
+      nodes: [{ id: "A" }, { id: "B", locked: true, revealCondition: { anyOf: ["A__B"] } }],
+      edges: [{ id: "A__B", source: "A", target: "B", direction: "forward" }],
+      notes: { A__B: ["edge note"], A: [{ text: "gated", requires: "A__B" }] },
+      tours: [{ id: "t", name: "T", steps: [{ target: "A__B" }] }]
+    };
+    const out = reverseEdge(g, "A__B");
+    expect(out.edges).toEqual([{ id: "B__A", source: "B", target: "A", direction: "forward" }]);
+    expect(out.notes).toEqual({ B__A: ["edge note"], A: [{ text: "gated", requires: "B__A" }] });
+    expect(out.nodes[1].revealCondition.anyOf).toEqual(["B__A"]);
+    expect(out.tours[0].steps[0].target).toBe("B__A");
+
+    const both = { ...g, edges: [...g.edges, { id: "B__A", source: "B", target: "A" }] };
+    expect(reverseEdge(both, "A__B").edges).toEqual(both.edges);
+  });
+
+  test("retargetEdge moves one endpoint and carries notes along", () => {
+    const g = {
+      nodes: [{ id: "A" }, { id: "B" }, { id: "C", revealCondition: { anyOf: ["A__B"] } }],
+      edges: [{ id: "A__B", source: "A", target: "B", direction: "bidirectional" }],
+      notes: { A__B: ["edge note"] },
+      tours: [{ id: "t", name: "T", steps: [{ target: "A__B" }] }]
+    };
+    const out = retargetEdge(g, "A__B", "target", "C");
+    expect(out.edges).toEqual([{ id: "A__C", source: "A", target: "C", direction: "bidirectional" }]);
+    expect(out.notes).toEqual({ A__C: ["edge note"] });
+    expect(out.nodes[2].revealCondition.anyOf).toEqual(["A__C"]);
+    expect(out.tours[0].steps[0].target).toBe("A__C");
+
+    expect(retargetEdge(g, "A__B", "source", "C").edges[0].id).toBe("C__B");
+  });
+
+  test("retargetEdge ignores self-loops, existing pairs and unknown nodes", () => {
+    const g = {
+      nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+      edges: [{ id: "A__B", source: "A", target: "B" }, { id: "A__C", source: "A", target: "C" }],
+      notes: {}
+    };
+    expect(retargetEdge(g, "A__B", "target", "A").edges).toEqual(g.edges);
+    expect(retargetEdge(g, "A__B", "target", "C").edges).toEqual(g.edges);
+    expect(retargetEdge(g, "A__B", "target", "Z").edges).toEqual(g.edges);
+    expect(retargetEdge(g, "nope", "target", "C").edges).toEqual(g.edges);
+  });
+
+  describe("arrange", () => {
+    // regular nodes are 120 × 175, double 240 × 340
+    const g = {
+      nodes: [
+        { id: "A", x: 0, y: 0 },
+        { id: "B", x: 300, y: 100, size: "double" },
+        { id: "C", x: 100, y: 400 },
+        { id: "D", x: 900, y: 900 }
+      ],
+      edges: [],
+      notes: {}
+    };
+    const pos = (graph, id) => { const n = graph.nodes.find(m => m.id === id); return [n.x, n.y]; };
+
+    test("alignNodes lines up edges and centers, using node sizes", () => {
+      const left = alignNodes(g, ["A", "B", "C"], "left");
+      expect([pos(left, "A"), pos(left, "B"), pos(left, "C")]).toEqual([[0, 0], [60, 100], [0, 400]]);
+      const right = alignNodes(g, ["A", "B"], "right");
+      expect([pos(right, "A"), pos(right, "B")]).toEqual([[360, 0], [300, 100]]);
+      const middle = alignNodes(g, ["A", "C"], "middle");
+      expect([pos(middle, "A"), pos(middle, "C")]).toEqual([[0, 200], [100, 200]]);
+      expect(pos(middle, "D")).toEqual([900, 900]);
+    });
+
+    test("distributeNodes spaces centers evenly between the outermost nodes", () => {
+      const out = distributeNodes({ ...g, nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 10, y: 0 }, { id: "C", x: 300, y: 0 }] }, ["A", "B", "C"], "horizontal");
+      expect(out.nodes.map(n => n.x)).toEqual([0, 150, 300]);
+      expect(distributeNodes(g, ["A", "B"], "vertical").nodes).toEqual(g.nodes);
+    });
+
+    test("equalizeSpacing makes the gaps between node edges equal", () => {
+      const row = { ...g, nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 100, y: 0, size: "double" }, { id: "C", x: 600, y: 0 }] };
+      const out = equalizeSpacing(row, ["A", "B", "C"], "horizontal");
+      // span -60..660 = 720, widths 120 + 240 + 120 = 480, so two gaps of 120
+      expect(out.nodes.map(n => n.x)).toEqual([0, 300, 600]);
+    });
+
+    test("snapNodesToGrid and normalizeGrid", () => {
+      const out = snapNodesToGrid({ ...g, nodes: [{ id: "A", x: 19, y: 21 }] }, ["A"], 40);
+      expect(pos(out, "A")).toEqual([0, 40]);
+      expect(normalizeGrid(undefined)).toEqual({ enabled: false, size: 40 });
+      expect(normalizeGrid({ enabled: true, size: 1000 })).toEqual({ enabled: true, size: 500 });
+      expect(deserializeGraph(serializeGraph({ ...blank, grid: { enabled: true, size: 25 } })).grid).toEqual({ enabled: true, size: 25 });
+    });
+  });
+
   describe('Undo node move', () => {
     it('should update both React state and Cytoscape node position', () => {
       // Mock graph data
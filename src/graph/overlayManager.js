@@ -41,7 +41,11 @@ const CLS = {
   NOTE_EDGE: 'edge-note-count',
   UNSEEN_NODE: 'unseen',
   UNSEEN_EDGE: 'edge-unseen',
-  ENTRY_PARENT: 'entry-parent'
+  ENTRY_PARENT: 'entry-parent',
+  LAYER_HIDDEN: 'layer-hidden',
+  FILTER_DIMMED: 'filter-dimmed',
+  FILTER_HIDDEN: 'filter-hidden',
+  TIMELINE_PENDING: 'timeline-pending'
 };
 
 const OVERLAY_ADD_SELECTOR = 'node.edge-note-count, node.edge-unseen, node.note-count, node.unseen';
@@ -251,7 +255,8 @@ export function ensure(cy, model, mode = 'editing') {
   // NODE overlays
   cy.nodes(`.${CLS.ENTRY_PARENT}`).forEach((parent) => {
     const id = parent.id();
-    const count = nodeCounts.get(id) ?? 0;
+    // Locked "?" nodes keep their notes secret until revealed
+    const count = parent.data('locked') ? 0 : (nodeCounts.get(id) ?? 0);
 
     ensureNodeNoteBadge(cy, parent, count);
 
@@ -284,6 +289,9 @@ export function ensure(cy, model, mode = 'editing') {
 
   cy.endBatch();
   stopOverlayAnims(cy);
+
+  // Badges were just (re)created — keep them in step with hidden layers / filters
+  Object.keys(cy.scratch('_hostClasses') || {}).forEach(cls => applyHostClass(cy, cls));
 }
 
 let isRefreshing = false; // Recursion guard
@@ -488,6 +496,49 @@ export function setNoteCountsVisible(cy, visible) {
   else         cy.nodes(sel).addClass('hidden');
 }
 
+/**
+ * Hide nodes/edges on switched-off tag layers, together with their badges.
+ * `hidden` is { nodes:Set, edges:Set } from graph/layers.getHiddenElements.
+ */
+export function setLayerHidden(cy, hidden) {
+  setHostClass(cy, CLS.LAYER_HIDDEN, hidden);
+}
+
+/**
+ * Dim (or hide, when `hide`) nodes/edges that don't match the Filter panel.
+ * `filteredOut` is { nodes:Set, edges:Set } from graph/filters.getFilteredOut.
+ */
+export function setFilteredOut(cy, filteredOut, { hide = false } = {}) {
+  setHostClass(cy, CLS.FILTER_DIMMED, hide ? null : filteredOut);
+  setHostClass(cy, CLS.FILTER_HIDDEN, hide ? filteredOut : null);
+}
+
+/**
+ * Hide nodes/edges a discovery replay hasn't revealed yet (hooks/useTimelineReplay.js).
+ * `pending` is { nodes:Set, edges:Set } from graph/timeline.getPendingElements; null clears.
+ */
+export function setTimelinePending(cy, pending) {
+  setHostClass(cy, CLS.TIMELINE_PENDING, pending);
+}
+
+// Host ids per class are remembered in scratch so ensure() can re-apply after structural syncs
+function setHostClass(cy, cls, ids) {
+  if (!cy || cy.destroyed()) return;
+  cy.scratch('_hostClasses', { ...(cy.scratch('_hostClasses') || {}), [cls]: ids || null });
+  applyHostClass(cy, cls);
+}
+
+function applyHostClass(cy, cls) {
+  const hosts = cy.scratch('_hostClasses')?.[cls];
+  cy.startBatch();
+  cy.elements(`.${cls}`).removeClass(cls);
+  const ids = [];
+  toSet(hosts?.nodes).forEach(id => ids.push(id, `${id}__entry`, idNodeNote(id), idNodeUnseen(id)));
+  toSet(hosts?.edges).forEach(id => ids.push(id, idEdgeNote(id), idEdgeUnseen(id)));
+  ids.forEach(id => getById(cy, id)?.addClass(cls));
+  cy.endBatch();
+}
+
 // convenience
 export function hideNoteCounts(cy){ setNoteCountsVisible(cy, false); }
 export function showNoteCounts(cy){ setNoteCountsVisible(cy, true); }
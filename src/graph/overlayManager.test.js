@@ -18,7 +18,7 @@
 //     with RAF-throttled drag tracking, at no extra compound-layout cost.
 
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
-import { attach, detach, ensure, startNodeResizeAnimation, endNodeResizeAnimation } from './overlayManager.js';
+import { attach, detach, ensure, setLayerHidden, setFilteredOut, setTimelinePending, startNodeResizeAnimation, endNodeResizeAnimation } from './overlayManager.js';
 
 function makeMockCy() {
   const scratch = {};
@@ -406,3 +406,80 @@ describe('overlayManager resize-animation borrow/return', () => {
     expect(cy._entry.move).toHaveBeenCalledWith({ parent: null });
   });
 });
+
+// ---------------------------------------------------------------------------
+// Layer visibility: hidden tags hide the host element and its badges
+// ---------------------------------------------------------------------------
+
+function makeLayerCy(ids) {
+  const scratch = {};
+  const els = new Map(ids.map(id => {
+    const classes = new Set();
+    return [id, {
+      empty: () => false,
+      addClass: (cls) => classes.add(cls),
+      removeClass: (cls) => classes.delete(cls),
+      hasClass: (cls) => classes.has(cls),
+    }];
+  }));
+  return {
+    destroyed: () => false,
+    scratch: (key, val) => { if (val === undefined) return scratch[key]; scratch[key] = val; },
+    startBatch: () => {},
+    endBatch: () => {},
+    getElementById: (id) => els.get(id) || { empty: () => true },
+    elements: (sel) => {
+      const cls = sel.slice(1);
+      const matched = [...els.values()].filter(e => e.hasClass(cls));
+      return { removeClass: (c) => matched.forEach(e => e.removeClass(c)) };
+    },
+    _el: (id) => els.get(id),
+  };
+}
+
+describe('overlayManager.setLayerHidden', () => {
+  const ids = ['n1', 'n1__entry', 'n1__nodeNoteCount', 'n1__nodeUnseen', 'n2', 'e1', 'e1__edgeNoteCount'];
+
+  test('hides the node, its entry child, its badges and hidden edges', () => {
+    const cy = makeLayerCy(ids);
+    setLayerHidden(cy, { nodes: new Set(['n1']), edges: new Set(['e1']) });
+    for (const id of ['n1', 'n1__entry', 'n1__nodeNoteCount', 'n1__nodeUnseen', 'e1', 'e1__edgeNoteCount']) {
+      expect(cy._el(id).hasClass('layer-hidden')).toBe(true);
+    }
+    expect(cy._el('n2').hasClass('layer-hidden')).toBe(false);
+  });
+
+  test('showing a layer again clears the class', () => {
+    const cy = makeLayerCy(ids);
+    setLayerHidden(cy, { nodes: new Set(['n1']), edges: new Set() });
+    setLayerHidden(cy, { nodes: new Set(), edges: new Set() });
+    expect(cy._el('n1').hasClass('layer-hidden')).toBe(false);
+    expect(cy._el('n1__nodeNoteCount').hasClass('layer-hidden')).toBe(false);
+  });
+
+  test('filters dim by default and hide on request, independently of layers', () => {
+    const cy = makeLayerCy(ids);
+    const out = { nodes: new Set(['n1']), edges: new Set() };
+    setLayerHidden(cy, { nodes: new Set(['n2']), edges: new Set() });
+
+    setFilteredOut(cy, out);
+    expect(cy._el('n1__entry').hasClass('filter-dimmed')).toBe(true);
+    expect(cy._el('n1__entry').hasClass('filter-hidden')).toBe(false);
+
+    setFilteredOut(cy, out, { hide: true });
+    expect(cy._el('n1__entry').hasClass('filter-dimmed')).toBe(false);
+    expect(cy._el('n1__entry').hasClass('filter-hidden')).toBe(true);
+    expect(cy._el('n2').hasClass('layer-hidden')).toBe(true);
+  });
+
+  test('timeline replay hides pending elements until cleared', () => {
+    const cy = makeLayerCy(ids);
+    setTimelinePending(cy, { nodes: new Set(['n2']), edges: new Set(['e1']) });
+    expect(cy._el('n2').hasClass('timeline-pending')).toBe(true);
+    expect(cy._el('e1__edgeNoteCount').hasClass('timeline-pending')).toBe(true);
+
+    setTimelinePending(cy, null);
+    expect(cy._el('n2').hasClass('timeline-pending')).toBe(false);
+    expect(cy._el('e1').hasClass('timeline-pending')).toBe(false);
+  });
+});
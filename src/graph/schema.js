@@ -0,0 +1,179 @@
+// src/graph/schema.js
+
+/**
+ * Map JSON schema versions and migrations
+ *
+ * Responsibilities
+ * - `schemaVersion` on saved maps: serializeGraph writes CURRENT_SCHEMA_VERSION;
+ *   maps without one are version 0 (everything published before versioning).
+ * - MIGRATIONS: the ordered list of upgrade steps. Each step lifts a map from
+ *   `version - 1` to `version` and reports what it changed.
+ * - migrateGraph(raw) runs every step a map still needs and returns the
+ *   upgraded map plus a report of what was migrated.
+ *
+ * Adding a version
+ * - Bump CURRENT_SCHEMA_VERSION and append a step; never edit a shipped step,
+ *   maps already on CDNs depend on it behaving the same way.
+ *
+ * Gotchas
+ * - Runs on raw parsed JSON, before ops.deserializeGraph fills in defaults, so
+ *   steps must tolerate missing/odd fields.
+ * - Imports nothing from ops.js (ops imports this module; that would be a cycle).
+ */
+
+import { printDebug, printWarn } from "../utils/debug.js";
+
+export const CURRENT_SCHEMA_VERSION = 1;
+
+// Same rule as ops.edgeId
+const edgeIdFor = (source, target) => `${source}__${target}`;
+
+const plural = (n, word, many = `${word}s`) => `${n} ${n === 1 ? word : many}`;
+
+// v0 -> v1: the shapes older editors and importers wrote
+function migrateLegacyShapes(map, note) {
+  const out = { ...map };
+
+  // Very old maps named nodes with `label`
+  if (Array.isArray(out.nodes)) {
+    let renamed = 0;
+    out.nodes = out.nodes.map(n => {
+      if (!n || typeof n !== "object" || !("label" in n)) return n;
+      const { label, ...rest } = n;
+      if (rest.title === undefined || rest.title === null || rest.title === "") {
+        renamed++;
+        return { ...rest, title: label };
+      }
+      return rest;
+    });
+    if (renamed) note(`${plural(renamed, "node")}: label renamed to title`);
+  }
+
+  // Edge ids: missing ones get the canonical id; the old file importer wrote
+  // "source->target" ids, which are rewritten along with everything pointing at them
+  const idChanges = new Map();
+  if (Array.isArray(out.edges)) {
+    let added = 0;
+    out.edges = out.edges.map(e => {
+      if (!e || typeof e !== "object") return e;
+      const canonical = edgeIdFor(e.source, e.target);
+      if (!e.id) {
+        added++;
+        return { ...e, id: canonical };
+      }
+      if (e.id === `${e.source}->${e.target}`) {
+        idChanges.set(e.id, canonical);
+        return { ...e, id: canonical };
+      }
+      return e;
+    });
+    if (added) note(`${plural(added, "edge")}: missing id added`);
+    if (idChanges.size) note(`${plural(idChanges.size, "edge")}: "source->target" id rewritten to "source__target"`);
+  }
+  const renameRef = (id) => idChanges.get(id) ?? id;
+
+  // Notes used to be a single string/object per element instead of a list
+  if (out.notes && typeof out.notes === "object" && !Array.isArray(out.notes)) {
+    let wrapped = 0;
+    const notes = {};
+    Object.entries(out.notes).forEach(([targetId, entries]) => {
+      let list = entries;
+      if (!Array.isArray(list)) {
+        wrapped++;
+        list = (list === undefined || list === null) ? [] : [list];
+      }
+      if (idChanges.size) {
+        list = list.map(n => (n && typeof n === "object" && typeof n.requires === "string")
+          ? { ...n, requires: renameRef(n.requires) }
+          : n);
+      }
+      notes[renameRef(targetId)] = list;
+    });
+    out.notes = notes;
+    if (wrapped) note(`${plural(wrapped, "note entry", "note entries")} wrapped in a list`);
+  }
+
+  if (idChanges.size) {
+    if (Array.isArray(out.nodes)) {
+      out.nodes = out.nodes.map(n => (Array.isArray(n?.revealCondition?.anyOf)
+        ? { ...n, revealCondition: { ...n.revealCondition, anyOf: n.revealCondition.anyOf.map(renameRef) } }
+        : n));
+    }
+    if (Array.isArray(out.tours)) {
+      const renameStep = (s) => {
+        if (typeof s === "string") return renameRef(s);
+        return (s && typeof s === "object") ? { ...s, target: renameRef(s.target) } : s;
+      };
+      out.tours = out.tours.map(t => (Array.isArray(t?.steps) ? { ...t, steps: t.steps.map(renameStep) } : t));
+    }
+  }
+
+  // Orientation was written unwrapped (e.g. -90, 450) or as a string
+  if (out.orientation !== undefined) {
+    const num = Number(out.orientation);
+    const wrapped = Number.isFinite(num) ? ((num % 360) + 360) % 360 : 0;
+    if (wrapped !== out.orientation) {
+      note(`orientation ${JSON.stringify(out.orientation)} normalized to ${wrapped}`);
+      out.orientation = wrapped;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Ordered upgrade steps: `migrate(map, note)` returns the upgraded map (without
+ * mutating its input) and calls `note(message)` for each change it makes.
+ */
+export const MIGRATIONS = [
+  { version: 1, description: "Unversioned map to v1", migrate: migrateLegacyShapes }
+];
+
+/** Version a raw map was saved with (0 when it predates versioning) */
+export function getSchemaVersion(raw) {
+  const v = raw?.schemaVersion;
+  return Number.isInteger(v) && v >= 0 ? v : 0;
+}
+
+/**
+ * Upgrade a raw parsed map to CURRENT_SCHEMA_VERSION.
+ * @returns {{ graph: object, report: { fromVersion: number, toVersion: number,
+ *   applied: Array<{ version: number, description: string, changes: string[] }>,
+ *   newer: boolean } }}
+ *   `newer` means the map comes from a newer app; it's passed through untouched.
+ */
+export function migrateGraph(raw) {
+  const fromVersion = getSchemaVersion(raw);
+  const report = { fromVersion, toVersion: Math.max(fromVersion, CURRENT_SCHEMA_VERSION), applied: [], newer: fromVersion > CURRENT_SCHEMA_VERSION };
+  if (!raw || typeof raw !== "object") return { graph: raw, report };
+
+  let graph = raw;
+  MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .forEach(step => {
+      const changes = [];
+      graph = { ...step.migrate(graph, (message) => changes.push(message)), schemaVersion: step.version };
+      report.applied.push({ version: step.version, description: step.description, changes });
+    });
+  return { graph, report };
+}
+
+/** One-line summary of a report; "" when nothing needed upgrading */
+export function describeMigrationReport(report) {
+  if (!report) return "";
+  if (report.newer) {
+    return `Map uses schema v${report.fromVersion}, newer than this app (v${CURRENT_SCHEMA_VERSION}); loading it as-is.`;
+  }
+  const changes = report.applied.flatMap(step => step.changes);
+  if (!report.applied.length) return "";
+  return `Map upgraded from schema v${report.fromVersion} to v${report.toVersion}` +
+    (changes.length ? `: ${changes.join("; ")}` : " (no changes needed)");
+}
+
+/** Log a report: warn for maps from a newer app, debug-log real upgrades */
+export function logMigrationReport(report, source = "map") {
+  const summary = describeMigrationReport(report);
+  if (!summary) return;
+  if (report.newer) printWarn(`[schema] ${source}: ${summary}`);
+  else if (report.applied.some(step => step.changes.length)) printDebug(`[schema] ${source}: ${summary}`);
+}
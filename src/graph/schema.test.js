@@ -0,0 +1,80 @@
+// src/graph/schema.test.js
+
+import {
+  CURRENT_SCHEMA_VERSION, MIGRATIONS, getSchemaVersion, migrateGraph, describeMigrationReport
+} from "./schema.js";
+
+const legacy = () => ({
+  nodes: [
+    { id: "A", label: "Alpha", x: 0, y: 0 },
+    { id: "B", title: "Beta", label: "ignored", x: 0, y: 0, locked: true, revealCondition: { anyOf: ["A->B"] } }
+  ],
+  edges: [
+    { id: "A->B", source: "A", target: "B" },
+    { source: "B", target: "A" }
+  ],
+  notes: {
+    A: "plain",
+    "A->B": [{ text: "after", requires: "A->B" }]
+  },
+  tours: [{ id: "t", name: "T", steps: [{ target: "A->B" }, "A"] }],
+  orientation: -90
+});
+
+describe("schema migrations", () => {
+  test("registry is ordered and ends at the current version", () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions[versions.length - 1]).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test("maps without schemaVersion are version 0", () => {
+    expect(getSchemaVersion({})).toBe(0);
+    expect(getSchemaVersion({ schemaVersion: "1" })).toBe(0);
+    expect(getSchemaVersion({ schemaVersion: 1 })).toBe(1);
+  });
+
+  test("legacy maps are upgraded and every change is reported", () => {
+    const raw = legacy();
+    const { graph, report } = migrateGraph(raw);
+
+    expect(graph.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(graph.nodes[0]).toEqual({ id: "A", title: "Alpha", x: 0, y: 0 });
+    expect(graph.nodes[1].title).toBe("Beta");
+    expect(graph.nodes[1]).not.toHaveProperty("label");
+    expect(graph.nodes[1].revealCondition.anyOf).toEqual(["A__B"]);
+    expect(graph.edges.map(e => e.id)).toEqual(["A__B", "B__A"]);
+    expect(graph.notes).toEqual({ A: ["plain"], A__B: [{ text: "after", requires: "A__B" }] });
+    expect(graph.tours[0].steps).toEqual([{ target: "A__B" }, "A"]);
+    expect(graph.orientation).toBe(270);
+
+    expect(report).toMatchObject({ fromVersion: 0, toVersion: CURRENT_SCHEMA_VERSION, newer: false });
+    expect(report.applied[0].changes).toEqual([
+      "1 node: label renamed to title",
+      "1 edge: missing id added",
+      '1 edge: "source->target" id rewritten to "source__target"',
+      "1 note entry wrapped in a list",
+      "orientation -90 normalized to 270"
+    ]);
+    expect(describeMigrationReport(report)).toMatch(/^Map upgraded from schema v0 to v1: 1 node: label renamed/);
+
+    // input untouched
+    expect(raw).toEqual(legacy());
+  });
+
+  test("current maps pass through without steps", () => {
+    const map = { schemaVersion: CURRENT_SCHEMA_VERSION, nodes: [], edges: [] };
+    const { graph, report } = migrateGraph(map);
+    expect(graph).toBe(map);
+    expect(report.applied).toEqual([]);
+    expect(describeMigrationReport(report)).toBe("");
+  });
+
+  test("maps from a newer app are flagged and left as-is", () => {
+    const map = { schemaVersion: CURRENT_SCHEMA_VERSION + 1, nodes: [{ id: "A", label: "x" }] };
+    const { graph, report } = migrateGraph(map);
+    expect(graph).toBe(map);
+    expect(report.newer).toBe(true);
+    expect(describeMigrationReport(report)).toMatch(/newer than this app/);
+  });
+});
@@ -0,0 +1,165 @@
+// src/graph/tags.js
+
+/**
+ * Tag registry — first-class, per-map tags for nodes and edges
+ *
+ * Domain shape (map JSON)
+ * - graph.tags: [{ name, color, icon? }]       — the registry; names are unique
+ * - node.tags / edge.tags: string[]            — tag names from the registry
+ *
+ * Names are normalized like hashtags (lowercase, no leading "#", spaces -> "-")
+ * so a tag and a `#hashtag` in note text line up.
+ *
+ * Contracts
+ * - Pure functions: take a graph, return a new graph; never mutate the input.
+ * - Registry changes cascade: renaming/merging/deleting a tag rewrites every node and edge.
+ * - Invalid requests (unknown tag, name clash) are no-ops that log a warning,
+ *   matching renameNode's behavior.
+ *
+ * Gotchas
+ * - ops.js imports the normalizers below for (de)serialization, so this module
+ *   must not import ops.js back.
+ */
+
+import { printWarn } from "../utils/debug.js";
+
+export const DEFAULT_TAG_COLOR = "#9e9e9e";
+
+export function normalizeTagName(name) {
+  return String(name ?? "").trim().replace(/^#/, "").toLowerCase().replace(/\s+/g, "-");
+}
+
+/** Registry entry with defaults filled in, or null if it has no usable name */
+export function normalizeTagEntry(tag) {
+  const name = normalizeTagName(tag?.name);
+  if (!name) return null;
+  return {
+    name,
+    color: typeof tag.color === "string" && tag.color ? tag.color : DEFAULT_TAG_COLOR,
+    ...(typeof tag.icon === "string" && tag.icon ? { icon: tag.icon } : {})
+  };
+}
+
+/** Element tag list cleaned up: normalized, de-duplicated, empties dropped */
+export function normalizeElementTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTagName).filter(Boolean))];
+}
+
+export function findTag(graph, name) {
+  const key = normalizeTagName(name);
+  return (graph?.tags || []).find(t => t.name === key) || null;
+}
+
+/** name -> { nodes, edges } usage counts for every registry tag */
+export function countTagUsage(graph) {
+  const usage = new Map((graph?.tags || []).map(t => [t.name, { nodes: 0, edges: 0 }]));
+  const tally = (list, key) => list.forEach(el => {
+    (el.tags || []).forEach(name => {
+      const entry = usage.get(name);
+      if (entry) entry[key]++;
+    });
+  });
+  tally(graph?.nodes || [], "nodes");
+  tally(graph?.edges || [], "edges");
+  return usage;
+}
+
+// Just the fields tag operations touch, defaulted (ops.normalizeGraph would be a cycle)
+function withTagFields(graph) {
+  return {
+    ...graph,
+    nodes: Array.isArray(graph?.nodes) ? graph.nodes : [],
+    edges: Array.isArray(graph?.edges) ? graph.edges : [],
+    tags: Array.isArray(graph?.tags) ? graph.tags : []
+  };
+}
+
+// Rewrite every node/edge tag list with fn(tags) -> tags; empty lists drop the field
+function mapElementTags(g, fn) {
+  const apply = (el) => {
+    if (!Array.isArray(el.tags)) return el;
+    const next = normalizeElementTags(fn(el.tags));
+    if (next.length === el.tags.length && next.every((t, i) => t === el.tags[i])) return el;
+    const { tags: _tags, ...rest } = el;
+    return next.length ? { ...rest, tags: next } : rest;
+  };
+  return { ...g, nodes: g.nodes.map(apply), edges: g.edges.map(apply) };
+}
+
+export function createTag(graph, tag) {
+  const g = withTagFields(graph);
+  const entry = normalizeTagEntry(tag);
+  if (!entry) {
+    printWarn("createTag: tag needs a non-empty name");
+    return g;
+  }
+  if (findTag(g, entry.name)) {
+    printWarn(`createTag: tag "${entry.name}" already exists`);
+    return g;
+  }
+  return { ...g, tags: [...g.tags, entry] };
+}
+
+/** Patch a tag's name/color/icon; a new name is applied to every node and edge */
+export function updateTag(graph, name, patch = {}) {
+  const g = withTagFields(graph);
+  const current = findTag(g, name);
+  if (!current) {
+    printWarn(`updateTag: tag "${name}" not found`);
+    return g;
+  }
+  const next = normalizeTagEntry({ ...current, ...patch });
+  if (!next) {
+    printWarn("updateTag: tag needs a non-empty name");
+    return g;
+  }
+  if (next.name !== current.name && findTag(g, next.name)) {
+    printWarn(`updateTag: tag "${next.name}" already exists (merge instead)`);
+    return g;
+  }
+  if (patch.icon === "" || patch.icon === null) delete next.icon;
+
+  const updated = { ...g, tags: g.tags.map(t => (t.name === current.name ? next : t)) };
+  if (next.name === current.name) return updated;
+  return mapElementTags(updated, tags => tags.map(t => (t === current.name ? next.name : t)));
+}
+
+/** Fold `sourceName` into `targetName`: elements keep the target tag, source leaves the registry */
+export function mergeTags(graph, sourceName, targetName) {
+  const g = withTagFields(graph);
+  const source = findTag(g, sourceName);
+  const target = findTag(g, targetName);
+  if (!source || !target || source.name === target.name) {
+    printWarn(`mergeTags: cannot merge "${sourceName}" into "${targetName}"`);
+    return g;
+  }
+  const pruned = { ...g, tags: g.tags.filter(t => t.name !== source.name) };
+  return mapElementTags(pruned, tags => tags.map(t => (t === source.name ? target.name : t)));
+}
+
+export function deleteTag(graph, name) {
+  const g = withTagFields(graph);
+  const tag = findTag(g, name);
+  if (!tag) {
+    printWarn(`deleteTag: tag "${name}" not found`);
+    return g;
+  }
+  const pruned = { ...g, tags: g.tags.filter(t => t.name !== tag.name) };
+  return mapElementTags(pruned, tags => tags.filter(t => t !== tag.name));
+}
+
+/** Replace the tag list on one node or edge (only registry names are kept) */
+export function setElementTags(graph, targetId, targetType, names) {
+  const g = withTagFields(graph);
+  const known = new Set(g.tags.map(t => t.name));
+  const next = normalizeElementTags(names).filter(n => known.has(n));
+  const apply = (el) => {
+    if (el.id !== targetId) return el;
+    const { tags: _tags, ...rest } = el;
+    return next.length ? { ...rest, tags: next } : rest;
+  };
+  return targetType === "edge"
+    ? { ...g, edges: g.edges.map(apply) }
+    : { ...g, nodes: g.nodes.map(apply) };
+}
@@ -0,0 +1,83 @@
+// src/graph/tags.test.js
+
+import {
+  normalizeTagName, createTag, updateTag, mergeTags, deleteTag,
+  setElementTags, countTagUsage, DEFAULT_TAG_COLOR
+} from "./tags.js";
+import { serializeGraph, deserializeGraph } from "./ops.js";
+
+const base = () => ({
+  nodes: [
+    { id: "A", title: "A", tags: ["ghost", "sun"] },
+    { id: "B", title: "B", tags: ["sun"] },
+    { id: "C", title: "C" }
+  ],
+  edges: [{ id: "A__B", source: "A", target: "B", tags: ["ghost"] }],
+  notes: {},
+  tags: [
+    { name: "ghost", color: "#0f0" },
+    { name: "sun", color: "#fa0", icon: "☀" }
+  ]
+});
+
+describe("tag registry", () => {
+  test("names normalize like hashtags", () => {
+    expect(normalizeTagName(" #Ghost Matter ")).toBe("ghost-matter");
+  });
+
+  test("createTag adds a normalized entry and ignores duplicates", () => {
+    let g = createTag(base(), { name: "Quantum Moon" });
+    expect(g.tags[2]).toEqual({ name: "quantum-moon", color: DEFAULT_TAG_COLOR });
+    expect(createTag(g, { name: "quantum moon" }).tags).toHaveLength(3);
+  });
+
+  test("renaming a tag cascades to nodes and edges", () => {
+    const g = updateTag(base(), "ghost", { name: "Ghost Matter", color: "#0ff" });
+    expect(g.tags[0]).toEqual({ name: "ghost-matter", color: "#0ff" });
+    expect(g.nodes[0].tags).toEqual(["ghost-matter", "sun"]);
+    expect(g.edges[0].tags).toEqual(["ghost-matter"]);
+  });
+
+  test("renaming onto an existing tag is refused", () => {
+    const g = updateTag(base(), "ghost", { name: "sun" });
+    expect(g.tags.map(t => t.name)).toEqual(["ghost", "sun"]);
+  });
+
+  test("clearing an icon removes it", () => {
+    expect(updateTag(base(), "sun", { icon: "" }).tags[1]).not.toHaveProperty("icon");
+  });
+
+  test("mergeTags folds the source into the target without duplicates", () => {
+    const g = mergeTags(base(), "ghost", "sun");
+    expect(g.tags.map(t => t.name)).toEqual(["sun"]);
+    expect(g.nodes[0].tags).toEqual(["sun"]);
+    expect(g.edges[0].tags).toEqual(["sun"]);
+  });
+
+  test("deleteTag strips the tag everywhere and drops empty lists", () => {
+    const g = deleteTag(base(), "sun");
+    expect(g.tags.map(t => t.name)).toEqual(["ghost"]);
+    expect(g.nodes[0].tags).toEqual(["ghost"]);
+    expect(g.nodes[1]).not.toHaveProperty("tags");
+  });
+
+  test("setElementTags keeps only registered names", () => {
+    const g = setElementTags(base(), "C", "node", ["Sun", "unknown"]);
+    expect(g.nodes[2].tags).toEqual(["sun"]);
+    expect(setElementTags(g, "A__B", "edge", []).edges[0]).not.toHaveProperty("tags");
+  });
+
+  test("countTagUsage counts nodes and edges per tag", () => {
+    const usage = countTagUsage(base());
+    expect(usage.get("ghost")).toEqual({ nodes: 1, edges: 1 });
+    expect(usage.get("sun")).toEqual({ nodes: 2, edges: 0 });
+  });
+
+  test("registry and element tags round-trip through serialize/deserialize", () => {
+    const g = deserializeGraph(serializeGraph(base()));
+    expect(g.tags).toEqual(base().tags);
+    expect(g.nodes[0].tags).toEqual(["ghost", "sun"]);
+    expect(g.nodes[2]).not.toHaveProperty("tags");
+    expect(g.edges[0].tags).toEqual(["ghost"]);
+  });
+});
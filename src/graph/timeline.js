@@ -0,0 +1,68 @@
+// src/graph/timeline.js
+
+/**
+ * Discovery timeline — the order a replay reveals the map in
+ *
+ * Orders:
+ * - 'visited': only visited nodes, oldest first visit first (visited.visitedAt).
+ *   Visits recorded before timestamps existed have no time and come first, in map order.
+ * - 'map': every node, in the order the map lists them.
+ *
+ * An edge is drawn right after its second endpoint appears; edges with an
+ * endpoint that never appears are left out.
+ *
+ * Pure; playback lives in hooks/useTimelineReplay.js.
+ */
+
+export const TIMELINE_ORDERS = ['visited', 'map'];
+
+function orderNodes(graph, visited, order) {
+  const nodes = graph?.nodes || [];
+  if (order === 'map') return nodes.map(n => n.id);
+
+  const seen = visited?.nodes || new Set();
+  const at = visited?.visitedAt || {};
+  const time = (id) => (Number.isFinite(at[id]) ? at[id] : -Infinity);
+  // Array.prototype.sort is stable, so ties keep map order
+  return nodes.filter(n => seen.has(n.id)).map(n => n.id).sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {{nodes: Set<string>, visitedAt?: Object<string, number>}} visited
+ * @param {{order?: 'visited'|'map'}} [options]
+ * @returns {Array<{type: 'node'|'edge', id: string}>} reveal steps
+ */
+export function buildDiscoveryTimeline(graph, visited, { order = 'visited' } = {}) {
+  const nodeIds = orderNodes(graph, visited, order);
+  const position = new Map(nodeIds.map((id, i) => [id, i]));
+
+  // Bucket edges under the index of whichever endpoint appears last
+  const edgesAfter = new Map();
+  (graph?.edges || []).forEach(e => {
+    if (!position.has(e.source) || !position.has(e.target)) return;
+    const i = Math.max(position.get(e.source), position.get(e.target));
+    if (!edgesAfter.has(i)) edgesAfter.set(i, []);
+    edgesAfter.get(i).push(e.id);
+  });
+
+  const steps = [];
+  nodeIds.forEach((id, i) => {
+    steps.push({ type: 'node', id });
+    (edgesAfter.get(i) || []).forEach(edgeId => steps.push({ type: 'edge', id: edgeId }));
+  });
+  return steps;
+}
+
+/**
+ * Everything not yet revealed after the first `revealed` steps —
+ * including elements the timeline never reaches.
+ * @returns {{nodes: Set<string>, edges: Set<string>}}
+ */
+export function getPendingElements(graph, steps, revealed) {
+  const shown = new Set((steps || []).slice(0, Math.max(0, revealed)).map(s => s.id));
+  return {
+    nodes: new Set((graph?.nodes || []).map(n => n.id).filter(id => !shown.has(id))),
+    edges: new Set((graph?.edges || []).map(e => e.id).filter(id => !shown.has(id)))
+  };
+}
@@ -0,0 +1,50 @@
+// src/graph/timeline.test.js
+
+import { buildDiscoveryTimeline, getPendingElements } from "./timeline.js";
+
+const graph = {
+  nodes: [{ id: "A" }, { id: "B" }, { id: "C" }, { id: "D" }],
+  edges: [
+    { id: "A__B", source: "A", target: "B" },
+    { id: "B__C", source: "B", target: "C" },
+    { id: "C__D", source: "C", target: "D" }
+  ]
+};
+
+const visited = {
+  nodes: new Set(["A", "B", "C"]),
+  edges: new Set(),
+  visitedAt: { A: 300, B: 100, C: 200 }
+};
+
+describe("buildDiscoveryTimeline", () => {
+  test("visited order follows first-visit time and draws edges after their second endpoint", () => {
+    expect(buildDiscoveryTimeline(graph, visited)).toEqual([
+      { type: "node", id: "B" },
+      { type: "node", id: "C" },
+      { type: "edge", id: "B__C" },
+      { type: "node", id: "A" },
+      { type: "edge", id: "A__B" }
+    ]);
+  });
+
+  test("visits without a timestamp come first, in map order", () => {
+    const legacy = { nodes: new Set(["C", "A", "B"]), visitedAt: { A: 5 } };
+    expect(buildDiscoveryTimeline(graph, legacy).filter(s => s.type === "node").map(s => s.id))
+      .toEqual(["B", "C", "A"]);
+  });
+
+  test("map order reveals every node in listed order", () => {
+    expect(buildDiscoveryTimeline(graph, null, { order: "map" }).map(s => s.id))
+      .toEqual(["A", "B", "A__B", "C", "B__C", "D", "C__D"]);
+  });
+});
+
+describe("getPendingElements", () => {
+  test("lists everything not yet revealed, including unreached elements", () => {
+    const steps = buildDiscoveryTimeline(graph, visited);
+    const pending = getPendingElements(graph, steps, 3);
+    expect([...pending.nodes]).toEqual(["A", "D"]);
+    expect([...pending.edges]).toEqual(["A__B", "C__D"]);
+  });
+});
@@ -0,0 +1,150 @@
+// src/graph/tours.js
+
+/**
+ * Guided tours
+ *
+ * A map can carry named tours: `tours: [{ id, name, steps: [{ target, narration? }] }]`
+ * where `target` is a node or edge id. Authored in editing mode (ToursModal),
+ * played in playing mode (TourControls), progress kept per map in utils/tourStore.js.
+ *
+ * Contracts
+ * - Mutators take/return a graph; invalid calls are no-ops with printWarn (same as tags.js).
+ * - Steps pointing at deleted nodes/edges stay in the data (validation flags them)
+ *   and are skipped by getPlayableSteps.
+ */
+
+import { printWarn } from '../utils/debug.js';
+
+/** Normalize one step; null when it has no usable target */
+export function normalizeTourStep(step) {
+  const target = typeof step === 'string' ? step : step?.target;
+  if (typeof target !== 'string' || !target.trim()) return null;
+  const narration = typeof step?.narration === 'string' ? step.narration : '';
+  return narration ? { target, narration } : { target };
+}
+
+/** Normalize one tour; null when it has no id */
+export function normalizeTour(tour) {
+  if (!tour || typeof tour !== 'object') return null;
+  const id = typeof tour.id === 'string' ? tour.id.trim() : '';
+  if (!id) return null;
+  const name = typeof tour.name === 'string' && tour.name.trim() ? tour.name : id;
+  const steps = (Array.isArray(tour.steps) ? tour.steps : []).map(normalizeTourStep).filter(Boolean);
+  return { id, name, steps };
+}
+
+export function normalizeTours(tours) {
+  return (Array.isArray(tours) ? tours : []).map(normalizeTour).filter(Boolean);
+}
+
+export function findTour(graph, tourId) {
+  return (graph?.tours || []).find(t => t.id === tourId) || null;
+}
+
+/** 'node' | 'edge' | null for a step target */
+export function getTargetType(graph, targetId) {
+  if ((graph?.nodes || []).some(n => n.id === targetId)) return 'node';
+  if ((graph?.edges || []).some(e => e.id === targetId)) return 'edge';
+  return null;
+}
+
+/** Steps whose target still exists, annotated with their type and their index in tour.steps */
+export function getPlayableSteps(graph, tour) {
+  return (tour?.steps || [])
+    .map((step, index) => ({ ...step, index, type: getTargetType(graph, step.target) }))
+    .filter(step => step.type);
+}
+
+/**
+ * Position in `playableSteps` of saved progress (an index into tour.steps, so
+ * deleting an earlier target doesn't shift it); a saved step whose target is gone
+ * resumes at the next one left. 0 with no progress.
+ */
+export function getPlayablePosition(playableSteps, savedIndex) {
+  if (!Number.isInteger(savedIndex) || playableSteps.length === 0) return 0;
+  const position = playableSteps.findIndex(step => step.index >= savedIndex);
+  return position === -1 ? playableSteps.length - 1 : position;
+}
+
+function withTours(graph, tours) {
+  return { ...graph, tours };
+}
+
+function slugify(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tour';
+}
+
+function uniqueTourId(tours, base) {
+  let id = base;
+  let n = 2;
+  while (tours.some(t => t.id === id)) id = `${base}-${n++}`;
+  return id;
+}
+
+export function createTour(graph, name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    printWarn('createTour: name is required');
+    return graph;
+  }
+  const tours = graph?.tours || [];
+  const tour = { id: uniqueTourId(tours, slugify(name)), name: name.trim(), steps: [] };
+  return withTours(graph, [...tours, tour]);
+}
+
+function mapTour(graph, tourId, fn, label) {
+  const tours = graph?.tours || [];
+  if (!tours.some(t => t.id === tourId)) {
+    printWarn(`${label}: tour "${tourId}" not found`);
+    return graph;
+  }
+  return withTours(graph, tours.map(t => (t.id === tourId ? fn(t) : t)));
+}
+
+export function renameTour(graph, tourId, name) {
+  if (typeof name !== 'string' || !name.trim()) return graph;
+  return mapTour(graph, tourId, t => ({ ...t, name }), 'renameTour');
+}
+
+export function deleteTour(graph, tourId) {
+  return withTours(graph, (graph?.tours || []).filter(t => t.id !== tourId));
+}
+
+export function addTourStep(graph, tourId, target) {
+  const step = normalizeTourStep(target);
+  if (!step) {
+    printWarn('addTourStep: target id is required');
+    return graph;
+  }
+  return mapTour(graph, tourId, t => ({ ...t, steps: [...t.steps, step] }), 'addTourStep');
+}
+
+export function removeTourStep(graph, tourId, index) {
+  return mapTour(graph, tourId, t => ({ ...t, steps: t.steps.filter((_, i) => i !== index) }), 'removeTourStep');
+}
+
+/** Move a step by `delta` positions (clamped to the list) */
+export function moveTourStep(graph, tourId, index, delta) {
+  return mapTour(graph, tourId, t => {
+    const to = Math.max(0, Math.min(t.steps.length - 1, index + delta));
+    if (to === index || !t.steps[index]) return t;
+    const steps = [...t.steps];
+    const [step] = steps.splice(index, 1);
+    steps.splice(to, 0, step);
+    return { ...t, steps };
+  }, 'moveTourStep');
+}
+
+export function setTourStepNarration(graph, tourId, index, narration) {
+  return mapTour(graph, tourId, t => ({
+    ...t,
+    steps: t.steps.map((s, i) => (i === index ? normalizeTourStep({ target: s.target, narration }) : s))
+  }), 'setTourStepNarration');
+}
+
+/** Rewrite step targets after ids change (ops.renameNode) */
+export function renameTourTargets(tours, renameRef) {
+  return (tours || []).map(t => ({
+    ...t,
+    steps: t.steps.map(s => ({ ...s, target: renameRef(s.target) }))
+  }));
+}
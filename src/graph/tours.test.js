@@ -0,0 +1,75 @@
+// src/graph/tours.test.js
+
+import {
+  normalizeTours, createTour, renameTour, deleteTour, addTourStep, removeTourStep,
+  moveTourStep, setTourStepNarration, getPlayableSteps, getPlayablePosition
+} from "./tours.js";
+import { serializeGraph, deserializeGraph, renameNode } from "./ops.js";
+
+const base = () => ({
+  nodes: [
+    { id: "A", title: "A", x: 0, y: 0 },
+    { id: "B", title: "B", x: 1, y: 0 }
+  ],
+  edges: [{ id: "A__B", source: "A", target: "B" }],
+  notes: {},
+  tours: [
+    { id: "intro", name: "Intro", steps: [{ target: "A", narration: "Start" }, { target: "A__B" }, { target: "B" }] }
+  ]
+});
+
+describe("tours", () => {
+  test("normalizeTours drops tours without ids and steps without targets", () => {
+    expect(normalizeTours([{ id: "t", steps: ["A", { narration: "x" }, { target: "B", narration: "" }] }, { name: "x" }]))
+      .toEqual([{ id: "t", name: "t", steps: [{ target: "A" }, { target: "B" }] }]);
+  });
+
+  test("createTour slugs a unique id", () => {
+    const g = createTour(createTour(base(), "Deep Dive"), "deep dive");
+    expect(g.tours.map(t => t.id)).toEqual(["intro", "deep-dive", "deep-dive-2"]);
+    expect(g.tours[1]).toEqual({ id: "deep-dive", name: "Deep Dive", steps: [] });
+  });
+
+  test("rename and delete", () => {
+    expect(renameTour(base(), "intro", "Welcome").tours[0].name).toBe("Welcome");
+    expect(deleteTour(base(), "intro").tours).toEqual([]);
+  });
+
+  test("steps can be added, moved, narrated and removed", () => {
+    let g = addTourStep(base(), "intro", "B");
+    expect(g.tours[0].steps).toHaveLength(4);
+    g = moveTourStep(g, "intro", 0, 1);
+    expect(g.tours[0].steps.map(s => s.target)).toEqual(["A__B", "A", "B", "B"]);
+    g = setTourStepNarration(g, "intro", 0, "Cross over");
+    expect(g.tours[0].steps[0]).toEqual({ target: "A__B", narration: "Cross over" });
+    g = removeTourStep(g, "intro", 3);
+    expect(g.tours[0].steps).toHaveLength(3);
+  });
+
+  test("getPlayableSteps types targets and skips missing ones", () => {
+    const g = { ...base(), nodes: [base().nodes[0]], edges: [] };
+    expect(getPlayableSteps(g, g.tours[0])).toEqual([
+      { target: "A", narration: "Start", index: 0, type: "node" }
+    ]);
+    expect(getPlayableSteps(base(), base().tours[0]).map(s => s.type)).toEqual(["node", "edge", "node"]);
+  });
+
+  test("getPlayablePosition maps saved step indexes onto the playable steps", () => {
+    const g = { ...base(), nodes: base().nodes.filter(n => n.id !== "A"), edges: [] };
+    const steps = getPlayableSteps(g, g.tours[0]);
+    expect(steps.map(s => s.index)).toEqual([2]);
+    expect(getPlayablePosition(steps, 2)).toBe(0);
+    expect(getPlayablePosition(steps, 0)).toBe(0);
+    expect(getPlayablePosition(steps, 9)).toBe(0);
+    expect(getPlayablePosition(steps, undefined)).toBe(0);
+  });
+
+  test("renameNode rewrites step targets, including affected edge ids", () => {
+    const g = renameNode(base(), "A", "Alpha");
+    expect(g.tours[0].steps.map(s => s.target)).toEqual(["Alpha", "Alpha__B", "B"]);
+  });
+
+  test("tours round-trip through serialize/deserialize", () => {
+    expect(deserializeGraph(serializeGraph(base())).tours).toEqual(base().tours);
+  });
+});
@@ -0,0 +1,25 @@
+// src/hooks/useChangeLog.js
+import { useCallback, useState } from 'react';
+import { appendChange } from '../graph/changeLog.js';
+
+/**
+ * useChangeLog()
+ * - Keeps the editing change log (see graph/changeLog.js) in memory: entries
+ *   start when the map loads and are cleared whenever the map is replaced
+ * - recordChange(entry) is passed to the mutation hooks; null entries are ignored
+ * - startedAt is when the current log began (shown in the Markdown export)
+ */
+export function useChangeLog() {
+  const [log, setLog] = useState(() => ({ entries: [], startedAt: Date.now() }));
+
+  const recordChange = useCallback((entry) => {
+    if (!entry) return;
+    setLog(prev => ({ ...prev, entries: appendChange(prev.entries, entry) }));
+  }, []);
+
+  const clearChangeLog = useCallback(() => {
+    setLog({ entries: [], startedAt: Date.now() });
+  }, []);
+
+  return { entries: log.entries, startedAt: log.startedAt, recordChange, clearChangeLog };
+}
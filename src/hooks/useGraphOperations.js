@@ -1,8 +1,23 @@
 // src/hooks/useGraphOperations.js
 import { useCallback } from 'react';
+import { flushSync } from 'react-dom';
 import { incrementOrientationBy90 } from '../utils/rotation';
 import { rotateNodesAndCompass } from '../utils/rotation.js';
-import { edgeId } from '../graph/ops.js';
+import {
+  alignNodes,
+  distributeNodes,
+  duplicateNode,
+  edgeId,
+  equalizeSpacing,
+  normalizeGrid,
+  retargetEdge,
+  reverseEdge,
+  snapNodesToGrid,
+  snapToGrid
+} from '../graph/ops.js';
+import { pasteSubgraph } from '../graph/clipboard.js';
+import { LAYOUTS } from '../graph/layouts.js';
+import { edgeTarget, makeChange, nodeTarget } from '../graph/changeLog.js';
 import { printDebug } from '../utils/debug.js';
 import { ACTION_TYPES } from '../appStateReducer';
 
@@ -11,12 +26,14 @@ import { ACTION_TYPES } from '../appStateReducer';
  * @param {Object} params - Parameters object
  * @param {Object} params.cy - Cytoscape instance function
  * @param {Function} params.dispatch - State dispatch function
- * @param {Object} params.graph - Graph data (nodes, edges, notes, orientation)
+ * @param {Object} params.graph - Graph data (nodes, edges, notes, orientation, grid)
  * @param {Object} params.selections - Current selections
  * @param {Function} params.setGraphData - Undo-aware setter; caller saves checkpoint before applying update
+ * @param {Function} [params.saveUndoCheckpoint] - Checkpoints the current state for changes that bypass setGraphData (orientation)
  * @param {Function} params.clearCytoscapeSelections - Function to clear Cytoscape selections
  * @param {Function} params.updateNodeInPlace - Function to update node in Cytoscape
  * @param {Function} params.getViewportCenter - Function to get viewport center
+ * @param {Function} [params.recordChange] - Receives a change-log entry for each mutation (graph/changeLog.js)
  * @returns {Object} Graph operation functions
  */
 export function useGraphOperations({
@@ -25,23 +42,30 @@ export function useGraphOperations({
   graph,
   selections,
   setGraphData,
+  saveUndoCheckpoint,
   clearCytoscapeSelections,
   updateNodeInPlace,
-  getViewportCenter
+  getViewportCenter,
+  recordChange
 }) {
-  const { nodes, edges, notes, orientation } = graph;
+  const { nodes, edges = [], orientation } = graph;
+  const grid = normalizeGrid(graph.grid);
   const { selectedNodeIds, nodeSelectionOrder } = selections; // selectedEdgeIds
 
   // Existing operations
   const handleRotateLeft = useCallback(() => {
     const newOrientation = (orientation - 90 + 360) % 360;
+    saveUndoCheckpoint?.();
     dispatch({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: newOrientation } });
-  }, [dispatch, orientation]);
+    recordChange?.(makeChange('map-rotate', [], { from: orientation, to: newOrientation }));
+  }, [dispatch, orientation, saveUndoCheckpoint, recordChange]);
 
   const handleRotateRight = useCallback(() => {
     const newOrientation = incrementOrientationBy90(orientation);
+    saveUndoCheckpoint?.();
     dispatch({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: newOrientation } });
-  }, [dispatch, orientation]);
+    recordChange?.(makeChange('map-rotate', [], { from: orientation, to: newOrientation }));
+  }, [dispatch, orientation, saveUndoCheckpoint, recordChange]);
 
   const handleFitGraph = useCallback(() => {
     const cyInstance = typeof cy === 'function' ? cy() : cy;
@@ -49,8 +73,8 @@ export function useGraphOperations({
 
     printDebug('🎥 GraphOps: handleFitGraph called');
     
-    // Get all nodes for fitting
-    const allNodes = cyInstance.nodes();
+    // Get all nodes for fitting (nodes hidden by tag layers or filters don't count)
+    const allNodes = cyInstance.nodes().not('.layer-hidden, .filter-hidden');
     
     try {
       
@@ -144,17 +168,25 @@ export function useGraphOperations({
 
   // New mutation operations
   const handleNodeMove = useCallback((nodeId, pos) => {
-    const { x: newX, y: newY } = pos;
+    // With snap-to-grid on, a dropped node lands on the nearest grid point
+    const newX = grid.enabled ? snapToGrid(pos.x, grid.size) : pos.x;
+    const newY = grid.enabled ? snapToGrid(pos.y, grid.size) : pos.y;
     printDebug('🏠 GraphOps: handleNodeMove', nodeId, newX, newY);
 
     setGraphData(prev => ({
       ...prev,
       nodes: prev.nodes.map(n => (n.id === nodeId ? { ...n, x: newX, y: newY } : n))
     }));
-  }, [setGraphData]);
 
-  const handleCreateNode = useCallback(() => {
-    printDebug('🏠 GraphOps: Create node');
+    const node = nodes.find(n => n.id === nodeId);
+    if (node) {
+      recordChange?.(makeChange('node-move', [nodeTarget(node)], { from: { x: node.x, y: node.y }, to: { x: newX, y: newY } }));
+    }
+  }, [nodes, grid.enabled, grid.size, setGraphData, recordChange]);
+
+  // New "untitledN" node at a model position (rounded)
+  const handleCreateNodeAt = useCallback((position) => {
+    printDebug('🏠 GraphOps: Create node at', position);
 
     let counter = 1, uniqueId, uniqueTitle;
     do {
@@ -163,20 +195,59 @@ export function useGraphOperations({
       counter++;
     } while (nodes.some(n => n.id === uniqueId || n.title === uniqueTitle));
 
-    const { x: centerX, y: centerY } = getViewportCenter();
-
     const newNode = {
       id: uniqueId,
       title: uniqueTitle,
       size: "regular",
       color: "gray",
-      x: Math.round(centerX),
-      y: Math.round(centerY),
+      x: grid.enabled ? snapToGrid(position.x, grid.size) : Math.round(position.x),
+      y: grid.enabled ? snapToGrid(position.y, grid.size) : Math.round(position.y),
       imageUrl: "unspecified"
     };
 
     setGraphData(prev => ({ ...prev, nodes: [...prev.nodes, newNode] }));
-  }, [nodes, getViewportCenter, setGraphData]);
+    recordChange?.(makeChange('node-create', [nodeTarget(newNode)]));
+  }, [nodes, grid.enabled, grid.size, setGraphData, recordChange]);
+
+  const handleCreateNode = useCallback(() => {
+    handleCreateNodeAt(getViewportCenter());
+  }, [handleCreateNodeAt, getViewportCenter]);
+
+  const handleDuplicateNode = useCallback((nodeId) => {
+    printDebug('🏠 GraphOps: Duplicate node:', nodeId);
+
+    const original = nodes.find(n => n.id === nodeId);
+    if (!original) return;
+    const copy = duplicateNode({ nodes, edges }, nodeId).nodes.at(-1);
+
+    setGraphData(prev => {
+      const next = duplicateNode(prev, nodeId);
+      return { ...prev, nodes: next.nodes, notes: next.notes };
+    });
+    recordChange?.(makeChange('node-duplicate', [nodeTarget(copy)], { from: original.title || original.id }));
+  }, [nodes, edges, setGraphData, recordChange]);
+
+  // Paste a copied subgraph (graph/clipboard.js) centered on `position`; returns the new node ids
+  const handlePasteSubgraph = useCallback((payload, position, mapName) => {
+    printDebug('🏠 GraphOps: Paste subgraph at', position, payload.nodes.length, 'nodes from', payload.mapName);
+
+    // Paste once, against the graph the update actually applies to; flushSync runs the
+    // updater now so the returned ids and the change-log entry come from that same paste
+    let idMap = {};
+    flushSync(() => {
+      setGraphData(prev => {
+        const pasted = pasteSubgraph(prev, payload, { position, mapName });
+        idMap = pasted.idMap;
+        const next = pasted.graph;
+        return { ...prev, nodes: next.nodes, edges: next.edges, notes: next.notes, tags: next.tags };
+      });
+    });
+
+    const pastedIds = payload.nodes.map(n => idMap[n.id]);
+    const fromOtherMap = payload.mapName && payload.mapName !== mapName ? { from: payload.mapName } : {};
+    recordChange?.(makeChange('node-paste', payload.nodes.map(n => nodeTarget({ ...n, id: idMap[n.id] })), fromOtherMap));
+    return pastedIds;
+  }, [setGraphData, recordChange]);
 
   const handleDeleteSelectedNodes = useCallback((nodeIds) => {
     printDebug('🏠 GraphOps: Deleting nodes:', nodeIds);
@@ -187,12 +258,18 @@ export function useGraphOperations({
       return { ...prev, nodes: filteredNodes, edges: filteredEdges };
     });
 
+    const deleted = nodes.filter(n => nodeIds.includes(n.id));
+    if (deleted.length) {
+      const edgeCount = edges.filter(e => nodeIds.includes(e.source) || nodeIds.includes(e.target)).length;
+      recordChange?.(makeChange('node-delete', deleted.map(n => nodeTarget(n)), { edges: edgeCount }));
+    }
+
     clearCytoscapeSelections();
     dispatch({
       type: ACTION_TYPES.SET_NODE_SELECTION,
       payload: { nodeIds: [], selectionOrder: [] }
     });
-  }, [setGraphData, clearCytoscapeSelections, dispatch]);
+  }, [nodes, edges, setGraphData, clearCytoscapeSelections, dispatch, recordChange]);
 
   const handleDeleteSelectedEdges = useCallback((edgeIds) => {
     printDebug('🏠 GraphOps: Deleting edges by id:', edgeIds);
@@ -202,29 +279,43 @@ export function useGraphOperations({
       edges: prev.edges.filter(e => !edgeIds.includes(e.id))
     }));
 
+    const deleted = edges.filter(e => edgeIds.includes(e.id));
+    if (deleted.length) {
+      recordChange?.(makeChange('edge-delete', deleted.map(e => edgeTarget(e, nodes))));
+    }
+
     clearCytoscapeSelections();
     dispatch({
       type: ACTION_TYPES.SET_EDGE_SELECTION,
       payload: { edgeIds: [] }
     });
-  }, [setGraphData, clearCytoscapeSelections, dispatch]);
+  }, [nodes, edges, setGraphData, clearCytoscapeSelections, dispatch, recordChange]);
+
+  const handleConnectNodes = useCallback((sourceId, targetId, direction = "forward") => {
+    printDebug('🏠 GraphOps: Connecting (ordered):', sourceId, '->', targetId, direction);
+
+    setGraphData(prev => {
+      const exists = prev.edges.some(e => e.source === sourceId && e.target === targetId);
+      if (exists) return prev;
+      const newEdge = {
+        id: edgeId(sourceId, targetId),
+        source: sourceId,
+        target: targetId,
+        direction
+      };
+      return { ...prev, edges: [...prev.edges, newEdge] };
+    });
+
+    if (!edges.some(e => e.source === sourceId && e.target === targetId)) {
+      const id = edgeId(sourceId, targetId);
+      recordChange?.(makeChange('edge-create', [edgeTarget({ id, source: sourceId, target: targetId }, nodes)]));
+    }
+  }, [nodes, edges, setGraphData, recordChange]);
 
   const handleConnectSelectedNodes = useCallback(() => {
     if (selectedNodeIds.length === 2 && nodeSelectionOrder.length === 2) {
       const [sourceId, targetId] = nodeSelectionOrder;
-      printDebug('🏠 GraphOps: Connecting (ordered):', sourceId, '->', targetId);
-
-      setGraphData(prev => {
-        const exists = prev.edges.some(e => e.source === sourceId && e.target === targetId);
-        if (exists) return prev;
-        const newEdge = {
-          id: edgeId(sourceId, targetId),
-          source: sourceId,
-          target: targetId,
-          direction: "forward"
-        };
-        return { ...prev, edges: [...prev.edges, newEdge] };
-      });
+      handleConnectNodes(sourceId, targetId);
 
       clearCytoscapeSelections();
       dispatch({
@@ -232,7 +323,7 @@ export function useGraphOperations({
         payload: { nodeIds: [], selectionOrder: [] }
       });
     }
-  }, [selectedNodeIds, nodeSelectionOrder, setGraphData, clearCytoscapeSelections, dispatch]);
+  }, [selectedNodeIds, nodeSelectionOrder, handleConnectNodes, clearCytoscapeSelections, dispatch]);
 
   const handleEdgeDirectionChange = useCallback((edgeIdArg, newDirection) => {
     printDebug('🏠 GraphOps: Changing edge direction:', edgeIdArg, '->', newDirection);
@@ -241,7 +332,106 @@ export function useGraphOperations({
       ...prev,
       edges: prev.edges.map(e => (e.id === edgeIdArg ? { ...e, direction: newDirection } : e))
     }));
-  }, [setGraphData]);
+
+    const edge = edges.find(e => e.id === edgeIdArg);
+    if (edge && edge.direction !== newDirection) {
+      recordChange?.(makeChange('edge-direction', [edgeTarget(edge, nodes)], { from: edge.direction || 'forward', to: newDirection }));
+    }
+  }, [nodes, edges, setGraphData, recordChange]);
+
+  const handleReverseEdge = useCallback((edgeIdArg) => {
+    printDebug('🏠 GraphOps: Reversing edge:', edgeIdArg);
+
+    const edge = edges.find(e => e.id === edgeIdArg);
+    if (!edge || edges.some(e => e.id === edgeId(edge.target, edge.source))) return;
+
+    setGraphData(prev => {
+      const next = reverseEdge(prev, edgeIdArg);
+      return { ...prev, nodes: next.nodes, edges: next.edges, notes: next.notes, tours: next.tours };
+    });
+    const reversed = { id: edgeId(edge.target, edge.source), source: edge.target, target: edge.source };
+    recordChange?.(makeChange('edge-reverse', [edgeTarget(reversed, nodes)], { from: edgeTarget(edge, nodes).label }));
+  }, [nodes, edges, setGraphData, recordChange]);
+
+  const handleRetargetEdge = useCallback((edgeIdArg, end, nodeId) => {
+    printDebug('🏠 GraphOps: Retargeting edge:', edgeIdArg, end, '->', nodeId);
+
+    const edge = edges.find(e => e.id === edgeIdArg);
+    if (!edge || edge[end] === nodeId) return;
+    const retargeted = { source: edge.source, target: edge.target, [end]: nodeId };
+    retargeted.id = edgeId(retargeted.source, retargeted.target);
+    if (retargeted.source === retargeted.target || edges.some(e => e.id === retargeted.id)) return;
+
+    setGraphData(prev => {
+      const next = retargetEdge(prev, edgeIdArg, end, nodeId);
+      return { ...prev, nodes: next.nodes, edges: next.edges, notes: next.notes, tours: next.tours };
+    });
+    recordChange?.(makeChange('edge-retarget', [edgeTarget(retargeted, nodes)], { from: edgeTarget(edge, nodes).label }));
+  }, [nodes, edges, setGraphData, recordChange]);
+
+  // Align / distribute / snap the given nodes as one undoable step; only moved nodes are logged
+  const arrangeNodes = useCallback((nodeIds, arrange, data) => {
+    const before = new Map(nodes.map(n => [n.id, n]));
+    const moved = arrange({ nodes, edges }).nodes.filter(n => {
+      const old = before.get(n.id);
+      return old && (old.x !== n.x || old.y !== n.y);
+    });
+    if (moved.length === 0) return;
+
+    const positions = new Map(moved.map(n => [n.id, { x: n.x, y: n.y }]));
+    setGraphData(prev => ({
+      ...prev,
+      nodes: prev.nodes.map(n => (positions.has(n.id) ? { ...n, ...positions.get(n.id) } : n))
+    }));
+    recordChange?.(makeChange('node-arrange', moved.map(n => nodeTarget(before.get(n.id))), data));
+  }, [nodes, edges, setGraphData, recordChange]);
+
+  const handleAlignNodes = useCallback((nodeIds, alignMode) => {
+    printDebug('🏠 GraphOps: Align', nodeIds, alignMode);
+    arrangeNodes(nodeIds, g => alignNodes(g, nodeIds, alignMode), { op: 'align', value: alignMode });
+  }, [arrangeNodes]);
+
+  const handleDistributeNodes = useCallback((nodeIds, direction) => {
+    printDebug('🏠 GraphOps: Distribute', nodeIds, direction);
+    arrangeNodes(nodeIds, g => distributeNodes(g, nodeIds, direction), { op: 'distribute', value: direction });
+  }, [arrangeNodes]);
+
+  const handleEqualizeSpacing = useCallback((nodeIds, direction) => {
+    printDebug('🏠 GraphOps: Equalize spacing', nodeIds, direction);
+    arrangeNodes(nodeIds, g => equalizeSpacing(g, nodeIds, direction), { op: 'equalize', value: direction });
+  }, [arrangeNodes]);
+
+  const handleSnapNodesToGrid = useCallback((nodeIds) => {
+    printDebug('🏠 GraphOps: Snap to grid', nodeIds, grid.size);
+    arrangeNodes(nodeIds, g => snapNodesToGrid(g, nodeIds, grid.size), { op: 'snap', value: grid.size });
+  }, [arrangeNodes, grid.size]);
+
+  // Commit a previewed automatic layout (graph/layouts.js computeLayout result)
+  const handleApplyLayout = useCallback((positions, algorithm) => {
+    printDebug('🏠 GraphOps: Apply layout', algorithm, Object.keys(positions).length, 'nodes');
+    arrangeNodes(
+      Object.keys(positions),
+      g => ({ ...g, nodes: g.nodes.map(n => (positions[n.id] ? { ...n, ...positions[n.id] } : n)) }),
+      { op: 'layout', value: (LAYOUTS[algorithm] || algorithm).toLowerCase() }
+    );
+  }, [arrangeNodes]);
+
+  // Pinned nodes stay put when a layout runs; unpinning drops the flag rather than storing false
+  const handlePinNodes = useCallback((nodeIds, pinned) => {
+    const changed = nodes.filter(n => nodeIds.includes(n.id) && !!n.pinned !== !!pinned);
+    if (changed.length === 0) return;
+    printDebug('🏠 GraphOps: Pin', nodeIds, pinned);
+
+    setGraphData(prev => ({
+      ...prev,
+      nodes: prev.nodes.map(n => {
+        if (!nodeIds.includes(n.id)) return n;
+        const { pinned: _wasPinned, ...rest } = n;
+        return pinned ? { ...rest, pinned: true } : rest;
+      })
+    }));
+    recordChange?.(makeChange('node-pin', changed.map(n => nodeTarget(n)), { pinned: !!pinned }));
+  }, [nodes, setGraphData, recordChange]);
 
   const handleNodeSizeChange = useCallback((nodeId, newSize) => {
     printDebug('🏠 GraphOps: Changing node size:', nodeId, '->', newSize);
@@ -252,7 +442,12 @@ export function useGraphOperations({
       ...prev,
       nodes: prev.nodes.map(n => (n.id === nodeId ? { ...n, size: newSize } : n))
     }));
-  }, [updateNodeInPlace, setGraphData]);
+
+    const node = nodes.find(n => n.id === nodeId);
+    if (node && node.size !== newSize) {
+      recordChange?.(makeChange('node-size', [nodeTarget(node)], { from: node.size || 'regular', to: newSize }));
+    }
+  }, [nodes, updateNodeInPlace, setGraphData, recordChange]);
 
   const handleNodeColorChange = useCallback((nodeIds, newColor) => {
     printDebug('🏠 GraphOps: Change color:', nodeIds, '->', newColor);
@@ -263,7 +458,12 @@ export function useGraphOperations({
       ...prev,
       nodes: prev.nodes.map(n => (nodeIds.includes(n.id) ? { ...n, color: newColor } : n))
     }));
-  }, [updateNodeInPlace, setGraphData]);
+
+    const recolored = nodes.filter(n => nodeIds.includes(n.id) && n.color !== newColor);
+    if (recolored.length) {
+      recordChange?.(makeChange('node-color', recolored.map(n => nodeTarget(n)), { to: newColor }));
+    }
+  }, [nodes, updateNodeInPlace, setGraphData, recordChange]);
 
   const handleRotateNodesAndMap = useCallback(() => {
     const cyInstance = typeof cy === 'function' ? cy() : cy;
@@ -286,12 +486,13 @@ export function useGraphOperations({
         const cyNode = cyInstance.getElementById(node.id);
         if (cyNode.length > 0) cyNode.position({ x: node.x, y: node.y });
       });
-      cyInstance.fit(cyInstance.nodes(), 50);
+      cyInstance.fit(cyInstance.nodes().not('.layer-hidden, .filter-hidden'), 50);
     }
 
     const next = ((orientation + 90) % 360 + 360) % 360;
     dispatch({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: next } });
-  }, [orientation, nodes, setGraphData, cy, dispatch]);
+    recordChange?.(makeChange('map-rotate', [], { from: orientation, to: next, withNodes: true }));
+  }, [orientation, nodes, setGraphData, cy, dispatch, recordChange]);
 
   // Legacy operations for backward compatibility
   const handleResetSelection = useCallback(() => {
@@ -311,10 +512,22 @@ export function useGraphOperations({
     // New mutation operations
     handleNodeMove,
     handleCreateNode,
+    handleCreateNodeAt,
+    handleDuplicateNode,
+    handlePasteSubgraph,
     handleDeleteSelectedNodes,
     handleDeleteSelectedEdges,
+    handleConnectNodes,
     handleConnectSelectedNodes,
     handleEdgeDirectionChange,
+    handleReverseEdge,
+    handleRetargetEdge,
+    handleAlignNodes,
+    handleDistributeNodes,
+    handleEqualizeSpacing,
+    handleSnapNodesToGrid,
+    handleApplyLayout,
+    handlePinNodes,
     handleNodeSizeChange,
     handleNodeColorChange,
     handleRotateNodesAndMap
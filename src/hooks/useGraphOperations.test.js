@@ -22,7 +22,7 @@ describe('useGraphOperations hook', () => {
       fit: () => {},
       zoom: () => 1,
       pan: () => ({ x: 0, y: 0 }),
-      nodes: () => ({ length: 2 }),
+      nodes: () => ({ length: 2, not() { return this; } }),
       getElementById: () => mockNode,
       elements: () => ({
         unselect: () => {}
@@ -273,6 +273,62 @@ describe('useGraphOperations hook', () => {
     expect(newEdge.id).toBe('node1__node2'); // ->
   });
 
+  test('handlePasteSubgraph adds the copied nodes under fresh ids and returns them', () => {
+    const setGraphDataCalls = [];
+    const changes = [];
+    const params = {
+      ...mockParams,
+      setGraphData: (fn) => setGraphDataCalls.push(fn(mockParams.graph)),
+      recordChange: (entry) => changes.push(entry)
+    };
+    const payload = {
+      mapName: 'other',
+      nodes: [{ id: 'node1', title: 'Node 1', x: 0, y: 0 }],
+      edges: [],
+      notes: { node1: ['copied note'] },
+      tags: [],
+      images: {}
+    };
+
+    const { result } = renderHook(() => useGraphOperations(params));
+
+    let pastedIds;
+    act(() => {
+      pastedIds = result.current.handlePasteSubgraph(payload, { x: 500, y: 400 }, 'here');
+    });
+
+    expect(pastedIds).toEqual(['node11']);
+    const updated = setGraphDataCalls[0];
+    expect(updated.nodes.at(-1)).toMatchObject({ id: 'node11', x: 500, y: 400 });
+    expect(updated.notes.node11).toEqual(['copied note']);
+    expect(changes[0]).toMatchObject({ action: 'node-paste', data: { from: 'other' } });
+    expect(changes[0].targets.map(t => t.id)).toEqual(pastedIds);
+  });
+
+  test('handleApplyLayout moves nodes in one update and handlePinNodes toggles the flag', () => {
+    const setGraphDataCalls = [];
+    const changes = [];
+    const params = {
+      ...mockParams,
+      setGraphData: (fn) => setGraphDataCalls.push(fn(mockParams.graph)),
+      recordChange: (entry) => changes.push(entry)
+    };
+
+    const { result } = renderHook(() => useGraphOperations(params));
+
+    act(() => {
+      result.current.handleApplyLayout({ node1: { x: 0, y: -50 }, node2: { x: 200, y: 200 } }, 'layered');
+      result.current.handlePinNodes(['node1', 'node2'], true);
+    });
+
+    expect(setGraphDataCalls).toHaveLength(2);
+    expect(setGraphDataCalls[0].nodes.map(n => [n.x, n.y])).toEqual([[0, -50], [200, 200]]);
+    expect(setGraphDataCalls[1].nodes.every(n => n.pinned === true)).toBe(true);
+    expect(changes.map(c => c.action)).toEqual(['node-arrange', 'node-pin']);
+    expect(changes[0].targets.map(t => t.id)).toEqual(['node1']);
+    expect(changes[0].data).toEqual({ op: 'layout', value: 'layered' });
+  });
+
   test('handleEdgeDirectionChange updates edge direction', () => {
     const setGraphDataCalls = [];
     const paramsWithMocks = {
@@ -400,4 +456,36 @@ describe('useGraphOperations hook', () => {
       });
     }).not.toThrow();
   });
+
+  test('records change-log entries described from the graph before the change', () => {
+    const changes = [];
+    const paramsWithLog = { ...mockParams, recordChange: (entry) => changes.push(entry) };
+
+    const { result } = renderHook(() => useGraphOperations(paramsWithLog));
+
+    act(() => {
+      result.current.handleNodeMove('node1', { x: 300, y: 120 });
+      result.current.handleEdgeDirectionChange('edge1', 'backward');
+      result.current.handleDeleteSelectedNodes(['node2']);
+    });
+
+    expect(changes.map(c => c.action)).toEqual(['node-move', 'edge-direction', 'node-delete']);
+    expect(changes[0].data).toEqual({ from: { x: 100, y: 100 }, to: { x: 300, y: 120 } });
+    expect(changes[1].targets[0]).toEqual({ type: 'edge', id: 'edge1', label: 'Node 1 → Node 2' });
+    expect(changes[2].data.edges).toBe(1);
+  });
+
+  test('does not record no-op changes', () => {
+    const changes = [];
+    const paramsWithLog = { ...mockParams, recordChange: (entry) => changes.push(entry) };
+
+    const { result } = renderHook(() => useGraphOperations(paramsWithLog));
+
+    act(() => {
+      result.current.handleNodeSizeChange('node1', 'regular');
+      result.current.handleNodeColorChange(['node1'], 'blue');
+    });
+
+    expect(changes).toHaveLength(0);
+  });
 });
\ No newline at end of file
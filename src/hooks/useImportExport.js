@@ -1,12 +1,19 @@
 // src/hooks/useImportExport.js
 import { useCallback } from 'react';
 import { loadAndValidateRumorMapFromFile } from '../rumorMapValidation';
+import { isShipLogXmlFile, loadShipLogXmlFiles } from '../importers/outerWildsXml.js';
+import { GRAPH_FORMATS, exportGraphFormat, getGraphFileFormat, loadGraphFormatFile } from '../importers/graphFormats.js';
+import {
+  buildMapPackage, getPackageAsset, installPackageAssets, isMapPackageFile, loadMapPackageFile
+} from '../importers/mapPackage.js';
 import { serializeGraph } from '../graph/ops.js';
 import { dataUrlOrBlobToWebpDataUrl } from '../utils/imageUtils.js';
-import { loadImageWithFallback } from '../utils/imageLoader.js';
+import { loadImageWithFallback, imageCache, getDefaultPlaceholderSvg } from '../utils/imageLoader.js';
 import { ACTION_TYPES } from '../appStateReducer.js';
 import { printDebug } from '../utils/debug.js';
-import { clearQueryParams } from '../utils/cdnHelpers.js';
+import { clearQueryParams, buildCdnUrl, getCdnBaseUrl } from '../utils/cdnHelpers.js';
+import { getMapFileBaseName, normalizeGraphData } from '../utils/mapHelpers.js';
+import { downloadBlob } from '../utils/imageExport.js';
 
 /**
  * Custom hook for import/export operations
@@ -21,6 +28,12 @@ import { clearQueryParams } from '../utils/cdnHelpers.js';
  * @param {Object} params.defaultShipLogData - Default map data for coord hydration
  * @param {Function} params.getCanEditFromQuery - Function to check edit permissions
  * @param {Function} params.hasAnyQueryParams - Function to check for query params
+ * @param {Function} [params.onImportIssues] - Called with { fileName, map, issues, migration } when an
+ *   imported file has validation issues, instead of failing the import
+ * @param {Function} [params.onMigrationReport] - Called with graph/schema.js's report when an
+ *   imported map was upgraded from an older (or comes from a newer) schema
+ * @param {Function} [params.onBeforeReplaceMap] - Called with a snapshot reason ('import', 'new-map')
+ *   right before the current map is replaced
  * @returns {Object} Import/export operation functions
  */
 export function useImportExport({
@@ -33,47 +46,11 @@ export function useImportExport({
   clearCytoscapeSelections,
   defaultShipLogData,
   getCanEditFromQuery,
-  hasAnyQueryParams
+  hasAnyQueryParams,
+  onImportIssues,
+  onMigrationReport,
+  onBeforeReplaceMap
 }) {
-  // Helper function to normalize graph data (moved from App.jsx)
-  const normalizeGraphData = useCallback((data) => {
-    const nodes = Array.isArray(data?.nodes) ? data.nodes : [];
-    const edges = Array.isArray(data?.edges) ? data.edges : [];
-    const notes = data?.notes && typeof data.notes === "object" ? data.notes : {};
-    const mode = typeof data?.mode === "string" ? data.mode : "editing";
-    const mapName = typeof data?.mapName === "string" ? data.mapName : "default_map";
-    const cdnBaseUrl = typeof data?.cdnBaseUrl === "string" ? data.cdnBaseUrl : "";
-    const orientation = Number.isFinite(data?.orientation) ? ((data.orientation % 360) + 360) % 360 : 0;
-    const compassVisible = typeof data?.compassVisible === 'boolean' ? data.compassVisible : true;
-
-    const bgImage = data && typeof data.bgImage === 'object' && data.bgImage !== null
-      ? data.bgImage
-      : { included: false, imageUrl: "", x: 0, y: 0, scale: 100, opacity: 100, visible: false };
-
-    const normNodes = nodes.map(n => {
-      const imageUrl = n.imageUrl || "unspecified";
-      return {
-        id: n.id,
-        title: n.title ?? n.label ?? "",
-        size: n.size ?? "regular",
-        color: n.color ?? "gray",
-        x: typeof n.x === "number" ? n.x : 0,
-        y: typeof n.y === "number" ? n.y : 0,
-        imageUrl: imageUrl,
-        originalImageUrl: n.originalImageUrl || imageUrl
-      };
-    });
-
-    const normEdges = edges.map(e => ({
-      id: e.id || `${e.source}->${e.target}`,
-      source: e.source,
-      target: e.target,
-      direction: e.direction ?? "forward"
-    }));
-
-    return { nodes: normNodes, edges: normEdges, notes, mode, mapName, cdnBaseUrl, orientation, compassVisible, bgImage };
-  }, []);
-
   // Helper function to hydrate coordinates if missing (moved from App.jsx)
   const hydrateCoordsIfMissing = useCallback((graph, defaultGraph) => {
     const hasAllCoords = graph.nodes.every(n => typeof n.x === "number" && typeof n.y === "number");
@@ -90,110 +67,101 @@ export function useImportExport({
     };
   }, []);
 
-  const handleFileSelect = useCallback(async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Load a parsed (and valid) map: normalize, hydrate coords, persist.
+  // `migration` is the report for a map that was upgraded before it got here
+  // (fixed in the import review), since normalizing it again finds nothing to do.
+  const importMapData = useCallback(async (data, { migration } = {}) => {
+    try {
+      await onBeforeReplaceMap?.('import');
+      let report = migration;
+      const g1 = normalizeGraphData(data, { onMigrate: (r) => { report = r; } });
+      const g2 = hydrateCoordsIfMissing(g1, defaultShipLogData);
     
-    dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: null } });
+      // Decide effective mode from URL policy
+      const canEditNow = getCanEditFromQuery() || !hasAnyQueryParams();
+      const importedMode = (typeof g1.mode === 'string') ? g1.mode : 'editing';
+      const effectiveMode = canEditNow ? importedMode : 'playing';
+    
+      setGraphData({ ...g2, mode: effectiveMode });
+      dispatch({ type: ACTION_TYPES.SET_MODE, payload: { mode: effectiveMode } });
 
-    try {
-      const result = await loadAndValidateRumorMapFromFile(file);
-      if (result.isValid) {
-        // normalize, hydrate coords, persist
-        const g1 = normalizeGraphData(result.data);
-        const g2 = hydrateCoordsIfMissing(g1, defaultShipLogData);
-        
-        // Decide effective mode from URL policy
-        const canEditNow = getCanEditFromQuery() || !hasAnyQueryParams();
-        const importedMode = (typeof g1.mode === 'string') ? g1.mode : 'editing';
-        const effectiveMode = canEditNow ? importedMode : 'playing';
-        
-        setGraphData({ ...g2, mode: effectiveMode });
-        dispatch({ type: ACTION_TYPES.SET_MODE, payload: { mode: effectiveMode } });
-
-        // Set map name if it's included in the imported data
-        if (typeof g1.mapName === 'string') {
-          dispatch({ type: ACTION_TYPES.SET_MAP_NAME, payload: { mapName: g1.mapName } });
-        }
+      // Set map name if it's included in the imported data
+      if (typeof g1.mapName === 'string') {
+        dispatch({ type: ACTION_TYPES.SET_MAP_NAME, payload: { mapName: g1.mapName } });
+      }
 
-        // Set CDN base URL if it's included in the imported data (even if empty string)
-        if (typeof g1.cdnBaseUrl === 'string') {
-          dispatch({ type: ACTION_TYPES.SET_CDN_BASE_URL, payload: { cdnBaseUrl: g1.cdnBaseUrl } });
-        }
-        
-        if (typeof g1.orientation === 'number') {
-          dispatch({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: g1.orientation } });
-        }
-        
-        if (typeof g1.compassVisible === 'boolean') {
-          dispatch({ type: ACTION_TYPES.SET_COMPASS_VISIBLE, payload: { visible: g1.compassVisible } });
-        }
+      // Set CDN base URL if it's included in the imported data (even if empty string)
+      if (typeof g1.cdnBaseUrl === 'string') {
+        dispatch({ type: ACTION_TYPES.SET_CDN_BASE_URL, payload: { cdnBaseUrl: g1.cdnBaseUrl } });
+      }
+    
+      if (typeof g1.orientation === 'number') {
+        dispatch({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: g1.orientation } });
+      }
+    
+      if (typeof g1.compassVisible === 'boolean') {
+        dispatch({ type: ACTION_TYPES.SET_COMPASS_VISIBLE, payload: { visible: g1.compassVisible } });
+      }
 
-        // Load background image if needed
-        if (typeof g1.bgImage === 'object' && g1.bgImage !== null) {
-          let bgImageToSet = { ...g1.bgImage };
-          bgImageToSet.included = !!bgImageToSet.imageUrl;
-          
-          printDebug(`useImportExport: Attempting to load background image ${bgImageToSet.imageUrl ? 'from URL' : 'as empty'} for map ${g1.mapName}`);
-          
-          if (bgImageToSet.included) {
-            try {
-              printDebug("🖼️ FILE LOAD: Attempting to load BG image:", bgImageToSet.imageUrl);
-
-              // Load full size image (no cache, no thumb)
-              const rawDataUrl = await loadImageWithFallback(
-                bgImageToSet.imageUrl,
-                g1.mapName,
-                g1.cdnBaseUrl || graph.cdnBaseUrl,
-                { fullSize: true }
-              );
-
-              // Convert to WebP and clamp size to 2048px
-              const webpDataUrl = await dataUrlOrBlobToWebpDataUrl(rawDataUrl, 2048, 0.82);
-
-              bgImageToSet = { ...bgImageToSet, imageUrl: webpDataUrl, included: true };
-              printDebug("FILE LOAD: Loaded BG image dataUrl:", webpDataUrl);
-            } catch {
-              printDebug("FILE LOAD: Failed to load BG image, setting to empty.");
-              bgImageToSet = { ...bgImageToSet, imageUrl: "", included: false };
-            }
-          } else {
-            printDebug('useImportExport: No background image URL provided, setting to empty.');
-            bgImageToSet = { ...bgImageToSet, imageUrl: "" };
+      // Load background image if needed
+      if (typeof g1.bgImage === 'object' && g1.bgImage !== null) {
+        let bgImageToSet = { ...g1.bgImage };
+        bgImageToSet.included = !!bgImageToSet.imageUrl;
+      
+        printDebug(`useImportExport: Attempting to load background image ${bgImageToSet.imageUrl ? 'from URL' : 'as empty'} for map ${g1.mapName}`);
+      
+        if (bgImageToSet.included) {
+          try {
+            printDebug("🖼️ FILE LOAD: Attempting to load BG image:", bgImageToSet.imageUrl);
+
+            // Load full size image (no cache, no thumb)
+            const rawDataUrl = await loadImageWithFallback(
+              bgImageToSet.imageUrl,
+              g1.mapName,
+              g1.cdnBaseUrl || graph.cdnBaseUrl,
+              { fullSize: true }
+            );
+
+            // Convert to WebP and clamp size to 2048px
+            const webpDataUrl = await dataUrlOrBlobToWebpDataUrl(rawDataUrl, 2048, 0.82);
+
+            bgImageToSet = { ...bgImageToSet, imageUrl: webpDataUrl, included: true };
+            printDebug("FILE LOAD: Loaded BG image dataUrl:", webpDataUrl);
+          } catch {
+            printDebug("FILE LOAD: Failed to load BG image, setting to empty.");
+            bgImageToSet = { ...bgImageToSet, imageUrl: "", included: false };
           }
-          
-          setBgImage(bgImageToSet);
-          dispatch({ type: ACTION_TYPES.SET_BG_IMAGE, payload: { bgImage: bgImageToSet } });
         } else {
-          printDebug('useImportExport: No background image URL provided, skipping load.');
+          printDebug('useImportExport: No background image URL provided, setting to empty.');
+          bgImageToSet = { ...bgImageToSet, imageUrl: "" };
         }
-
-        // Reset camera + fit
-        printDebug("useImportExport: Internally resetting camera due to file load");
-        dispatch({ type: ACTION_TYPES.SET_ZOOM_INTERNAL, payload: { zoom: 1 } });
-        dispatch({ type: ACTION_TYPES.SET_CAMERA_POSITION_INTERNAL, payload: { position: { x: 0, y: 0 } } });
-        setTimeout(() => {
-          dispatch({ type: ACTION_TYPES.SET_SHOULD_FIT, payload: { shouldFit: true } });
-        }, 150);
-        
-        // Clear selections and undo state (loading clears undo)
-        clearCytoscapeSelections();
-        dispatch({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
-        clearUndoState();
+      
+        setBgImage(bgImageToSet);
+        dispatch({ type: ACTION_TYPES.SET_BG_IMAGE, payload: { bgImage: bgImageToSet } });
       } else {
-        printDebug('useImportExport: File load errors:', result.errors);
-        dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: 'Invalid map file: ' + result.errors.join('; ') } });
+        printDebug('useImportExport: No background image URL provided, skipping load.');
       }
+
+      // Reset camera + fit
+      printDebug("useImportExport: Internally resetting camera due to file load");
+      dispatch({ type: ACTION_TYPES.SET_ZOOM_INTERNAL, payload: { zoom: 1 } });
+      dispatch({ type: ACTION_TYPES.SET_CAMERA_POSITION_INTERNAL, payload: { position: { x: 0, y: 0 } } });
+      setTimeout(() => {
+        dispatch({ type: ACTION_TYPES.SET_SHOULD_FIT, payload: { shouldFit: true } });
+      }, 150);
+    
+      // Clear selections and undo state (loading clears undo)
+      clearCytoscapeSelections();
+      dispatch({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
+      clearUndoState();
+
+      if (report) onMigrationReport?.(report);
     } catch (error) {
-      console.error('useImportExport: Failed to load file:', error);
+      console.error('useImportExport: Failed to load map:', error);
       dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: 'Failed to load file: ' + error.message } });
     }
-
-    // Clear the input so the same file can be selected again
-    event.target.value = '';
   }, [
     dispatch, 
-    normalizeGraphData, 
     hydrateCoordsIfMissing, 
     defaultShipLogData, 
     getCanEditFromQuery, 
@@ -202,9 +170,65 @@ export function useImportExport({
     setBgImage, 
     clearCytoscapeSelections, 
     clearUndoState,
-    graph.cdnBaseUrl
+    graph.cdnBaseUrl,
+    onMigrationReport,
+    onBeforeReplaceMap
   ]);
 
+  const handleFileSelect = useCallback(async (event) => {
+    const files = Array.from(event.target.files || []);
+    const file = files[0];
+    if (!file) return;
+    
+    dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: null } });
+
+    try {
+      // Packages and GraphML/GEXF/DOT go first: .graphml and .gexf also look like XML.
+      // Outer Wilds ship log XML: every selected file goes into one map
+      const isPackage = isMapPackageFile(file);
+      const graphFormat = !isPackage && getGraphFileFormat(file);
+      const isShipLog = !isPackage && !graphFormat && files.every(isShipLogXmlFile);
+      // Only ship log XML files combine; anything else would be silently dropped
+      if (files.length > 1 && !isShipLog) {
+        dispatch({
+          type: ACTION_TYPES.SET_LOAD_ERROR,
+          payload: { error: `Only ship log XML files can be imported together; pick one map file (got ${files.map(f => f.name).join(', ')})` }
+        });
+        event.target.value = '';
+        return;
+      }
+      let result;
+      if (isPackage) {
+        result = await loadMapPackageFile(file);
+        // Images first, so the map renders from them instead of reaching for a CDN
+        if (result.map && result.assets) await installPackageAssets(result.map, result.assets);
+      } else if (graphFormat) {
+        result = await loadGraphFormatFile(file, graphFormat);
+      } else if (isShipLog) {
+        result = await loadShipLogXmlFiles(files);
+      } else {
+        result = await loadAndValidateRumorMapFromFile(file);
+      }
+      const fileName = isShipLog ? files.map(f => f.name).join(', ') : file.name;
+      if (result.isValid && !result.issues?.length) {
+        await importMapData(result.data);
+      } else if (result.map && result.issues?.length && onImportIssues) {
+        // Let the user review (and fix) the problems before anything loads
+        printDebug('useImportExport: File has issues, opening review:', result.issues);
+        onImportIssues({ fileName, map: result.map, issues: result.issues, migration: result.migration });
+      } else {
+        printDebug('useImportExport: File load errors:', result.errors);
+        dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: 'Invalid map file: ' + result.errors.join('; ') } });
+      }
+    } catch (error) {
+      console.error('useImportExport: Failed to load file:', error);
+      dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: 'Failed to load file: ' + error.message } });
+    }
+
+    // Clear the input so the same file can be selected again
+    event.target.value = '';
+  }, [dispatch, importMapData, onImportIssues]);
+
   const handleNewMap = useCallback(() => {
     // Check if there are any nodes in the current map
     if (graph.nodes.length > 0) {
@@ -215,6 +239,8 @@ export function useImportExport({
       }
     }
 
+    onBeforeReplaceMap?.('new-map');
+
     // Clear undo state first
     clearUndoState();
 
@@ -223,6 +249,8 @@ export function useImportExport({
       nodes: [],
       edges: [],
       notes: {},
+      tags: [],
+      tours: [],
       mode: graph.mode // preserve current mode
     });
 
@@ -262,17 +290,22 @@ export function useImportExport({
     // Clear query params from the browser address bar
     clearQueryParams();
 
-  }, [graph.nodes.length, graph.mode, setGraphData, dispatch, setBgImage, clearCytoscapeSelections, clearUndoState]);
+  }, [graph.nodes.length, graph.mode, setGraphData, dispatch, setBgImage, clearCytoscapeSelections, clearUndoState, onBeforeReplaceMap]);
 
-  const exportGraphToJson = useCallback((exportNodePositions) => {
-    // Get latest positions from Cytoscape (if available)
+  // Nodes with their latest positions from Cytoscape (if available)
+  const getPositionedNodes = useCallback((exportNodePositions) => {
     const positions = exportNodePositions ? exportNodePositions() : [];
-    const updatedNodes = positions.length
+    return positions.length
       ? positions.map(pos => ({
           ...graph.nodes.find(n => n.id === pos.id),
           x: pos.x, y: pos.y
         }))
       : graph.nodes;
+  }, [graph.nodes]);
+
+  // Current graph with live positions and a file-name-only bgImage, ready to save
+  const getExportGraph = useCallback((exportNodePositions) => {
+    const updatedNodes = getPositionedNodes(exportNodePositions);
 
     // Only export filename for bgImage if it's a data URL
     let exportedBgImage = { ...graph.bgImage };
@@ -293,36 +326,63 @@ export function useImportExport({
       }
     }
 
-    const updatedGraph = {
+    return {
       ...graph,
       nodes: updatedNodes,
       bgImage: exportedBgImage
     };
+  }, [graph, getPositionedNodes]);
 
-    // Generate filename from map name: lowercase, spaces to underscores
-    const sanitizedMapName = graph.mapName
-      .toLowerCase()
-      .replace(/\s+/g, '_')  // Replace spaces with underscores
-      .replace(/[^a-z0-9_-]/g, '') // Remove any non-alphanumeric characters except underscores and hyphens
-      || 'untitled_map'; // fallback if map name is empty or becomes empty after sanitization
-    
-    const filename = sanitizedMapName + '.json';
-    const json = serializeGraph(updatedGraph);
-    
-    // Trigger download
-    const blob = new Blob([json], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
+  const exportGraphToJson = useCallback((exportNodePositions) => {
+    const filename = getMapFileBaseName(graph.mapName) + '.json';
+    const json = serializeGraph(getExportGraph(exportNodePositions));
+    downloadBlob(new Blob([json], { type: "application/json" }), filename);
     return json;
-  }, [graph]);
+  }, [graph.mapName, getExportGraph]);
+
+  // Zip with the JSON and every image, laid out like the CDN folder (see importers/mapPackage.js)
+  const exportMapPackage = useCallback(async (exportNodePositions) => {
+    const mapName = graph.mapName || 'default_map';
+    const cdnBase = graph.cdnBaseUrl || getCdnBaseUrl();
+    const loadAsset = async (fileName) => {
+      const packaged = getPackageAsset(mapName, fileName);
+      if (packaged) return packaged;
+      const url = buildCdnUrl(cdnBase, mapName, fileName);
+      if (!url) return null;
+      const response = await fetch(url);
+      return response.ok ? new Uint8Array(await response.arrayBuffer()) : null;
+    };
+    const cachedThumbnail = (fileName) => {
+      const cached = imageCache.get(`${mapName}:${fileName}`);
+      return typeof cached === 'string' && cached.startsWith('data:') ? cached : null;
+    };
+
+    try {
+      const { zip, fileName, missing } = await buildMapPackage(
+        { ...graph, nodes: getPositionedNodes(exportNodePositions) },
+        { loadAsset, cachedThumbnail, placeholderSvg: getDefaultPlaceholderSvg(mapName) }
+      );
+      downloadBlob(new Blob([zip], { type: 'application/zip' }), fileName);
+      if (missing.length) printDebug('useImportExport: Package saved without:', missing);
+      return zip;
+    } catch (error) {
+      console.error('useImportExport: Failed to export package:', error);
+      dispatch({ type: ACTION_TYPES.SET_LOAD_ERROR, payload: { error: 'Failed to export map package: ' + error.message } });
+      return null;
+    }
+  }, [graph, getPositionedNodes, dispatch]);
+
+  // Save in the format picked next to Save: JSON, a map package, or GraphML / GEXF / DOT
+  // for Gephi, yEd and Graphviz (see importers/graphFormats.js)
+  const exportGraphAs = useCallback((format, exportNodePositions) => {
+    if (format === 'zip') return exportMapPackage(exportNodePositions);
+    if (format === 'json' || !GRAPH_FORMATS[format]) return exportGraphToJson(exportNodePositions);
+    const { extensions, mime } = GRAPH_FORMATS[format];
+    const filename = `${getMapFileBaseName(graph.mapName)}.${extensions[0]}`;
+    const text = exportGraphFormat(getExportGraph(exportNodePositions), format);
+    downloadBlob(new Blob([text], { type: mime }), filename);
+    return text;
+  }, [graph.mapName, getExportGraph, exportGraphToJson, exportMapPackage]);
 
   const openShareModalWithCurrentState = useCallback(() => {
     onOpenShareModal?.(); // Modal reads current serialized URL/state
@@ -330,8 +390,10 @@ export function useImportExport({
 
   return { 
     handleFileSelect, 
+    importMapData, 
     handleNewMap, 
     exportGraphToJson, 
+    exportGraphAs,
     openShareModalWithCurrentState 
   };
 }
\ No newline at end of file
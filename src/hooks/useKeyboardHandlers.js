@@ -14,6 +14,12 @@ import { printDebug } from '../utils/debug';
  * @param {Object} params.graphOps - from useGraphOperations()
  * @param {Object} params.modalOps - from useModalState()
  * @param {Function} [params.onResetSelection] - optional fallback if no modal open on Escape/Space
+ * @param {Function} [params.onUndo] - Ctrl/Cmd+Z (editing mode only)
+ * @param {Function} [params.onRedo] - Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y (editing mode only)
+ * @param {Function} [params.onOpenContextMenu] - Shift+F10 or the ContextMenu key (editing mode only)
+ * @param {Function} [params.onCopy] - Ctrl/Cmd+C with nodes selected: (nodeIds: string[]) => void (editing mode only)
+ * @param {Function} [params.onCut] - Ctrl/Cmd+X with nodes selected: (nodeIds: string[]) => void (editing mode only)
+ * @param {Function} [params.onPaste] - Ctrl/Cmd+V (editing mode only)
  */
 export function useKeyboardHandlers({
   mode,
@@ -23,6 +29,12 @@ export function useKeyboardHandlers({
   graphOps,
   modalOps,
   onResetSelection,
+  onUndo,
+  onRedo,
+  onOpenContextMenu,
+  onCopy,
+  onCut,
+  onPaste,
 }) {
   const handleKeyDown = useCallback(
     (event) => {
@@ -53,6 +65,56 @@ export function useKeyboardHandlers({
 
       const key = event.key.toLowerCase();
 
+      // ---------------------------
+      // UNDO / REDO (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y)
+      // ---------------------------
+      if (key === 'z' || key === 'y') {
+        const mod = event.ctrlKey || event.metaKey;
+        if (!mod || mode !== 'editing') return;
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+          printDebug('⌨️ Redo pressed');
+          onRedo?.();
+        } else {
+          printDebug('⌨️ Undo pressed');
+          onUndo?.();
+        }
+        return;
+      }
+
+      // ---------------------------
+      // COPY / CUT / PASTE (Ctrl+C, Ctrl+X, Ctrl+V)
+      // ---------------------------
+      if ((key === 'c' || key === 'x' || key === 'v') && (event.ctrlKey || event.metaKey)) {
+        if (mode !== 'editing' || event.shiftKey || event.altKey) return;
+        if (key === 'v') {
+          if (!onPaste) return;
+          event.preventDefault();
+          printDebug('⌨️ Paste pressed');
+          onPaste();
+          return;
+        }
+        // Nothing selected: leave ordinary text copying alone
+        const { selectedNodeIds = [] } = getSelections() || {};
+        const handler = key === 'x' ? onCut : onCopy;
+        if (!selectedNodeIds.length || !handler) return;
+        event.preventDefault();
+        printDebug(`⌨️ ${key === 'x' ? 'Cut' : 'Copy'} pressed:`, selectedNodeIds);
+        handler(selectedNodeIds);
+        return;
+      }
+
+      // ---------------------------
+      // CONTEXT MENU (Shift+F10, ContextMenu key)
+      // ---------------------------
+      if (key === 'contextmenu' || (key === 'f10' && event.shiftKey)) {
+        if (mode !== 'editing' || !onOpenContextMenu) return;
+        event.preventDefault();
+        printDebug('⌨️ Context menu opened from keyboard');
+        onOpenContextMenu();
+        return;
+      }
+
       // ---------------------------
       // GENERAL SHORTCUTS
       // ---------------------------
@@ -144,6 +206,12 @@ export function useKeyboardHandlers({
       graphOps,
       modalOps,
       onResetSelection,
+      onUndo,
+      onRedo,
+      onOpenContextMenu,
+      onCopy,
+      onCut,
+      onPaste,
     ]
   );
 
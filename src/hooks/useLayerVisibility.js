@@ -0,0 +1,49 @@
+// src/hooks/useLayerVisibility.js
+import * as React from 'react';
+import { loadHiddenLayers, saveHiddenLayers } from '../utils/layersStore.js';
+
+/**
+ * useLayerVisibility(mapName)
+ * - Keeps the Set of hidden layer (tag) names in React state
+ * - Persists to localStorage per map, reloading on map switch
+ * - See graph/layers.js for how hidden tags translate into hidden elements
+ */
+export default function useLayerVisibility(mapName) {
+  const [hiddenLayers, setHiddenLayers] = React.useState(() => loadHiddenLayers(mapName));
+
+  // Reload when map changes
+  React.useEffect(() => {
+    setHiddenLayers(loadHiddenLayers(mapName));
+  }, [mapName]);
+
+  // Persist on change — skipped on the mapName transition itself so the old
+  // map's layers are never written under the new map's key (same as useVisited).
+  const prevMapNameRef = React.useRef(mapName);
+  React.useEffect(() => {
+    if (mapName !== prevMapNameRef.current) {
+      prevMapNameRef.current = mapName;
+      return;
+    }
+    saveHiddenLayers(mapName, hiddenLayers);
+  }, [mapName, hiddenLayers]);
+
+  const toggleLayer = React.useCallback((name) => {
+    if (!name) return;
+    setHiddenLayers(prev => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+  }, []);
+
+  const showAllLayers = React.useCallback(() => {
+    setHiddenLayers(prev => (prev.size === 0 ? prev : new Set()));
+  }, []);
+
+  return {
+    hiddenLayers,          // Set<string> of hidden tag names
+    toggleLayer,
+    showAllLayers,
+  };
+}
@@ -0,0 +1,39 @@
+import { renderHook, act } from '@testing-library/react';
+import useLayerVisibility from './useLayerVisibility.js';
+
+const KEY = (mapName) => `shiplog.layers.v1:${mapName}`;
+
+beforeEach(() => localStorage.clear());
+
+describe('useLayerVisibility', () => {
+  test('toggleLayer hides and shows a layer and persists per map', () => {
+    const { result } = renderHook(() => useLayerVisibility('mapA'));
+
+    act(() => { result.current.toggleLayer('water'); });
+    expect(result.current.hiddenLayers.has('water')).toBe(true);
+    expect(JSON.parse(localStorage.getItem(KEY('mapA')))).toEqual({ hidden: ['water'] });
+
+    act(() => { result.current.toggleLayer('water'); });
+    expect(result.current.hiddenLayers.size).toBe(0);
+  });
+
+  test('loads saved layers and keeps maps separate on switch', () => {
+    localStorage.setItem(KEY('mapB'), JSON.stringify({ hidden: ['power'] }));
+    const { result, rerender } = renderHook(
+      ({ mapName }) => useLayerVisibility(mapName),
+      { initialProps: { mapName: 'mapA' } }
+    );
+    act(() => { result.current.toggleLayer('water'); });
+
+    act(() => { rerender({ mapName: 'mapB' }); });
+    expect([...result.current.hiddenLayers]).toEqual(['power']);
+    expect(JSON.parse(localStorage.getItem(KEY('mapB')))).toEqual({ hidden: ['power'] });
+  });
+
+  test('showAllLayers clears every hidden layer', () => {
+    localStorage.setItem(KEY('mapA'), JSON.stringify({ hidden: ['water', 'power'] }));
+    const { result } = renderHook(() => useLayerVisibility('mapA'));
+    act(() => { result.current.showAllLayers(); });
+    expect(result.current.hiddenLayers.size).toBe(0);
+  });
+});
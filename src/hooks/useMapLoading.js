@@ -25,6 +25,10 @@ import { dataUrlOrBlobToWebpDataUrl } from '../utils/imageUtils';
  * @param {Object} params.currentCdnLoadRef - Ref to track current CDN load
  * @param {string} params.cdnBaseUrl - Base CDN URL
  * @param {Object} params.ACTION_TYPES - Action types for reducer
+ * @param {Function} [params.confirmCdnOverwrite] - async (cdnGraph) => boolean; false keeps the
+ *   local map (the caller may have merged into it), true goes on to load the CDN map
+ * @param {Function} [params.onMigrationReport] - (report) => void; called when a loaded CDN map
+ *   had to be migrated to the current schema
  * @returns {Object} Map loading functions and effects
  */
 export function useMapLoading({
@@ -41,7 +45,9 @@ export function useMapLoading({
   loadModeFromLocal,
   currentCdnLoadRef,
   cdnBaseUrl,
-  ACTION_TYPES
+  ACTION_TYPES,
+  confirmCdnOverwrite,
+  onMigrationReport
 }) {
 
   // ⚠️ StrictMode in dev mounts effects twice; this latch prevents duplicate work before state catches up
@@ -90,9 +96,19 @@ export function useMapLoading({
           }
 
           if (result.success) {
-            const normalizedData = normalizeGraphData(result.data);
+            let migration = null;
+            const normalizedData = normalizeGraphData(result.data, { onMigrate: (report) => { migration = report; } });
             const hydratedData = hydrateCoordsIfMissing(normalizedData, defaultShipLogData);
 
+            if (confirmCdnOverwrite && !(await confirmCdnOverwrite(hydratedData))) {
+              printDebug('[URL EFFECT] Keeping the local map instead of the CDN map');
+              dispatchAppState({ type: ACTION_TYPES.SET_LAST_LOADED_MAP_URL, payload: { url: normalizedMapUrl } });
+              setCdnLoadingState({ isLoading: false, error: null });
+              setIsLoadingFromCDN(false);
+              currentCdnLoadRef.current = null;
+              return;
+            }
+
             // --- MODE OVERRIDE LOGIC ---
             // This is the bit that ensures refresh doesn't yank the mode back to the JSON value when canedit=true or there are no params.
             const canEditFromQuery = getCanEditFromQuery();
@@ -112,6 +128,7 @@ export function useMapLoading({
             }
             const hydratedDataWithMode = { ...hydratedData, mode: forcedMode };
             setGraphData(hydratedDataWithMode);
+            if (migration) onMigrationReport?.(migration);
             dispatchAppState({ type: ACTION_TYPES.SET_MODE, payload: { mode: forcedMode } });
             saveModeToLocal(forcedMode);
 
@@ -231,7 +248,9 @@ export function useMapLoading({
     dispatchAppState,
     saveModeToLocal,
     loadModeFromLocal,
-    ACTION_TYPES
+    ACTION_TYPES,
+    confirmCdnOverwrite,
+    onMigrationReport
   ]);
 
   // Return empty object for now - we can add manual loading functions later if needed
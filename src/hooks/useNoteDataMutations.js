@@ -1,10 +1,20 @@
 import { useCallback } from 'react';
 import { renameNode } from '../graph/ops.js';
+import { edgeTarget, makeChange, nodeTarget } from '../graph/changeLog.js';
 import { printDebug } from '../utils/debug.js';
+import { getNoteText } from '../utils/notes.js';
 import { ACTION_TYPES } from '../appStateReducer.js';
 
+// Change-log target for a note owner, which may be a node or an edge
+function noteTarget(graph, targetId) {
+  const edge = graph.edges?.find(e => e.id === targetId);
+  if (edge) return edgeTarget(edge, graph.nodes);
+  return nodeTarget(graph.nodes?.find(n => n.id === targetId), targetId);
+}
+
 export function useNoteDataMutations({
-  setGraphData,
+  graph = { nodes: [], edges: [], notes: {} },
+  recordChange,
   setGraphDataWithUndo,
   dispatchAppState,
   selectedNodeIds,
@@ -15,14 +25,35 @@ export function useNoteDataMutations({
   cdnBaseUrl,
 }) {
   const handleUpdateNotes = useCallback((targetId, newNotes) => {
-    setGraphData(prev => ({
+    setGraphDataWithUndo(prev => ({
       ...prev,
       notes: { ...(prev.notes || {}), [targetId]: newNotes }
     }));
-  }, [setGraphData]);
+
+    const oldNotes = graph.notes?.[targetId] || [];
+    if (JSON.stringify(oldNotes) !== JSON.stringify(newNotes)) {
+      // { text, requires } notes are new objects after every edit; compare what they say
+      const oldTexts = oldNotes.map(getNoteText);
+      const newTexts = newNotes.map(getNoteText);
+      recordChange?.(makeChange('notes', [noteTarget(graph, targetId)], {
+        added: newTexts.filter(t => !oldTexts.includes(t)).length,
+        removed: oldTexts.filter(t => !newTexts.includes(t)).length
+      }));
+    }
+  }, [graph, setGraphDataWithUndo, recordChange]);
 
   const handleUpdateTitle = useCallback((targetId, targetType, newTitle) => {
     if (targetType === "node") {
+      const oldNode = graph.nodes.find(n => n.id === targetId);
+      if (oldNode && oldNode.title !== newTitle) {
+        const renamed = renameNode(graph, targetId, newTitle).nodes.find(n => n.title === newTitle);
+        recordChange?.(makeChange('node-rename', [nodeTarget(renamed, targetId)], {
+          from: oldNode.title || oldNode.id,
+          to: newTitle,
+          fromId: targetId
+        }));
+      }
+
       setGraphDataWithUndo(prev => {
         // Use the renameNode function to handle ID updates and cascading changes
         const updatedGraph = renameNode(prev, targetId, newTitle);
@@ -70,7 +101,7 @@ export function useNoteDataMutations({
       // For now, let's assume edges don't have editable titles, but we'll keep the interface
       console.warn("Edge title editing not yet implemented");
     }
-  }, [selectedNodeIds, nodeSelectionOrder, noteEditingTarget, noteViewingTarget, setGraphDataWithUndo, dispatchAppState]);
+  }, [graph, selectedNodeIds, nodeSelectionOrder, noteEditingTarget, noteViewingTarget, setGraphDataWithUndo, dispatchAppState, recordChange]);
 
   const handleUpdateImage = useCallback((nodeId, imagePath, immediateImageUrl = null) => {
     setGraphDataWithUndo(prev => ({
@@ -82,6 +113,11 @@ export function useNoteDataMutations({
       )
     }));
 
+    const node = graph.nodes.find(n => n.id === nodeId);
+    if (node && node.imageUrl !== imagePath) {
+      recordChange?.(makeChange('node-image', [nodeTarget(node)], { from: node.imageUrl, to: imagePath }));
+    }
+
     // Force immediate visual update in Cytoscape
     // Dynamic import to avoid circular imports
     import('../graph/cyAdapter.js').then(({ forceNodeImageUpdate }) => {
@@ -97,7 +133,24 @@ export function useNoteDataMutations({
           printDebug(`❌ [App] Error forcing image update for node ${nodeId}:`, error);
         });
     });
-  }, [setGraphDataWithUndo, mapName, cdnBaseUrl]);
+  }, [graph, setGraphDataWithUndo, recordChange, mapName, cdnBaseUrl]);
+
+  // Toggle a node's locked ("?") state; unlocking drops the flag rather than storing false
+  const handleUpdateLocked = useCallback((nodeId, locked) => {
+    setGraphDataWithUndo(prev => ({
+      ...prev,
+      nodes: prev.nodes.map(n => {
+        if (n.id !== nodeId) return n;
+        const { locked: _wasLocked, ...rest } = n;
+        return locked ? { ...rest, locked: true } : rest;
+      })
+    }));
+
+    const node = graph.nodes.find(n => n.id === nodeId);
+    if (node && !!node.locked !== !!locked) {
+      recordChange?.(makeChange('node-lock', [nodeTarget(node)], { locked: !!locked }));
+    }
+  }, [graph, setGraphDataWithUndo, recordChange]);
 
-  return { handleUpdateNotes, handleUpdateTitle, handleUpdateImage };
+  return { handleUpdateNotes, handleUpdateTitle, handleUpdateImage, handleUpdateLocked };
 }
@@ -0,0 +1,40 @@
+// src/hooks/useSnapshots.js
+import { useCallback, useEffect, useRef } from 'react';
+import { getSnapshotStore, SNAPSHOT_INTERVAL_MS } from '../persistence/snapshots.js';
+import { getMapLibrary } from '../persistence/mapLibrary.js';
+import { printDebug, printWarn } from '../utils/debug.js';
+
+/**
+ * useSnapshots({ graph, enabled })
+ * - Takes an 'auto' snapshot of the current map every SNAPSHOT_INTERVAL_MS
+ *   (the store skips it when nothing changed since the last one)
+ * - Returns snapshotNow(reason) for callers about to replace the map
+ * - Snapshots belong to the active library map; disabled for read-only (shared) views
+ */
+export function useSnapshots({ graph, enabled = true }) {
+  const graphRef = useRef(graph);
+  useEffect(() => {
+    graphRef.current = graph;
+  }, [graph]);
+
+  const snapshotNow = useCallback(async (reason = 'manual') => {
+    if (!enabled) return null;
+    const mapId = getMapLibrary().getActiveId() || 'default';
+    try {
+      const entry = await getSnapshotStore().add(mapId, graphRef.current, reason);
+      if (entry) printDebug(`📸 [snapshots] ${reason} snapshot of ${entry.summary.nodes} nodes`);
+      return entry;
+    } catch (err) {
+      printWarn('[snapshots] Failed to take snapshot:', err);
+      return null;
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = setInterval(() => snapshotNow('auto'), SNAPSHOT_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [enabled, snapshotNow]);
+
+  return { snapshotNow };
+}
@@ -0,0 +1,44 @@
+// src/hooks/useTagOperations.js
+import { useCallback } from 'react';
+import { createTag, updateTag, mergeTags, deleteTag, setElementTags } from '../graph/tags.js';
+import { printDebug } from '../utils/debug.js';
+
+/**
+ * Tag registry mutations (Manage Tags modal + per-element tag picker)
+ *
+ * Every change goes through setGraphDataWithUndo so it is one undo step;
+ * the pure cascading logic lives in graph/tags.js.
+ *
+ * @param {Object} params
+ * @param {Function} params.setGraphDataWithUndo - (updater) => void
+ * @returns {{ handleCreateTag, handleUpdateTag, handleMergeTags, handleDeleteTag, handleUpdateElementTags }}
+ */
+export function useTagOperations({ setGraphDataWithUndo }) {
+  const handleCreateTag = useCallback((tag) => {
+    printDebug('🏷️ create tag:', tag?.name);
+    setGraphDataWithUndo(prev => createTag(prev, tag));
+  }, [setGraphDataWithUndo]);
+
+  const handleUpdateTag = useCallback((name, patch) => {
+    printDebug('🏷️ update tag:', name, patch);
+    // Color picker drags / icon typing collapse into one undo step; renames stay separate
+    const options = patch?.name === undefined ? { coalesceKey: `tag:${name}` } : undefined;
+    setGraphDataWithUndo(prev => updateTag(prev, name, patch), options);
+  }, [setGraphDataWithUndo]);
+
+  const handleMergeTags = useCallback((sourceName, targetName) => {
+    printDebug('🏷️ merge tags:', sourceName, '->', targetName);
+    setGraphDataWithUndo(prev => mergeTags(prev, sourceName, targetName));
+  }, [setGraphDataWithUndo]);
+
+  const handleDeleteTag = useCallback((name) => {
+    printDebug('🏷️ delete tag:', name);
+    setGraphDataWithUndo(prev => deleteTag(prev, name));
+  }, [setGraphDataWithUndo]);
+
+  const handleUpdateElementTags = useCallback((targetId, targetType, names) => {
+    setGraphDataWithUndo(prev => setElementTags(prev, targetId, targetType, names));
+  }, [setGraphDataWithUndo]);
+
+  return { handleCreateTag, handleUpdateTag, handleMergeTags, handleDeleteTag, handleUpdateElementTags };
+}
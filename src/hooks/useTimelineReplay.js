@@ -0,0 +1,110 @@
+// src/hooks/useTimelineReplay.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { buildDiscoveryTimeline, getPendingElements } from '../graph/timeline.js';
+import { setTimelinePending } from '../graph/overlayManager.js';
+import { createTimelineRunner } from '../anim/timelineRunner.js';
+import { animateEdgeDraw } from '../anim/edgeDraw.js';
+import { animateHeightIn } from '../anim/appear.js';
+import { prefersReducedMotion } from '../anim/motion.js';
+import { printDebug } from '../utils/debug.js';
+
+const STEP_DURATION = 600;
+const STEP_INTERVAL = 400;
+
+/**
+ * Discovery replay — re-reveal the map one node/edge at a time
+ *
+ * Hides everything, then walks graph/timeline.buildDiscoveryTimeline: nodes grow
+ * in (anim/appear.js), edges draw from source to target (anim/edgeDraw.js).
+ * Elements the timeline never reaches stay hidden until the replay is stopped.
+ *
+ * Under prefers-reduced-motion the steps still advance one by one, but each
+ * element simply appears — no grow or draw animation.
+ *
+ * @param {Object} params
+ * @param {Function} params.getCy - () => cytoscape instance
+ * @param {Object} params.graph - { nodes, edges }
+ * @param {Object} params.visited - useVisited().visited (uses nodes + visitedAt)
+ * @returns {{ isActive, isPlaying, revealed, total, order, speed, setOrder, setSpeed, play, pause, stop }}
+ */
+export function useTimelineReplay({ getCy, graph, visited }) {
+  const [order, setOrder] = useState('visited');
+  const [speed, setSpeedState] = useState(1);
+  const [isActive, setIsActive] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [revealed, setRevealed] = useState(0);
+  const [total, setTotal] = useState(0);
+  const runnerRef = useRef(null);
+
+  const start = useCallback(() => {
+    const cy = getCy?.();
+    if (!cy || cy.destroyed()) return;
+    runnerRef.current?.stop();
+
+    const steps = buildDiscoveryTimeline(graph, visited, { order });
+    const reducedMotion = prefersReducedMotion();
+    printDebug('🎬 replay:', order, steps.length, 'steps', reducedMotion ? '(reduced motion)' : '');
+
+    const revealStep = (step, { duration }) => {
+      if (cy.destroyed()) return undefined;
+      const pending = getPendingElements(graph, steps, steps.indexOf(step) + 1);
+      if (step.type === 'edge') {
+        // Draw styles go on before the edge is un-hidden so it never flashes in full
+        const drawing = animateEdgeDraw(cy.getElementById(step.id), { duration });
+        setTimelinePending(cy, pending);
+        return drawing;
+      }
+      setTimelinePending(cy, pending);
+      const entry = cy.getElementById(`${step.id}__entry`);
+      return duration > 0 && !entry.empty() ? animateHeightIn(entry, { duration }) : undefined;
+    };
+
+    setTimelinePending(cy, getPendingElements(graph, steps, 0));
+    setTotal(steps.length);
+    setRevealed(0);
+    setIsActive(true);
+
+    const runner = createTimelineRunner({
+      steps,
+      speed,
+      interval: STEP_INTERVAL,
+      duration: reducedMotion ? 0 : STEP_DURATION,
+      playStep: revealStep,
+      onStep: (count) => setRevealed(count),
+      onStateChange: setIsPlaying
+    });
+    runnerRef.current = runner;
+    runner.play();
+  }, [getCy, graph, visited, order, speed]);
+
+  const play = useCallback(() => {
+    const runner = runnerRef.current;
+    // Finished (or never started): begin again from an empty map
+    if (!runner || runner.index >= total) start();
+    else runner.play();
+  }, [start, total]);
+
+  const pause = useCallback(() => {
+    runnerRef.current?.pause();
+  }, []);
+
+  const stop = useCallback(() => {
+    runnerRef.current?.stop();
+    runnerRef.current = null;
+    const cy = getCy?.();
+    if (cy && !cy.destroyed()) setTimelinePending(cy, null);
+    setIsActive(false);
+    setIsPlaying(false);
+    setRevealed(0);
+    setTotal(0);
+  }, [getCy]);
+
+  const setSpeed = useCallback((next) => {
+    setSpeedState(next);
+    runnerRef.current?.setSpeed(next);
+  }, []);
+
+  useEffect(() => () => runnerRef.current?.stop(), []);
+
+  return { isActive, isPlaying, revealed, total, order, speed, setOrder, setSpeed, play, pause, stop };
+}
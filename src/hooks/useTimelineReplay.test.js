@@ -0,0 +1,87 @@
+// src/hooks/useTimelineReplay.test.js
+import { renderHook, act } from '@testing-library/react';
+import { jest } from '@jest/globals';
+import { useTimelineReplay } from './useTimelineReplay.js';
+
+const graph = {
+  nodes: [{ id: 'A' }, { id: 'B' }, { id: 'C' }],
+  edges: [{ id: 'A__B', source: 'A', target: 'B' }]
+};
+const visited = { nodes: new Set(['A', 'B']), edges: new Set(), visitedAt: { A: 2, B: 1 } };
+
+// Just enough of cytoscape for overlayManager's host classes
+function makeCy(ids) {
+  const scratch = {};
+  const els = new Map(ids.map(id => {
+    const classes = new Set();
+    return [id, {
+      empty: () => false,
+      removed: () => false,
+      addClass: (cls) => classes.add(cls),
+      removeClass: (cls) => classes.delete(cls),
+      hasClass: (cls) => classes.has(cls),
+    }];
+  }));
+  return {
+    destroyed: () => false,
+    scratch: (key, val) => { if (val === undefined) return scratch[key]; scratch[key] = val; },
+    startBatch: () => {},
+    endBatch: () => {},
+    getElementById: (id) => els.get(id) || { empty: () => true },
+    elements: (sel) => {
+      const cls = sel.slice(1);
+      const matched = [...els.values()].filter(e => e.hasClass(cls));
+      return { removeClass: (c) => matched.forEach(e => e.removeClass(c)) };
+    },
+    hidden: (id) => els.get(id).hasClass('timeline-pending'),
+  };
+}
+
+let cy;
+beforeEach(() => {
+  jest.useFakeTimers();
+  cy = makeCy(['A', 'B', 'C', 'A__B']);
+  // Reduced motion: steps still advance, but nothing animates
+  window.matchMedia = jest.fn(() => ({ matches: true }));
+});
+afterEach(() => {
+  jest.useRealTimers();
+  delete window.matchMedia;
+});
+
+function setup() {
+  return renderHook(() => useTimelineReplay({ getCy: () => cy, graph, visited }));
+}
+
+describe('useTimelineReplay', () => {
+  test('play hides everything, then reveals in visit order with the edge last', async () => {
+    const { result } = setup();
+    act(() => { result.current.play(); });
+    expect(result.current.isActive).toBe(true);
+    expect(result.current.total).toBe(3);
+    expect(cy.hidden('B')).toBe(false);
+    expect(cy.hidden('A')).toBe(true);
+    expect(cy.hidden('A__B')).toBe(true);
+
+    await act(async () => { await jest.advanceTimersByTimeAsync(2000); });
+    expect(cy.hidden('A')).toBe(false);
+    expect(cy.hidden('A__B')).toBe(false);
+    expect(cy.hidden('C')).toBe(true); // never visited
+    expect(result.current.revealed).toBe(3);
+    expect(result.current.isPlaying).toBe(false);
+  });
+
+  test('pause holds the reveal; stop shows the whole map again', async () => {
+    const { result } = setup();
+    act(() => { result.current.play(); });
+    act(() => { result.current.pause(); });
+    await act(async () => { await jest.advanceTimersByTimeAsync(2000); });
+    expect(result.current.revealed).toBe(1);
+    expect(cy.hidden('A')).toBe(true);
+
+    act(() => { result.current.stop(); });
+    expect(result.current.isActive).toBe(false);
+    expect(cy.hidden('A')).toBe(false);
+    expect(cy.hidden('C')).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+// src/hooks/useTourOperations.js
+import { useCallback } from 'react';
+import {
+  createTour, renameTour, deleteTour, addTourStep, removeTourStep, moveTourStep, setTourStepNarration
+} from '../graph/tours.js';
+import { printDebug } from '../utils/debug.js';
+
+/**
+ * Tour authoring mutations (Tours modal, editing mode)
+ *
+ * Every change goes through setGraphDataWithUndo so it is one undo step;
+ * the pure logic lives in graph/tours.js.
+ *
+ * @param {Object} params
+ * @param {Function} params.setGraphDataWithUndo - (updater, options?) => void
+ * @returns {{ handleCreateTour, handleRenameTour, handleDeleteTour, handleAddTourSteps,
+ *             handleRemoveTourStep, handleMoveTourStep, handleUpdateTourNarration }}
+ */
+export function useTourOperations({ setGraphDataWithUndo }) {
+  const handleCreateTour = useCallback((name) => {
+    printDebug('🧭 create tour:', name);
+    setGraphDataWithUndo(prev => createTour(prev, name));
+  }, [setGraphDataWithUndo]);
+
+  const handleRenameTour = useCallback((tourId, name) => {
+    setGraphDataWithUndo(prev => renameTour(prev, tourId, name));
+  }, [setGraphDataWithUndo]);
+
+  const handleDeleteTour = useCallback((tourId) => {
+    printDebug('🧭 delete tour:', tourId);
+    setGraphDataWithUndo(prev => deleteTour(prev, tourId));
+  }, [setGraphDataWithUndo]);
+
+  // Appends several targets (e.g. the current selection) as one undo step
+  const handleAddTourSteps = useCallback((tourId, targetIds) => {
+    if (!targetIds?.length) return;
+    setGraphDataWithUndo(prev => targetIds.reduce((g, id) => addTourStep(g, tourId, id), prev));
+  }, [setGraphDataWithUndo]);
+
+  const handleRemoveTourStep = useCallback((tourId, index) => {
+    setGraphDataWithUndo(prev => removeTourStep(prev, tourId, index));
+  }, [setGraphDataWithUndo]);
+
+  const handleMoveTourStep = useCallback((tourId, index, delta) => {
+    setGraphDataWithUndo(prev => moveTourStep(prev, tourId, index, delta));
+  }, [setGraphDataWithUndo]);
+
+  // Typing collapses into one undo step per step
+  const handleUpdateTourNarration = useCallback((tourId, index, narration) => {
+    setGraphDataWithUndo(prev => setTourStepNarration(prev, tourId, index, narration), { coalesceKey: `tour-narration:${tourId}:${index}` });
+  }, [setGraphDataWithUndo]);
+
+  return {
+    handleCreateTour, handleRenameTour, handleDeleteTour, handleAddTourSteps,
+    handleRemoveTourStep, handleMoveTourStep, handleUpdateTourNarration
+  };
+}
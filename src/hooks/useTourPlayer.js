@@ -0,0 +1,73 @@
+// src/hooks/useTourPlayer.js
+import { useCallback, useMemo, useState } from 'react';
+import { findTour, getPlayableSteps, getPlayablePosition } from '../graph/tours.js';
+import { printDebug } from '../utils/debug.js';
+
+/**
+ * Guided tour playback (playing mode)
+ *
+ * Walks a tour's steps by handing each target to `openTarget` — App passes the
+ * note viewer's open(), so every step gets the zoom-to-selection camera flight and
+ * opens NoteViewerModal. The reached step is written through `setTourStep`
+ * (useTourProgress) so a tour resumes where the player left it. Progress is the
+ * step's index in tour.steps, not in the playable list, so deleting a target
+ * doesn't move anyone's place.
+ *
+ * @param {Object} params
+ * @param {Object} params.graph - graph with `tours`, `nodes`, `edges`
+ * @param {Object} params.progress - { [tourId]: index into tour.steps }
+ * @param {Function} params.setTourStep - (tourId, index) => void
+ * @param {Function} params.openTarget - (targetId, 'node'|'edge') => void
+ * @param {Function} params.closeViewer - () => void
+ * @returns {{ activeTour, steps, stepIndex, currentStep, startTour, nextStep, prevStep, exitTour }}
+ */
+export function useTourPlayer({ graph, progress, setTourStep, openTarget, closeViewer }) {
+  const [activeTourId, setActiveTourId] = useState(null);
+
+  const activeTour = useMemo(() => findTour(graph, activeTourId), [graph, activeTourId]);
+  const steps = useMemo(() => getPlayableSteps(graph, activeTour), [graph, activeTour]);
+  const stepIndex = getPlayablePosition(steps, progress?.[activeTourId]);
+
+  const goTo = useCallback((tourId, tourSteps, index) => {
+    const step = tourSteps[index];
+    if (!step) return;
+    printDebug('🧭 tour step:', tourId, index, step.target);
+    setTourStep(tourId, step.index);
+    openTarget(step.target, step.type);
+  }, [setTourStep, openTarget]);
+
+  const startTour = useCallback((tourId) => {
+    const tourSteps = getPlayableSteps(graph, findTour(graph, tourId));
+    if (tourSteps.length === 0) return;
+    // Resume where the player left off; a finished tour starts over
+    const saved = getPlayablePosition(tourSteps, progress?.[tourId]);
+    const index = saved >= tourSteps.length - 1 ? 0 : saved;
+    setActiveTourId(tourId);
+    goTo(tourId, tourSteps, index);
+  }, [graph, progress, goTo]);
+
+  const nextStep = useCallback(() => {
+    if (stepIndex < steps.length - 1) goTo(activeTourId, steps, stepIndex + 1);
+  }, [activeTourId, steps, stepIndex, goTo]);
+
+  const prevStep = useCallback(() => {
+    if (stepIndex > 0) goTo(activeTourId, steps, stepIndex - 1);
+  }, [activeTourId, steps, stepIndex, goTo]);
+
+  const exitTour = useCallback(() => {
+    if (!activeTourId) return;
+    setActiveTourId(null);
+    closeViewer();
+  }, [activeTourId, closeViewer]);
+
+  return {
+    activeTour,
+    steps,
+    stepIndex,
+    currentStep: activeTour ? (steps[stepIndex] || null) : null,
+    startTour,
+    nextStep,
+    prevStep,
+    exitTour
+  };
+}
@@ -0,0 +1,71 @@
+// src/hooks/useTourPlayer.test.js
+import { renderHook, act } from '@testing-library/react';
+import { jest } from '@jest/globals';
+import { useTourPlayer } from './useTourPlayer.js';
+
+const graph = {
+  nodes: [{ id: 'A' }, { id: 'B' }],
+  edges: [{ id: 'A__B', source: 'A', target: 'B' }],
+  tours: [{ id: 'intro', name: 'Intro', steps: [{ target: 'A', narration: 'Hi' }, { target: 'gone' }, { target: 'A__B' }, { target: 'B' }] }]
+};
+
+function setup(initialProgress = {}) {
+  const openTarget = jest.fn();
+  const closeViewer = jest.fn();
+  let progress = initialProgress;
+  const setTourStep = jest.fn((id, index) => { progress = { ...progress, [id]: index }; });
+  const hook = renderHook(() => useTourPlayer({ graph, progress, setTourStep, openTarget, closeViewer }));
+  return { ...hook, openTarget, closeViewer, setTourStep };
+}
+
+describe('useTourPlayer', () => {
+  test('startTour opens the first playable step', () => {
+    const { result, openTarget } = setup();
+    act(() => { result.current.startTour('intro'); });
+    expect(openTarget).toHaveBeenCalledWith('A', 'node');
+    expect(result.current.activeTour.id).toBe('intro');
+    expect(result.current.currentStep.narration).toBe('Hi');
+  });
+
+  test('next/prev walk the steps, skipping missing targets, and record progress', () => {
+    const { result, rerender, openTarget, setTourStep } = setup();
+    act(() => { result.current.startTour('intro'); });
+    act(() => { result.current.nextStep(); });
+    expect(openTarget).toHaveBeenLastCalledWith('A__B', 'edge');
+    expect(setTourStep).toHaveBeenLastCalledWith('intro', 2);
+
+    rerender();
+    act(() => { result.current.prevStep(); });
+    expect(setTourStep).toHaveBeenLastCalledWith('intro', 0);
+  });
+
+  test('resumes from saved progress; a finished tour starts over', () => {
+    const resumed = setup({ intro: 1 });
+    act(() => { resumed.result.current.startTour('intro'); });
+    expect(resumed.openTarget).toHaveBeenCalledWith('A__B', 'edge');
+
+    const finished = setup({ intro: 3 });
+    act(() => { finished.result.current.startTour('intro'); });
+    expect(finished.openTarget).toHaveBeenCalledWith('A', 'node');
+  });
+
+  test('deleting an earlier target keeps the saved place', () => {
+    const openTarget = jest.fn();
+    const tour = { id: 't', name: 'T', steps: [{ target: 'A' }, { target: 'B' }, { target: 'C' }, { target: 'D' }] };
+    const withoutA = { nodes: [{ id: 'B' }, { id: 'C' }, { id: 'D' }], edges: [], tours: [tour] };
+    const { result } = renderHook(() => useTourPlayer({
+      graph: withoutA, progress: { t: 2 }, setTourStep: jest.fn(), openTarget, closeViewer: jest.fn()
+    }));
+    act(() => { result.current.startTour('t'); });
+    expect(openTarget).toHaveBeenCalledWith('C', 'node');
+    expect(result.current.stepIndex).toBe(1);
+  });
+
+  test('exitTour clears the tour and closes the viewer', () => {
+    const { result, closeViewer } = setup();
+    act(() => { result.current.startTour('intro'); });
+    act(() => { result.current.exitTour(); });
+    expect(result.current.activeTour).toBeNull();
+    expect(closeViewer).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+// src/hooks/useTourProgress.js
+import * as React from 'react';
+import { loadTourProgress, saveTourProgress } from '../utils/tourStore.js';
+
+/**
+ * useTourProgress(mapName)
+ * - Keeps { [tourId]: stepIndex } in React state
+ * - Persists to localStorage per map, reloading on map switch (same pattern as useVisited)
+ */
+export default function useTourProgress(mapName) {
+  const [progress, setProgress] = React.useState(() => loadTourProgress(mapName));
+
+  // Reload when map changes
+  React.useEffect(() => {
+    setProgress(loadTourProgress(mapName));
+  }, [mapName]);
+
+  // Persist on change — skipped on the mapName transition itself so the old
+  // map's progress is never written under the new map's key.
+  const prevMapNameRef = React.useRef(mapName);
+  React.useEffect(() => {
+    if (mapName !== prevMapNameRef.current) {
+      prevMapNameRef.current = mapName;
+      return;
+    }
+    saveTourProgress(mapName, progress);
+  }, [mapName, progress]);
+
+  const setTourStep = React.useCallback((tourId, index) => {
+    if (!tourId || !Number.isInteger(index) || index < 0) return;
+    setProgress(prev => (prev[tourId] === index ? prev : { ...prev, [tourId]: index }));
+  }, []);
+
+  const resetTour = React.useCallback((tourId) => {
+    setProgress(prev => {
+      if (!(tourId in prev)) return prev;
+      const { [tourId]: _, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  return {
+    progress,              // { [tourId]: stepIndex }
+    setTourStep,
+    resetTour,
+  };
+}
@@ -0,0 +1,35 @@
+import { renderHook, act } from '@testing-library/react';
+import useTourProgress from './useTourProgress.js';
+
+const KEY = (mapName) => `shiplog.tours.v1:${mapName}`;
+
+beforeEach(() => localStorage.clear());
+
+describe('useTourProgress', () => {
+  test('setTourStep records the step and persists per map', () => {
+    const { result } = renderHook(() => useTourProgress('mapA'));
+    act(() => { result.current.setTourStep('intro', 2); });
+    expect(result.current.progress).toEqual({ intro: 2 });
+    expect(JSON.parse(localStorage.getItem(KEY('mapA')))).toEqual({ intro: 2 });
+  });
+
+  test('loads saved progress and keeps maps separate on switch', () => {
+    localStorage.setItem(KEY('mapB'), JSON.stringify({ intro: 1, bogus: -3 }));
+    const { result, rerender } = renderHook(
+      ({ mapName }) => useTourProgress(mapName),
+      { initialProps: { mapName: 'mapA' } }
+    );
+    act(() => { result.current.setTourStep('intro', 4); });
+
+    act(() => { rerender({ mapName: 'mapB' }); });
+    expect(result.current.progress).toEqual({ intro: 1 });
+    expect(JSON.parse(localStorage.getItem(KEY('mapB')))).toEqual({ intro: 1 });
+  });
+
+  test('resetTour forgets a tour', () => {
+    localStorage.setItem(KEY('mapA'), JSON.stringify({ intro: 3, deep: 1 }));
+    const { result } = renderHook(() => useTourProgress('mapA'));
+    act(() => { result.current.resetTour('intro'); });
+    expect(result.current.progress).toEqual({ deep: 1 });
+  });
+});
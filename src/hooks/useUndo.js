@@ -1,116 +1,182 @@
 // src/hooks/useUndo.js
-import { useCallback } from 'react';
+import { useCallback, useRef } from 'react';
 import { ACTION_TYPES } from '../appStateReducer';
 import { printDebug } from '../utils/debug';
 
+// Checkpoints sharing a coalesceKey within this window collapse into one undo step
+// (e.g. dragging a bg image slider shouldn't flood the history).
+export const UNDO_COALESCE_MS = 1000;
+
+const EMPTY_STACK = [];
+
 /**
  * Custom hook for undo/redo operations in the graph editor
  *
  * Responsibilities
- * - Manages undo state lifecycle (save checkpoints, apply undo, clear state)
+ * - Manages the bounded undo/redo history (save checkpoints, undo, redo, clear)
  * - Provides centralized undo logic for all graph mutations
- * - Handles Cytoscape position synchronization after undo operations
- * - Clears selections and undo state when undo is applied
+ * - Handles Cytoscape position synchronization after undo/redo operations
+ * - Clears selections when a snapshot is restored
  *
  * Key Functions
- * - clearUndoState() - Clears current undo checkpoint
- * - saveUndoCheckpoint(graphState) - Saves a graph state snapshot for undo
- * - applyUndoIfAvailable(setGraphData) - Applies saved undo state if available
- * - canUndo - Boolean indicating if undo operation is possible
+ * - clearUndoState() - Clears the whole history (both stacks)
+ * - saveUndoCheckpoint(graphState, { coalesceKey }) - Pushes a snapshot for undo
+ * - applyUndoIfAvailable(setGraphData, currentState, setBgImage) - Steps back one snapshot
+ * - applyRedoIfAvailable(setGraphData, currentState, setBgImage) - Steps forward one snapshot
+ * - canUndo / canRedo - Booleans indicating if each direction is possible
  *
  * Usage Pattern
  * ```javascript
  * // Before making changes
- * saveUndoCheckpoint({ nodes, edges, notes, orientation });
- * 
+ * saveUndoCheckpoint({ nodes, edges, notes, orientation, bgImage });
+ *
  * // Make graph mutations...
- * 
- * // To undo
+ *
+ * // To undo (current state is pushed onto the redo stack)
  * if (canUndo) {
- *   applyUndoIfAvailable(setGraphData);
+ *   applyUndoIfAvailable(setGraphData, { nodes, edges, notes, orientation, bgImage }, setBgImage);
  * }
  * ```
  *
  * Contracts
- * - Only stores one level of undo (single checkpoint)
- * - Automatically clears selections after undo to prevent stale references
+ * - History is bounded by UNDO_HISTORY_LIMIT (reducer drops the oldest entries)
+ * - Saving a new checkpoint clears the redo stack
+ * - Orientation lives in the reducer, so restoring a snapshot re-dispatches SET_ORIENTATION
+ * - bgImage is only restored when the snapshot has one and setBgImage is provided;
+ *   snapshots reloaded from storage may omit data-URL images (imageUrlOmitted)
+ * - Automatically clears selections after undo/redo to prevent stale references
  * - Syncs Cytoscape node positions with restored graph data
- * - Undo state is cleared after successful application
  *
  * @param {Object} appState - Current application state containing undo data
  * @param {Function} dispatchAppState - State dispatch function for reducer actions
  * @param {Function} getCytoscapeInstance - Function that returns current Cytoscape instance
  * @param {Function} clearCytoscapeSelections - Function to clear Cytoscape visual selections
  * @returns {Object} Undo operation functions and state
- * @returns {Function} returns.clearUndoState - Clears the current undo checkpoint
- * @returns {Function} returns.saveUndoCheckpoint - Saves graph state for undo (graphState) => void
- * @returns {Function} returns.applyUndoIfAvailable - Applies undo if available (setGraphData) => boolean
+ * @returns {Function} returns.clearUndoState - Clears the undo/redo history
+ * @returns {Function} returns.saveUndoCheckpoint - Saves graph state for undo (graphState, options) => void
+ * @returns {Function} returns.applyUndoIfAvailable - Applies undo if available (setGraphData, currentState, setBgImage) => boolean
+ * @returns {Function} returns.applyRedoIfAvailable - Applies redo if available (setGraphData, currentState, setBgImage) => boolean
  * @returns {boolean} returns.canUndo - Whether undo operation is currently possible
+ * @returns {boolean} returns.canRedo - Whether redo operation is currently possible
  */
 export function useUndo(appState, dispatchAppState, getCytoscapeInstance, clearCytoscapeSelections) {
   const { undo } = appState;
+  const past = undo?.past || EMPTY_STACK;
+  const future = undo?.future || EMPTY_STACK;
+
+  // { key, at } of the last checkpoint, for coalescing rapid repeated edits
+  const lastCheckpointRef = useRef(null);
 
   const clearUndoState = useCallback(() => {
     printDebug('🧷 [undo] clearing undo state');
+    lastCheckpointRef.current = null;
     dispatchAppState({ type: ACTION_TYPES.CLEAR_UNDO_STATE });
   }, [dispatchAppState]);
 
-  const saveUndoCheckpoint = useCallback((graphStateSnapshot) => {
-    // snapshot: { nodes, edges, notes, orientation, mode, etc. }
+  const saveUndoCheckpoint = useCallback((graphStateSnapshot, { coalesceKey = null } = {}) => {
+    const now = Date.now();
+    const last = lastCheckpointRef.current;
+    if (coalesceKey && last && last.key === coalesceKey && now - last.at < UNDO_COALESCE_MS) {
+      printDebug('🧷 [undo] coalescing checkpoint:', coalesceKey);
+      lastCheckpointRef.current = { key: coalesceKey, at: now };
+      return;
+    }
+    lastCheckpointRef.current = { key: coalesceKey, at: now };
+
+    // snapshot: { nodes, edges, notes, orientation, bgImage }
     printDebug('🧷 [undo] saving checkpoint:', {
       nodeCount: graphStateSnapshot?.nodes?.length || 0,
       edgeCount: graphStateSnapshot?.edges?.length || 0,
       orientation: graphStateSnapshot?.orientation
     });
-    
+
     dispatchAppState({
-      type: ACTION_TYPES.SET_UNDO_STATE,
+      type: ACTION_TYPES.PUSH_UNDO_STATE,
       payload: { graphState: graphStateSnapshot }
     });
   }, [dispatchAppState]);
 
-  const applyUndoIfAvailable = useCallback((setGraphData) => {
-    if (!undo?.lastGraphState) {
-      printDebug('🧷 [undo] no undo state available');
-      return false;
+  // Shared by undo + redo: put a snapshot back into React state and Cytoscape
+  const restoreSnapshot = useCallback((snapshot, setGraphData, setBgImage) => {
+    const { bgImage: snapshotBg, ...graphState } = snapshot;
+
+    setGraphData(prev => ({ ...prev, ...graphState }));
+
+    if (Number.isFinite(snapshot.orientation)) {
+      dispatchAppState({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: snapshot.orientation } });
     }
 
-    const prevState = undo.lastGraphState;
-    printDebug('🧷 [undo] applying undo state:', {
-      nodeCount: prevState?.nodes?.length || 0,
-      edgeCount: prevState?.edges?.length || 0,
-      orientation: prevState?.orientation
-    });
+    if (snapshotBg && typeof setBgImage === 'function') {
+      const { imageUrlOmitted, ...bg } = snapshotBg;
+      setBgImage(prev => ({ ...bg, imageUrl: imageUrlOmitted ? prev.imageUrl : bg.imageUrl }));
+    }
 
-    // Apply the undo state to graph data
-    setGraphData(prevState);
-    
-    // Clear undo after using it
-    clearUndoState();
-    
     // Clear selections since they might reference nodes/edges that changed
     dispatchAppState({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
     clearCytoscapeSelections();
-    
-    // Update Cytoscape node positions to match undo state
+
+    // Update Cytoscape node positions to match the restored state
     const cy = getCytoscapeInstance();
-    if (cy && prevState.nodes) {
-      printDebug('🧷 [undo] syncing Cytoscape positions after undo');
-      prevState.nodes.forEach(node => {
+    if (cy && snapshot.nodes) {
+      printDebug('🧷 [undo] syncing Cytoscape positions after restore');
+      snapshot.nodes.forEach(node => {
         const cyNode = cy.getElementById(node.id);
         if (cyNode && cyNode.length > 0) {
           cyNode.position({ x: node.x, y: node.y });
         }
       });
     }
+  }, [dispatchAppState, clearCytoscapeSelections, getCytoscapeInstance]);
+
+  const applyUndoIfAvailable = useCallback((setGraphData, currentState, setBgImage) => {
+    if (past.length === 0) {
+      printDebug('🧷 [undo] no undo state available');
+      return false;
+    }
+
+    const prevState = past[past.length - 1];
+    printDebug('🧷 [undo] applying undo state:', {
+      nodeCount: prevState?.nodes?.length || 0,
+      edgeCount: prevState?.edges?.length || 0,
+      orientation: prevState?.orientation,
+      remaining: past.length - 1
+    });
+
+    // Pop from past, push the current state onto the redo stack
+    lastCheckpointRef.current = null;
+    dispatchAppState({ type: ACTION_TYPES.UNDO, payload: { currentState } });
+    restoreSnapshot(prevState, setGraphData, setBgImage);
+
+    return true;
+  }, [past, dispatchAppState, restoreSnapshot]);
+
+  const applyRedoIfAvailable = useCallback((setGraphData, currentState, setBgImage) => {
+    if (future.length === 0) {
+      printDebug('🧷 [undo] no redo state available');
+      return false;
+    }
+
+    const nextState = future[future.length - 1];
+    printDebug('🧷 [undo] applying redo state:', {
+      nodeCount: nextState?.nodes?.length || 0,
+      edgeCount: nextState?.edges?.length || 0,
+      orientation: nextState?.orientation,
+      remaining: future.length - 1
+    });
+
+    lastCheckpointRef.current = null;
+    dispatchAppState({ type: ACTION_TYPES.REDO, payload: { currentState } });
+    restoreSnapshot(nextState, setGraphData, setBgImage);
 
     return true;
-  }, [undo, clearUndoState, dispatchAppState, clearCytoscapeSelections, getCytoscapeInstance]);
+  }, [future, dispatchAppState, restoreSnapshot]);
 
-  return { 
-    clearUndoState, 
-    saveUndoCheckpoint, 
-    applyUndoIfAvailable, 
-    canUndo: !!undo?.lastGraphState 
+  return {
+    clearUndoState,
+    saveUndoCheckpoint,
+    applyUndoIfAvailable,
+    applyRedoIfAvailable,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0
   };
-}
\ No newline at end of file
+}
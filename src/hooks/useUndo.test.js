@@ -6,7 +6,7 @@ import { ACTION_TYPES } from '../appStateReducer.js';
 // Simple test to verify basic functionality
 describe('useUndo hook', () => {
   test('returns expected functions and properties', () => {
-    const mockAppState = { undo: { lastGraphState: null } };
+    const mockAppState = { undo: { past: [], future: [] } };
     const mockDispatch = () => {};
     const mockGetCytoscape = () => null;
     const mockClearSelections = () => {};
@@ -19,16 +19,20 @@ describe('useUndo hook', () => {
     expect(result.current).toHaveProperty('saveUndoCheckpoint');
     expect(result.current).toHaveProperty('applyUndoIfAvailable');
     expect(result.current).toHaveProperty('canUndo');
+    expect(result.current).toHaveProperty('applyRedoIfAvailable');
+    expect(result.current).toHaveProperty('canRedo');
     expect(typeof result.current.clearUndoState).toBe('function');
     expect(typeof result.current.saveUndoCheckpoint).toBe('function');
     expect(typeof result.current.applyUndoIfAvailable).toBe('function');
     expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(false);
   });
 
   test('canUndo returns true when undo state is available', () => {
     const mockAppState = { 
       undo: { 
-        lastGraphState: { nodes: [], edges: [], notes: {} } 
+        past: [{ nodes: [], edges: [], notes: {} }],
+        future: []
       } 
     };
     const mockDispatch = () => {};
@@ -43,7 +47,7 @@ describe('useUndo hook', () => {
   });
 
   test('clearUndoState dispatches CLEAR_UNDO_STATE action', () => {
-    const mockAppState = { undo: { lastGraphState: null } };
+    const mockAppState = { undo: { past: [], future: [] } };
     const dispatchCalls = [];
     const mockDispatch = (action) => { dispatchCalls.push(action); };
     const mockGetCytoscape = () => null;
@@ -63,8 +67,8 @@ describe('useUndo hook', () => {
     });
   });
 
-  test('saveUndoCheckpoint dispatches SET_UNDO_STATE action', () => {
-    const mockAppState = { undo: { lastGraphState: null } };
+  test('saveUndoCheckpoint dispatches PUSH_UNDO_STATE action', () => {
+    const mockAppState = { undo: { past: [], future: [] } };
     const dispatchCalls = [];
     const mockDispatch = (action) => { dispatchCalls.push(action); };
     const mockGetCytoscape = () => null;
@@ -87,13 +91,13 @@ describe('useUndo hook', () => {
 
     expect(dispatchCalls).toHaveLength(1);
     expect(dispatchCalls[0]).toEqual({
-      type: ACTION_TYPES.SET_UNDO_STATE,
+      type: ACTION_TYPES.PUSH_UNDO_STATE,
       payload: { graphState: graphSnapshot }
     });
   });
 
   test('applyUndoIfAvailable returns false when no undo state', () => {
-    const mockAppState = { undo: { lastGraphState: null } };
+    const mockAppState = { undo: { past: [], future: [] } };
     const mockDispatch = () => {};
     const mockGetCytoscape = () => null;
     const mockClearSelections = () => {};
@@ -124,7 +128,8 @@ describe('useUndo hook', () => {
       orientation: 90
     };
 
-    const mockAppState = { undo: { lastGraphState: undoState } };
+    const mockAppState = { undo: { past: [undoState], future: [] } };
+    const currentState = { nodes: [], edges: [], notes: {}, orientation: 0 };
     const dispatchCalls = [];
     const mockDispatch = (action) => { dispatchCalls.push(action); };
     const setGraphDataCalls = [];
@@ -149,17 +154,19 @@ describe('useUndo hook', () => {
 
     let returnValue;
     act(() => {
-      returnValue = result.current.applyUndoIfAvailable(mockSetGraphData);
+      returnValue = result.current.applyUndoIfAvailable(mockSetGraphData, currentState);
     });
 
     expect(returnValue).toBe(true);
     expect(setGraphDataCalls).toHaveLength(1);
-    expect(setGraphDataCalls[0]).toEqual(undoState);
+    // setGraphData receives an updater that merges the snapshot over the current graph
+    expect(setGraphDataCalls[0]({ mode: 'editing' })).toEqual({ mode: 'editing', ...undoState });
     
-    // Should dispatch CLEAR_UNDO_STATE and CLEAR_ALL_SELECTIONS
-    expect(dispatchCalls).toHaveLength(2);
-    expect(dispatchCalls[0]).toEqual({ type: ACTION_TYPES.CLEAR_UNDO_STATE });
-    expect(dispatchCalls[1]).toEqual({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
+    // Should pop the history (moving current state to redo), restore orientation, clear selections
+    expect(dispatchCalls).toHaveLength(3);
+    expect(dispatchCalls[0]).toEqual({ type: ACTION_TYPES.UNDO, payload: { currentState } });
+    expect(dispatchCalls[1]).toEqual({ type: ACTION_TYPES.SET_ORIENTATION, payload: { orientation: 90 } });
+    expect(dispatchCalls[2]).toEqual({ type: ACTION_TYPES.CLEAR_ALL_SELECTIONS });
     
     // Should call clearCytoscapeSelections
     expect(clearSelectionsCalls).toHaveLength(1);
@@ -177,7 +184,7 @@ describe('useUndo hook', () => {
       notes: {}
     };
 
-    const mockAppState = { undo: { lastGraphState: undoState } };
+    const mockAppState = { undo: { past: [undoState], future: [] } };
     const mockDispatch = () => {};
     const mockSetGraphData = () => {};
     const mockClearSelections = () => {};
@@ -199,4 +206,85 @@ describe('useUndo hook', () => {
       });
     }).not.toThrow();
   });
-});
\ No newline at end of file
+
+  // -------------------------------------------------------------------------
+  // Multi-level history
+  // -------------------------------------------------------------------------
+
+  test('applyRedoIfAvailable restores the newest future snapshot', () => {
+    const redoState = { nodes: [{ id: 'node1', x: 5, y: 6 }], edges: [], notes: {}, orientation: 180 };
+    const currentState = { nodes: [{ id: 'node1', x: 0, y: 0 }], edges: [], notes: {}, orientation: 0 };
+    const mockAppState = { undo: { past: [], future: [{ nodes: [], edges: [], notes: {} }, redoState] } };
+    const dispatchCalls = [];
+    const setGraphDataCalls = [];
+
+    const { result } = renderHook(() =>
+      useUndo(mockAppState, (a) => dispatchCalls.push(a), () => null, () => {})
+    );
+
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(true);
+
+    let returnValue;
+    act(() => {
+      returnValue = result.current.applyRedoIfAvailable((d) => setGraphDataCalls.push(d), currentState);
+    });
+
+    expect(returnValue).toBe(true);
+    expect(setGraphDataCalls[0]({})).toEqual(redoState);
+    expect(dispatchCalls[0]).toEqual({ type: ACTION_TYPES.REDO, payload: { currentState } });
+  });
+
+  test('applyRedoIfAvailable returns false when the redo stack is empty', () => {
+    const { result } = renderHook(() =>
+      useUndo({ undo: { past: [], future: [] } }, () => {}, () => null, () => {})
+    );
+
+    let returnValue;
+    act(() => {
+      returnValue = result.current.applyRedoIfAvailable(() => {}, {});
+    });
+    expect(returnValue).toBe(false);
+  });
+
+  test('restores bgImage through setBgImage, keeping an omitted data-URL image', () => {
+    const snapshotBg = { imageUrl: '', imageUrlOmitted: true, x: 10, y: 20, scale: 50, opacity: 80, visible: true, included: true };
+    const mockAppState = { undo: { past: [{ nodes: [], edges: [], notes: {}, bgImage: snapshotBg }], future: [] } };
+    const bgCalls = [];
+
+    const { result } = renderHook(() =>
+      useUndo(mockAppState, () => {}, () => null, () => {})
+    );
+
+    act(() => {
+      result.current.applyUndoIfAvailable(() => {}, {}, (u) => bgCalls.push(u));
+    });
+
+    expect(bgCalls).toHaveLength(1);
+    const restored = bgCalls[0]({ imageUrl: 'data:image/png;base64,AAAA', x: 0, y: 0 });
+    expect(restored.imageUrl).toBe('data:image/png;base64,AAAA');
+    expect(restored.x).toBe(10);
+    expect(restored).not.toHaveProperty('imageUrlOmitted');
+  });
+
+  test('checkpoints with the same coalesceKey in quick succession collapse into one', () => {
+    const dispatchCalls = [];
+    const { result } = renderHook(() =>
+      useUndo({ undo: { past: [], future: [] } }, (a) => dispatchCalls.push(a), () => null, () => {})
+    );
+
+    act(() => {
+      result.current.saveUndoCheckpoint({ nodes: [] }, { coalesceKey: 'bgImage' });
+      result.current.saveUndoCheckpoint({ nodes: [] }, { coalesceKey: 'bgImage' });
+      result.current.saveUndoCheckpoint({ nodes: [] }, { coalesceKey: 'bgImage' });
+    });
+    expect(dispatchCalls).toHaveLength(1);
+
+    // A different (or missing) key always records a new step
+    act(() => {
+      result.current.saveUndoCheckpoint({ nodes: [] });
+      result.current.saveUndoCheckpoint({ nodes: [] }, { coalesceKey: 'bgImage' });
+    });
+    expect(dispatchCalls).toHaveLength(3);
+  });
+});
@@ -1,12 +1,13 @@
 // src/hooks/useVisited.js
 import * as React from 'react';
-import { loadVisited, saveVisited, clearVisited } from '../utils/visitedStore.js';
+import { loadVisited, saveVisited, clearVisited, cloneVisited } from '../utils/visitedStore.js';
 
 /**
  * useVisited(mapName)
  * - Keeps visited Sets in React state
  * - Persists to localStorage per map
- * - Exposes helpers to mark/clear
+ * - Exposes helpers to mark/clear, plus unlock progress for locked "?" nodes
+ * - Stamps the first visit of each id (visitedAt) for the discovery replay
  */
 export default function useVisited(mapName) {
   const [visited, setVisited] = React.useState(() => loadVisited(mapName));
@@ -34,8 +35,9 @@ export default function useVisited(mapName) {
     if (!id) return;
     setVisited(v => {
       if (v.nodes.has(id)) return v;
-      const next = { nodes: new Set(v.nodes), edges: new Set(v.edges) };
+      const next = cloneVisited(v);
       next.nodes.add(id);
+      next.visitedAt[id] = Date.now();
       return next;
     });
   }, []);
@@ -44,21 +46,34 @@ export default function useVisited(mapName) {
     if (!id) return;
     setVisited(v => {
       if (v.edges.has(id)) return v;
-      const next = { nodes: new Set(v.nodes), edges: new Set(v.edges) };
+      const next = cloneVisited(v);
       next.edges.add(id);
+      next.visitedAt[id] = Date.now();
+      return next;
+    });
+  }, []);
+
+  const markNodesUnlocked = React.useCallback((ids) => {
+    if (!ids?.length) return;
+    setVisited(v => {
+      const fresh = ids.filter(id => id && !v.unlocked.has(id));
+      if (fresh.length === 0) return v;
+      const next = cloneVisited(v);
+      fresh.forEach(id => next.unlocked.add(id));
       return next;
     });
   }, []);
 
   const clearForMap = React.useCallback(() => {
     clearVisited(mapName);
-    setVisited({ nodes: new Set(), edges: new Set() });
+    setVisited(cloneVisited(null));
   }, [mapName]);
 
   return {
-    visited,               // { nodes:Set, edges:Set }
+    visited,               // { nodes:Set, edges:Set, unlocked:Set, visitedAt }
     markNodeVisited,
     markEdgeVisited,
+    markNodesUnlocked,
     clearForMap,
   };
 }
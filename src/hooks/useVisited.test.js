@@ -74,3 +74,61 @@ describe('useVisited — baseline behaviors', () => {
     expect(result.current.visited.edges.size).toBe(0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Unlock progress for locked "?" nodes
+// ---------------------------------------------------------------------------
+describe('useVisited — unlocked nodes', () => {
+  test('markNodesUnlocked adds ids and persists them alongside visited', () => {
+    const { result } = renderHook(() => useVisited('testMap'));
+    act(() => { result.current.markNodeVisited('node1'); });
+    act(() => { result.current.markNodesUnlocked(['secret']); });
+    expect(result.current.visited.unlocked.has('secret')).toBe(true);
+    expect(result.current.visited.nodes.has('node1')).toBe(true);
+    const stored = JSON.parse(localStorage.getItem(KEY('testMap')));
+    expect(stored.unlocked).toEqual(['secret']);
+  });
+
+  test('marking visits keeps previously unlocked ids', () => {
+    localStorage.setItem(KEY('mapA'), JSON.stringify({ nodes: [], edges: [], unlocked: ['secret'] }));
+    const { result } = renderHook(() => useVisited('mapA'));
+    act(() => { result.current.markEdgeVisited('a__b'); });
+    expect(result.current.visited.unlocked.has('secret')).toBe(true);
+  });
+
+  test('entries saved before unlock tracking load with an empty unlocked set', () => {
+    localStorage.setItem(KEY('mapA'), JSON.stringify({ nodes: ['a1'], edges: [] }));
+    const { result } = renderHook(() => useVisited('mapA'));
+    expect(result.current.visited.unlocked.size).toBe(0);
+  });
+
+  test('clearForMap also resets unlock progress', () => {
+    localStorage.setItem(KEY('mapA'), JSON.stringify({ nodes: [], edges: [], unlocked: ['secret'] }));
+    const { result } = renderHook(() => useVisited('mapA'));
+    act(() => { result.current.clearForMap(); });
+    expect(result.current.visited.unlocked.size).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// First-visit timestamps (discovery replay order)
+// ---------------------------------------------------------------------------
+describe('useVisited — visit timestamps', () => {
+  test('first visit is stamped and persisted; revisits keep the original time', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const { result } = renderHook(() => useVisited('testMap'));
+    act(() => { result.current.markNodeVisited('node1'); });
+    now.mockReturnValue(2000);
+    act(() => { result.current.markEdgeVisited('node1__node2'); });
+    act(() => { result.current.markNodeVisited('node1'); });
+    expect(result.current.visited.visitedAt).toEqual({ node1: 1000, node1__node2: 2000 });
+    const stored = JSON.parse(localStorage.getItem(KEY('testMap')));
+    expect(stored.visitedAt).toEqual({ node1: 1000, node1__node2: 2000 });
+  });
+
+  test('entries saved before timestamps existed load with an empty visitedAt', () => {
+    localStorage.setItem(KEY('mapA'), JSON.stringify({ nodes: ['a1'], edges: [] }));
+    const { result } = renderHook(() => useVisited('mapA'));
+    expect(result.current.visited.visitedAt).toEqual({});
+  });
+});
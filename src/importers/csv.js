@@ -0,0 +1,289 @@
+// src/importers/csv.js
+
+/**
+ * Spreadsheet (CSV) bulk import of nodes, edges and notes
+ *
+ * Responsibilities
+ * - Parse CSV text (quoted cells, embedded newlines; comma, semicolon or tab).
+ * - Guess which column holds which field, for the mapping dialog to adjust.
+ * - Plan the import against the current map: every row is added, updated or
+ *   skipped (with a reason), and the planned map is returned for a preview.
+ *
+ * Sheets
+ * - Nodes: id, title, color, size, x, y, image, tags, notes
+ *   tags split on "," or ";"; notes are one per line within the cell.
+ * - Edges: source, target, direction
+ *
+ * Merge rules
+ * - A node row whose id exists updates that node; non-empty cells replace the
+ *   field, except notes, which are appended when not already there.
+ * - Rows with no id take one from the title the way the editor does
+ *   (ops.generateIdFromTitle), so they update nodes created in the app.
+ * - Invalid colors/sizes/directions and edges to unknown nodes skip the row.
+ * - New nodes without x/y are placed like mapHelpers.hydrateCoordsIfMissing does
+ *   on load (default map by id/title), the rest in a grid below the map.
+ * - Unknown tags are added to the registry with the default color.
+ *
+ * Contracts
+ * - Pure: planCsvImport never mutates the graph it is given.
+ */
+
+import { hydrateCoordsIfMissing } from '../utils/mapHelpers.js';
+import { generateIdFromTitle } from '../graph/ops.js';
+import { createTag, findTag, normalizeElementTags } from '../graph/tags.js';
+import { FILTER_COLORS } from '../graph/filters.js';
+
+export const NODE_FIELDS = ['id', 'title', 'color', 'size', 'x', 'y', 'image', 'tags', 'notes'];
+export const EDGE_FIELDS = ['source', 'target', 'direction'];
+
+const NODE_SIZES = ['half', 'regular', 'double'];
+const DIRECTIONS = ['forward', 'backward', 'bidirectional'];
+
+// Header spellings recognized per field (compared lowercase, without spaces/_/-)
+const FIELD_ALIASES = {
+  id: ['id', 'nodeid', 'key'],
+  title: ['title', 'name', 'label'],
+  color: ['color', 'colour'],
+  size: ['size'],
+  x: ['x', 'posx'],
+  y: ['y', 'posy'],
+  image: ['image', 'imageurl', 'img', 'picture'],
+  tags: ['tags', 'tag'],
+  notes: ['notes', 'note', 'text'],
+  source: ['source', 'from', 'sourceid'],
+  target: ['target', 'to', 'targetid'],
+  direction: ['direction', 'dir']
+};
+
+const GRID_SPACING = 200;
+const GRID_COLUMNS = 5;
+
+/** Delimiter of the header line: whichever of , ; tab occurs most outside quotes */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Parse CSV text into a header row and data rows.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: string[][] }} blank lines dropped
+ */
+export function parseCsv(text) {
+  const source = String(text ?? '').replace(/^\ufeff/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error('Invalid CSV: unterminated quoted cell');
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonBlank = records.filter(r => r.some(c => c.trim() !== ''));
+  const [headers = [], ...rows] = nonBlank;
+  return { headers: headers.map(h => h.trim()), rows };
+}
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Best-guess column for each field.
+ * @returns {Object<string, number|null>} field -> column index (null when no header matches)
+ */
+export function guessColumnMapping(headers, fields) {
+  const keys = headers.map(headerKey);
+  return Object.fromEntries(fields.map(field => {
+    const index = keys.findIndex(k => FIELD_ALIASES[field].includes(k));
+    return [field, index === -1 ? null : index];
+  }));
+}
+
+// Mapped, trimmed cells of a row: { field: string } with empty cells left out
+function readRow(row, mapping) {
+  const values = {};
+  Object.entries(mapping).forEach(([field, index]) => {
+    if (index === null || index === undefined) return;
+    const value = String(row[index] ?? '').trim();
+    if (value !== '') values[field] = value;
+  });
+  return values;
+}
+
+const splitTags = (cell) => normalizeElementTags(cell.split(/[,;]/));
+const splitNotes = (cell) => cell.split(/\r?\n/).map(n => n.trim()).filter(Boolean);
+
+// Node fields from a row, or { error } when a value can't be used
+function nodeFieldsFromRow(values) {
+  const fields = {};
+  if (values.title) fields.title = values.title;
+  if (values.color) {
+    const color = values.color.toLowerCase();
+    if (!FILTER_COLORS.includes(color)) return { error: `unknown color "${values.color}"` };
+    fields.color = color;
+  }
+  if (values.size) {
+    const size = values.size.toLowerCase();
+    if (!NODE_SIZES.includes(size)) return { error: `unknown size "${values.size}"` };
+    fields.size = size;
+  }
+  for (const axis of ['x', 'y']) {
+    if (values[axis] === undefined) continue;
+    const n = Number(values[axis]);
+    if (!Number.isFinite(n)) return { error: `${axis} "${values[axis]}" is not a number` };
+    fields[axis] = n;
+  }
+  if (values.image) fields.imageUrl = values.image;
+  if (values.tags) fields.tags = splitTags(values.tags);
+  return { fields };
+}
+
+const changedKeys = (before, after) => Object.keys(after).filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+
+// Below the current map's nodes, GRID_COLUMNS per row
+function gridBelow(nodes) {
+  const placed = nodes.filter(n => Number.isFinite(n.x) && Number.isFinite(n.y));
+  const left = placed.length ? Math.min(...placed.map(n => n.x)) : 0;
+  const top = placed.length ? Math.max(...placed.map(n => n.y)) + GRID_SPACING : 0;
+  return (_, i) => ({ x: left + (i % GRID_COLUMNS) * GRID_SPACING, y: top + Math.floor(i / GRID_COLUMNS) * GRID_SPACING });
+}
+
+/**
+ * Work out what importing the sheets would do to the map.
+ * @param {object} graph - current map ({ nodes, edges, notes, tags, ... })
+ * @param {{ nodes?: { rows, mapping }, edges?: { rows, mapping } }} sheets
+ * @param {{ defaultGraph?: object }} [options] - map to take missing coordinates from
+ * @returns {{
+ *   nodes: Array<{ row: number, id: string|null, action: 'add'|'update'|'skip', reason?: string, changes?: string[] }>,
+ *   edges: Array<{ row: number, id: string|null, action: 'add'|'update'|'skip', reason?: string, changes?: string[] }>,
+ *   counts: { added: number, updated: number, skipped: number },
+ *   graph: object
+ * }} row numbers are 1-based data rows (header excluded)
+ */
+export function planCsvImport(graph, sheets, { defaultGraph } = {}) {
+  let nodes = [...(graph.nodes || [])];
+  let edges = [...(graph.edges || [])];
+  const notes = { ...(graph.notes || {}) };
+  const nodeIndex = new Map(nodes.map((n, i) => [n.id, i]));
+  const newIds = new Set();
+  const seenNodeRows = new Set();
+  const nodeResults = [];
+  const edgeResults = [];
+
+  (sheets.nodes?.rows || []).forEach((row, i) => {
+    const values = readRow(row, sheets.nodes.mapping);
+    const id = values.id || (values.title ? generateIdFromTitle(values.title) : '');
+    const result = { row: i + 1, id: id || null };
+    nodeResults.push(result);
+    if (!id) return Object.assign(result, { action: 'skip', reason: 'no id or title' });
+    if (seenNodeRows.has(id)) return Object.assign(result, { action: 'skip', reason: `id "${id}" already used by an earlier row` });
+    seenNodeRows.add(id);
+
+    const { fields, error } = nodeFieldsFromRow(values);
+    if (error) return Object.assign(result, { action: 'skip', reason: error });
+
+    const rowNotes = values.notes ? splitNotes(values.notes) : [];
+    const existingNotes = notes[id] || [];
+    const addedNotes = rowNotes.filter(text => !existingNotes.some(n => (typeof n === 'string' ? n : n?.text) === text));
+    if (addedNotes.length) notes[id] = [...existingNotes, ...addedNotes];
+
+    if (nodeIndex.has(id)) {
+      const before = nodes[nodeIndex.get(id)];
+      const changes = changedKeys(before, fields);
+      if (addedNotes.length) changes.push('notes');
+      if (!changes.length) return Object.assign(result, { action: 'skip', reason: 'no changes' });
+      nodes[nodeIndex.get(id)] = { ...before, ...fields };
+      return Object.assign(result, { action: 'update', changes });
+    }
+
+    const node = { id, title: id, size: 'regular', color: 'gray', imageUrl: 'unspecified', ...fields };
+    if (node.tags && !node.tags.length) delete node.tags;
+    nodeIndex.set(id, nodes.length);
+    nodes.push(node);
+    newIds.add(id);
+    return Object.assign(result, { action: 'add' });
+  });
+
+  // Place new nodes that came without coordinates
+  if (newIds.size) {
+    const hydrated = hydrateCoordsIfMissing({ nodes: nodes.filter(n => newIds.has(n.id)) }, defaultGraph, {
+      fallbackPosition: gridBelow(nodes)
+    });
+    const byId = new Map(hydrated.nodes.map(n => [n.id, n]));
+    nodes = nodes.map(n => byId.get(n.id) || n);
+  }
+
+  const edgeIndex = new Map(edges.map((e, i) => [e.id, i]));
+  const seenEdgeRows = new Set();
+  (sheets.edges?.rows || []).forEach((row, i) => {
+    const values = readRow(row, sheets.edges.mapping);
+    const { source, target } = values;
+    const id = source && target ? `${source}__${target}` : null;
+    const result = { row: i + 1, id };
+    edgeResults.push(result);
+    if (!id) return Object.assign(result, { action: 'skip', reason: 'needs a source and a target' });
+    if (source === target) return Object.assign(result, { action: 'skip', reason: 'source and target are the same node' });
+    const missing = [source, target].filter(n => !nodeIndex.has(n));
+    if (missing.length) return Object.assign(result, { action: 'skip', reason: `unknown node ${missing.map(n => `"${n}"`).join(' and ')}` });
+    if (seenEdgeRows.has(id)) return Object.assign(result, { action: 'skip', reason: 'same edge as an earlier row' });
+    seenEdgeRows.add(id);
+
+    const direction = values.direction?.toLowerCase();
+    if (direction && !DIRECTIONS.includes(direction)) return Object.assign(result, { action: 'skip', reason: `unknown direction "${values.direction}"` });
+
+    if (edgeIndex.has(id)) {
+      const before = edges[edgeIndex.get(id)];
+      if (!direction || before.direction === direction) return Object.assign(result, { action: 'skip', reason: 'no changes' });
+      edges = edges.map(e => (e.id === id ? { ...e, direction } : e));
+      return Object.assign(result, { action: 'update', changes: ['direction'] });
+    }
+    edgeIndex.set(id, edges.length);
+    edges.push({ id, source, target, direction: direction || 'forward' });
+    return Object.assign(result, { action: 'add' });
+  });
+
+  // Register tags the rows introduced
+  let planned = { ...graph, nodes, edges, notes, tags: graph.tags || [] };
+  nodes.forEach(n => (n.tags || []).forEach(name => {
+    if (!findTag(planned, name)) planned = createTag(planned, { name });
+  }));
+
+  const all = [...nodeResults, ...edgeResults];
+  const count = (action) => all.filter(r => r.action === action).length;
+  return {
+    nodes: nodeResults,
+    edges: edgeResults,
+    counts: { added: count('add'), updated: count('update'), skipped: count('skip') },
+    graph: planned
+  };
+}
@@ -0,0 +1,132 @@
+// src/importers/csv.test.js
+
+import { parseCsv, guessColumnMapping, planCsvImport, NODE_FIELDS, EDGE_FIELDS } from './csv.js';
+
+const sheet = (text, fields) => {
+  const { headers, rows } = parseCsv(text);
+  return { rows, mapping: guessColumnMapping(headers, fields) };
+};
+
+const current = () => ({
+  nodes: [
+    { id: 'a', title: 'Alpha', x: 0, y: 0, size: 'regular', color: 'gray', imageUrl: 'a.png' },
+    { id: 'b', title: 'Beta', x: 400, y: 100, size: 'regular', color: 'gray', imageUrl: 'b.png' }
+  ],
+  edges: [{ id: 'a__b', source: 'a', target: 'b', direction: 'forward' }],
+  notes: { a: ['existing note'] },
+  tags: [{ name: 'lore', color: '#ff0000' }],
+  mapName: 'test'
+});
+
+describe('parseCsv', () => {
+  test('handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const { headers, rows } = parseCsv('id,notes\r\na,"first\nsecond"\r\nb,"say ""hi"", ok"\r\n\r\n');
+    expect(headers).toEqual(['id', 'notes']);
+    expect(rows).toEqual([['a', 'first\nsecond'], ['b', 'say "hi", ok']]);
+  });
+
+  test('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('id;title\na;Alpha, the first').rows).toEqual([['a', 'Alpha, the first']]);
+    expect(parseCsv('\ufeffid\ttitle\na\tAlpha').headers).toEqual(['id', 'title']);
+  });
+
+  test('rejects an unterminated quote', () => {
+    expect(() => parseCsv('id\n"a')).toThrow(/unterminated/);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('matches headers case-insensitively, including aliases', () => {
+    expect(guessColumnMapping(['Name', 'Node ID', 'Image_URL', 'Pos X'], NODE_FIELDS)).toMatchObject({
+      id: 1, title: 0, image: 2, x: 3, y: null, color: null
+    });
+    expect(guessColumnMapping(['From', 'To'], EDGE_FIELDS)).toEqual({ source: 0, target: 1, direction: null });
+  });
+});
+
+describe('planCsvImport', () => {
+  test('adds, updates and skips node rows with reasons', () => {
+    const nodes = sheet([
+      'id,title,color,size,x,y,image,tags,notes',
+      'a,Alpha,green,,,,,Lore; Places,"existing note\nnew note"',
+      'b,Beta,,,,,,,',
+      'c,Gamma,blue,double,10,20,c.png,,',
+      ',Delta Quadrant,,,,,,,',
+      'e,Echo,pink,,,,,,',
+      'c,Again,,,,,,,',
+      ',,,,,,,,'
+    ].join('\n'), NODE_FIELDS);
+
+    const plan = planCsvImport(current(), { nodes });
+    expect(plan.nodes.map(r => [r.row, r.id, r.action, r.reason || r.changes])).toEqual([
+      [1, 'a', 'update', ['color', 'tags', 'notes']],
+      [2, 'b', 'skip', 'no changes'],
+      [3, 'c', 'add', undefined],
+      [4, 'Delta_Quadrant', 'add', undefined],
+      [5, 'e', 'skip', 'unknown color "pink"'],
+      [6, 'c', 'skip', 'id "c" already used by an earlier row']
+    ]);
+    expect(plan.counts).toEqual({ added: 2, updated: 1, skipped: 3 });
+
+    const byId = Object.fromEntries(plan.graph.nodes.map(n => [n.id, n]));
+    expect(byId.a).toMatchObject({ color: 'green', tags: ['lore', 'places'], imageUrl: 'a.png' });
+    expect(byId.c).toEqual({ id: 'c', title: 'Gamma', size: 'double', color: 'blue', imageUrl: 'c.png', x: 10, y: 20 });
+    expect(plan.graph.notes.a).toEqual(['existing note', 'new note']);
+    expect(plan.graph.tags.map(t => t.name)).toEqual(['lore', 'places']);
+  });
+
+  test('a row without an id updates the node the editor made from the same title', () => {
+    const graph = current();
+    graph.nodes.push({ id: 'Alpha_Node', title: 'Alpha Node', x: 0, y: 200, size: 'regular', color: 'gray', imageUrl: 'n.png' });
+    const nodes = sheet('title,color\nAlpha Node,red', NODE_FIELDS);
+    const plan = planCsvImport(graph, { nodes });
+    expect(plan.nodes).toEqual([{ row: 1, id: 'Alpha_Node', action: 'update', changes: ['color'] }]);
+    expect(plan.graph.nodes).toHaveLength(3);
+    expect(plan.graph.nodes[2]).toMatchObject({ id: 'Alpha_Node', color: 'red' });
+  });
+
+  test('places new nodes from the default map, then in a grid below the map', () => {
+    const nodes = sheet('id,title\nknown,Known\nnew1,New one\nnew2,New two', NODE_FIELDS);
+    const defaultGraph = { nodes: [{ id: 'known', title: 'Known', x: -300, y: 50 }] };
+    const plan = planCsvImport(current(), { nodes }, { defaultGraph });
+    const placed = plan.graph.nodes.slice(2).map(n => [n.id, n.x, n.y]);
+    expect(placed).toEqual([
+      ['known', -300, 50],
+      ['new1', 0, 300],
+      ['new2', 200, 300]
+    ]);
+  });
+
+  test('adds and updates edges, skipping ones to unknown nodes', () => {
+    const nodes = sheet('id\nc', NODE_FIELDS);
+    const edges = sheet([
+      'source,target,direction',
+      'a,b,bidirectional',
+      'b,c,',
+      'c,zzz,forward',
+      'b,b,',
+      'a,c,sideways',
+      'b,c,backward'
+    ].join('\n'), EDGE_FIELDS);
+
+    const plan = planCsvImport(current(), { nodes, edges });
+    expect(plan.edges.map(r => [r.id, r.action, r.reason || r.changes])).toEqual([
+      ['a__b', 'update', ['direction']],
+      ['b__c', 'add', undefined],
+      ['c__zzz', 'skip', 'unknown node "zzz"'],
+      ['b__b', 'skip', 'source and target are the same node'],
+      ['a__c', 'skip', 'unknown direction "sideways"'],
+      ['b__c', 'skip', 'same edge as an earlier row']
+    ]);
+    expect(plan.graph.edges).toEqual([
+      { id: 'a__b', source: 'a', target: 'b', direction: 'bidirectional' },
+      { id: 'b__c', source: 'b', target: 'c', direction: 'forward' }
+    ]);
+  });
+
+  test('leaves the current map untouched', () => {
+    const graph = current();
+    planCsvImport(graph, { nodes: sheet('id,color,notes\na,red,more', NODE_FIELDS) });
+    expect(graph).toEqual(current());
+  });
+});
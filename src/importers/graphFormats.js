@@ -0,0 +1,592 @@
+// src/importers/graphFormats.js
+
+/**
+ * GraphML / GEXF / DOT converters (Gephi, yEd, Graphviz)
+ *
+ * Responsibilities
+ * - Export a map as GraphML, GEXF or DOT: positions, color, size, edge
+ *   direction, and notes as a per-element `notes` attribute.
+ * - Import those formats back into map JSON, which then loads through the usual
+ *   validation + ops.deserializeGraph path like any other file.
+ *
+ * Mapping
+ * - color: our names (gray, green, ...) in GraphML; the palette's hex in GEXF
+ *   (viz:color) and DOT (fillcolor). Foreign colors snap to the nearest palette color.
+ * - size: half/regular/double; GEXF viz:size and DOT width carry the node width
+ *   and snap back to the nearest size.
+ * - direction: forward/backward/bidirectional; undirected graphs and GEXF
+ *   "mutual"/DOT dir=both import as bidirectional.
+ * - notes: JSON-encoded note list (keeps { text, requires }); a plain string
+ *   imports as a single note.
+ *
+ * Gotchas
+ * - GEXF and DOT use y-up coordinates, so y is flipped both ways.
+ * - Nodes without positions get a grid layout so the map isn't one pile.
+ */
+
+import { COLORS, NODE_SIZES } from '../styles/tokens.js';
+import { deserializeGraph } from '../graph/ops.js';
+import { CURRENT_SCHEMA_VERSION } from '../graph/schema.js';
+import { FILTER_COLORS } from '../graph/filters.js';
+import { validateLoadedMap } from '../rumorMapValidation.js';
+import { readFileAsText } from './readFile.js';
+
+export const GRAPH_FORMATS = {
+  graphml: { label: 'GraphML', extensions: ['graphml'], mime: 'application/graphml+xml' },
+  gexf: { label: 'GEXF', extensions: ['gexf'], mime: 'application/gexf+xml' },
+  dot: { label: 'DOT', extensions: ['dot', 'gv'], mime: 'text/vnd.graphviz' }
+};
+
+const NODE_WIDTHS = { half: NODE_SIZES.small.width, regular: NODE_SIZES.regular.width, double: NODE_SIZES.double.width };
+const DIRECTIONS = ['forward', 'backward', 'bidirectional'];
+const DOT_DIRS = { forward: 'forward', backward: 'back', bidirectional: 'both' };
+const GRID_SPACING = 250;
+
+// ---------------------------------------------------------------------------
+// Shared attribute mapping
+// ---------------------------------------------------------------------------
+
+function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+/** Nearest palette color name for an { r, g, b } */
+function nearestColor(rgb) {
+  let best = 'gray';
+  let bestDistance = Infinity;
+  FILTER_COLORS.forEach(name => {
+    const c = hexToRgb(COLORS[name].base);
+    const d = (c.r - rgb.r) ** 2 + (c.g - rgb.g) ** 2 + (c.b - rgb.b) ** 2;
+    if (d < bestDistance) { best = name; bestDistance = d; }
+  });
+  return best;
+}
+
+/** Our color name from a name or #rrggbb; undefined when neither */
+function toColorName(value) {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  const v = value.trim().toLowerCase();
+  if (FILTER_COLORS.includes(v)) return v;
+  const rgb = hexToRgb(v);
+  return rgb ? nearestColor(rgb) : undefined;
+}
+
+/** Our size from a size name or a node width in px */
+function toSizeName(value) {
+  if (typeof value === 'string' && NODE_WIDTHS[value]) return value;
+  const width = Number(value);
+  if (!Number.isFinite(width) || width <= 0) return undefined;
+  return Object.keys(NODE_WIDTHS).reduce((best, size) =>
+    Math.abs(NODE_WIDTHS[size] - width) < Math.abs(NODE_WIDTHS[best] - width) ? size : best, 'regular');
+}
+
+const encodeNotes = (list) => (Array.isArray(list) && list.length ? JSON.stringify(list) : null);
+
+function decodeNotes(value) {
+  if (typeof value !== 'string' || !value.trim()) return [];
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.filter(n => typeof n === 'string' || (n && typeof n.text === 'string'));
+  } catch {
+    // not JSON: a single plain note
+  }
+  return [value];
+}
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? n : undefined;
+};
+
+/**
+ * Assemble map JSON from converted elements.
+ * nodes: [{ id, title?, x?, y?, size?, color?, notes? }], edges: [{ source, target, direction?, notes? }]
+ */
+function buildMap({ nodes, edges, mapName }) {
+  const notes = {};
+  const unplaced = nodes.filter(n => n.x === undefined || n.y === undefined);
+  const columns = Math.max(1, Math.ceil(Math.sqrt(unplaced.length)));
+  const outNodes = nodes.map(n => {
+    const slot = unplaced.indexOf(n);
+    const node = {
+      id: n.id,
+      title: n.title || n.id,
+      x: slot === -1 ? n.x : (slot % columns) * GRID_SPACING,
+      y: slot === -1 ? n.y : Math.floor(slot / columns) * GRID_SPACING,
+      size: n.size || 'regular',
+      color: n.color || 'gray'
+    };
+    if (n.notes?.length) notes[n.id] = n.notes;
+    return node;
+  });
+  const outEdges = edges.map(e => {
+    const id = `${e.source}__${e.target}`;
+    if (e.notes?.length) notes[id] = e.notes;
+    return { id, source: e.source, target: e.target, direction: DIRECTIONS.includes(e.direction) ? e.direction : 'forward' };
+  });
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, nodes: outNodes, edges: outEdges, notes, mode: 'editing', mapName: mapName || 'default_map' };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseXml(text, rootName) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+  if (doc.documentElement?.localName !== rootName) throw new Error(`Not a ${rootName} file (expected <${rootName}>)`);
+  return doc;
+}
+
+const byLocalName = (root, name) => Array.from(root.getElementsByTagNameNS('*', name));
+const directChildren = (el, name) => Array.from(el.children).filter(c => c.localName === name);
+
+// ---------------------------------------------------------------------------
+// GraphML
+// ---------------------------------------------------------------------------
+
+const GRAPHML_KEYS = [
+  ['title', 'node', 'string'],
+  ['x', 'node', 'double'],
+  ['y', 'node', 'double'],
+  ['size', 'node', 'string'],
+  ['color', 'node', 'string'],
+  ['direction', 'edge', 'string'],
+  ['notes', 'all', 'string']
+];
+
+export function toGraphML(graph) {
+  const g = deserializeGraph(graph);
+  const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${escapeXml(value)}</data>`);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_KEYS.map(([name, domain, type]) => `  <key id="${name}" for="${domain}" attr.name="${name}" attr.type="${type}"/>`),
+    `  <graph id="${escapeXml(g.mapName)}" edgedefault="directed">`,
+    ...g.nodes.map(n => `    <node id="${escapeXml(n.id)}">${data('title', n.title)}${data('x', n.x)}${data('y', n.y)}${data('size', n.size)}${data('color', n.color)}${data('notes', encodeNotes(g.notes[n.id]))}</node>`),
+    ...g.edges.map(e => `    <edge id="${escapeXml(e.id)}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}">${data('direction', e.direction)}${data('notes', encodeNotes(g.notes[e.id]))}</edge>`),
+    '  </graph>',
+    '</graphml>'
+  ];
+  return lines.join('\n') + '\n';
+}
+
+export function fromGraphML(text) {
+  const doc = parseXml(text, 'graphml');
+  // key id -> attribute name (yEd and others use generated ids like "d0")
+  const keyNames = new Map(byLocalName(doc, 'key').map(k => [k.getAttribute('id'), (k.getAttribute('attr.name') || k.getAttribute('id') || '').toLowerCase()]));
+  const graphEl = byLocalName(doc, 'graph')[0];
+  const undirected = graphEl?.getAttribute('edgedefault') === 'undirected';
+  const readData = (el) => {
+    const values = {};
+    directChildren(el, 'data').forEach(d => {
+      const name = keyNames.get(d.getAttribute('key')) || d.getAttribute('key');
+      values[name] = d.textContent;
+    });
+    return values;
+  };
+
+  const nodes = byLocalName(doc, 'node').map(el => {
+    const values = readData(el);
+    // yEd keeps geometry/label/fill in its own elements (x/y are the top-left corner)
+    const geometry = byLocalName(el, 'Geometry')[0];
+    const width = toNumber(geometry?.getAttribute('width'));
+    const height = toNumber(geometry?.getAttribute('height'));
+    const yedX = toNumber(geometry?.getAttribute('x'));
+    const yedY = toNumber(geometry?.getAttribute('y'));
+    const label = byLocalName(el, 'NodeLabel')[0]?.textContent.trim();
+    const fill = byLocalName(el, 'Fill')[0]?.getAttribute('color');
+    return {
+      id: el.getAttribute('id'),
+      title: values.title ?? values.label ?? values.name ?? label,
+      x: toNumber(values.x) ?? (yedX !== undefined ? yedX + (width || 0) / 2 : undefined),
+      y: toNumber(values.y) ?? (yedY !== undefined ? yedY + (height || 0) / 2 : undefined),
+      size: toSizeName(values.size) ?? toSizeName(width),
+      color: toColorName(values.color) ?? toColorName(fill?.slice(0, 7)),
+      notes: decodeNotes(values.notes)
+    };
+  });
+
+  const edges = byLocalName(doc, 'edge').map(el => {
+    const values = readData(el);
+    const directedAttr = el.getAttribute('directed');
+    const isUndirected = directedAttr ? directedAttr === 'false' : undirected;
+    return {
+      source: el.getAttribute('source'),
+      target: el.getAttribute('target'),
+      direction: DIRECTIONS.includes(values.direction) ? values.direction : (isUndirected ? 'bidirectional' : 'forward'),
+      notes: decodeNotes(values.notes)
+    };
+  });
+
+  return buildMap({ nodes, edges, mapName: graphEl?.getAttribute('id') });
+}
+
+// ---------------------------------------------------------------------------
+// GEXF
+// ---------------------------------------------------------------------------
+
+export function toGEXF(graph) {
+  const g = deserializeGraph(graph);
+  const attvalues = (values) => {
+    const present = values.filter(([, v]) => v !== null && v !== undefined);
+    return present.length
+      ? `<attvalues>${present.map(([k, v]) => `<attvalue for="${k}" value="${escapeXml(v)}"/>`).join('')}</attvalues>`
+      : '';
+  };
+  const vizColor = (name) => {
+    const { r, g: green, b } = hexToRgb(COLORS[name]?.base || COLORS.gray.base);
+    return `<viz:color r="${r}" g="${green}" b="${b}"/>`;
+  };
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta><description>${escapeXml(g.mapName)}</description></meta>`,
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    '      <attribute id="size" title="size" type="string"/>',
+    '      <attribute id="color" title="color" type="string"/>',
+    '      <attribute id="notes" title="notes" type="string"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="direction" title="direction" type="string"/>',
+    '      <attribute id="notes" title="notes" type="string"/>',
+    '    </attributes>',
+    '    <nodes>',
+    ...g.nodes.map(n => `      <node id="${escapeXml(n.id)}" label="${escapeXml(n.title)}">` +
+      attvalues([['size', n.size], ['color', n.color], ['notes', encodeNotes(g.notes[n.id])]]) +
+      `<viz:position x="${n.x}" y="${-n.y}" z="0"/><viz:size value="${NODE_WIDTHS[n.size] || NODE_WIDTHS.regular}"/>${vizColor(n.color)}</node>`),
+    '    </nodes>',
+    '    <edges>',
+    ...g.edges.map(e => `      <edge id="${escapeXml(e.id)}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}" type="${e.direction === 'bidirectional' ? 'mutual' : 'directed'}">` +
+      attvalues([['direction', e.direction], ['notes', encodeNotes(g.notes[e.id])]]) + '</edge>'),
+    '    </edges>',
+    '  </graph>',
+    '</gexf>'
+  ];
+  return lines.join('\n') + '\n';
+}
+
+export function fromGEXF(text) {
+  const doc = parseXml(text, 'gexf');
+  const graphEl = byLocalName(doc, 'graph')[0];
+  const defaultType = graphEl?.getAttribute('defaultedgetype') || 'directed';
+  // attribute id -> title, per class
+  const attrTitles = { node: new Map(), edge: new Map() };
+  byLocalName(doc, 'attributes').forEach(group => {
+    const titles = attrTitles[group.getAttribute('class')];
+    if (!titles) return;
+    directChildren(group, 'attribute').forEach(a => titles.set(a.getAttribute('id'), (a.getAttribute('title') || a.getAttribute('id')).toLowerCase()));
+  });
+  const readValues = (el, titles) => {
+    const values = {};
+    byLocalName(el, 'attvalue').forEach(v => {
+      const key = v.getAttribute('for') || v.getAttribute('id');
+      values[titles.get(key) || key] = v.getAttribute('value');
+    });
+    return values;
+  };
+
+  const nodes = byLocalName(doc, 'node').map(el => {
+    const values = readValues(el, attrTitles.node);
+    const position = byLocalName(el, 'position')[0];
+    const vizColor = byLocalName(el, 'color')[0];
+    const vizSize = byLocalName(el, 'size')[0];
+    const y = toNumber(position?.getAttribute('y'));
+    const rgb = vizColor && { r: Number(vizColor.getAttribute('r')), g: Number(vizColor.getAttribute('g')), b: Number(vizColor.getAttribute('b')) };
+    return {
+      id: el.getAttribute('id'),
+      title: el.getAttribute('label'),
+      x: toNumber(position?.getAttribute('x')),
+      y: y === undefined ? undefined : -y,
+      size: toSizeName(values.size) ?? toSizeName(vizSize?.getAttribute('value')),
+      color: toColorName(values.color) ?? (rgb && [rgb.r, rgb.g, rgb.b].every(Number.isFinite) ? nearestColor(rgb) : undefined),
+      notes: decodeNotes(values.notes)
+    };
+  });
+
+  const edges = byLocalName(doc, 'edge').map(el => {
+    const values = readValues(el, attrTitles.edge);
+    const type = el.getAttribute('type') || defaultType;
+    return {
+      source: el.getAttribute('source'),
+      target: el.getAttribute('target'),
+      direction: DIRECTIONS.includes(values.direction) ? values.direction : (type === 'directed' ? 'forward' : 'bidirectional'),
+      notes: decodeNotes(values.notes)
+    };
+  });
+
+  const description = byLocalName(doc, 'description')[0]?.textContent.trim();
+  return buildMap({ nodes, edges, mapName: description });
+}
+
+// ---------------------------------------------------------------------------
+// DOT
+// ---------------------------------------------------------------------------
+
+// Backslashes first, so a trailing "\" can't swallow the closing quote
+const dotQuote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+export function toDOT(graph) {
+  const g = deserializeGraph(graph);
+  const attrs = (pairs) => pairs
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `${k}=${dotQuote(v)}`)
+    .join(', ');
+  const lines = [
+    `digraph ${dotQuote(g.mapName)} {`,
+    '  node [shape=box, style=filled, fontcolor="white"];',
+    ...g.nodes.map(n => `  ${dotQuote(n.id)} [${attrs([
+      ['label', n.title],
+      ['pos', `${n.x},${-n.y}!`],
+      ['width', ((NODE_WIDTHS[n.size] || NODE_WIDTHS.regular) / 72).toFixed(2)],
+      ['fillcolor', COLORS[n.color]?.base || COLORS.gray.base],
+      ['notes', encodeNotes(g.notes[n.id])]
+    ])}];`),
+    ...g.edges.map(e => `  ${dotQuote(e.source)} -> ${dotQuote(e.target)} [${attrs([
+      ['dir', DOT_DIRS[e.direction] || 'forward'],
+      ['notes', encodeNotes(g.notes[e.id])]
+    ])}];`),
+    '}'
+  ];
+  return lines.join('\n') + '\n';
+}
+
+const DOT_KEYWORDS = ['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph'];
+
+function tokenizeDot(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    // Comments and preprocessor lines
+    if (text.startsWith('//', i) || (ch === '#' && /(^|\n)[ \t]*$/.test(text.slice(0, i)))) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+    if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: text.slice(i, i + 2) });
+      i += 2;
+      continue;
+    }
+    if ('{}[]=;,:'.includes(ch)) {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) { value += text[i + 1]; i += 2; continue; }
+        if (text[i] === '\\' && text[i + 1] === '\n') { i += 2; continue; }
+        value += text[i++];
+      }
+      if (i >= text.length) throw new Error('Invalid DOT: unterminated string');
+      i++;
+      // "a" + "b" concatenation
+      const last = tokens[tokens.length - 1];
+      if (last?.type === 'concat') {
+        tokens.pop();
+        tokens[tokens.length - 1].value += value;
+      } else {
+        tokens.push({ type: 'id', value });
+      }
+      continue;
+    }
+    if (ch === '+') { tokens.push({ type: 'concat' }); i++; continue; }
+    if (ch === '<') {
+      // HTML string: balanced angle brackets
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === '<') depth++;
+        else if (text[i] === '>') depth--;
+        i++;
+      } while (i < text.length && depth > 0);
+      tokens.push({ type: 'id', value: text.slice(start + 1, i - 1) });
+      continue;
+    }
+    const m = /^(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(text.slice(i));
+    if (!m) throw new Error(`Invalid DOT: unexpected "${ch}"`);
+    const word = m[1];
+    tokens.push(DOT_KEYWORDS.includes(word.toLowerCase()) ? { type: word.toLowerCase() } : { type: 'id', value: word });
+    i += word.length;
+  }
+  return tokens;
+}
+
+/** Parse DOT into { name, directed, nodes: Map(id -> attrs), edges: [{ source, target, attrs }] } */
+function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const accept = (type) => (peek()?.type === type ? tokens[pos++] : null);
+  const expect = (type) => {
+    const token = accept(type);
+    if (!token) throw new Error(`Invalid DOT: expected "${type}" but found "${peek()?.value ?? peek()?.type ?? 'end of file'}"`);
+    return token;
+  };
+
+  accept('strict');
+  const kind = accept('digraph') || expect('graph');
+  const directed = kind.type === 'digraph';
+  const name = accept('id')?.value;
+  const nodes = new Map();
+  const edges = [];
+
+  const attrList = () => {
+    const attrs = {};
+    while (accept('[')) {
+      while (!accept(']')) {
+        const key = expect('id').value;
+        expect('=');
+        attrs[key] = expect('id').value;
+        accept(',') || accept(';');
+      }
+    }
+    return attrs;
+  };
+  const addNode = (id, attrs, defaults) => {
+    nodes.set(id, { ...defaults, ...(nodes.get(id) || {}), ...attrs });
+  };
+  const skipPort = () => {
+    while (accept(':')) expect('id');
+  };
+
+  // Returns the node ids an operand stands for (one node, or all of a subgraph's)
+  const stmtList = (defaults) => {
+    const ids = new Set();
+    expect('{');
+    while (!accept('}')) {
+      if (!peek()) throw new Error('Invalid DOT: missing "}"');
+      stmt(defaults, ids);
+      accept(';');
+    }
+    return ids;
+  };
+
+  const operand = (defaults, ids) => {
+    if (peek()?.type === 'subgraph' || peek()?.type === '{') {
+      accept('subgraph');
+      accept('id');
+      const inner = stmtList({ node: { ...defaults.node }, edge: { ...defaults.edge } });
+      inner.forEach(id => ids.add(id));
+      return [...inner];
+    }
+    const id = expect('id').value;
+    skipPort();
+    ids.add(id);
+    return [id];
+  };
+
+  const stmt = (defaults, ids) => {
+    const type = peek()?.type;
+    if (type === 'graph' || type === 'node' || type === 'edge') {
+      pos++;
+      const attrs = attrList();
+      if (type !== 'graph') Object.assign(defaults[type], attrs);
+      return;
+    }
+    if (type === 'id' && peek(1)?.type === '=') {
+      pos += 2;
+      expect('id'); // graph attribute
+      return;
+    }
+    const left = operand(defaults, ids);
+    if (peek()?.type !== 'edgeop') {
+      const attrs = attrList();
+      left.forEach(id => addNode(id, attrs, defaults.node));
+      return;
+    }
+    const chain = [left];
+    while (accept('edgeop')) chain.push(operand(defaults, ids));
+    const attrs = { ...defaults.edge, ...attrList() };
+    chain.flat().forEach(id => { if (!nodes.has(id)) addNode(id, {}, defaults.node); });
+    for (let k = 0; k < chain.length - 1; k++) {
+      chain[k].forEach(source => chain[k + 1].forEach(target => edges.push({ source, target, attrs })));
+    }
+  };
+
+  stmtList({ node: {}, edge: {} });
+  return { name, directed, nodes, edges };
+}
+
+export function fromDOT(text) {
+  const dot = parseDot(text);
+  const dotDirection = { forward: 'forward', back: 'backward', both: 'bidirectional', none: dot.directed ? 'forward' : 'bidirectional' };
+
+  const nodes = [...dot.nodes.entries()].map(([id, attrs]) => {
+    const [x, y] = String(attrs.pos || '').replace('!', '').split(',').map(toNumber);
+    const width = toNumber(attrs.width);
+    return {
+      id,
+      title: attrs.label && attrs.label !== '\\N' ? attrs.label : id,
+      x,
+      y: y === undefined ? undefined : -y,
+      size: toSizeName(attrs.size) ?? (width !== undefined ? toSizeName(width * 72) : undefined),
+      color: toColorName(attrs.fillcolor) ?? toColorName(attrs.color),
+      notes: decodeNotes(attrs.notes)
+    };
+  });
+
+  const edges = dot.edges.map(({ source, target, attrs }) => ({
+    source,
+    target,
+    direction: DIRECTIONS.includes(attrs.direction)
+      ? attrs.direction
+      : (dotDirection[attrs.dir] || (dot.directed ? 'forward' : 'bidirectional')),
+    notes: decodeNotes(attrs.notes)
+  }));
+
+  return buildMap({ nodes, edges, mapName: dot.name });
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+const EXPORTERS = { graphml: toGraphML, gexf: toGEXF, dot: toDOT };
+const IMPORTERS = { graphml: fromGraphML, gexf: fromGEXF, dot: fromDOT };
+
+/** Format key for a file by extension ('graphml' | 'gexf' | 'dot'), or null */
+export function getGraphFileFormat(file) {
+  const ext = (file?.name || '').split('.').pop().toLowerCase();
+  return Object.keys(GRAPH_FORMATS).find(format => GRAPH_FORMATS[format].extensions.includes(ext)) || null;
+}
+
+/** Serialize a map in one of GRAPH_FORMATS */
+export function exportGraphFormat(graph, format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown graph format "${format}"`);
+  return exporter(graph);
+}
+
+/**
+ * Read, convert and validate a GraphML/GEXF/DOT file.
+ * @returns {Promise<object>} same shape as rumorMapValidation.parseAndValidateRumorMap
+ */
+export async function loadGraphFormatFile(file, format = getGraphFileFormat(file)) {
+  try {
+    const importer = IMPORTERS[format];
+    if (!importer) throw new Error(`Unknown graph format for ${file.name}`);
+    const map = importer(await readFileAsText(file));
+    return validateLoadedMap(map);
+  } catch (err) {
+    return { isValid: false, errors: [`${file.name}: ${err.message}`] };
+  }
+}
@@ -0,0 +1,169 @@
+// src/importers/graphFormats.test.js
+
+import {
+  toGraphML, fromGraphML, toGEXF, fromGEXF, toDOT, fromDOT,
+  exportGraphFormat, getGraphFileFormat
+} from './graphFormats.js';
+import { deserializeGraph } from '../graph/ops.js';
+import { validateRumorMap } from '../rumorMapValidation.js';
+
+const sample = () => ({
+  nodes: [
+    { id: 'A', title: 'Alpha "one" & <two>', x: 100, y: -50, size: 'double', color: 'orange' },
+    { id: 'B', title: 'Beta', x: 300, y: 200, size: 'half', color: 'blue' },
+    { id: 'C', title: 'Gamma', x: 0, y: 400, size: 'regular', color: 'gray' }
+  ],
+  edges: [
+    { id: 'A__B', source: 'A', target: 'B', direction: 'forward' },
+    { id: 'B__C', source: 'B', target: 'C', direction: 'bidirectional' },
+    { id: 'C__A', source: 'C', target: 'A', direction: 'backward' }
+  ],
+  notes: {
+    A: ['first', { text: 'gated "note"', requires: 'B' }],
+    B__C: ['edge note']
+  },
+  mapName: 'sample_map'
+});
+
+// The parts of a map the converters promise to carry
+function essentials(map) {
+  const g = deserializeGraph(map);
+  return {
+    nodes: g.nodes.map(({ id, title, x, y, size, color }) => ({ id, title, x, y, size, color })),
+    edges: g.edges.map(({ id, source, target, direction }) => ({ id, source, target, direction })),
+    notes: g.notes
+  };
+}
+
+describe.each([
+  ['GraphML', toGraphML, fromGraphML],
+  ['GEXF', toGEXF, fromGEXF],
+  ['DOT', toDOT, fromDOT]
+])('%s', (_, exporter, importer) => {
+  test('round-trips positions, color, size, direction and notes', () => {
+    const imported = importer(exporter(sample()));
+    expect(essentials(imported)).toEqual(essentials(sample()));
+    expect(imported.mapName).toBe('sample_map');
+    expect(validateRumorMap(imported).isValid).toBe(true);
+  });
+});
+
+describe('GraphML import', () => {
+  test('reads yEd geometry, labels and fills, and undirected graphs', () => {
+    const xml = `<?xml version="1.0"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+  <key id="d0" for="node" yfiles.type="nodegraphics"/>
+  <graph id="G" edgedefault="undirected">
+    <node id="n0"><data key="d0"><y:ShapeNode><y:Geometry x="10" y="20" width="240" height="60"/><y:Fill color="#FF0000"/><y:NodeLabel>Red one</y:NodeLabel></y:ShapeNode></data></node>
+    <node id="n1"/>
+    <edge source="n0" target="n1"/>
+  </graph>
+</graphml>`;
+    const map = fromGraphML(xml);
+    expect(map.nodes[0]).toEqual({ id: 'n0', title: 'Red one', x: 130, y: 50, size: 'double', color: 'red' });
+    expect(map.nodes[1]).toMatchObject({ id: 'n1', title: 'n1', size: 'regular', color: 'gray' });
+    expect(map.edges).toEqual([{ id: 'n0__n1', source: 'n0', target: 'n1', direction: 'bidirectional' }]);
+  });
+
+  test('rejects other XML', () => {
+    expect(() => fromGraphML('<gexf/>')).toThrow(/Not a graphml file/);
+    expect(() => fromGraphML('<graphml')).toThrow(/Invalid XML/);
+  });
+});
+
+describe('GEXF import', () => {
+  test('snaps foreign viz colors and sizes, and places unpositioned nodes on a grid', () => {
+    const xml = `<?xml version="1.0"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <graph defaultedgetype="undirected">
+    <nodes>
+      <node id="a" label="A"><viz:size value="90"/><viz:color r="120" g="0" b="200"/></node>
+      <node id="b" label="B"/>
+    </nodes>
+    <edges><edge source="a" target="b"/></edges>
+  </graph>
+</gexf>`;
+    const map = fromGEXF(xml);
+    expect(map.nodes.map(n => [n.x, n.y, n.size, n.color])).toEqual([
+      [0, 0, 'half', 'purple'],
+      [250, 0, 'regular', 'gray']
+    ]);
+    expect(map.edges[0].direction).toBe('bidirectional');
+  });
+});
+
+describe('DOT export', () => {
+  test('round-trips backslashes and quotes in ids, titles and notes', () => {
+    const map = {
+      nodes: [
+        { id: 'dir\\', title: 'C:\\path\\"quoted"\\', x: 0, y: 50 },
+        { id: 'B', title: 'ends with \\', x: 100, y: 50 }
+      ],
+      edges: [{ source: 'dir\\', target: 'B', direction: 'forward' }],
+      notes: { 'dir\\': ['a \\n b'] },
+      mapName: 'back\\slash'
+    };
+    const imported = fromDOT(toDOT(map));
+    expect(essentials(imported)).toEqual(essentials(map));
+    expect(imported.mapName).toBe('back\\slash');
+  });
+});
+
+describe('DOT import', () => {
+  test('handles comments, defaults, chains, subgraphs, ports and concatenation', () => {
+    const dot = `
+      /* header */
+      strict digraph "my" + "graph" {
+        // graph attributes
+        rankdir=LR;
+        graph [splines=true]
+        node [fillcolor="#00ff00"];
+        a [label=<<b>HTML</b>>];
+        a:n -> b -> c [dir=back];
+        c -> { d e }
+        subgraph cluster_0 { f; g [fillcolor=purple] }
+      }
+      # trailing preprocessor line
+    `;
+    const map = fromDOT(dot);
+    expect(map.mapName).toBe('mygraph');
+    expect(map.nodes.map(n => n.id)).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    expect(map.nodes[0]).toMatchObject({ title: '<b>HTML</b>', color: 'green' });
+    expect(map.nodes[6].color).toBe('purple');
+    expect(map.edges.map(e => [e.id, e.direction])).toEqual([
+      ['a__b', 'backward'],
+      ['b__c', 'backward'],
+      ['c__d', 'forward'],
+      ['c__e', 'forward']
+    ]);
+  });
+
+  test('undirected graphs import as bidirectional edges', () => {
+    const map = fromDOT('graph { x -- y }');
+    expect(map.edges).toEqual([{ id: 'x__y', source: 'x', target: 'y', direction: 'bidirectional' }]);
+  });
+
+  test('plain-text notes become a single note', () => {
+    expect(fromDOT('digraph { x [notes="just text"] }').notes).toEqual({ x: ['just text'] });
+  });
+
+  test('reports syntax errors', () => {
+    expect(() => fromDOT('digraph { a -> }')).toThrow(/Invalid DOT/);
+    expect(() => fromDOT('digraph { a [label="open }')).toThrow(/unterminated string/);
+    expect(() => fromDOT('digraph { a')).toThrow(/missing "}"/);
+  });
+});
+
+describe('files', () => {
+  test('picks the format from the extension', () => {
+    expect(getGraphFileFormat({ name: 'map.GraphML' })).toBe('graphml');
+    expect(getGraphFileFormat({ name: 'map.gexf' })).toBe('gexf');
+    expect(getGraphFileFormat({ name: 'map.gv' })).toBe('dot');
+    expect(getGraphFileFormat({ name: 'map.json' })).toBeNull();
+  });
+
+  test('exportGraphFormat rejects unknown formats', () => {
+    expect(exportGraphFormat(sample(), 'dot')).toMatch(/^digraph "sample_map" \{/);
+    expect(() => exportGraphFormat(sample(), 'svg')).toThrow(/Unknown graph format/);
+  });
+});
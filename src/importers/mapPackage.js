@@ -0,0 +1,298 @@
+// src/importers/mapPackage.js
+
+/**
+ * Self-contained map packages (.zip)
+ *
+ * Responsibilities
+ * - Export: zip the map JSON with every node image and thumbnail, the background
+ *   image and default_image.svg, laid out like the CDN folder buildCdnUrl expects:
+ *
+ *     <map_file_name>.json
+ *     <mapName>/<node images>, <name>_thumb.<ext>, underlay.<ext>, default_image.svg
+ *
+ *   so unzipping it next to other maps makes it servable as-is.
+ * - Import: read a package back and make its images available with no CDN:
+ *   thumbnails go into the image cache, full-size files into an in-memory
+ *   registry (for re-exporting), the background into the map as a data URL.
+ *
+ * Gotchas
+ * - Data-URL node images are written out as <nodeId>_<crc>.<ext> and the map
+ *   points at the file instead, like saveImageFiles does for new uploads.
+ * - File names from the map (image URLs, mapName) lose "/" and "..", and the
+ *   packaged map points at the renamed files.
+ * - Assets the app can't get (CDN down, never uploaded) are left out and
+ *   reported in `missing` rather than failing the export.
+ * - Thumbnails come from the map folder or the image cache, else are drawn from the
+ *   full image; when that isn't possible the thumbnail is left out (import makes one).
+ */
+
+import { createZip, readZip, crc32 } from '../utils/zip.js';
+import { serializeGraph, deserializeGraph } from '../graph/ops.js';
+import { TEST_ICON_SVG } from '../constants/testAssets.js';
+import { getMapFileBaseName } from '../utils/mapHelpers.js';
+import { validateLoadedMap } from '../rumorMapValidation.js';
+import { imageCache, setDefaultPlaceholderSvg } from '../utils/imageLoader.js';
+import { blobToThumbnailDataUrl } from '../utils/imageUtils.js';
+import { printDebug, printWarn } from '../utils/debug.js';
+
+export const PLACEHOLDER_FILE_NAME = 'default_image.svg';
+
+const MIME_BY_EXTENSION = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+const EXTENSION_BY_MIME = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/webp': 'webp', 'image/gif': 'gif', 'image/svg+xml': 'svg' };
+
+// Full-size package images, per map: mapName -> Map(fileName -> Uint8Array)
+const packageAssets = new Map();
+
+const extensionOf = (fileName) => (/\.([^./]+)$/.exec(fileName)?.[1] || '').toLowerCase();
+export const mimeForFileName = (fileName) => MIME_BY_EXTENSION[extensionOf(fileName)] || 'application/octet-stream';
+
+/** `<name>_thumb.<ext>` for an image file name, or null if it already is a thumbnail */
+export function thumbnailFileName(fileName) {
+  const m = /^(.*?)(\.[^./]+)?$/.exec(fileName);
+  if (!m || m[1].endsWith('_thumb')) return null;
+  return `${m[1]}_thumb${m[2] || ''}`;
+}
+
+// Zip entry names taken from map data: no sub-folders and no "..", so nothing
+// unpacks outside the map folder
+const safeEntryName = (name) => String(name).replace(/[\\/]+/g, '_').replace(/\.\.+/g, '_');
+
+// CDN map folder name (buildCdnUrl's default) and JSON file name (handleLoadFromCdn's)
+const packageFolder = (mapName) => safeEntryName(mapName || 'default_map');
+const packageJsonName = (mapName) => `${getMapFileBaseName(mapName || 'default_map')}.json`;
+
+export function dataUrlToBytes(dataUrl) {
+  const m = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!m) throw new Error('Not a data URL');
+  const mime = m[1] || 'text/plain';
+  if (!m[3]) return { mime, bytes: new TextEncoder().encode(decodeURIComponent(m[4])) };
+  const binary = atob(m[4]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { mime, bytes };
+}
+
+export function bytesToDataUrl(bytes, mime) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return `data:${mime};base64,${btoa(binary)}`;
+}
+
+// Formats a canvas can write, so a thumbnail keeps its image's extension
+const THUMBNAIL_MIMES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+async function makeThumbnail(bytes, fileName) {
+  const mime = mimeForFileName(fileName);
+  if (!THUMBNAIL_MIMES.has(mime)) return null;
+  try {
+    const dataUrl = await blobToThumbnailDataUrl(new Blob([bytes], { type: mime }), 100, mime);
+    return dataUrlToBytes(dataUrl).bytes;
+  } catch (err) {
+    printDebug(`mapPackage: could not make a thumbnail of ${fileName}: ${err?.message || err}`);
+    return null;
+  }
+}
+
+const isImageFile = (url) => typeof url === 'string' && url !== '' && url !== 'unspecified' && !url.startsWith('data:');
+
+/**
+ * Build a map package.
+ * @param {object} graph - map with current positions; bgImage.imageUrl may be a data URL
+ * @param {object} sources
+ * @param {(fileName: string) => Promise<Uint8Array|null>} sources.loadAsset - a file from the map's folder (package registry, CDN, ...)
+ * @param {(fileName: string) => string|null} [sources.cachedThumbnail] - cached thumbnail data URL of a node image
+ * @param {string|null} [sources.placeholderSvg] - the map's default_image.svg as a data URL, if loaded
+ * @param {Date} [sources.date] - timestamp for the zip entries
+ * @returns {Promise<{ zip: Uint8Array, fileName: string, missing: string[] }>}
+ */
+export async function buildMapPackage(graph, { loadAsset, cachedThumbnail = () => null, placeholderSvg = null, date } = {}) {
+  const g = deserializeGraph(graph, { missingImageUrl: 'unspecified' });
+  const folder = packageFolder(g.mapName);
+  const files = new Map(); // fileName -> bytes
+  const missing = [];
+
+  const fetchAsset = async (fileName) => {
+    try {
+      return (await loadAsset(fileName)) || null;
+    } catch (err) {
+      printDebug(`mapPackage: could not load ${fileName}: ${err.message}`);
+      return null;
+    }
+  };
+
+  // Node images (each file once, however many nodes share it)
+  const renamed = new Map(); // data URL -> file name
+  for (const node of g.nodes) {
+    const url = node.imageUrl;
+    if (url === TEST_ICON_SVG || !url || url === 'unspecified') continue;
+
+    if (url.startsWith('data:')) {
+      if (renamed.has(url)) continue;
+      const { mime, bytes } = dataUrlToBytes(url);
+      const fileName = `${safeEntryName(node.id)}_${crc32(bytes).toString(16).padStart(8, '0')}.${EXTENSION_BY_MIME[mime] || 'png'}`;
+      renamed.set(url, fileName);
+      files.set(fileName, bytes);
+      const thumb = await makeThumbnail(bytes, fileName);
+      if (thumb) files.set(thumbnailFileName(fileName), thumb);
+      continue;
+    }
+
+    if (renamed.has(url) || files.has(url) || missing.includes(url)) continue;
+    const bytes = await fetchAsset(url);
+    if (!bytes) {
+      missing.push(url);
+      continue;
+    }
+    const entryName = safeEntryName(url);
+    if (entryName !== url) renamed.set(url, entryName);
+    files.set(entryName, bytes);
+    const thumbName = thumbnailFileName(entryName);
+    if (thumbName) {
+      const cached = cachedThumbnail(url);
+      const thumb = (await fetchAsset(thumbnailFileName(url))) || (cached ? dataUrlToBytes(cached).bytes : await makeThumbnail(bytes, url));
+      if (thumb) files.set(thumbName, thumb);
+    }
+  }
+
+  // Background image
+  let bgImage = g.bgImage;
+  const bgUrl = g.bgImage?.imageUrl;
+  if (bgUrl && bgUrl.startsWith('data:')) {
+    const { mime, bytes } = dataUrlToBytes(bgUrl);
+    const fileName = `underlay.${EXTENSION_BY_MIME[mime] || 'png'}`;
+    files.set(fileName, bytes);
+    bgImage = { ...g.bgImage, imageUrl: fileName, included: true };
+  } else if (isImageFile(bgUrl) && g.bgImage.included) {
+    const bytes = await fetchAsset(bgUrl);
+    if (bytes) {
+      files.set(safeEntryName(bgUrl), bytes);
+      bgImage = { ...g.bgImage, imageUrl: safeEntryName(bgUrl) };
+    } else {
+      missing.push(bgUrl);
+    }
+  }
+
+  // Placeholder: the map's own, or the built-in icon nodes fall back to today
+  const placeholder = placeholderSvg
+    ? dataUrlToBytes(placeholderSvg).bytes
+    : (await fetchAsset(PLACEHOLDER_FILE_NAME)) || dataUrlToBytes(TEST_ICON_SVG).bytes;
+  files.set(PLACEHOLDER_FILE_NAME, placeholder);
+
+  const packaged = {
+    ...g,
+    nodes: g.nodes.map(n => (renamed.has(n.imageUrl) ? { ...n, imageUrl: renamed.get(n.imageUrl) } : n)),
+    bgImage
+  };
+
+  const zip = createZip([
+    { path: packageJsonName(g.mapName), data: serializeGraph(packaged) },
+    ...[...files.entries()].map(([fileName, bytes]) => ({ path: `${folder}/${fileName}`, data: bytes }))
+  ], { date });
+
+  if (missing.length) printWarn(`mapPackage: ${missing.length} file(s) left out of the package:`, missing);
+  return { zip, fileName: `${getMapFileBaseName(g.mapName || 'default_map')}.zip`, missing };
+}
+
+/**
+ * Read a map package.
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Promise<{ map: object, assets: Map<string, Uint8Array>, missing: string[] }>}
+ *   map has its background image inlined as a data URL when the package has it
+ * @throws {Error} when the archive has no map JSON or the JSON doesn't parse
+ */
+export async function readMapPackage(data) {
+  const files = await readZip(data);
+
+  // The map JSON sits at the top (or one folder down if the package was re-zipped as a folder)
+  const jsonFile = files
+    .filter(f => /\.json$/i.test(f.path) && f.path.split('/').length <= 2)
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length)[0];
+  if (!jsonFile) throw new Error('No map JSON found in the package');
+
+  let map;
+  try {
+    map = JSON.parse(new TextDecoder().decode(jsonFile.data));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${jsonFile.path}: ${err.message}`);
+  }
+  if (!map || typeof map !== 'object') throw new Error(`Invalid map in ${jsonFile.path}`);
+
+  const prefix = jsonFile.path.slice(0, jsonFile.path.lastIndexOf('/') + 1);
+  const folder = `${prefix}${packageFolder(map.mapName)}/`;
+  const assets = new Map(files
+    .filter(f => f.path.startsWith(folder) && !f.path.slice(folder.length).includes('/'))
+    .map(f => [f.path.slice(folder.length), f.data]));
+
+  const bgUrl = map.bgImage?.imageUrl;
+  if (isImageFile(bgUrl) && assets.has(bgUrl)) {
+    map = { ...map, bgImage: { ...map.bgImage, imageUrl: bytesToDataUrl(assets.get(bgUrl), mimeForFileName(bgUrl)), included: true } };
+  }
+
+  const wanted = (Array.isArray(map.nodes) ? map.nodes : []).map(n => n?.imageUrl).filter(isImageFile);
+  const missing = [...new Set(wanted)].filter(fileName => !assets.has(fileName));
+  return { map, assets, missing };
+}
+
+/** Full-size image bytes from an imported package, or null */
+export function getPackageAsset(mapName, fileName) {
+  return packageAssets.get(packageFolder(mapName))?.get(fileName) || null;
+}
+
+/**
+ * Make a package's images available to the app without a CDN: full-size files
+ * into the registry, node thumbnails into the image cache, and the placeholder.
+ */
+export async function installPackageAssets(map, assets) {
+  const mapName = deserializeGraph(map).mapName;
+  packageAssets.set(packageFolder(mapName), assets);
+
+  const nodeImages = new Set((map.nodes || []).map(n => n?.imageUrl).filter(url => isImageFile(url) && assets.has(url)));
+  for (const fileName of nodeImages) {
+    const thumbName = thumbnailFileName(fileName);
+    let thumb = null;
+    if (thumbName && assets.has(thumbName)) {
+      thumb = bytesToDataUrl(assets.get(thumbName), mimeForFileName(thumbName));
+    } else {
+      try {
+        thumb = await blobToThumbnailDataUrl(new Blob([assets.get(fileName)], { type: mimeForFileName(fileName) }));
+      } catch {
+        thumb = bytesToDataUrl(assets.get(fileName), mimeForFileName(fileName));
+      }
+    }
+    imageCache.set(`${mapName}:${fileName}`, thumb);
+  }
+
+  if (assets.has(PLACEHOLDER_FILE_NAME)) {
+    setDefaultPlaceholderSvg(mapName, bytesToDataUrl(assets.get(PLACEHOLDER_FILE_NAME), 'image/svg+xml'));
+  }
+  printDebug(`mapPackage: installed ${assets.size} packaged file(s) for map '${mapName}'`);
+}
+
+/**
+ * Read and validate a package file.
+ * @returns {Promise<object>} parseAndValidateRumorMap's shape, plus `assets` for installPackageAssets
+ */
+export async function loadMapPackageFile(file) {
+  try {
+    const { map, assets, missing } = await readMapPackage(await file.arrayBuffer());
+    if (missing.length) printWarn(`mapPackage: ${file.name} is missing image(s):`, missing);
+    return { ...validateLoadedMap(map), assets };
+  } catch (err) {
+    return { isValid: false, errors: [`${file.name}: ${err.message}`] };
+  }
+}
+
+/** True for files the package importer should handle */
+export function isMapPackageFile(file) {
+  return /\.zip$/i.test(file?.name || '') || /^application\/(x-)?zip/.test(file?.type || '');
+}
@@ -0,0 +1,121 @@
+// src/importers/mapPackage.test.js
+
+import {
+  buildMapPackage, readMapPackage, thumbnailFileName, dataUrlToBytes, bytesToDataUrl, PLACEHOLDER_FILE_NAME
+} from './mapPackage.js';
+import { createZip, readZip } from '../utils/zip.js';
+import { TEST_ICON_SVG } from '../constants/testAssets.js';
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgo=';
+const bytes = (text) => new TextEncoder().encode(text);
+
+const graph = () => ({
+  mapName: 'My Map',
+  nodes: [
+    { id: 'a', title: 'A', x: 0, y: 0, imageUrl: 'a_123.webp' },
+    { id: 'b', title: 'B', x: 10, y: 0, imageUrl: PNG_DATA_URL },
+    { id: 'c', title: 'C', x: 20, y: 0, imageUrl: 'gone.png' },
+    { id: 'd', title: 'D', x: 30, y: 0, imageUrl: 'unspecified' }
+  ],
+  edges: [],
+  notes: {},
+  bgImage: { included: true, imageUrl: 'data:image/jpeg;base64,/9j/', x: 5, y: 6, scale: 50, opacity: 80, visible: true }
+});
+
+// Serves the map folder as a CDN would; 'gone.png' and thumbnails don't exist
+const loadAsset = async (fileName) => (fileName === 'a_123.webp' ? bytes('full-a') : null);
+
+describe('map packages', () => {
+  test('thumbnail names follow saveImageFiles', () => {
+    expect(thumbnailFileName('n_abc.webp')).toBe('n_abc_thumb.webp');
+    expect(thumbnailFileName('n_abc_thumb.webp')).toBeNull();
+  });
+
+  test('data URLs convert to bytes and back', () => {
+    const { mime, bytes: data } = dataUrlToBytes(TEST_ICON_SVG);
+    expect(mime).toBe('image/svg+xml');
+    expect(bytesToDataUrl(data, mime)).toBe(TEST_ICON_SVG);
+    expect(new TextDecoder().decode(dataUrlToBytes('data:image/svg+xml,%3Csvg%2F%3E').bytes)).toBe('<svg/>');
+  });
+
+  test('export lays files out like the CDN folder', async () => {
+    const { zip, fileName, missing } = await buildMapPackage(graph(), {
+      loadAsset,
+      cachedThumbnail: (name) => (name === 'a_123.webp' ? 'data:image/webp;base64,dGh1bWI=' : null)
+    });
+    expect(fileName).toBe('my_map.zip');
+    expect(missing).toEqual(['gone.png']);
+
+    const files = await readZip(zip);
+    const paths = files.map(f => f.path);
+    expect(paths[0]).toBe('my_map.json');
+    expect(paths.slice(1)).toEqual([
+      'My Map/a_123.webp',
+      'My Map/a_123_thumb.webp',
+      expect.stringMatching(/^My Map\/b_[0-9a-f]{8}\.png$/),
+      'My Map/underlay.jpeg',
+      `My Map/${PLACEHOLDER_FILE_NAME}`
+    ]);
+
+    const file = (p) => files.find(f => f.path === p).data;
+    expect(new TextDecoder().decode(file('My Map/a_123_thumb.webp'))).toBe('thumb');
+    expect(bytesToDataUrl(file(`My Map/${PLACEHOLDER_FILE_NAME}`), 'image/svg+xml')).toBe(TEST_ICON_SVG);
+
+    const json = JSON.parse(new TextDecoder().decode(file('my_map.json')));
+    expect(json.nodes[1].imageUrl).toMatch(/^b_[0-9a-f]{8}\.png$/);
+    expect(json.bgImage).toMatchObject({ included: true, imageUrl: 'underlay.jpeg', x: 5, scale: 50 });
+  });
+
+  test('never writes a full-size image as its thumbnail', async () => {
+    // jsdom can't draw images, so no thumbnail can be made for these
+    const { zip } = await buildMapPackage(graph(), { loadAsset });
+    const paths = (await readZip(zip)).map(f => f.path);
+    expect(paths.filter(p => p.includes('_thumb'))).toEqual([]);
+  });
+
+  test('file names from the map can\'t leave the map folder', async () => {
+    const map = {
+      mapName: '../up',
+      nodes: [
+        { id: 'a', title: 'A', x: 0, y: 0, imageUrl: '../../evil.png' },
+        { id: 'b', title: 'B', x: 10, y: 0, imageUrl: 'sub/dir/b.png' }
+      ],
+      edges: [],
+      bgImage: { included: true, imageUrl: '../bg.jpeg' }
+    };
+    const { zip } = await buildMapPackage(map, { loadAsset: async () => bytes('img') });
+    const paths = (await readZip(zip)).map(f => f.path);
+    paths.forEach(p => expect(p.split('/').filter(part => part === '..' || part === '')).toEqual([]));
+    expect(paths).toEqual(expect.arrayContaining(['__up/____evil.png', '__up/sub_dir_b.png', '__up/__bg.jpeg']));
+
+    const { map: restored, missing } = await readMapPackage(zip);
+    expect(restored.nodes.map(n => n.imageUrl)).toEqual(['____evil.png', 'sub_dir_b.png']);
+    expect(missing).toEqual([]);
+  });
+
+  test('import restores the map, its images and the inlined background', async () => {
+    const { zip } = await buildMapPackage(graph(), { loadAsset });
+    const { map, assets, missing } = await readMapPackage(zip);
+
+    expect(map.mapName).toBe('My Map');
+    expect(map.bgImage.imageUrl).toBe('data:image/jpeg;base64,/9j/');
+    expect(missing).toEqual(['gone.png']);
+    expect(new TextDecoder().decode(assets.get('a_123.webp'))).toBe('full-a');
+    expect(bytesToDataUrl(assets.get(map.nodes[1].imageUrl), 'image/png')).toBe(PNG_DATA_URL);
+  });
+
+  test('import accepts a package re-zipped inside a folder', async () => {
+    const zip = createZip([
+      { path: 'download/m.json', data: JSON.stringify({ mapName: 'm', nodes: [{ id: 'x', imageUrl: 'x.png' }], edges: [] }) },
+      { path: 'download/m/x.png', data: bytes('img') }
+    ]);
+    const { assets, missing } = await readMapPackage(zip);
+    expect([...assets.keys()]).toEqual(['x.png']);
+    expect(missing).toEqual([]);
+  });
+
+  test('import rejects archives without a map', async () => {
+    await expect(readMapPackage(createZip([{ path: 'x/readme.txt', data: 'hi' }]))).rejects.toThrow(/No map JSON/);
+    await expect(readMapPackage(createZip([{ path: 'm.json', data: '{nope' }]))).rejects.toThrow(/Invalid JSON in m.json/);
+  });
+});
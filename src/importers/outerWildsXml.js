@@ -0,0 +1,200 @@
+// src/importers/outerWildsXml.js
+
+/**
+ * Outer Wilds ship log XML importer
+ *
+ * Responsibilities
+ * - Parse the game's ShipLog XML assets (one <AstroObjectEntry> per file) into
+ *   entries with their rumor and explore facts.
+ * - Convert one or more files into a map: entries become nodes, each rumor
+ *   becomes a directed edge from its SourceID entry, facts become notes.
+ * - Map an entry's <Curiosity> to a node color; curiosity entries are double size,
+ *   child entries half size.
+ *
+ * Notes shape
+ * - Explore facts are plain strings; rumor facts are { text, requires: sourceId }
+ *   so they only read once the source entry has been visited.
+ *
+ * Gotchas
+ * - Rumors whose source lives in a file that wasn't imported are kept, so
+ *   validation reports them (and offers to drop them) instead of losing them silently.
+ * - The XML has no positions; entries are laid out in one column per astro
+ *   object, children indented below their parent.
+ */
+
+import { CURRENT_SCHEMA_VERSION } from '../graph/schema.js';
+import { validateLoadedMap } from '../rumorMapValidation.js';
+import { readFileAsText } from './readFile.js';
+
+// The game's curiosities, in their ship log colors
+export const CURIOSITY_COLORS = {
+  TIME_LOOP: 'orange',
+  QUANTUM_MOON: 'purple',
+  VESSEL: 'red',
+  COMET_CORE: 'green',
+  INVISIBLE_PLANET: 'blue'
+};
+
+// Handed out in order to curiosities we don't know (e.g. from mods)
+const SPARE_COLORS = ['blue', 'green', 'orange', 'purple', 'red'];
+
+const COLUMN_WIDTH = 700;
+const ROW_HEIGHT = 220;
+const CHILD_OFFSET_X = 260;
+const CHILD_ROW_HEIGHT = 130;
+
+// Text of a direct child element (not of nested entries/facts)
+function childText(el, tag) {
+  const child = Array.from(el.children).find(c => c.tagName === tag);
+  return child ? child.textContent.trim() : '';
+}
+
+const childElements = (el, tag) => Array.from(el.children).filter(c => c.tagName === tag);
+const hasChild = (el, tag) => childElements(el, tag).length > 0;
+
+// Child entries without their own <Curiosity> belong to their parent's
+function parseEntry(el, parent, astroObjectId, out) {
+  const id = childText(el, 'ID');
+  const entry = {
+    id,
+    name: childText(el, 'Name') || id,
+    astroObjectId,
+    parentId: parent?.id ?? null,
+    curiosity: childText(el, 'Curiosity') || parent?.curiosity || null,
+    isCuriosity: hasChild(el, 'IsCuriosity'),
+    rumors: childElements(el, 'RumorFact').map(f => ({
+      id: childText(f, 'ID'),
+      sourceId: childText(f, 'SourceID') || null,
+      text: childText(f, 'Text')
+    })),
+    facts: childElements(el, 'ExploreFact').map(f => ({ id: childText(f, 'ID'), text: childText(f, 'Text') }))
+  };
+  out.push(entry);
+  childElements(el, 'Entry').forEach(child => parseEntry(child, entry, astroObjectId, out));
+}
+
+/**
+ * Parse one ShipLog XML file.
+ * @returns {{ id: string, entries: Array<{ id, name, astroObjectId, parentId, curiosity, isCuriosity, rumors, facts }> }}
+ * @throws {Error} when the text isn't XML or isn't a ship log
+ */
+export function parseShipLogXml(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+  }
+  const root = doc.documentElement;
+  if (!root || root.tagName !== 'AstroObjectEntry') {
+    throw new Error('Not an Outer Wilds ship log file (expected <AstroObjectEntry>)');
+  }
+  const id = childText(root, 'ID');
+  const entries = [];
+  childElements(root, 'Entry').forEach(el => parseEntry(el, null, id, entries));
+  return { id, entries };
+}
+
+/** Node color for each curiosity used by the entries: known ones first, spares for the rest */
+function curiosityColors(entries) {
+  const colors = { ...CURIOSITY_COLORS };
+  let spare = 0;
+  entries.forEach(({ curiosity }) => {
+    if (!curiosity || colors[curiosity]) return;
+    colors[curiosity] = SPARE_COLORS[spare++ % SPARE_COLORS.length];
+  });
+  return colors;
+}
+
+/**
+ * Convert parsed astro objects (see parseShipLogXml) into a map.
+ * @param {Array} astroObjects
+ * @param {{ mapName?: string }} [options]
+ * @returns {object} map JSON at the current schema version
+ */
+export function shipLogToGraph(astroObjects, { mapName } = {}) {
+  const entries = astroObjects.flatMap(obj => obj.entries);
+  const colors = curiosityColors(entries);
+
+  // One column per astro object; children indented under their parent
+  const nodes = [];
+  astroObjects.forEach((obj, column) => {
+    const childrenOf = (id) => obj.entries.filter(e => e.parentId === id);
+    let y = 0;
+    const place = (entry, depth) => {
+      nodes.push(entryNode(entry, column * COLUMN_WIDTH + depth * CHILD_OFFSET_X, y, colors));
+      y += depth === 0 ? ROW_HEIGHT : CHILD_ROW_HEIGHT;
+      childrenOf(entry.id).forEach(child => place(child, depth + 1));
+    };
+    childrenOf(null).forEach(top => place(top, 0));
+  });
+
+  const entryIds = new Set(entries.map(e => e.id));
+  const edges = [];
+  const edgeKeys = new Set();
+  const notes = {};
+  entries.forEach(entry => {
+    const texts = [];
+    entry.rumors.forEach(rumor => {
+      if (rumor.sourceId && rumor.sourceId !== entry.id) {
+        const key = `${rumor.sourceId}__${entry.id}`;
+        if (!edgeKeys.has(key)) {
+          edgeKeys.add(key);
+          edges.push({ id: key, source: rumor.sourceId, target: entry.id, direction: 'forward' });
+        }
+      }
+      if (!rumor.text) return;
+      texts.push(rumor.sourceId && entryIds.has(rumor.sourceId) && rumor.sourceId !== entry.id
+        ? { text: rumor.text, requires: rumor.sourceId }
+        : rumor.text);
+    });
+    entry.facts.forEach(fact => { if (fact.text) texts.push(fact.text); });
+    if (texts.length) notes[entry.id] = texts;
+  });
+
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    nodes,
+    edges,
+    notes,
+    mode: 'editing',
+    mapName: mapName || (astroObjects.length === 1 && astroObjects[0].id ? astroObjects[0].id.toLowerCase() : 'ship_log')
+  };
+}
+
+function entryNode(entry, x, y, colors) {
+  return {
+    id: entry.id,
+    title: entry.name,
+    x,
+    y,
+    size: entry.isCuriosity ? 'double' : (entry.parentId ? 'half' : 'regular'),
+    color: (entry.curiosity && colors[entry.curiosity]) || 'gray'
+  };
+}
+
+/** True for files the ship log importer should handle */
+export function isShipLogXmlFile(file) {
+  return /\.xml$/i.test(file?.name || '') || /[/+]xml$/.test(file?.type || '');
+}
+
+/**
+ * Read, convert and validate ship log XML files as one map.
+ * @param {File[]} files
+ * @returns {Promise<{isValid: boolean, errors: string[], data?: object, map?: object, issues?: object[]}>}
+ *   same shape as rumorMapValidation.parseAndValidateRumorMap
+ */
+export async function loadShipLogXmlFiles(files) {
+  try {
+    const texts = await Promise.all(files.map(readFileAsText));
+    const astroObjects = texts.map((text, i) => {
+      try {
+        return parseShipLogXml(text);
+      } catch (err) {
+        throw new Error(`${files[i].name}: ${err.message}`);
+      }
+    });
+    return validateLoadedMap(shipLogToGraph(astroObjects));
+  } catch (err) {
+    return { isValid: false, errors: [err.message] };
+  }
+}
@@ -0,0 +1,96 @@
+// src/importers/outerWildsXml.test.js
+
+import { parseShipLogXml, shipLogToGraph, isShipLogXmlFile } from './outerWildsXml.js';
+import { validateRumorMap } from '../rumorMapValidation.js';
+
+const TIMBER_HEARTH = `<?xml version="1.0" encoding="utf-8"?>
+<AstroObjectEntry xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <ID>TIMBER_HEARTH</ID>
+  <Entry>
+    <ID>TH_VILLAGE</ID>
+    <Name>Village</Name>
+    <ExploreFact>
+      <ID>TH_VILLAGE_X1</ID>
+      <Text>The launch codes are at the observatory.</Text>
+    </ExploreFact>
+  </Entry>
+  <Entry>
+    <ID>TH_ZERO_G_CAVE</ID>
+    <Name>Zero-G Cave</Name>
+    <Curiosity>TIME_LOOP</Curiosity>
+    <RumorFact>
+      <ID>TH_ZERO_G_CAVE_R1</ID>
+      <SourceID>TH_VILLAGE</SourceID>
+      <Text><![CDATA[Gossan mentioned a <b>zero-g</b> cave.]]></Text>
+    </RumorFact>
+    <RumorFact>
+      <ID>TH_ZERO_G_CAVE_R2</ID>
+      <SourceID>BH_CITY</SourceID>
+      <Text>Heard about it from afar.</Text>
+    </RumorFact>
+    <Entry>
+      <ID>TH_SATELLITE</ID>
+      <Name>Satellite Repair</Name>
+      <ExploreFact><ID>TH_SAT_X1</ID><Text>Fixed it.</Text></ExploreFact>
+    </Entry>
+  </Entry>
+</AstroObjectEntry>`;
+
+const QUANTUM_MOON = `<AstroObjectEntry>
+  <ID>QUANTUM_MOON</ID>
+  <Entry>
+    <ID>QM_SHRINE</ID>
+    <Name>Quantum Shrine</Name>
+    <Curiosity>QUANTUM_MOON</Curiosity>
+    <IsCuriosity/>
+    <RumorFact><ID>QM_R1</ID><SourceID>TH_VILLAGE</SourceID><Text>A moon that moves.</Text></RumorFact>
+  </Entry>
+</AstroObjectEntry>`;
+
+describe('outerWildsXml', () => {
+  test('parses entries, nesting, curiosities and facts', () => {
+    const { id, entries } = parseShipLogXml(TIMBER_HEARTH);
+    expect(id).toBe('TIMBER_HEARTH');
+    expect(entries.map(e => [e.id, e.parentId, e.curiosity])).toEqual([
+      ['TH_VILLAGE', null, null],
+      ['TH_ZERO_G_CAVE', null, 'TIME_LOOP'],
+      ['TH_SATELLITE', 'TH_ZERO_G_CAVE', 'TIME_LOOP']
+    ]);
+    expect(entries[1].rumors[0]).toEqual({ id: 'TH_ZERO_G_CAVE_R1', sourceId: 'TH_VILLAGE', text: 'Gossan mentioned a <b>zero-g</b> cave.' });
+  });
+
+  test('rejects non-XML and non-ship-log files', () => {
+    expect(() => parseShipLogXml('<AstroObjectEntry>')).toThrow(/Invalid XML/);
+    expect(() => parseShipLogXml('<Other/>')).toThrow(/Not an Outer Wilds ship log/);
+  });
+
+  test('builds nodes, rumor edges and notes across files', () => {
+    const map = shipLogToGraph([parseShipLogXml(TIMBER_HEARTH), parseShipLogXml(QUANTUM_MOON)]);
+    expect(map.mapName).toBe('ship_log');
+    expect(map.nodes.map(n => [n.id, n.color, n.size])).toEqual([
+      ['TH_VILLAGE', 'gray', 'regular'],
+      ['TH_ZERO_G_CAVE', 'orange', 'regular'],
+      ['TH_SATELLITE', 'orange', 'half'],
+      ['QM_SHRINE', 'purple', 'double']
+    ]);
+    expect(map.nodes[3].x).toBeGreaterThan(map.nodes[2].x);
+    expect(map.edges.map(e => e.id)).toEqual(['TH_VILLAGE__TH_ZERO_G_CAVE', 'BH_CITY__TH_ZERO_G_CAVE', 'TH_VILLAGE__QM_SHRINE']);
+    expect(map.notes.TH_ZERO_G_CAVE).toEqual([
+      { text: 'Gossan mentioned a <b>zero-g</b> cave.', requires: 'TH_VILLAGE' },
+      'Heard about it from afar.'
+    ]);
+    expect(map.notes.TH_SATELLITE).toEqual(['Fixed it.']);
+  });
+
+  test('rumors from files not imported surface as validation errors', () => {
+    const map = shipLogToGraph([parseShipLogXml(TIMBER_HEARTH)]);
+    expect(map.mapName).toBe('timber_hearth');
+    expect(validateRumorMap(map).errors).toEqual(['Edge at index 1: Edge source "BH_CITY" does not reference a valid node']);
+  });
+
+  test('recognizes XML files by name or type', () => {
+    expect(isShipLogXmlFile({ name: 'TimberHearth.XML' })).toBe(true);
+    expect(isShipLogXmlFile({ name: 'log', type: 'text/xml' })).toBe(true);
+    expect(isShipLogXmlFile({ name: 'map.json', type: 'application/json' })).toBe(false);
+  });
+});
@@ -0,0 +1,11 @@
+// src/importers/readFile.js
+
+/** Read a File as text (FileReader, so it also works in jsdom) */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.readAsText(file);
+  });
+}
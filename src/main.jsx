@@ -6,6 +6,8 @@
  * Responsibilities
  * - Mounts <App/> into #root.
  * - Global styles import and error boundaries (if applicable).
+ * - Applies a pending map-library switch before the first render, so App's
+ *   localStorage-backed initial state already belongs to the chosen map.
  *
  * Notes
  * - Keep this file minimal—composition lives in App.jsx.
@@ -19,15 +21,23 @@ import App from './App.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
 import { SearchUIProvider } from './search/SearchUIContext'
 import { registerSW } from './swRegistration.js';
+import { getMapLibrary } from './persistence/mapLibrary.js';
+import { printWarn } from './utils/debug.js';
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <ErrorBoundary>
-      <SearchUIProvider>
-        <App />
-      </SearchUIProvider>
-    </ErrorBoundary>
-  </StrictMode>
-)
+function renderApp() {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <ErrorBoundary>
+        <SearchUIProvider>
+          <App />
+        </SearchUIProvider>
+      </ErrorBoundary>
+    </StrictMode>
+  )
+}
+
+getMapLibrary().applyPendingMapSwitch()
+  .catch(err => printWarn('Map library unavailable:', err))
+  .finally(renderApp);
 
 registerSW();
\ No newline at end of file
@@ -12,6 +12,7 @@
  * Exports
  * - loadFromUrl(), loadFromLocalStorage(), saveToLocalStorage(state)
  * - serializeToUrl(state), serializeToJson(state), parseFromJson(json)
+ * - saveUndoHistoryToLocal({ past, future }), loadUndoHistoryFromLocal()
  *
  * Gotchas
  * - Keep schema versioning in mind; use rumorMapValidation on load paths.
@@ -19,18 +20,22 @@
 
 import { deserializeGraph, serializeGraph } from "../graph/ops.js";
 
-const STORAGE_KEY = "ship_log_map_v1";
+export const STORAGE_KEY = "ship_log_map_v1";
 const VALID_MODES = ['editing', 'playing'];
-const MODE_STORAGE_KEY = "ship_log_map_mode_v1";
-const UNDO_STORAGE_KEY = "ship_log_map_undo_v1";
-const MAP_NAME_STORAGE_KEY = "ship_log_map_name_v1";
+export const MODE_STORAGE_KEY = "ship_log_map_mode_v1";
+export const UNDO_STORAGE_KEY = "ship_log_map_undo_v2";
+const LEGACY_UNDO_STORAGE_KEY = "ship_log_map_undo_v1"; // single checkpoint, pre-history
+export const MAP_NAME_STORAGE_KEY = "ship_log_map_name_v1";
 const SCHEMA_VERSION = 1;
 const UNIVERSAL_MENU_COLLAPSED_KEY = "ship_log_universal_menu_collapsed_v1";
 const GRAPH_CONTROLS_COLLAPSED_KEY = "ship_log_graph_controls_collapsed_v1";
 const CAMERA_INFO_COLLAPSED_KEY = "ship_log_camera_info_collapsed_v1";
-const ORIENTATION_KEY = "ship_log_orientation_v1";
-const COMPASS_VISIBLE_KEY = "ship_log_compass_visible_v1";
+export const ORIENTATION_KEY = "ship_log_orientation_v1";
+export const COMPASS_VISIBLE_KEY = "ship_log_compass_visible_v1";
 const LAST_QUERY_PARAMS_KEY = "ship_log_last_query_params_v1";
+// Written by App.jsx (camera on unload, last CDN map URL)
+export const CAMERA_STORAGE_KEY = "shipLogCamera";
+export const LAST_LOADED_MAP_URL_KEY = "shipLogLastLoadedMapUrl";
 
 export function newBlankMap() {
   return { nodes: [], edges: [], notes: {}, mode: 'editing', __version: SCHEMA_VERSION };
@@ -68,32 +73,81 @@ export function loadModeFromLocal() {
   }
 }
 
-export function saveUndoStateToLocal(graphState) {
+// Snapshot -> storable shape. Data-URL bg images are dropped (same rule as
+// serializeGraph) and flagged so a restore keeps whatever image is current.
+function toStoredUndoSnapshot(snapshot) {
+  const g = JSON.parse(serializeGraph(snapshot));
+  const stored = { nodes: g.nodes, edges: g.edges, notes: g.notes, tags: g.tags, tours: g.tours, orientation: g.orientation };
+  if (snapshot?.bgImage) {
+    const isDataUrl = typeof snapshot.bgImage.imageUrl === "string" && snapshot.bgImage.imageUrl.startsWith("data:");
+    stored.bgImage = isDataUrl ? { ...g.bgImage, imageUrlOmitted: true } : g.bgImage;
+  }
+  return stored;
+}
+
+function fromStoredUndoSnapshot(stored) {
+  const g = deserializeGraph(stored);
+  const snapshot = { nodes: g.nodes, edges: g.edges, notes: g.notes, tags: g.tags, tours: g.tours, orientation: g.orientation };
+  if (stored?.bgImage) {
+    snapshot.bgImage = stored.bgImage.imageUrlOmitted
+      ? { ...g.bgImage, imageUrlOmitted: true }
+      : g.bgImage;
+  }
+  return snapshot;
+}
+
+export function saveUndoHistoryToLocal(history) {
   try {
-    if (graphState) {
-      const payload = { ...graphState, __version: SCHEMA_VERSION };
-      localStorage.setItem(UNDO_STORAGE_KEY, serializeGraph(payload));
-    } else {
+    const past = Array.isArray(history?.past) ? history.past : [];
+    const future = Array.isArray(history?.future) ? history.future : [];
+    if (past.length === 0 && future.length === 0) {
       localStorage.removeItem(UNDO_STORAGE_KEY);
+      return true;
+    }
+    const payload = {
+      past: past.map(toStoredUndoSnapshot),
+      future: future.map(toStoredUndoSnapshot),
+      __version: SCHEMA_VERSION
+    };
+    // Many snapshots of a big map can exceed the quota: drop the oldest half until it fits
+    for (;;) {
+      try {
+        localStorage.setItem(UNDO_STORAGE_KEY, JSON.stringify(payload));
+        return true;
+      } catch (e) {
+        if (payload.past.length <= 1 && payload.future.length <= 1) throw e;
+        payload.past = payload.past.slice(Math.ceil(payload.past.length / 2));
+        payload.future = payload.future.slice(Math.ceil(payload.future.length / 2));
+      }
     }
-    return true;
   } catch (e) {
-    console.error("saveUndoStateToLocal failed:", e);
+    console.error("saveUndoHistoryToLocal failed:", e);
     return false;
   }
 }
 
-export function loadUndoStateFromLocal() {
+export function loadUndoHistoryFromLocal() {
+  const empty = { past: [], future: [] };
   try {
     const raw = localStorage.getItem(UNDO_STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    // Version gate if we ever need migrations
-    if (typeof parsed.__version !== "number") parsed.__version = 1;
-    return deserializeGraph(parsed);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      return {
+        past: (Array.isArray(parsed.past) ? parsed.past : []).map(fromStoredUndoSnapshot),
+        future: (Array.isArray(parsed.future) ? parsed.future : []).map(fromStoredUndoSnapshot)
+      };
+    }
+
+    // Migrate the old single-checkpoint format into a one-entry history
+    const legacyRaw = localStorage.getItem(LEGACY_UNDO_STORAGE_KEY);
+    if (!legacyRaw) return empty;
+    localStorage.removeItem(LEGACY_UNDO_STORAGE_KEY);
+    // v1 never captured the bg image; serializeGraph only filled in defaults
+    const { bgImage: _defaultBg, ...legacy } = JSON.parse(legacyRaw);
+    return { past: [fromStoredUndoSnapshot(legacy)], future: [] };
   } catch (e) {
-    console.error("loadUndoStateFromLocal failed:", e);
-    return null;
+    console.error("loadUndoHistoryFromLocal failed:", e);
+    return empty;
   }
 }
 
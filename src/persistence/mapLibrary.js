@@ -0,0 +1,331 @@
+// src/persistence/mapLibrary.js
+
+/**
+ * Map Library (IndexedDB)
+ *
+ * Responsibilities
+ * - Keep many maps locally, each with its own graph, mode, undo history, bg image,
+ *   camera, visited state, hidden layers and tour progress.
+ * - List / create / duplicate / rename / delete / search library entries.
+ * - Switch maps, and migrate the single pre-library map into the library.
+ *
+ * How it fits
+ * - The rest of the app still reads and autosaves the *working* map in localStorage
+ *   (persistence/index.js, bg/useBgImageState.js, visitedStore, …). A library record
+ *   is a snapshot of those working keys; switching maps writes the current working
+ *   keys back into the active record and replaces them with the target record's.
+ * - Switching happens at startup (applyPendingMapSwitch, called from main.jsx before
+ *   <App/> mounts): requestMapSwitch() only marks the target and the caller reloads.
+ *   That way the outgoing map's last unload writes (camera) land in its own record.
+ *
+ * Gotchas
+ * - Without IndexedDB (private windows in some browsers, jsdom) the library falls back
+ *   to an in-memory store for the session.
+ * - Opening the database fails (rather than waits) when another tab blocks the
+ *   version upgrade; main.jsx renders the app anyway.
+ * - The library name is a display name; renaming doesn't touch `mapName`, which
+ *   decides CDN image paths.
+ */
+
+import {
+  newBlankMap, STORAGE_KEY, MODE_STORAGE_KEY, UNDO_STORAGE_KEY, MAP_NAME_STORAGE_KEY,
+  ORIENTATION_KEY, COMPASS_VISIBLE_KEY, CAMERA_STORAGE_KEY, LAST_LOADED_MAP_URL_KEY
+} from './index.js';
+import { LS_KEY as BG_IMAGE_KEY } from '../bg/useBgImageState.js';
+import { CDN_BASE_URL_KEY } from '../utils/cdnHelpers.js';
+import { visitedStorageKey } from '../utils/visitedStore.js';
+import { layersStorageKey } from '../utils/layersStore.js';
+import { tourProgressStorageKey } from '../utils/tourStore.js';
+import { serializeGraph } from '../graph/ops.js';
+import { printDebug, printWarn } from '../utils/debug.js';
+
+const DB_NAME = 'ship_log_map_library';
+const DB_VERSION = 2; // v2 added the snapshots store (persistence/snapshots.js)
+const STORE_NAMES = ['maps', 'snapshots'];
+const ACTIVE_MAP_ID_KEY = 'ship_log_active_map_id_v1';
+const PENDING_MAP_ID_KEY = 'ship_log_pending_map_id_v1';
+
+// Working-map localStorage keys, owned by the modules that read and write them
+const WORKING_KEYS = {
+  graph: STORAGE_KEY,
+  mode: MODE_STORAGE_KEY,
+  undo: UNDO_STORAGE_KEY,
+  mapName: MAP_NAME_STORAGE_KEY,
+  orientation: ORIENTATION_KEY,
+  compassVisible: COMPASS_VISIBLE_KEY,
+  bgImage: BG_IMAGE_KEY,
+  camera: CAMERA_STORAGE_KEY,
+  cdnBaseUrl: CDN_BASE_URL_KEY,
+  lastLoadedMapUrl: LAST_LOADED_MAP_URL_KEY
+};
+
+// Keys scoped by mapName
+const SCOPED_KEYS = {
+  visited: visitedStorageKey,
+  layers: layersStorageKey,
+  tours: tourProgressStorageKey
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Record store backed by one object store of the library database.
+ * @param {'maps'|'snapshots'} [storeName]
+ * @param {IDBFactory} [factory]
+ * @returns {{ getAll(): Promise<object[]>, get(id): Promise<object|undefined>, put(record): Promise<void>, delete(id): Promise<void> }}
+ */
+export function createIndexedDbStore(storeName = 'maps', factory = globalThis.indexedDB) {
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      const request = factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORE_NAMES.forEach(name => {
+          if (!request.result.objectStoreNames.contains(name)) {
+            request.result.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+      // Another tab holding an older version blocks the upgrade until it closes; fail
+      // instead of waiting, so startup (applyPendingMapSwitch) doesn't hang. A later
+      // call tries again, and a connection that opens after giving up is closed.
+      let blocked = false;
+      dbPromise = new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          if (blocked) request.result.close();
+          else resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => {
+          blocked = true;
+          reject(new Error('Map library is open in another tab with an older version; close it and reload'));
+        };
+      }).catch(err => {
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    const db = await open();
+    return promisify(fn(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+  return {
+    getAll: () => run('readonly', s => s.getAll()),
+    get: (id) => run('readonly', s => s.get(id)),
+    put: async (record) => { await run('readwrite', s => s.put(record)); },
+    delete: async (id) => { await run('readwrite', s => s.delete(id)); }
+  };
+}
+
+/** Record store kept in memory; same interface as createIndexedDbStore */
+export function createMemoryStore() {
+  const records = new Map();
+  const copy = (r) => (r ? JSON.parse(JSON.stringify(r)) : undefined);
+  return {
+    getAll: async () => [...records.values()].map(copy),
+    get: async (id) => copy(records.get(id)),
+    put: async (record) => { records.set(record.id, copy(record)); },
+    delete: async (id) => { records.delete(id); }
+  };
+}
+
+/** IndexedDB store when available, else an in-memory one */
+export function createDefaultStore(storeName) {
+  return typeof globalThis.indexedDB !== 'undefined' ? createIndexedDbStore(storeName) : createMemoryStore();
+}
+
+const newId = () => `map_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+function readGraphSummary(rawGraph) {
+  try {
+    const parsed = rawGraph ? JSON.parse(rawGraph) : null;
+    return {
+      mapName: typeof parsed?.mapName === 'string' ? parsed.mapName : null,
+      nodeCount: Array.isArray(parsed?.nodes) ? parsed.nodes.length : 0
+    };
+  } catch {
+    return { mapName: null, nodeCount: 0 };
+  }
+}
+
+/**
+ * Snapshot the working map's localStorage keys.
+ * @param {Storage} [storage]
+ * @returns {{ mapName: string, nodeCount: number, data: object, scoped: object }}
+ */
+export function captureWorkingMap(storage = localStorage) {
+  const data = {};
+  Object.entries(WORKING_KEYS).forEach(([field, key]) => {
+    const value = storage.getItem(key);
+    if (value != null) data[field] = value;
+  });
+  const summary = readGraphSummary(data.graph);
+  const mapName = summary.mapName || data.mapName || 'default_map';
+  const scoped = {};
+  Object.entries(SCOPED_KEYS).forEach(([field, keyFor]) => {
+    const value = storage.getItem(keyFor(mapName));
+    if (value != null) scoped[field] = value;
+  });
+  return { mapName, nodeCount: summary.nodeCount, data, scoped };
+}
+
+/**
+ * Replace the working map's localStorage keys with a library record's snapshot.
+ * @param {{ data?: object, scoped?: object, mapName?: string }} record
+ * @param {Storage} [storage]
+ */
+export function mountWorkingMap(record, storage = localStorage) {
+  const outgoing = captureWorkingMap(storage).mapName;
+  Object.values(WORKING_KEYS).forEach(key => storage.removeItem(key));
+  Object.values(SCOPED_KEYS).forEach(keyFor => storage.removeItem(keyFor(outgoing)));
+
+  const data = record.data || {};
+  Object.entries(WORKING_KEYS).forEach(([field, key]) => {
+    if (typeof data[field] === 'string') storage.setItem(key, data[field]);
+  });
+  const mapName = readGraphSummary(data.graph).mapName || data.mapName || record.mapName || 'default_map';
+  Object.entries(SCOPED_KEYS).forEach(([field, keyFor]) => {
+    const value = record.scoped?.[field];
+    if (typeof value === 'string') storage.setItem(keyFor(mapName), value);
+  });
+}
+
+/**
+ * Filter library entries by name or mapName (case-insensitive, every word must match).
+ * @param {Array<{ name: string, mapName?: string }>} entries
+ * @param {string} query
+ */
+export function searchMaps(entries, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return entries;
+  return entries.filter(entry => {
+    const haystack = `${entry.name} ${entry.mapName || ''}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+// Records without their (potentially large) snapshots, newest first
+const toEntry = ({ data: _data, scoped: _scoped, ...entry }) => entry;
+const byUpdatedDesc = (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0);
+
+function blankSnapshot() {
+  return {
+    mapName: 'default_map',
+    nodeCount: 0,
+    data: { graph: serializeGraph({ ...newBlankMap(), mapName: 'default_map', cdnBaseUrl: '' }) },
+    scoped: {}
+  };
+}
+
+/**
+ * Build the library API over a record store and the working-map storage.
+ * @param {{ store?: object, storage?: Storage, now?: () => number }} [options]
+ */
+export function createMapLibrary({ store, storage = localStorage, now = () => Date.now() } = {}) {
+  const records = store || createDefaultStore('maps');
+
+  const getActiveId = () => storage.getItem(ACTIVE_MAP_ID_KEY);
+  const setActiveId = (id) => storage.setItem(ACTIVE_MAP_ID_KEY, id);
+
+  const addRecord = async (name, snapshot) => {
+    const time = now();
+    const record = { id: newId(), name, createdAt: time, updatedAt: time, ...snapshot };
+    await records.put(record);
+    return record;
+  };
+
+  /** Write the working map into the active record. Returns the entry, or null if there is none. */
+  const saveActive = async () => {
+    const id = getActiveId();
+    const existing = id ? await records.get(id) : null;
+    if (!existing) return null;
+    const record = { ...existing, ...captureWorkingMap(storage), updatedAt: now() };
+    await records.put(record);
+    return toEntry(record);
+  };
+
+  /**
+   * Make sure the working map belongs to a library record. On first run this is the
+   * migration of the single pre-library map; it also recovers a lost active id.
+   */
+  const ensureActive = async () => {
+    const id = getActiveId();
+    if (id && await records.get(id)) return id;
+    const snapshot = captureWorkingMap(storage);
+    const name = snapshot.mapName && snapshot.mapName !== 'default_map' ? snapshot.mapName : 'My map';
+    const record = await addRecord(name, snapshot);
+    setActiveId(record.id);
+    printDebug(`📚 [mapLibrary] Added working map to the library as "${name}"`);
+    return record.id;
+  };
+
+  const list = async () => (await records.getAll()).map(toEntry).sort(byUpdatedDesc);
+
+  const create = async (name = 'Untitled map') => toEntry(await addRecord(name, blankSnapshot()));
+
+  const duplicate = async (id) => {
+    if (id === getActiveId()) await saveActive();
+    const source = await records.get(id);
+    if (!source) throw new Error('Map not found in the library');
+    const { data, scoped, mapName, nodeCount } = source;
+    return toEntry(await addRecord(`${source.name} (copy)`, { data, scoped, mapName, nodeCount }));
+  };
+
+  const rename = async (id, name) => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Map name cannot be empty');
+    const record = await records.get(id);
+    if (!record) throw new Error('Map not found in the library');
+    await records.put({ ...record, name: trimmed, updatedAt: now() });
+  };
+
+  const remove = async (id) => {
+    await records.delete(id);
+    if (id === getActiveId()) storage.removeItem(ACTIVE_MAP_ID_KEY);
+  };
+
+  /** Mark `id` to be mounted on the next startup; the caller reloads the page. */
+  const requestMapSwitch = (id) => storage.setItem(PENDING_MAP_ID_KEY, id);
+
+  /**
+   * Mount a map marked by requestMapSwitch(), saving the outgoing working map first.
+   * @returns {Promise<boolean>} whether a switch happened
+   */
+  const applyPendingMapSwitch = async () => {
+    const pendingId = storage.getItem(PENDING_MAP_ID_KEY);
+    storage.removeItem(PENDING_MAP_ID_KEY);
+    if (!pendingId) {
+      await ensureActive();
+      return false;
+    }
+    const target = await records.get(pendingId);
+    if (!target) {
+      printWarn(`[mapLibrary] Map ${pendingId} is no longer in the library`);
+      await ensureActive();
+      return false;
+    }
+    await saveActive();
+    mountWorkingMap(target, storage);
+    setActiveId(target.id);
+    await records.put({ ...target, updatedAt: now() });
+    return true;
+  };
+
+  return {
+    getActiveId, list, saveActive, ensureActive, create, duplicate, rename, remove,
+    requestMapSwitch, applyPendingMapSwitch
+  };
+}
+
+let sharedLibrary = null;
+
+/** The app-wide library (IndexedDB + window.localStorage) */
+export function getMapLibrary() {
+  if (!sharedLibrary) sharedLibrary = createMapLibrary();
+  return sharedLibrary;
+}
@@ -0,0 +1,142 @@
+// src/persistence/mapLibrary.test.js
+
+import { jest } from '@jest/globals';
+import { createMapLibrary, createIndexedDbStore, createMemoryStore, captureWorkingMap, mountWorkingMap, searchMaps } from './mapLibrary.js';
+
+const writeWorkingMap = (mapName, nodeIds, extra = {}) => {
+  localStorage.setItem('ship_log_map_v1', JSON.stringify({
+    nodes: nodeIds.map(id => ({ id, title: id, x: 0, y: 0 })), edges: [], notes: {}, mapName
+  }));
+  localStorage.setItem('shipLogCamera', JSON.stringify({ zoom: 2, position: { x: 5, y: 5 } }));
+  localStorage.setItem(`shiplog.visited.v1:${mapName}`, JSON.stringify({ nodes: nodeIds, edges: [] }));
+  Object.entries(extra).forEach(([k, v]) => localStorage.setItem(k, v));
+};
+
+const workingNodeIds = () => JSON.parse(localStorage.getItem('ship_log_map_v1')).nodes.map(n => n.id);
+
+let clock;
+const makeLibrary = () => createMapLibrary({ store: createMemoryStore(), now: () => ++clock });
+
+beforeEach(() => {
+  localStorage.clear();
+  clock = 0;
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('working map snapshots', () => {
+  test('capture reads the map and its mapName-scoped keys', () => {
+    writeWorkingMap('alpha', ['a', 'b'], { shipLogBgImage: '{"imageUrl":"x"}', 'shiplog.visited.v1:other': '{}' });
+    const snapshot = captureWorkingMap();
+    expect(snapshot).toMatchObject({ mapName: 'alpha', nodeCount: 2 });
+    expect(Object.keys(snapshot.data).sort()).toEqual(['bgImage', 'camera', 'graph']);
+    expect(Object.keys(snapshot.scoped)).toEqual(['visited']);
+  });
+
+  test('mount replaces every working key and drops the outgoing map\'s scoped state', () => {
+    writeWorkingMap('alpha', ['a'], { shipLogBgImage: '{}' });
+    const alpha = captureWorkingMap();
+    localStorage.clear();
+    writeWorkingMap('beta', ['b']);
+
+    mountWorkingMap(alpha);
+    expect(workingNodeIds()).toEqual(['a']);
+    expect(localStorage.getItem('shipLogBgImage')).toBe('{}');
+    expect(localStorage.getItem('shiplog.visited.v1:beta')).toBeNull();
+    expect(JSON.parse(localStorage.getItem('shiplog.visited.v1:alpha')).nodes).toEqual(['a']);
+  });
+});
+
+describe('map library', () => {
+  test('migrates the existing single map on first run', async () => {
+    writeWorkingMap('alpha', ['a']);
+    const library = makeLibrary();
+    expect(await library.applyPendingMapSwitch()).toBe(false);
+
+    const entries = await library.list();
+    expect(entries).toEqual([expect.objectContaining({ name: 'alpha', mapName: 'alpha', nodeCount: 1 })]);
+    expect(library.getActiveId()).toBe(entries[0].id);
+    expect(entries[0].data).toBeUndefined();
+  });
+
+  test('switching saves the outgoing map and mounts the target with its own state', async () => {
+    writeWorkingMap('alpha', ['a']);
+    const library = makeLibrary();
+    await library.ensureActive();
+    const alphaId = library.getActiveId();
+    const blank = await library.create('Second');
+
+    library.requestMapSwitch(blank.id);
+    writeWorkingMap('alpha', ['a', 'a2']); // edits made before the reload
+    expect(await library.applyPendingMapSwitch()).toBe(true);
+    expect(library.getActiveId()).toBe(blank.id);
+    expect(workingNodeIds()).toEqual([]);
+    expect(localStorage.getItem('shipLogCamera')).toBeNull();
+    expect(localStorage.getItem('shiplog.visited.v1:alpha')).toBeNull();
+
+    library.requestMapSwitch(alphaId);
+    await library.applyPendingMapSwitch();
+    expect(workingNodeIds()).toEqual(['a', 'a2']);
+    expect(JSON.parse(localStorage.getItem('shipLogCamera')).zoom).toBe(2);
+    expect(JSON.parse(localStorage.getItem('shiplog.visited.v1:alpha')).nodes).toEqual(['a', 'a2']);
+  });
+
+  test('duplicate, rename and delete', async () => {
+    writeWorkingMap('alpha', ['a']);
+    const library = makeLibrary();
+    const id = await library.ensureActive();
+
+    const copy = await library.duplicate(id);
+    expect(copy).toMatchObject({ name: 'alpha (copy)', nodeCount: 1 });
+    await library.rename(copy.id, '  Backup ');
+    await expect(library.rename(copy.id, ' ')).rejects.toThrow(/empty/);
+    expect((await library.list()).map(e => e.name)).toEqual(['Backup', 'alpha']);
+
+    await library.remove(id);
+    expect(library.getActiveId()).toBeNull();
+    expect((await library.list()).map(e => e.id)).toEqual([copy.id]);
+  });
+
+  test('a switch to a deleted map keeps the working map', async () => {
+    writeWorkingMap('alpha', ['a']);
+    const library = makeLibrary();
+    await library.ensureActive();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    library.requestMapSwitch('missing');
+    expect(await library.applyPendingMapSwitch()).toBe(false);
+    expect(workingNodeIds()).toEqual(['a']);
+  });
+
+  test('search matches every word against name and mapName', () => {
+    const entries = [{ name: 'Solar System', mapName: 'outer_wilds' }, { name: 'Dungeon', mapName: 'dnd' }];
+    expect(searchMaps(entries, '')).toBe(entries);
+    expect(searchMaps(entries, 'solar WILDS').map(e => e.name)).toEqual(['Solar System']);
+    expect(searchMaps(entries, 'solar dnd')).toEqual([]);
+  });
+});
+
+describe('IndexedDB store', () => {
+  test('fails instead of hanging when another tab blocks the upgrade, and retries later', async () => {
+    const requests = [];
+    const factory = { open: () => { const request = {}; requests.push(request); return request; } };
+    const store = createIndexedDbStore('maps', factory);
+
+    const pending = store.getAll();
+    requests[0].onblocked();
+    await expect(pending).rejects.toThrow(/another tab/);
+
+    const close = jest.fn();
+    requests[0].result = { close };
+    requests[0].onsuccess();
+    expect(close).toHaveBeenCalled();
+
+    const retry = store.getAll();
+    expect(requests).toHaveLength(2);
+    const getAll = {};
+    requests[1].result = { transaction: () => ({ objectStore: () => ({ getAll: () => getAll }) }) };
+    requests[1].onsuccess();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    getAll.result = [{ id: 'm1' }];
+    getAll.onsuccess();
+    await expect(retry).resolves.toEqual([{ id: 'm1' }]);
+  });
+});
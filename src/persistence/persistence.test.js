@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals';
-import { saveToLocal, loadFromLocal } from './index.js';
+import { saveToLocal, loadFromLocal, saveUndoHistoryToLocal, loadUndoHistoryFromLocal } from './index.js';
 
 const STORAGE_KEY = 'ship_log_map_v1';
 
@@ -59,3 +59,51 @@ describe('loadFromLocal — baseline behaviors', () => {
     expect(result.orientation).toBe(90);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Undo/redo history persistence
+// ---------------------------------------------------------------------------
+describe('undo history — save/load', () => {
+  const snap = (x) => ({
+    nodes: [{ id: 'A', title: 'A', x, y: 0, size: 'regular', color: 'gray', imageUrl: 'a.png' }],
+    edges: [], notes: { A: ['note'] }, orientation: 90
+  });
+
+  test('returns empty stacks when nothing is stored', () => {
+    expect(loadUndoHistoryFromLocal()).toEqual({ past: [], future: [] });
+  });
+
+  test('past and future round-trip in order', () => {
+    saveUndoHistoryToLocal({ past: [snap(1), snap(2)], future: [snap(3)] });
+    const { past, future } = loadUndoHistoryFromLocal();
+    expect(past.map(s => s.nodes[0].x)).toEqual([1, 2]);
+    expect(future.map(s => s.nodes[0].x)).toEqual([3]);
+    expect(past[0].notes).toEqual({ A: ['note'] });
+    expect(past[0].orientation).toBe(90);
+  });
+
+  test('empty history removes the stored entry', () => {
+    saveUndoHistoryToLocal({ past: [snap(1)], future: [] });
+    saveUndoHistoryToLocal({ past: [], future: [] });
+    expect(localStorage.getItem('ship_log_map_undo_v2')).toBeNull();
+  });
+
+  test('data-URL bg images are not stored but flagged as omitted', () => {
+    const bgImage = { imageUrl: 'data:image/png;base64,AAAA', x: 1, y: 2, scale: 100, opacity: 100, visible: true, included: true };
+    saveUndoHistoryToLocal({ past: [{ ...snap(1), bgImage }], future: [] });
+    const { past } = loadUndoHistoryFromLocal();
+    expect(past[0].bgImage.imageUrl).toBe('');
+    expect(past[0].bgImage.imageUrlOmitted).toBe(true);
+    expect(past[0].bgImage.x).toBe(1);
+  });
+
+  test('migrates a legacy single checkpoint into a one-entry history', () => {
+    localStorage.setItem('ship_log_map_undo_v1', JSON.stringify({ ...snap(7), __version: 1 }));
+    const { past, future } = loadUndoHistoryFromLocal();
+    expect(past).toHaveLength(1);
+    expect(past[0].nodes[0].x).toBe(7);
+    expect(past[0]).not.toHaveProperty('bgImage');
+    expect(future).toEqual([]);
+    expect(localStorage.getItem('ship_log_map_undo_v1')).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// src/persistence/snapshots.js
+
+/**
+ * Map Snapshots (IndexedDB)
+ *
+ * Responsibilities
+ * - Keep timestamped copies of a map's graph: periodic autosaves plus one taken
+ *   before each destructive action (import, New map, CDN load, restore).
+ * - List a map's snapshots with a summary (counts, map name), load one, prune old ones.
+ *
+ * Record shape
+ *   { id, mapId, createdAt, reason, summary: { mapName, nodes, edges, notes }, graph }
+ *   `mapId` is the map library id (persistence/mapLibrary.js); `graph` is the
+ *   serializeGraph() shape, so background data URLs are left out.
+ *
+ * Gotchas
+ * - A snapshot identical to the map's newest one is skipped, so the periodic
+ *   timer doesn't fill the history while nothing changes.
+ * - Only the newest MAX_SNAPSHOTS_PER_MAP are kept per map.
+ */
+
+import { serializeGraph } from '../graph/ops.js';
+import { createDefaultStore } from './mapLibrary.js';
+
+export const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+export const MAX_SNAPSHOTS_PER_MAP = 50;
+
+export const SNAPSHOT_REASONS = {
+  auto: 'Autosave',
+  manual: 'Manual',
+  import: 'Before import',
+  'csv-import': 'Before spreadsheet import',
+  'new-map': 'Before New map',
+  cdn: 'Before loading from CDN',
+  restore: 'Before restore'
+};
+
+/** Counts shown next to each snapshot */
+export function summarizeGraph(graph) {
+  const notes = Object.values(graph?.notes || {})
+    .reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+  return {
+    mapName: graph?.mapName || 'default_map',
+    nodes: graph?.nodes?.length || 0,
+    edges: graph?.edges?.length || 0,
+    notes
+  };
+}
+
+const newId = () => `snap_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+const byCreatedDesc = (a, b) => b.createdAt - a.createdAt;
+const toEntry = ({ graph: _graph, ...entry }) => entry;
+
+/**
+ * Build the snapshot API over a record store.
+ * @param {{ store?: object, now?: () => number, limit?: number }} [options]
+ */
+export function createSnapshotStore({ store, now = () => Date.now(), limit = MAX_SNAPSHOTS_PER_MAP } = {}) {
+  const records = store || createDefaultStore('snapshots');
+
+  const recordsFor = async (mapId) => (await records.getAll())
+    .filter(r => r.mapId === mapId)
+    .sort(byCreatedDesc);
+
+  /**
+   * Store a snapshot of `graph` for `mapId`.
+   * @returns {Promise<object|null>} the new entry, or null when it matches the newest snapshot
+   */
+  const add = async (mapId, graph, reason = 'manual') => {
+    const serialized = JSON.parse(serializeGraph(graph));
+    const existing = await recordsFor(mapId);
+    if (existing[0] && JSON.stringify(existing[0].graph) === JSON.stringify(serialized)) return null;
+
+    const record = { id: newId(), mapId, createdAt: now(), reason, summary: summarizeGraph(serialized), graph: serialized };
+    await records.put(record);
+    await Promise.all(existing.slice(limit - 1).map(r => records.delete(r.id)));
+    return toEntry(record);
+  };
+
+  /** A map's snapshots without their graphs, newest first */
+  const list = async (mapId) => (await recordsFor(mapId)).map(toEntry);
+
+  const get = (id) => records.get(id);
+
+  /** Drop every snapshot of a map (when it leaves the library) */
+  const removeAllFor = async (mapId) => {
+    await Promise.all((await recordsFor(mapId)).map(r => records.delete(r.id)));
+  };
+
+  return { add, list, get, removeAllFor };
+}
+
+let sharedStore = null;
+
+/** The app-wide snapshot store */
+export function getSnapshotStore() {
+  if (!sharedStore) sharedStore = createSnapshotStore();
+  return sharedStore;
+}
@@ -0,0 +1,57 @@
+// src/persistence/snapshots.test.js
+
+import { createSnapshotStore, summarizeGraph } from './snapshots.js';
+import { createMemoryStore } from './mapLibrary.js';
+
+const graph = (nodeIds, mapName = 'alpha') => ({
+  mapName,
+  nodes: nodeIds.map(id => ({ id, title: id, x: 0, y: 0 })),
+  edges: [],
+  notes: { [nodeIds[0]]: ['a note', 'another'] },
+  bgImage: { included: true, imageUrl: 'data:image/png;base64,AAAA' }
+});
+
+let clock;
+const makeStore = (options = {}) => createSnapshotStore({ store: createMemoryStore(), now: () => ++clock, ...options });
+
+beforeEach(() => { clock = 0; });
+
+describe('snapshots', () => {
+  test('summaries count nodes, edges and notes', () => {
+    expect(summarizeGraph(graph(['a', 'b']))).toEqual({ mapName: 'alpha', nodes: 2, edges: 0, notes: 2 });
+    expect(summarizeGraph(null)).toEqual({ mapName: 'default_map', nodes: 0, edges: 0, notes: 0 });
+  });
+
+  test('stores snapshots per map, newest first, without background data URLs', async () => {
+    const store = makeStore();
+    await store.add('m1', graph(['a']), 'auto');
+    const second = await store.add('m1', graph(['a', 'b']), 'import');
+    await store.add('m2', graph(['x'], 'beta'), 'auto');
+
+    const entries = await store.list('m1');
+    expect(entries.map(e => [e.reason, e.summary.nodes])).toEqual([['import', 2], ['auto', 1]]);
+    expect(entries[0].graph).toBeUndefined();
+
+    const full = await store.get(second.id);
+    expect(full.graph.nodes.map(n => n.id)).toEqual(['a', 'b']);
+    expect(full.graph.bgImage.imageUrl).toBe('');
+  });
+
+  test('skips a snapshot identical to the newest one', async () => {
+    const store = makeStore();
+    expect(await store.add('m1', graph(['a']), 'auto')).not.toBeNull();
+    expect(await store.add('m1', graph(['a']), 'auto')).toBeNull();
+    expect(await store.list('m1')).toHaveLength(1);
+  });
+
+  test('prunes beyond the limit and clears a map', async () => {
+    const store = makeStore({ limit: 2 });
+    await store.add('m1', graph(['a']));
+    await store.add('m1', graph(['a', 'b']));
+    await store.add('m1', graph(['a', 'b', 'c']));
+    expect((await store.list('m1')).map(e => e.summary.nodes)).toEqual([3, 2]);
+
+    await store.removeAllFor('m1');
+    expect(await store.list('m1')).toEqual([]);
+  });
+});
@@ -11,169 +11,508 @@
  * Exports
  * - loadAndValidateRumorMapFromFile(file): Promise<{nodes, edges, meta}>
  * - validateRumorMap(obj): { valid, errors[], normalized }
+ * - collectMapIssues(obj): structured issues with JSON paths and fixes
+ * - applyIssueFixes(obj, issues): copy of obj with the issues' fixes applied
+ * - validateTagRegistry(tags): { isValid, errors[] }
+ * - validateTours(tours, targetIds): { isValid, errors[] }
  *
  * Gotchas
  * - Never mutate caller data structures—return normalized copies.
  */
 
+import { migrateGraph } from './graph/schema.js';
+import { DEFAULT_TAG_COLOR } from './graph/tags.js';
+
 /**
  * Validation functions for Rumor Map data structures
  * These functions can be unit tested to ensure data integrity
+ *
+ * Every check produces an issue:
+ *   { path, severity: 'error' | 'warning', code, message, context?, fix? }
+ * - path: JSONPath into the map, e.g. `$.edges[3].target`
+ * - context: the element it belongs to ("Node at index 2"), if any
+ * - fix: { label, op: 'set' | 'remove' | 'append', at: [...keys], value? }
+ *   applied by applyIssueFixes(); at is the path as keys
+ * The validateX() functions flatten errors into the original string messages.
  */
 
+const ERROR = 'error';
+const WARNING = 'warning';
+
+const VALID_SIZES = ['half', 'regular', 'double'];
+const VALID_DIRECTIONS = ['forward', 'backward', 'bidirectional'];
+
+/** ['nodes', 3, 'title'] -> '$.nodes[3].title' */
+export function formatIssuePath(keys) {
+  return keys.reduce((out, key) => {
+    if (typeof key === 'number') return `${out}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${out}.${key}` : `${out}[${JSON.stringify(key)}]`;
+  }, '$');
+}
+
+function makeIssue(severity, code, keys, message, fix) {
+  return { path: formatIssuePath(keys), severity, code, message, ...(fix ? { fix } : {}) };
+}
+
+const setFix = (at, value, label) => ({ label, op: 'set', at, value });
+const removeFix = (at, label) => ({ label, op: 'remove', at });
+const appendFix = (at, value, label) => ({ label, op: 'append', at, value });
+
+// First of base, base_2, base_3... not in `used`; reserves it
+function reserveId(base, used) {
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+  used.add(id);
+  return id;
+}
+
+// Element tags are optional; when present they must be tag names (see graph/tags.js)
+function isValidTagList(tags) {
+  if (tags === undefined) return true;
+  return Array.isArray(tags) && tags.every(t => typeof t === 'string' && t.trim() !== '');
+}
+
+function tagListFix(keys, tags) {
+  const at = [...keys, 'tags'];
+  return Array.isArray(tags)
+    ? setFix(at, tags.filter(t => typeof t === 'string' && t.trim() !== ''), 'Drop the invalid tags')
+    : removeFix(at, 'Remove tags');
+}
+
+// Errors only, in order; consecutive issues of one element share a line
+function toErrorStrings(issues) {
+  const errors = [];
+  let previous = null;
+  issues.filter(issue => issue.severity === ERROR).forEach(issue => {
+    if (issue.context && previous?.context === issue.context) {
+      errors[errors.length - 1] += `, ${issue.message}`;
+    } else {
+      errors.push(issue.context ? `${issue.context}: ${issue.message}` : issue.message);
+    }
+    previous = issue;
+  });
+  return errors;
+}
+
+const toResult = (issues) => {
+  const errors = toErrorStrings(issues);
+  return { isValid: errors.length === 0, errors };
+};
+
+function tourIssues(tours, targetIds, keys = ['tours']) {
+  if (!Array.isArray(tours)) {
+    return [makeIssue(ERROR, 'tours-not-array', keys, 'Map tours must be an array', setFix(keys, [], 'Replace with an empty list'))];
+  }
+
+  const issues = [];
+  const ids = new Set();
+  const usedIds = new Set(tours.map(t => t?.id).filter(id => typeof id === 'string'));
+  tours.forEach((tour, index) => {
+    const tourKeys = [...keys, index];
+    if (!tour || typeof tour !== 'object' || typeof tour.id !== 'string' || tour.id.trim() === '') {
+      issues.push(makeIssue(ERROR, 'tour-id', tourKeys, `Tour at index ${index} must have a non-empty string id`, removeFix(tourKeys, 'Remove tour')));
+      return;
+    }
+    if (ids.has(tour.id)) {
+      const newId = reserveId(tour.id, usedIds);
+      issues.push(makeIssue(ERROR, 'duplicate-tour', [...tourKeys, 'id'], `Duplicate tour "${tour.id}" found`, setFix([...tourKeys, 'id'], newId, `Rename to "${newId}"`)));
+    }
+    ids.add(tour.id);
+    if (tour.name !== undefined && typeof tour.name !== 'string') {
+      issues.push(makeIssue(ERROR, 'tour-name', [...tourKeys, 'name'], `Tour "${tour.id}" name must be a string`, removeFix([...tourKeys, 'name'], 'Remove name')));
+    }
+    if (!Array.isArray(tour.steps)) {
+      issues.push(makeIssue(ERROR, 'tour-steps', [...tourKeys, 'steps'], `Tour "${tour.id}" must have a steps array`, setFix([...tourKeys, 'steps'], [], 'Replace with an empty list')));
+      return;
+    }
+    tour.steps.forEach((step, stepIndex) => {
+      const stepKeys = [...tourKeys, 'steps', stepIndex];
+      if (!step || typeof step !== 'object' || typeof step.target !== 'string') {
+        issues.push(makeIssue(ERROR, 'tour-step', stepKeys, `Tour "${tour.id}" step ${stepIndex} must have a string target`, removeFix(stepKeys, 'Remove step')));
+      } else if (targetIds && !targetIds.has(step.target)) {
+        issues.push(makeIssue(ERROR, 'tour-step-target', [...stepKeys, 'target'], `Tour "${tour.id}" step ${stepIndex} targets unknown id "${step.target}"`, removeFix(stepKeys, 'Remove step')));
+      } else if (step.narration !== undefined && typeof step.narration !== 'string') {
+        issues.push(makeIssue(ERROR, 'tour-step-narration', [...stepKeys, 'narration'], `Tour "${tour.id}" step ${stepIndex} narration must be a string`, removeFix([...stepKeys, 'narration'], 'Remove narration')));
+      }
+    });
+  });
+  return issues;
+}
+
 /**
- * Validates if a given object is a valid rumor map node
- * @param {any} node - The object to validate
+ * Validates guided tours: [{ id, name, steps: [{ target, narration? }] }] (see graph/tours.js)
+ * @param {any} tours - The tours array to validate
+ * @param {Set<string>} [targetIds] - Known node/edge ids; when given, step targets must be in it
  * @returns {{isValid: boolean, errors: string[]}} Validation result
  */
-export function validateNode(node) {
-  const errors = [];
-  
+export function validateTours(tours, targetIds) {
+  return toResult(tourIssues(tours, targetIds));
+}
+
+function tagRegistryIssues(tags, keys = ['tags']) {
+  if (!Array.isArray(tags)) {
+    return [makeIssue(ERROR, 'tags-not-array', keys, 'Map tags must be an array', setFix(keys, [], 'Replace with an empty registry'))];
+  }
+
+  const issues = [];
+  const names = new Set();
+  tags.forEach((tag, index) => {
+    const tagKeys = [...keys, index];
+    if (!tag || typeof tag !== 'object' || typeof tag.name !== 'string' || tag.name.trim() === '') {
+      issues.push(makeIssue(ERROR, 'tag-name', tagKeys, `Tag at index ${index} must have a non-empty string name`, removeFix(tagKeys, 'Remove tag')));
+      return;
+    }
+    if (tag.color !== undefined && typeof tag.color !== 'string') {
+      issues.push(makeIssue(ERROR, 'tag-color', [...tagKeys, 'color'], `Tag "${tag.name}" color must be a string`, removeFix([...tagKeys, 'color'], 'Use the default color')));
+    }
+    if (tag.icon !== undefined && typeof tag.icon !== 'string') {
+      issues.push(makeIssue(ERROR, 'tag-icon', [...tagKeys, 'icon'], `Tag "${tag.name}" icon must be a string`, removeFix([...tagKeys, 'icon'], 'Remove icon')));
+    }
+    if (names.has(tag.name)) {
+      issues.push(makeIssue(ERROR, 'duplicate-tag', tagKeys, `Duplicate tag "${tag.name}" found`, removeFix(tagKeys, 'Remove duplicate')));
+    }
+    names.add(tag.name);
+  });
+  return issues;
+}
+
+/**
+ * Validates the map-level tag registry: [{ name, color, icon? }] with unique names
+ * @param {any} tags - The registry to validate
+ * @returns {{isValid: boolean, errors: string[]}} Validation result
+ */
+export function validateTagRegistry(tags) {
+  return toResult(tagRegistryIssues(tags));
+}
+
+// `usedIds` (optional): ids taken in the map, so a missing id can be filled uniquely
+function nodeIssues(node, keys = [], usedIds = new Set()) {
   if (!node || typeof node !== 'object') {
-    return { isValid: false, errors: ['Node must be an object'] };
+    return [makeIssue(ERROR, 'node-not-object', keys, 'Node must be an object', removeFix(keys, 'Remove entry'))];
   }
-  
+
+  const issues = [];
+  const at = (field) => [...keys, field];
+  const hasId = typeof node.id === 'string' && node.id.trim() !== '';
+
   // Required fields
-  if (!node.id || typeof node.id !== 'string' || node.id.trim() === '') {
-    errors.push('Node must have a non-empty string id');
+  if (!hasId) {
+    const newId = reserveId('node', usedIds);
+    issues.push(makeIssue(ERROR, 'node-id', at('id'), 'Node must have a non-empty string id', setFix(at('id'), newId, `Set id to "${newId}"`)));
   }
-  
+
   if (!node.title || typeof node.title !== 'string' || node.title.trim() === '') {
-    errors.push('Node must have a non-empty string title');
+    const title = hasId ? node.id : 'Untitled';
+    issues.push(makeIssue(ERROR, 'node-title', at('title'), 'Node must have a non-empty string title', setFix(at('title'), title, `Set title to "${title}"`)));
   }
-  
+
   // Size is optional, but if provided must be valid
-  if (node.size && typeof node.size === 'string') {
-    const validSizes = ['half', 'regular', 'double'];
-    if (!validSizes.includes(node.size)) {
-      errors.push(`Node size must be one of: ${validSizes.join(', ')}`);
-    }
+  if (node.size && typeof node.size === 'string' && !VALID_SIZES.includes(node.size)) {
+    issues.push(makeIssue(ERROR, 'node-size', at('size'), `Node size must be one of: ${VALID_SIZES.join(', ')}`, setFix(at('size'), 'regular', 'Use "regular"')));
   }
-  
+
   if (typeof node.x !== 'number' || !Number.isFinite(node.x)) {
-    errors.push('Node must have a valid number x coordinate');
+    issues.push(makeIssue(ERROR, 'node-x', at('x'), 'Node must have a valid number x coordinate', setFix(at('x'), 0, 'Set x to 0')));
   }
-  
+
   if (typeof node.y !== 'number' || !Number.isFinite(node.y)) {
-    errors.push('Node must have a valid number y coordinate');
+    issues.push(makeIssue(ERROR, 'node-y', at('y'), 'Node must have a valid number y coordinate', setFix(at('y'), 0, 'Set y to 0')));
   }
-  
-  return { isValid: errors.length === 0, errors };
+
+  // Locked ("?") nodes are optional; revealCondition only matters when locked
+  if (node.locked !== undefined && typeof node.locked !== 'boolean') {
+    const locked = node.locked === true || node.locked === 'true' || node.locked === 1;
+    issues.push(makeIssue(ERROR, 'node-locked', at('locked'), 'Node locked must be a boolean', setFix(at('locked'), locked, `Set locked to ${locked}`)));
+  }
+
+  // Pinned nodes stay put during automatic layouts (editing only)
+  if (node.pinned !== undefined && typeof node.pinned !== 'boolean') {
+    const pinned = node.pinned === true || node.pinned === 'true' || node.pinned === 1;
+    issues.push(makeIssue(ERROR, 'node-pinned', at('pinned'), 'Node pinned must be a boolean', setFix(at('pinned'), pinned, `Set pinned to ${pinned}`)));
+  }
+
+  if (!isValidTagList(node.tags)) {
+    issues.push(makeIssue(ERROR, 'node-tags', at('tags'), 'Node tags must be an array of non-empty strings', tagListFix(keys, node.tags)));
+  }
+
+  if (node.revealCondition !== undefined) {
+    const rc = node.revealCondition;
+    const isConnected = rc === 'connected';
+    const isAnyOf = rc && typeof rc === 'object' && Array.isArray(rc.anyOf) &&
+      rc.anyOf.length > 0 && rc.anyOf.every(id => typeof id === 'string' && id.trim() !== '');
+    if (!isConnected && !isAnyOf) {
+      issues.push(makeIssue(ERROR, 'node-reveal-condition', at('revealCondition'),
+        'Node revealCondition must be "connected" or { anyOf: [non-empty ids] }',
+        removeFix(at('revealCondition'), 'Remove revealCondition')));
+    }
+  }
+
+  return issues;
 }
 
 /**
- * Validates if a given object is a valid rumor map edge
- * @param {any} edge - The object to validate
- * @param {string[]} nodeIds - Array of valid node IDs to check references
+ * Validates if a given object is a valid rumor map node
+ * @param {any} node - The object to validate
  * @returns {{isValid: boolean, errors: string[]}} Validation result
  */
-export function validateEdge(edge, nodeIds = []) {
-  const errors = [];
-  
+export function validateNode(node) {
+  return toResult(nodeIssues(node));
+}
+
+// `nodeIds` (optional Set): when given, endpoints must be in it
+function edgeIssues(edge, keys = [], nodeIds = null) {
+  const removeEdge = (label) => removeFix(keys, label);
   if (!edge || typeof edge !== 'object') {
-    return { isValid: false, errors: ['Edge must be an object'] };
+    return [makeIssue(ERROR, 'edge-not-object', keys, 'Edge must be an object', removeEdge('Remove entry'))];
   }
-  
+
+  const issues = [];
+  const at = (field) => [...keys, field];
+
   // Required fields
   if (!edge.source || typeof edge.source !== 'string' || edge.source.trim() === '') {
-    errors.push('Edge must have a non-empty string source');
-  } else if (nodeIds.length > 0 && !nodeIds.includes(edge.source)) {
-    errors.push(`Edge source "${edge.source}" does not reference a valid node`);
+    issues.push(makeIssue(ERROR, 'edge-source', at('source'), 'Edge must have a non-empty string source', removeEdge('Remove edge')));
+  } else if (nodeIds && !nodeIds.has(edge.source)) {
+    issues.push(makeIssue(ERROR, 'dangling-edge', at('source'), `Edge source "${edge.source}" does not reference a valid node`, removeEdge('Remove dangling edge')));
   }
-  
+
   if (!edge.target || typeof edge.target !== 'string' || edge.target.trim() === '') {
-    errors.push('Edge must have a non-empty string target');
-  } else if (nodeIds.length > 0 && !nodeIds.includes(edge.target)) {
-    errors.push(`Edge target "${edge.target}" does not reference a valid node`);
+    issues.push(makeIssue(ERROR, 'edge-target', at('target'), 'Edge must have a non-empty string target', removeEdge('Remove edge')));
+  } else if (nodeIds && !nodeIds.has(edge.target)) {
+    issues.push(makeIssue(ERROR, 'dangling-edge', at('target'), `Edge target "${edge.target}" does not reference a valid node`, removeEdge('Remove dangling edge')));
   }
-  
+
   // Direction is optional, but if provided must be valid
-  if (edge.direction && typeof edge.direction === 'string') {
-    const validDirections = ['forward', 'backward', 'bidirectional'];
-    if (!validDirections.includes(edge.direction)) {
-      errors.push(`Edge direction must be one of: ${validDirections.join(', ')}`);
-    }
+  if (edge.direction && typeof edge.direction === 'string' && !VALID_DIRECTIONS.includes(edge.direction)) {
+    issues.push(makeIssue(ERROR, 'edge-direction', at('direction'), `Edge direction must be one of: ${VALID_DIRECTIONS.join(', ')}`, setFix(at('direction'), 'forward', 'Use "forward"')));
   }
-  
+
+  if (!isValidTagList(edge.tags)) {
+    issues.push(makeIssue(ERROR, 'edge-tags', at('tags'), 'Edge tags must be an array of non-empty strings', tagListFix(keys, edge.tags)));
+  }
+
   // Check for self-loops
   if (edge.source === edge.target) {
-    errors.push('Edge cannot connect a node to itself (self-loop)');
+    issues.push(makeIssue(ERROR, 'self-loop', keys, 'Edge cannot connect a node to itself (self-loop)', removeEdge('Remove self-loop')));
   }
-  
-  return { isValid: errors.length === 0, errors };
+
+  return issues;
 }
 
 /**
- * Validates if a given object is a valid rumor map
- * @param {any} map - The object to validate
+ * Validates if a given object is a valid rumor map edge
+ * @param {any} edge - The object to validate
+ * @param {string[]} nodeIds - Array of valid node IDs to check references
  * @returns {{isValid: boolean, errors: string[]}} Validation result
  */
-export function validateRumorMap(map) {
-  const errors = [];
-  
+export function validateEdge(edge, nodeIds = []) {
+  return toResult(edgeIssues(edge, [], nodeIds.length > 0 ? new Set(nodeIds) : null));
+}
+
+/**
+ * Every problem in a map, in document order, as structured issues (see top of file).
+ * @param {any} map - The object to check
+ * @returns {Array<{path: string, severity: string, code: string, message: string, context?: string, fix?: object}>}
+ */
+export function collectMapIssues(map) {
   if (!map || typeof map !== 'object') {
-    return { isValid: false, errors: ['Map must be an object'] };
+    return [makeIssue(ERROR, 'map-not-object', [], 'Map must be an object')];
   }
-  
+
   // Check for required top-level properties
   if (!Array.isArray(map.nodes)) {
-    errors.push('Map must have a nodes array');
-    return { isValid: false, errors };
+    return [makeIssue(ERROR, 'map-nodes', ['nodes'], 'Map must have a nodes array')];
   }
-  
+
   if (!Array.isArray(map.edges)) {
-    errors.push('Map must have an edges array');
-    return { isValid: false, errors };
+    return [makeIssue(ERROR, 'map-edges', ['edges'], 'Map must have an edges array', setFix(['edges'], [], 'Add an empty edges list'))];
   }
-  
-  // Validate nodes
+
+  const issues = [];
+  const withContext = (context) => (issue) => ({ ...issue, context });
+
+  // Validate nodes. Every node with an id counts as present for the edge checks,
+  // even one with fixable issues (a missing title must not orphan its edges);
+  // only later duplicates of an id are left out.
   const nodeIds = new Set();
+  const usedIds = new Set(map.nodes.map(n => n?.id).filter(id => typeof id === 'string'));
   map.nodes.forEach((node, index) => {
-    const nodeValidation = validateNode(node);
-    if (!nodeValidation.isValid) {
-      errors.push(`Node at index ${index}: ${nodeValidation.errors.join(', ')}`);
+    const keys = ['nodes', index];
+    issues.push(...nodeIssues(node, keys, usedIds).map(withContext(`Node at index ${index}`)));
+    if (typeof node?.id !== 'string' || node.id.trim() === '') return;
+    if (nodeIds.has(node.id)) {
+      const newId = reserveId(node.id, usedIds);
+      issues.push(makeIssue(ERROR, 'duplicate-node-id', [...keys, 'id'], `Duplicate node ID "${node.id}" found`, setFix([...keys, 'id'], newId, `Rename to "${newId}"`)));
     } else {
-      // Check for duplicate IDs
-      if (nodeIds.has(node.id)) {
-        errors.push(`Duplicate node ID "${node.id}" found`);
-      } else {
-        nodeIds.add(node.id);
-      }
+      nodeIds.add(node.id);
     }
   });
-  
-  // Convert to array for edge validation
-  const nodeIdArray = Array.from(nodeIds);
-  
+
   // Validate edges
   const edgeSet = new Set();
   map.edges.forEach((edge, index) => {
-    const edgeValidation = validateEdge(edge, nodeIdArray);
-    if (!edgeValidation.isValid) {
-      errors.push(`Edge at index ${index}: ${edgeValidation.errors.join(', ')}`);
+    const keys = ['edges', index];
+    const found = edgeIssues(edge, keys, nodeIds.size > 0 ? nodeIds : null);
+    if (found.length) {
+      issues.push(...found.map(withContext(`Edge at index ${index}`)));
     } else {
       // Check for duplicate edges
       const edgeKey = `${edge.source}->${edge.target}`;
       if (edgeSet.has(edgeKey)) {
-        errors.push(`Duplicate edge from "${edge.source}" to "${edge.target}" found`);
+        issues.push(makeIssue(ERROR, 'duplicate-edge', keys, `Duplicate edge from "${edge.source}" to "${edge.target}" found`, removeFix(keys, 'Remove duplicate')));
       } else {
         edgeSet.add(edgeKey);
       }
     }
   });
-  
+
+  // revealCondition.anyOf must point at ids that exist in this map
+  const edgeIds = new Set(map.edges
+    .filter(e => e && typeof e === 'object')
+    .map(e => e.id || `${e.source}__${e.target}`));
+  const isKnownId = (id) => nodeIds.has(id) || edgeIds.has(id);
+  map.nodes.forEach((node, index) => {
+    const anyOf = node?.revealCondition?.anyOf;
+    if (!Array.isArray(anyOf)) return;
+    const conditionKeys = ['nodes', index, 'revealCondition'];
+    // Dropping every id would leave an invalid condition, so drop the condition instead
+    const allUnknown = anyOf.every(id => !isKnownId(id));
+    anyOf.forEach((id, i) => {
+      if (isKnownId(id)) return;
+      const fix = allUnknown
+        ? removeFix(conditionKeys, 'Remove revealCondition')
+        : removeFix([...conditionKeys, 'anyOf', i], `Drop "${id}"`);
+      issues.push(makeIssue(ERROR, 'unknown-reveal-id', [...conditionKeys, 'anyOf', i], `Node "${node.id}" revealCondition references unknown id "${id}"`, fix));
+    });
+  });
+
+  // Tags on nodes/edges must be registered in map.tags
+  if (map.tags !== undefined) {
+    issues.push(...tagRegistryIssues(map.tags));
+  }
+  const tagNames = new Set(Array.isArray(map.tags) ? map.tags.map(t => t?.name) : []);
+  const checkTagRefs = (el, keys, label) => {
+    if (!Array.isArray(el?.tags)) return;
+    el.tags.forEach((name, i) => {
+      if (typeof name !== 'string' || tagNames.has(name)) return;
+      issues.push(makeIssue(ERROR, 'unknown-tag', [...keys, 'tags', i], `${label} uses unknown tag "${name}"`,
+        appendFix(['tags'], { name, color: DEFAULT_TAG_COLOR }, `Add "${name}" to the tag registry`)));
+    });
+  };
+  map.nodes.forEach((node, i) => checkTagRefs(node, ['nodes', i], `Node "${node?.id}"`));
+  map.edges.forEach((edge, i) => checkTagRefs(edge, ['edges', i], `Edge "${edge?.id || `${edge?.source}__${edge?.target}`}"`));
+
+  // Tour steps must target nodes/edges in this map
+  if (map.tours !== undefined) {
+    issues.push(...tourIssues(map.tours, new Set([...nodeIds, ...edgeIds])));
+  }
+
+  // Note entries are strings or { text, requires } with requires naming a node/edge id
+  if (map.notes && typeof map.notes === 'object') {
+    Object.entries(map.notes).forEach(([targetId, entries]) => {
+      const listKeys = ['notes', targetId];
+      if (!isKnownId(targetId)) {
+        issues.push(makeIssue(WARNING, 'orphan-notes', listKeys, `Notes for "${targetId}" belong to no node or edge`, removeFix(listKeys, 'Remove these notes')));
+      }
+      const list = Array.isArray(entries) ? entries : [entries];
+      list.forEach((note, index) => {
+        const noteKeys = Array.isArray(entries) ? [...listKeys, index] : listKeys;
+        if (typeof note === 'string') return;
+        if (!note || typeof note !== 'object' || typeof note.text !== 'string') {
+          issues.push(makeIssue(ERROR, 'note-shape', noteKeys, `Note ${index} for "${targetId}" must be a string or an object with a string text`, removeFix(noteKeys, 'Remove note')));
+        } else if (note.requires !== undefined && (typeof note.requires !== 'string' || !isKnownId(note.requires))) {
+          issues.push(makeIssue(ERROR, 'note-requires', [...noteKeys, 'requires'], `Note ${index} for "${targetId}" requires unknown id "${note.requires}"`,
+            removeFix([...noteKeys, 'requires'], 'Remove the prerequisite')));
+        }
+      });
+    });
+  }
+
   // Additional map-level validations
   if (map.nodes.length === 0) {
-    errors.push('Map must contain at least one node');
+    issues.push(makeIssue(ERROR, 'map-empty', ['nodes'], 'Map must contain at least one node'));
   }
-  
-  return { isValid: errors.length === 0, errors };
+
+  return issues;
+}
+
+/**
+ * Validates if a given object is a valid rumor map
+ * @param {any} map - The object to validate
+ * @returns {{isValid: boolean, errors: string[]}} Validation result
+ */
+export function validateRumorMap(map) {
+  return toResult(collectMapIssues(map));
+}
+
+/**
+ * Apply the fixes of the given issues to a copy of `map`; issues without a fix
+ * are ignored. Sets run first, then appends, then removals (grouped by parent,
+ * deepest parent first, highest index first, so earlier removals don't shift
+ * later paths).
+ * @returns {object} The fixed map (re-validate it; a fix can uncover new issues)
+ */
+export function applyIssueFixes(map, issues) {
+  const out = JSON.parse(JSON.stringify(map));
+  const seen = new Set();
+  const fixes = (issues || []).map(issue => issue.fix).filter(fix => {
+    if (!fix) return false;
+    const key = JSON.stringify([fix.op, fix.at, fix.value]);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const resolve = (path) => path.reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), out);
+  const parentOf = (at) => resolve(at.slice(0, -1));
+
+  fixes.filter(f => f.op === 'set').forEach(({ at, value }) => {
+    if (at.length === 0) return;
+    const parent = parentOf(at);
+    if (parent && typeof parent === 'object') parent[at[at.length - 1]] = value;
+  });
+
+  fixes.filter(f => f.op === 'append').forEach(({ at, value }) => {
+    const parent = parentOf(at);
+    if (!parent || typeof parent !== 'object') return;
+    const key = at[at.length - 1];
+    if (!Array.isArray(parent[key])) parent[key] = [];
+    parent[key].push(value);
+  });
+
+  // Group removals by parent collection; within a group, splice the highest index
+  // first. Deeper groups go first so removing a whole entry can't orphan a path
+  // into it that hasn't been handled yet.
+  const groups = new Map();
+  fixes.filter(f => f.op === 'remove' && f.at.length > 0).forEach(({ at }) => {
+    const parentKey = JSON.stringify(at.slice(0, -1));
+    if (!groups.has(parentKey)) groups.set(parentKey, { parentPath: at.slice(0, -1), keys: [] });
+    groups.get(parentKey).keys.push(at[at.length - 1]);
+  });
+  [...groups.values()]
+    .sort((a, b) => b.parentPath.length - a.parentPath.length)
+    .forEach(({ parentPath, keys }) => {
+      const parent = resolve(parentPath);
+      if (!parent || typeof parent !== 'object') return;
+      if (Array.isArray(parent)) {
+        [...new Set(keys.filter(k => typeof k === 'number'))]
+          .sort((a, b) => b - a)
+          .forEach(index => parent.splice(index, 1));
+      } else {
+        keys.forEach(key => { delete parent[key]; });
+      }
+    });
+
+  return out;
 }
 
 /**
  * Attempts to parse a JSON string and validate it as a rumor map
+ * `data` is the map as written; `migration` is graph/schema.js's report of
+ * what loading it will upgrade. Once the JSON parses, `map` (the upgraded map)
+ * and its `issues` are returned even when invalid, so the caller can offer fixes.
  * @param {string} jsonString - The JSON string to parse and validate
- * @returns {{isValid: boolean, errors: string[], data?: object}} Parse and validation result
+ * @returns {{isValid: boolean, errors: string[], data?: object, migration?: object, map?: object, issues?: object[]}} Parse and validation result
  */
 export function parseAndValidateRumorMap(jsonString) {
   let parsedData;
@@ -187,12 +526,28 @@ export function parseAndValidateRumorMap(jsonString) {
     };
   }
   
-  const validation = validateRumorMap(parsedData);
+  return validateLoadedMap(parsedData);
+}
+
+/**
+ * Validate a map object that is about to load (parsed JSON or an importer's output).
+ * Older maps are checked as they will load: upgraded to the current schema.
+ * @param {any} data - The map as read
+ * @returns {{isValid: boolean, errors: string[], data?: object, migration: object, map: object, issues: object[]}}
+ *   see parseAndValidateRumorMap
+ */
+export function validateLoadedMap(data) {
+  const { graph: migrated, report } = migrateGraph(data);
+  const issues = collectMapIssues(migrated);
+  const validation = toResult(issues);
   
   return {
     isValid: validation.isValid,
     errors: validation.errors,
-    data: validation.isValid ? parsedData : undefined
+    data: validation.isValid ? data : undefined,
+    migration: report,
+    map: migrated,
+    issues
   };
 }
 
@@ -7,7 +7,12 @@ import {
   validateNode, 
   validateEdge, 
   validateRumorMap, 
-  parseAndValidateRumorMap 
+  validateTagRegistry,
+  validateTours,
+  parseAndValidateRumorMap,
+  collectMapIssues,
+  applyIssueFixes,
+  formatIssuePath
 } from './rumorMapValidation.js';
 
 describe('validateNode', () => {
@@ -72,6 +77,22 @@ describe('validateNode', () => {
     expect(result.isValid).toBe(false);
     expect(result.errors).toContain('Node must be an object');
   });
+
+  test('should accept locked nodes with a valid revealCondition', () => {
+    const base = { id: "n", title: "N", x: 0, y: 0, locked: true };
+    expect(validateNode(base).isValid).toBe(true);
+    expect(validateNode({ ...base, revealCondition: 'connected' }).isValid).toBe(true);
+    expect(validateNode({ ...base, revealCondition: { anyOf: ['a', 'b'] } }).isValid).toBe(true);
+  });
+
+  test('should reject non-boolean locked and malformed revealCondition', () => {
+    const base = { id: "n", title: "N", x: 0, y: 0 };
+    expect(validateNode({ ...base, locked: 'yes' }).errors).toContain('Node locked must be a boolean');
+    expect(validateNode({ ...base, pinned: 'yes' }).errors).toContain('Node pinned must be a boolean');
+    const bad = validateNode({ ...base, locked: true, revealCondition: { anyOf: [] } });
+    expect(bad.isValid).toBe(false);
+    expect(bad.errors[0]).toMatch(/revealCondition/);
+  });
 });
 
 describe('validateEdge', () => {
@@ -192,6 +213,112 @@ describe('validateRumorMap', () => {
     expect(result.isValid).toBe(false);
     expect(result.errors).toContain('Duplicate edge from "node1" to "node2" found');
   });
+
+  test('should reject revealCondition ids that are not in the map', () => {
+    const map = {
+      nodes: [
+        { id: "node1", title: "Node 1", x: 0, y: 0 },
+        { id: "node2", title: "Node 2", x: 100, y: 0, locked: true, revealCondition: { anyOf: ["node1__node2", "ghost"] } }
+      ],
+      edges: [{ source: "node1", target: "node2" }]
+    };
+
+    const result = validateRumorMap(map);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Node "node2" revealCondition references unknown id "ghost"']);
+  });
+
+  test('should accept note prerequisites and reject unknown ones', () => {
+    const map = {
+      nodes: [
+        { id: "node1", title: "Node 1", x: 0, y: 0 },
+        { id: "node2", title: "Node 2", x: 100, y: 0 }
+      ],
+      edges: [{ source: "node1", target: "node2" }],
+      notes: {
+        node1: ["plain", { text: "after 2", requires: "node2" }, { text: "after edge", requires: "node1__node2" }],
+        node2: [{ text: "never", requires: "ghost" }, 42]
+      }
+    };
+
+    const result = validateRumorMap(map);
+    expect(result.errors).toEqual([
+      'Note 0 for "node2" requires unknown id "ghost"',
+      'Note 1 for "node2" must be a string or an object with a string text'
+    ]);
+  });
+});
+
+describe('tags', () => {
+  const nodes = [
+    { id: "node1", title: "Node 1", x: 0, y: 0, tags: ["ghost-matter"] },
+    { id: "node2", title: "Node 2", x: 100, y: 0 }
+  ];
+
+  test('should accept a registry and registered element tags', () => {
+    const map = {
+      nodes,
+      edges: [{ source: "node1", target: "node2", tags: ["ghost-matter"] }],
+      tags: [{ name: "ghost-matter", color: "#00ff00", icon: "👻" }]
+    };
+    expect(validateRumorMap(map)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('should reject duplicate and nameless registry entries', () => {
+    const result = validateTagRegistry([{ name: "a" }, { name: "a" }, { color: "#fff" }]);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Duplicate tag "a" found',
+      'Tag at index 2 must have a non-empty string name'
+    ]);
+  });
+
+  test('should reject element tags that are not in the registry', () => {
+    const result = validateRumorMap({
+      nodes,
+      edges: [{ source: "node1", target: "node2", tags: ["quantum"] }],
+      tags: []
+    });
+    expect(result.errors).toEqual([
+      'Node "node1" uses unknown tag "ghost-matter"',
+      'Edge "node1__node2" uses unknown tag "quantum"'
+    ]);
+  });
+
+  test('should reject malformed tag lists on nodes', () => {
+    expect(validateNode({ id: "n", title: "N", x: 0, y: 0, tags: "ghost" }).errors)
+      .toContain('Node tags must be an array of non-empty strings');
+  });
+});
+
+describe('tours', () => {
+  const nodes = [
+    { id: "node1", title: "Node 1", x: 0, y: 0 },
+    { id: "node2", title: "Node 2", x: 100, y: 0 }
+  ];
+  const edges = [{ source: "node1", target: "node2" }];
+
+  test('should accept tours whose steps target nodes and edges', () => {
+    const map = {
+      nodes, edges,
+      tours: [{ id: "intro", name: "Intro", steps: [{ target: "node1", narration: "Start here" }, { target: "node1__node2" }] }]
+    };
+    expect(validateRumorMap(map)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('should reject unknown step targets', () => {
+    const result = validateRumorMap({ nodes, edges, tours: [{ id: "intro", steps: [{ target: "ghost" }] }] });
+    expect(result.errors).toEqual(['Tour "intro" step 0 targets unknown id "ghost"']);
+  });
+
+  test('should reject malformed and duplicate tours', () => {
+    const result = validateTours([{ id: "a", steps: [] }, { id: "a", steps: [{}] }, { name: "x" }]);
+    expect(result.errors).toEqual([
+      'Duplicate tour "a" found',
+      'Tour "a" step 0 must have a string target',
+      'Tour at index 2 must have a non-empty string id'
+    ]);
+  });
 });
 
 describe('parseAndValidateRumorMap', () => {
@@ -210,6 +337,15 @@ describe('parseAndValidateRumorMap', () => {
     expect(result.errors).toHaveLength(0);
   });
 
+  test('validates older maps as they will load after migration', () => {
+    const legacyMap = { nodes: [{ id: "node1", label: "Node 1", x: 0, y: 0 }], edges: [] };
+    
+    const result = parseAndValidateRumorMap(JSON.stringify(legacyMap));
+    expect(result.isValid).toBe(true);
+    expect(result.data).toEqual(legacyMap);
+    expect(result.migration.applied[0].changes).toEqual(['1 node: label renamed to title']);
+  });
+
   test('should reject invalid JSON', () => {
     const invalidJsonString = '{ invalid json }';
     
@@ -228,3 +364,103 @@ describe('parseAndValidateRumorMap', () => {
     expect(result.errors).toContain('Map must have a nodes array');
   });
 });
+
+describe('structured issues', () => {
+  const broken = () => ({
+    nodes: [
+      { id: "a", title: "A", x: 0, y: 0 },
+      { id: "a", title: "A again", x: 10, y: 0 },
+      { id: "b", title: "B", x: 0, y: 0, locked: true, revealCondition: { anyOf: ["a", "ghost"] } },
+      { id: "c", title: "", x: "1", y: 0 }
+    ],
+    edges: [
+      { source: "a", target: "b" },
+      { source: "a", target: "missing" },
+      { source: "b", target: "b" },
+      { source: "a", target: "b" }
+    ],
+    notes: { nowhere: ["lost"], b: [{ text: "x", requires: "ghost" }] }
+  });
+
+  test('paths are JSONPath', () => {
+    expect(formatIssuePath(['nodes', 3, 'title'])).toBe('$.nodes[3].title');
+    expect(formatIssuePath(['notes', 'a b', 0])).toBe('$.notes["a b"][0]');
+  });
+
+  test('each issue has a path, severity, code and optional fix', () => {
+    const issues = collectMapIssues(broken());
+    expect(issues.map(i => [i.path, i.severity, i.code])).toEqual([
+      ['$.nodes[1].id', 'error', 'duplicate-node-id'],
+      ['$.nodes[3].title', 'error', 'node-title'],
+      ['$.nodes[3].x', 'error', 'node-x'],
+      ['$.edges[1].target', 'error', 'dangling-edge'],
+      ['$.edges[2]', 'error', 'self-loop'],
+      ['$.edges[3]', 'error', 'duplicate-edge'],
+      ['$.nodes[2].revealCondition.anyOf[1]', 'error', 'unknown-reveal-id'],
+      ['$.notes.nowhere', 'warning', 'orphan-notes'],
+      ['$.notes.b[0].requires', 'error', 'note-requires']
+    ]);
+    expect(issues[0].fix).toMatchObject({ op: 'set', value: 'a_2', label: 'Rename to "a_2"' });
+    expect(issues[1].context).toBe('Node at index 3');
+  });
+
+  test('warnings do not make a map invalid', () => {
+    const map = { nodes: [{ id: "a", title: "A", x: 0, y: 0 }], edges: [], notes: { ghost: ["hi"] } };
+    expect(validateRumorMap(map)).toEqual({ isValid: true, errors: [] });
+    expect(collectMapIssues(map)).toHaveLength(1);
+  });
+
+  test('applying every fix yields a valid map without touching the input', () => {
+    const raw = broken();
+    const fixed = applyIssueFixes(raw, collectMapIssues(raw));
+    expect(collectMapIssues(fixed)).toEqual([]);
+    expect(fixed.nodes.map(n => n.id)).toEqual(["a", "a_2", "b", "c"]);
+    expect(fixed.nodes[2].revealCondition).toEqual({ anyOf: ["a"] });
+    expect(fixed.nodes[3]).toMatchObject({ title: "c", x: 0 });
+    expect(fixed.edges).toEqual([{ source: "a", target: "b" }]);
+    expect(fixed.notes).toEqual({ b: [{ text: "x" }] });
+    expect(raw).toEqual(broken());
+  });
+
+  test('a node with a fixable issue keeps its edges', () => {
+    const map = { nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", title: "B", x: 0, y: 0 }], edges: [{ source: "A", target: "B" }] };
+    const issues = collectMapIssues(map);
+    expect(issues.map(i => i.code)).toEqual(['node-title']);
+    const fixed = applyIssueFixes(map, issues);
+    expect(fixed.edges).toEqual([{ source: "A", target: "B" }]);
+    expect(fixed.nodes[0].title).toBe("A");
+  });
+
+  test('removals from different collections all land on the right entries', () => {
+    const map = {
+      nodes: [{ id: "a", title: "A", x: 0, y: 0 }, 5, { id: "b", title: "B", x: 0, y: 0 }, "x"],
+      edges: [{ source: "a", target: "z" }, { source: "a", target: "b" }, { source: "q", target: "b" }],
+      notes: { a: ["keep", 7, "keep too", null], ghost: ["gone"] }
+    };
+    const fixed = applyIssueFixes(map, collectMapIssues(map));
+    expect(fixed.nodes.map(n => n.id)).toEqual(["a", "b"]);
+    expect(fixed.edges).toEqual([{ source: "a", target: "b" }]);
+    expect(fixed.notes).toEqual({ a: ["keep", "keep too"] });
+  });
+
+  test('unknown element tags can be registered', () => {
+    const map = { nodes: [{ id: "a", title: "A", x: 0, y: 0, tags: ["x"] }, { id: "b", title: "B", x: 0, y: 0, tags: ["x"] }], edges: [] };
+    const fixed = applyIssueFixes(map, collectMapIssues(map));
+    expect(fixed.tags).toEqual([{ name: "x", color: expect.any(String) }]);
+    expect(validateRumorMap(fixed).isValid).toBe(true);
+  });
+
+  test('a condition left with no known ids is removed whole', () => {
+    const map = { nodes: [{ id: "a", title: "A", x: 0, y: 0, locked: true, revealCondition: { anyOf: ["x", "y"] } }], edges: [] };
+    const fixed = applyIssueFixes(map, collectMapIssues(map));
+    expect(fixed.nodes[0]).not.toHaveProperty('revealCondition');
+  });
+
+  test('parse returns the upgraded map and its issues even when invalid', () => {
+    const result = parseAndValidateRumorMap(JSON.stringify({ nodes: [{ id: "a", label: "A", x: 0, y: 0 }], edges: [{ source: "a", target: "z" }] }));
+    expect(result.isValid).toBe(false);
+    expect(result.data).toBeUndefined();
+    expect(result.map.nodes[0].title).toBe("A");
+    expect(result.issues.map(i => i.code)).toEqual(['dangling-edge']);
+  });
+});
@@ -25,10 +25,11 @@ import { tokenizeQuery } from './hashtagUtils';
  *  - nodes, edges: your current graph domain arrays
  *  - getNodeNotes(node?), getEdgeNotes(edge?) -> string(s)  (optional extractors)
  *  - getCy(): returns the mounted cytoscape instance (or null until ready)
+ *  - hiddenElements: { nodes:Set, edges:Set } on hidden tag layers; never suggested or matched
  */
-export default function HashtagSearchBar({ nodes, edges, getNodeNotes, getEdgeNotes, getCy }) {
+export default function HashtagSearchBar({ nodes, edges, getNodeNotes, getEdgeNotes, getCy, hiddenElements }) {
   const { isOpen, close } = useSearchUI();
-  const { getSuggestions, findMatchesFromTokens } = useHashtagIndex({ nodes, edges, getNodeNotes, getEdgeNotes });
+  const { getSuggestions, findMatchesFromTokens } = useHashtagIndex({ nodes, edges, getNodeNotes, getEdgeNotes, hiddenElements });
 
   const [input, setInput] = useState('');
   const [suggestions, setSuggestions] = useState([]);
@@ -6,10 +6,13 @@ export function normalizeTag(tag) {
   return tag.replace(/^#/, '').toLowerCase();
 }
 
+// Fresh regex per call so each scan starts with lastIndex = 0 — safe for repeated calls.
+// Group 1 is the delimiter before the '#', group 2 the tag.
+const hashtagRegex = () => /(^|[\s.,;:!?"'(){}[\]])#([\p{L}\p{N}_-]{1,64})/giu;
+
 export function extractHashtagsFromText(text) {
   if (!text) return [];
-  // Local regex so each call starts with lastIndex = 0 — safe for repeated calls
-  const HASHTAG_RE = /(^|[\s.,;:!?"'(){}[\]])#([\p{L}\p{N}_-]{1,64})/giu;
+  const HASHTAG_RE = hashtagRegex();
   const seen = new Set();
   let m;
   while ((m = HASHTAG_RE.exec(text)) !== null) {
@@ -19,6 +22,24 @@ export function extractHashtagsFromText(text) {
   return [...seen];
 }
 
+// Split text into plain runs and hashtags, e.g. for rendering tags as links:
+// 'see #Dam now' -> [{ text: 'see ' }, { text: '#Dam', tag: 'dam' }, { text: ' now' }]
+export function splitHashtags(text) {
+  if (!text) return [];
+  const HASHTAG_RE = hashtagRegex();
+  const parts = [];
+  let last = 0;
+  let m;
+  while ((m = HASHTAG_RE.exec(text)) !== null) {
+    const start = m.index + m[1].length;
+    if (start > last) parts.push({ text: text.slice(last, start) });
+    parts.push({ text: `#${m[2]}`, tag: normalizeTag(m[2]) });
+    last = start + 1 + m[2].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
 // Split a user query into tokens (words) — lowercase, unique
 export function tokenizeQuery(query) {
   if (!query) return [];
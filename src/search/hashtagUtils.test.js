@@ -1,4 +1,4 @@
-import { extractHashtagsFromText, normalizeTag, tokenizeQuery } from './hashtagUtils.js';
+import { extractHashtagsFromText, normalizeTag, tokenizeQuery, splitHashtags } from './hashtagUtils.js';
 
 // ---------------------------------------------------------------------------
 // extractHashtagsFromText — behavioral safety net
@@ -83,3 +83,23 @@ describe('tokenizeQuery', () => {
     expect(tokenizeQuery(null)).toEqual([]);
   });
 });
+
+describe('splitHashtags', () => {
+  test('splits text into plain runs and normalized hashtags, keeping every character', () => {
+    const text = 'See #Dam, then (#north-pole) not#this';
+    const parts = splitHashtags(text);
+    expect(parts).toEqual([
+      { text: 'See ' },
+      { text: '#Dam', tag: 'dam' },
+      { text: ', then (' },
+      { text: '#north-pole', tag: 'north-pole' },
+      { text: ') not#this' }
+    ]);
+    expect(parts.map(p => p.text).join('')).toBe(text);
+  });
+
+  test('returns an empty array for empty input', () => {
+    expect(splitHashtags('')).toEqual([]);
+    expect(splitHashtags(null)).toEqual([]);
+  });
+});
@@ -20,11 +20,21 @@ const defaultEdgeNotes = edge => {
 };
 
 export function useHashtagIndex({
-  nodes = [],
-  edges = [],
+  nodes: allNodes = [],
+  edges: allEdges = [],
   getNodeNotes = defaultNodeNotes,
-  getEdgeNotes = defaultEdgeNotes
+  getEdgeNotes = defaultEdgeNotes,
+  hiddenElements = null // { nodes:Set, edges:Set } on hidden tag layers — left out of the index
 }) {
+  const nodes = useMemo(
+    () => (hiddenElements?.nodes?.size ? allNodes.filter(n => !hiddenElements.nodes.has(n.id)) : allNodes),
+    [allNodes, hiddenElements]
+  );
+  const edges = useMemo(
+    () => (hiddenElements?.edges?.size ? allEdges.filter(e => !hiddenElements.edges.has(e.id)) : allEdges),
+    [allEdges, hiddenElements]
+  );
+
   // Opt-A: single state object → 1 setState per rebuild instead of 6
   const [indexState, setIndexState] = useState(() => ({
     hashtagIndex: new Map(),   // tag -> { nodes:Set, edges:Set }
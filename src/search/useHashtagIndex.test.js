@@ -0,0 +1,27 @@
+// src/search/useHashtagIndex.test.js
+
+import { renderHook, act } from '@testing-library/react';
+import { useHashtagIndex } from './useHashtagIndex.js';
+import { withLockedNodesHidden } from '../utils/nodeLocks.js';
+
+const NO_EDGES = [];
+const nodes = [
+  { id: 'camp', title: 'Camp', note: '#start' },
+  { id: 'vault', title: 'Sunken Vault', locked: true, note: '#secret' }
+];
+
+describe('useHashtagIndex', () => {
+  test('locked nodes are neither suggested nor matched until they unlock', async () => {
+    const { result, rerender } = renderHook(
+      ({ hidden }) => useHashtagIndex({ nodes, edges: NO_EDGES, hiddenElements: hidden }),
+      { initialProps: { hidden: withLockedNodesHidden(null, nodes, new Set()) } }
+    );
+    await act(async () => {});
+    expect(result.current.getSuggestions('sun')).toEqual([]);
+    expect(result.current.getSuggestions('#sec')).toEqual([]);
+    expect(result.current.findMatchesFromTokens(['vault']).nodeIds.size).toBe(0);
+
+    await act(async () => { rerender({ hidden: withLockedNodesHidden(null, nodes, new Set(['vault'])) }); });
+    expect(result.current.getSuggestions('sun')).toEqual(['Sunken Vault']);
+  });
+});
@@ -1,2 +1,7 @@
 // src/setupTests.js
-import '@testing-library/jest-dom';
\ No newline at end of file
+import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom doesn't provide these (browsers and Node do); zip and package code needs them
+if (!globalThis.TextEncoder) globalThis.TextEncoder = TextEncoder;
+if (!globalThis.TextDecoder) globalThis.TextDecoder = TextDecoder;
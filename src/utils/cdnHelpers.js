@@ -72,6 +72,8 @@ export async function handleLoadFromCdn({
   defaultShipLogData,
   ACTION_TYPES,
   setBgImage,
+  confirmCdnOverwrite, // optional async (cdnGraph) => boolean; false keeps the local map
+  onMigrationReport, // optional (report) => void; the CDN map had to be migrated
 }) {
     printDebug('handleLoadFromCdn called with cdnBaseUrl:', cdnBaseUrl, 'mapName:', mapName);
   
@@ -105,9 +107,18 @@ export async function handleLoadFromCdn({
     const result = await loadMapFromCdn(mapUrl);
     if (currentCdnLoadRef.current !== mapUrl) return;
     if (result.success) {
-      const g1 = normalizeGraphData(result.data);
+      let migration = null;
+      const g1 = normalizeGraphData(result.data, { onMigrate: (report) => { migration = report; } });
       const g2 = hydrateCoordsIfMissing(g1, defaultShipLogData);
 
+      if (confirmCdnOverwrite && !(await confirmCdnOverwrite(g2))) {
+        printDebug('cdnHelpers.js: Keeping the local map instead of the CDN map');
+        setCdnLoadingState({ isLoading: false, error: null });
+        setIsLoadingFromCDN(false);
+        currentCdnLoadRef.current = null;
+        return;
+      }
+
       // Determine effective mode based on canedit + presence of ANY query params
       const search = window.location.search;
       const hasQuery = !!(search && search.length > 1);
@@ -116,6 +127,7 @@ export async function handleLoadFromCdn({
       const effectiveMode = canEdit ? (typeof g1.mode === 'string' ? g1.mode : 'editing') : 'playing';
       const g2WithMode = { ...g2, mode: effectiveMode };
       setGraphData(g2WithMode);
+      if (migration) onMigrationReport?.(migration);
 
     // 🖼️ Background image: honor JSON + default filename
     try {
@@ -216,17 +228,19 @@ export async function handleLoadFromCdn({
 }
 
 // CDN base URL management
+export const CDN_BASE_URL_KEY = 'shipLogCdnBaseUrl';
+
 export function setCdnBaseUrl(url) {
   try {
     if (typeof url !== 'string') return;
-    localStorage.setItem('shipLogCdnBaseUrl', url);
+    localStorage.setItem(CDN_BASE_URL_KEY, url);
     printDebug(`🌐 [CDNHelpers] setCdnBaseUrl='${url}'`);
   } catch (error) {
     printDebug('Failed to set CDN base URL:', error);
   }
 }
 export function getCdnBaseUrl() {
-  try { return localStorage.getItem('shipLogCdnBaseUrl') || ''; } catch { return ''; }
+  try { return localStorage.getItem(CDN_BASE_URL_KEY) || ''; } catch { return ''; }
 }
 
 // Helpers
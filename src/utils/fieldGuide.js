@@ -0,0 +1,65 @@
+// src/utils/fieldGuide.js
+
+/**
+ * Field guide — the content behind the Reading modal and its printable booklet
+ *
+ * Responsibilities
+ * - Collect nodes with readable notes, alphabetically, numbered as entries.
+ * - Cross-reference entries through shared hashtags (#tag in one entry's notes
+ *   points at every other entry mentioning the same tag).
+ * - In playing mode (visited given) locked notes and locked "?" nodes stay out.
+ *
+ * Pure; rendering lives in components/ReadingModal.jsx and components/FieldGuidePrint.jsx.
+ */
+
+import { getNoteText, isNoteUnlocked } from './notes.js';
+import { extractHashtagsFromText } from '../search/hashtagUtils.js';
+import { isNodeLocked } from './nodeLocks.js';
+
+/**
+ * Readable note texts for a node (both string and { text, requires } entries).
+ * `visited` (optional): when given, notes still locked behind a prerequisite are left out.
+ */
+export function getReadableNoteTexts(notes, nodeId, visited = null) {
+  const nodeNotes = notes?.[nodeId];
+  const entries = Array.isArray(nodeNotes) ? nodeNotes : (nodeNotes ? [nodeNotes] : []);
+  return entries
+    .filter(note => !visited || isNoteUnlocked(note, visited))
+    .map(getNoteText);
+}
+
+/**
+ * Nodes with at least one non-empty readable note, sorted by title (case-insensitive).
+ * `visited` (optional): when given, nodes still locked behind a "?" are left out too.
+ * @returns {Array<{ id, title, node, texts: string[], number: number }>}
+ */
+export function getGuideEntries(nodes, notes, visited = null) {
+  return (nodes || [])
+    .filter(node => !visited || !isNodeLocked(node, visited.unlocked))
+    .map(node => ({ id: node.id, title: node.title || node.id, node, texts: getReadableNoteTexts(notes, node.id, visited) }))
+    .filter(entry => entry.texts.some(text => text.trim().length > 0))
+    .sort((a, b) => a.title.toLowerCase().localeCompare(b.title.toLowerCase()))
+    .map((entry, i) => ({ ...entry, number: i + 1 }));
+}
+
+/** tag -> entries mentioning it, in entry order */
+export function buildHashtagCrossRefs(entries) {
+  const refs = new Map();
+  (entries || []).forEach(entry => {
+    extractHashtagsFromText(entry.texts.join('\n')).forEach(tag => {
+      if (!refs.has(tag)) refs.set(tag, []);
+      refs.get(tag).push(entry);
+    });
+  });
+  return refs;
+}
+
+/** Other entries sharing `tag` with entry `selfId` */
+export function getCrossRefs(refs, tag, selfId) {
+  return (refs?.get(tag) || []).filter(entry => entry.id !== selfId);
+}
+
+/** In-document anchor id for an entry */
+export function guideAnchorId(entryId) {
+  return `field-guide-entry-${String(entryId).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+}
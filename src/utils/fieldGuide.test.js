@@ -0,0 +1,53 @@
+// src/utils/fieldGuide.test.js
+
+import { getGuideEntries, buildHashtagCrossRefs, getCrossRefs, guideAnchorId } from './fieldGuide.js';
+
+const nodes = [
+  { id: 'dam', title: 'The Dam' },
+  { id: 'bridge', title: 'bridge' },
+  { id: 'quiet', title: 'Quiet' },
+  { id: 'cave', title: 'Cave' }
+];
+const notes = {
+  dam: ['Water flows to #North', { text: 'Secret #vault', requires: 'cave' }],
+  bridge: ['Rickety. Leads #north.'],
+  quiet: ['   '],
+  cave: { text: 'Dark #vault', requires: 'bridge' }
+};
+
+describe('fieldGuide', () => {
+  test('entries are nodes with readable notes, sorted by title and numbered', () => {
+    const entries = getGuideEntries(nodes, notes);
+    expect(entries.map(e => [e.number, e.title])).toEqual([[1, 'bridge'], [2, 'Cave'], [3, 'The Dam']]);
+    expect(entries[2].texts).toEqual(['Water flows to #North', 'Secret #vault']);
+  });
+
+  test('visited hides notes whose prerequisite is still unvisited', () => {
+    const visited = { nodes: new Set(), edges: new Set() };
+    const entries = getGuideEntries(nodes, notes, visited);
+    expect(entries.map(e => e.id)).toEqual(['bridge', 'dam']);
+    expect(entries[1].texts).toEqual(['Water flows to #North']);
+  });
+
+  test('visited leaves out nodes still locked behind a "?"', () => {
+    const withLocked = [...nodes, { id: 'vault', title: 'Vault', locked: true, imageUrl: 'vault.png' }];
+    const withNotes = { ...notes, vault: ['Hidden #vault'] };
+    const visited = { nodes: new Set(['bridge']), edges: new Set(), unlocked: new Set() };
+    expect(getGuideEntries(withLocked, withNotes, visited).map(e => e.id)).toEqual(['bridge', 'cave', 'dam']);
+    visited.unlocked.add('vault');
+    expect(getGuideEntries(withLocked, withNotes, visited).map(e => e.id)).toEqual(['bridge', 'cave', 'dam', 'vault']);
+    expect(getGuideEntries(withLocked, withNotes).map(e => e.id)).toContain('vault');
+  });
+
+  test('hashtags cross-reference the other entries that mention them', () => {
+    const entries = getGuideEntries(nodes, notes);
+    const refs = buildHashtagCrossRefs(entries);
+    expect(getCrossRefs(refs, 'north', 'dam').map(e => e.id)).toEqual(['bridge']);
+    expect(getCrossRefs(refs, 'vault', 'cave').map(e => e.id)).toEqual(['dam']);
+    expect(getCrossRefs(refs, 'missing', 'dam')).toEqual([]);
+  });
+
+  test('anchor ids are safe for any node id', () => {
+    expect(guideAnchorId('a b/c')).toBe('field-guide-entry-a_b_c');
+  });
+});
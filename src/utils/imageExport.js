@@ -0,0 +1,246 @@
+// src/utils/imageExport.js
+
+/**
+ * Image export — render the map to PNG or SVG
+ *
+ * Responsibilities
+ * - Render the Cytoscape view (or the whole graph) at a chosen scale via
+ *   cy.png() / cy.svg() (cytoscape-svg, registered in graph/cyAdapter.js).
+ * - Compose an optional title band, the compass and an optional tag legend
+ *   around the graph image.
+ *
+ * The background underlay and note-count badges are Cytoscape nodes
+ * (graph/bgNodeAdapter.js, graph/overlayManager.js), so they come along with
+ * the graph render; badges can be forced on for the export only.
+ *
+ * Gotchas
+ * - A cross-origin underlay served without CORS taints the canvas; cy.png then
+ *   throws a SecurityError, which callers should surface.
+ * - Layout + markup helpers are pure; only renderExportPng/renderExportSvg touch cy/DOM.
+ */
+
+import { setNoteCountsVisible } from '../graph/overlayManager.js';
+import { printDebug } from './debug.js';
+
+export const EXPORT_FORMATS = ['png', 'svg'];
+export const EXPORT_SCALES = [1, 2, 3, 4];
+export const EXPORT_BACKGROUND = '#020d16'; // matches the page behind the transparent canvas
+
+// Sizes in output px at scale 1; everything scales with the export
+const TITLE_HEIGHT = 48;
+const TITLE_FONT = 24;
+const LEGEND_PADDING = 12;
+const LEGEND_ROW = 22;
+const LEGEND_FONT = 14;
+const LEGEND_SWATCH = 12;
+const COMPASS_SIZE = 60;
+const COMPASS_MARGIN = 10;
+const FONT_FAMILY = 'system-ui, -apple-system, sans-serif';
+
+/** Registry tags actually used by a node or edge, in registry order */
+export function getLegendEntries(graph) {
+  const used = new Set();
+  [...(graph?.nodes || []), ...(graph?.edges || [])].forEach(el => (el.tags || []).forEach(t => used.add(t)));
+  return (graph?.tags || []).filter(t => used.has(t.name));
+}
+
+/**
+ * Where each block goes in the output image.
+ * @param {{ width, height, scale?, title?, legend?: Array, compass?: boolean }} opts
+ *   width/height are the rendered graph's pixel size
+ */
+export function getExportLayout({ width, height, scale = 1, title = '', legend = [], compass = false }) {
+  const titleHeight = title ? TITLE_HEIGHT * scale : 0;
+  const legendHeight = legend.length ? (LEGEND_PADDING * 2 + legend.length * LEGEND_ROW) * scale : 0;
+  const compassSize = COMPASS_SIZE * scale;
+  const margin = COMPASS_MARGIN * scale;
+
+  return {
+    width,
+    height: titleHeight + height + legendHeight,
+    graph: { x: 0, y: titleHeight, width, height },
+    title: title ? { x: width / 2, y: titleHeight / 2, fontSize: TITLE_FONT * scale, text: title } : null,
+    legend: legend.length ? {
+      x: LEGEND_PADDING * scale,
+      y: titleHeight + height + LEGEND_PADDING * scale,
+      rowHeight: LEGEND_ROW * scale,
+      swatch: LEGEND_SWATCH * scale,
+      fontSize: LEGEND_FONT * scale,
+      entries: legend
+    } : null,
+    // Bottom-right of the graph area, like CompassOverlay on screen
+    compass: compass ? {
+      x: width - compassSize - margin,
+      y: titleHeight + height - compassSize - margin,
+      size: compassSize
+    } : null
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const legendLabel = (tag) => `${tag.icon ? `${tag.icon} ` : ''}${tag.name}`;
+
+/** Compass drawing in a 100×100 box; same artwork as components/CompassOverlay.jsx */
+export function buildCompassSvg(orientation = 0) {
+  const label = (x, y, text) => `<text x="${x}" y="${y}" text-anchor="middle" font-size="12" fill="#fff" font-family="sans-serif">${text}</text>`;
+  return `<g transform="rotate(${orientation} 50 50)" opacity="0.9">`
+    + '<circle cx="50" cy="50" r="48" fill="rgba(0,0,0,0.4)" stroke="#fff" stroke-width="2"/>'
+    + '<polygon points="50,15 60,50 50,45 40,50" fill="#ff5252"/>'
+    + '<polygon points="50,85 40,50 50,55 60,50" fill="#fff"/>'
+    + label(50, 20, 'N') + label(50, 95, 'S') + label(15, 55, 'W') + label(85, 55, 'E')
+    + '</g>';
+}
+
+/**
+ * Wrap cytoscape-svg output with the title, legend and compass.
+ * @param {{ graphSvg: string, layout: Object, bg?: string|null, orientation?: number }} opts
+ */
+export function buildExportSvg({ graphSvg, layout, bg = null, orientation = 0 }) {
+  const { width, height, graph, title, legend, compass } = layout;
+  const parts = [];
+  if (bg) parts.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="${escapeXml(bg)}"/>`);
+  if (title) {
+    parts.push(`<text x="${title.x}" y="${title.y}" text-anchor="middle" dominant-baseline="central" font-size="${title.fontSize}" font-weight="bold" fill="#fff" font-family="${FONT_FAMILY}">${escapeXml(title.text)}</text>`);
+  }
+  // Nest the graph document, positioned below the title band
+  const inner = String(graphSvg || '').replace(/<\?xml[^>]*\?>\s*/, '').replace(/<svg\b/, `<svg x="${graph.x}" y="${graph.y}"`);
+  parts.push(inner);
+  if (legend) {
+    legend.entries.forEach((tag, i) => {
+      const y = legend.y + i * legend.rowHeight;
+      parts.push(`<rect x="${legend.x}" y="${y + (legend.rowHeight - legend.swatch) / 2}" width="${legend.swatch}" height="${legend.swatch}" rx="2" fill="${escapeXml(tag.color || '#888')}"/>`);
+      parts.push(`<text x="${legend.x + legend.swatch * 1.75}" y="${y + legend.rowHeight / 2}" dominant-baseline="central" font-size="${legend.fontSize}" fill="#fff" font-family="${FONT_FAMILY}">${escapeXml(legendLabel(tag))}</text>`);
+    });
+  }
+  if (compass) {
+    parts.push(`<svg x="${compass.x}" y="${compass.y}" width="${compass.size}" height="${compass.size}" viewBox="0 0 100 100">${buildCompassSvg(orientation)}</svg>`);
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
+
+// Show note-count badges for the duration of `render`, then restore the on-screen state
+async function withNoteCounts(cy, include, render) {
+  const wasHidden = !!cy.scratch('_noteCountsHidden');
+  if (include && wasHidden) setNoteCountsVisible(cy, true);
+  try {
+    return await render();
+  } finally {
+    if (include && wasHidden) setNoteCountsVisible(cy, false);
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load rendered image'));
+    img.src = src;
+  });
+}
+
+/**
+ * @typedef {Object} ImageExportOptions
+ * @property {boolean} [full=false] - whole graph instead of the current view
+ * @property {number} [scale=1]
+ * @property {string|null} [bg] - background color; null for transparent
+ * @property {string} [title]
+ * @property {boolean} [legend=false] - tag legend (needs `graph`)
+ * @property {boolean} [compass=false]
+ * @property {number} [orientation=0] - compass rotation in degrees
+ * @property {boolean} [noteCounts=false] - force note-count badges on
+ * @property {Object} [graph] - { nodes, edges, tags } for the legend
+ */
+
+function resolveOptions(opts) {
+  const { full = false, scale = 1, bg = EXPORT_BACKGROUND, title = '', legend = false, compass = false, orientation = 0, noteCounts = false, graph = null } = opts || {};
+  return { full, scale, bg, title: title.trim(), legend: legend ? getLegendEntries(graph) : [], compass, orientation, noteCounts };
+}
+
+/** Render to a PNG Blob */
+export async function renderExportPng(cy, opts) {
+  const o = resolveOptions(opts);
+  printDebug('🖼️ [imageExport] PNG', { full: o.full, scale: o.scale });
+
+  const graphBlob = await withNoteCounts(cy, o.noteCounts, () =>
+    cy.png({ output: 'blob-promise', full: o.full, scale: o.scale, bg: o.bg || undefined })
+  );
+  const graphUrl = URL.createObjectURL(graphBlob);
+  try {
+    const graphImg = await loadImage(graphUrl);
+    const layout = getExportLayout({ width: graphImg.width, height: graphImg.height, scale: o.scale, title: o.title, legend: o.legend, compass: o.compass });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    const ctx = canvas.getContext('2d');
+    if (o.bg) {
+      ctx.fillStyle = o.bg;
+      ctx.fillRect(0, 0, layout.width, layout.height);
+    }
+    if (layout.title) {
+      ctx.fillStyle = '#fff';
+      ctx.font = `bold ${layout.title.fontSize}px ${FONT_FAMILY}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(layout.title.text, layout.title.x, layout.title.y);
+    }
+    ctx.drawImage(graphImg, layout.graph.x, layout.graph.y);
+    if (layout.legend) {
+      const { x, y, rowHeight, swatch, fontSize, entries } = layout.legend;
+      ctx.font = `${fontSize}px ${FONT_FAMILY}`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      entries.forEach((tag, i) => {
+        const rowY = y + i * rowHeight;
+        ctx.fillStyle = tag.color || '#888';
+        ctx.fillRect(x, rowY + (rowHeight - swatch) / 2, swatch, swatch);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(legendLabel(tag), x + swatch * 1.75, rowY + rowHeight / 2);
+      });
+    }
+    if (layout.compass) {
+      // SVG from a data URL doesn't taint the canvas
+      const compassSvg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${buildCompassSvg(o.orientation)}</svg>`;
+      const compassImg = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(compassSvg)}`);
+      ctx.drawImage(compassImg, layout.compass.x, layout.compass.y, layout.compass.size, layout.compass.size);
+    }
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+  } finally {
+    URL.revokeObjectURL(graphUrl);
+  }
+}
+
+/** Render to an SVG Blob */
+export async function renderExportSvg(cy, opts) {
+  const o = resolveOptions(opts);
+  printDebug('🖼️ [imageExport] SVG', { full: o.full, scale: o.scale });
+
+  const graphSvg = await withNoteCounts(cy, o.noteCounts, () =>
+    cy.svg({ full: o.full, scale: o.scale })
+  );
+  const size = (attr) => Number(graphSvg.match(new RegExp(`<svg[^>]*\\b${attr}="([\\d.]+)`))?.[1]) || 0;
+  const layout = getExportLayout({ width: size('width'), height: size('height'), scale: o.scale, title: o.title, legend: o.legend, compass: o.compass });
+  const svg = buildExportSvg({ graphSvg, layout, bg: o.bg, orientation: o.orientation });
+  return new Blob([svg], { type: 'image/svg+xml' });
+}
+
+/** Save a Blob under `filename` via a temporary link */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
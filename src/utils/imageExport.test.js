@@ -0,0 +1,55 @@
+// src/utils/imageExport.test.js
+
+import { getLegendEntries, getExportLayout, buildExportSvg, buildCompassSvg } from './imageExport.js';
+
+const graph = {
+  tags: [
+    { name: 'water', color: '#2196f3', icon: '💧' },
+    { name: 'power', color: '#ff9800' },
+    { name: 'unused', color: '#888' }
+  ],
+  nodes: [{ id: 'A', tags: ['power'] }, { id: 'B' }],
+  edges: [{ id: 'A__B', source: 'A', target: 'B', tags: ['water'] }]
+};
+
+describe('imageExport', () => {
+  test('legend lists registry tags in use, in registry order', () => {
+    expect(getLegendEntries(graph).map(t => t.name)).toEqual(['water', 'power']);
+    expect(getLegendEntries({ nodes: [], edges: [] })).toEqual([]);
+  });
+
+  test('layout stacks title, graph and legend, and pins the compass bottom-right of the graph', () => {
+    const layout = getExportLayout({ width: 400, height: 300, scale: 2, title: 'Map', legend: getLegendEntries(graph), compass: true });
+    expect(layout.graph).toEqual({ x: 0, y: 96, width: 400, height: 300 });
+    expect(layout.title).toMatchObject({ x: 200, y: 48, fontSize: 48 });
+    expect(layout.legend).toMatchObject({ y: 96 + 300 + 24, rowHeight: 44 });
+    expect(layout.height).toBe(96 + 300 + (24 + 2 * 22) * 2);
+    expect(layout.compass).toEqual({ x: 400 - 120 - 20, y: 96 + 300 - 120 - 20, size: 120 });
+  });
+
+  test('layout without extras is just the graph', () => {
+    const layout = getExportLayout({ width: 400, height: 300 });
+    expect(layout).toMatchObject({ width: 400, height: 300, title: null, legend: null, compass: null });
+  });
+
+  test('buildExportSvg nests the graph svg below the title and escapes text', () => {
+    const layout = getExportLayout({ width: 100, height: 50, title: 'A & <B>', legend: getLegendEntries(graph), compass: true });
+    const svg = buildExportSvg({
+      graphSvg: '<?xml version="1.0"?><svg version="1.1" width="100" height="50"><g/></svg>',
+      layout,
+      bg: '#000',
+      orientation: 90
+    });
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain('A &amp; &lt;B&gt;');
+    expect(svg).toContain('<svg x="0" y="48" version="1.1" width="100" height="50">');
+    expect(svg).not.toContain('<?xml');
+    expect(svg).toContain('💧 water');
+    expect(svg).toContain('rotate(90 50 50)');
+    expect(svg).toContain(`height="${layout.height}"`);
+  });
+
+  test('compass artwork rotates with the map orientation', () => {
+    expect(buildCompassSvg(270)).toContain('rotate(270 50 50)');
+  });
+});
@@ -200,6 +200,12 @@ export function getDefaultPlaceholderSvg(mapName = 'default_map') {
   return (typeof v === 'string') ? v : null;
 }
 
+// Use a placeholder that came from somewhere other than the CDN (e.g. a map package)
+export function setDefaultPlaceholderSvg(mapName = 'default_map', dataUrl) {
+  imageCache.set(PLACEHOLDER_CACHE_KEY_PREFIX + mapName, dataUrl);
+  notifyPlaceholderLoaded(mapName, dataUrl);
+}
+
 /**
  * Core loader for images referenced in graph.
  * - Returns a **data URL string** (never a Blob) to keep callers simple and prevent substring/startsWith crashes.
@@ -0,0 +1,29 @@
+// src/utils/layersStore.js
+/**
+ * LayersStore — persist hidden layer (tag) names per map in localStorage.
+ * Shape:
+ *   Set<string> of hidden tag names; stored as { hidden: string[] }
+ *
+ * Storage key: shiplog.layers.v1:<mapName>
+ */
+
+const VERSION = 'v1';
+export const layersStorageKey = (mapName) => `shiplog.layers.${VERSION}:${mapName || 'default_map'}`;
+
+export function loadHiddenLayers(mapName) {
+  try {
+    const raw = localStorage.getItem(layersStorageKey(mapName));
+    const parsed = raw ? JSON.parse(raw) : null;
+    return new Set(Array.isArray(parsed?.hidden) ? parsed.hidden : []);
+  } catch {
+    return new Set();
+  }
+}
+
+export function saveHiddenLayers(mapName, hidden) {
+  try {
+    localStorage.setItem(layersStorageKey(mapName), JSON.stringify({ hidden: Array.from(hidden ?? []) }));
+  } catch {
+    // Best effort: ignore quota/serialisation errors
+  }
+}
@@ -5,55 +5,26 @@
  */
 
 import { printDebug } from './debug.js';
+import { decodeFilter } from '../graph/filters.js';
+import { deserializeGraph } from '../graph/ops.js';
 
-// Ensure every node has size/color/x/y; every edge has id & direction
-export function normalizeGraphData(data) {
-  if (!data) return { nodes: [], edges: [], notes: {} };
-  
-  const normalizedNodes = (data.nodes || []).map(node => ({
-    id: node.id,
-    title: node.title || node.label || '',
-    x: typeof node.x === 'number' ? node.x : 0,
-    y: typeof node.y === 'number' ? node.y : 0,
-    size: node.size || 'regular',
-    color: node.color || 'gray',
-    imageUrl: node.imageUrl || 'unspecified'
-  }));
-
-  const normalizedEdges = (data.edges || []).map(edge => ({
-    id: edge.id || `${edge.source}__${edge.target}`,
-    source: edge.source,
-    target: edge.target,
-    direction: edge.direction || 'forward'
-  }));
-
-  return {
-    nodes: normalizedNodes,
-    edges: normalizedEdges,
-    notes: data.notes || {},
-    mode: data.mode || 'editing',
-    mapName: data.mapName || 'default_map',
-    cdnBaseUrl: data.cdnBaseUrl || '',
-    orientation: data.orientation || 0,
-    compassVisible: data.compassVisible !== false,
-    bgImage: data.bgImage || {
-      imageUrl: "",
-      x: 0,
-      y: 0,
-      scale: 100,
-      opacity: 100,
-      visible: false,
-      included: false
-    }
-  };
+// Loaded map JSON (CDN or file) -> app graph: upgraded to the current schema
+// and defaulted by ops.deserializeGraph; image-less nodes stay "unspecified"
+// so the map's CDN placeholder is used. `onMigrate(report)` hears about upgrades.
+export function normalizeGraphData(data, { onMigrate } = {}) {
+  return deserializeGraph(data || {}, { missingImageUrl: 'unspecified', onMigrate });
 }
 
-// Assign missing coordinates using the default graph as reference
-export function hydrateCoordsIfMissing(graph, defaultGraph) {
-  if (!graph || !defaultGraph) return graph;
+// Assign missing coordinates using the default graph as reference.
+// Nodes the default graph doesn't know go to fallbackPosition(node, i) (i counts
+// those nodes), or the origin.
+export function hydrateCoordsIfMissing(graph, defaultGraph, { fallbackPosition } = {}) {
+  if (!graph || (!defaultGraph && !fallbackPosition)) return graph;
 
-  const defaultById = new Map(defaultGraph.nodes.map(dn => [dn.id, dn]));
-  const defaultByTitle = new Map(defaultGraph.nodes.map(dn => [dn.title, dn]));
+  const defaultNodes = defaultGraph?.nodes || [];
+  const defaultById = new Map(defaultNodes.map(dn => [dn.id, dn]));
+  const defaultByTitle = new Map(defaultNodes.map(dn => [dn.title, dn]));
+  let unmatched = 0;
 
   const hydratedNodes = graph.nodes.map(node => {
     if (typeof node.x === 'number' && typeof node.y === 'number') {
@@ -70,6 +41,12 @@ export function hydrateCoordsIfMissing(graph, defaultGraph) {
       };
     }
 
+    if (fallbackPosition) {
+      const { x, y } = fallbackPosition(node, unmatched++);
+      printDebug(`🎯 [mapHelpers] No default coordinates for node "${node.id}", placing at (${x}, ${y})`);
+      return { ...node, x, y };
+    }
+
     // Fallback to origin
     printDebug(`⚠️ [mapHelpers] No default coordinates found for node "${node.id}", using (0, 0)`);
     return {
@@ -97,8 +74,23 @@ export function getCanEditFromQuery() {
   return canedit === 'true';
 }
 
+// Attribute filter shared via `?filter=` (see graph/filters.js); empty filter when absent
+export function getFilterFromQuery() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return decodeFilter(urlParams.get('filter'));
+}
+
 // Get normalized map URL from query parameters
 export function getNormalizedMapUrlFromQuery() {
   const urlParams = new URLSearchParams(window.location.search);
   return urlParams.get('map') || '';
 }
+
+// Download file base name from a map name: lowercase, spaces to underscores
+export function getMapFileBaseName(mapName) {
+  return String(mapName || '')
+    .toLowerCase()
+    .replace(/\s+/g, '_')  // Replace spaces with underscores
+    .replace(/[^a-z0-9_-]/g, '') // Remove any non-alphanumeric characters except underscores and hyphens
+    || 'untitled_map'; // fallback if map name is empty or becomes empty after sanitization
+}
@@ -0,0 +1,81 @@
+// src/utils/nodeLocks.js
+
+/**
+ * Node Locks — "question mark" nodes that reveal themselves in playing mode
+ *
+ * Responsibilities
+ * - Decide whether a node should currently render as a locked "?" placeholder.
+ * - Work out which locked nodes have had their reveal condition met.
+ * - Keep locked nodes out of player-facing lists (Reading view, search) in playing mode.
+ *
+ * Domain shape (map JSON)
+ * - node.locked: boolean                      — node starts hidden behind a "?"
+ * - node.revealCondition (optional):
+ *     "connected"            — default: visiting any adjacent node or incident edge
+ *     { anyOf: string[] }    — visiting any of the listed node/edge ids
+ *
+ * Contracts
+ * - Pure functions; unlock progress itself lives in visitedStore (visited.unlocked).
+ * - Visits only count directly: a node unlocked by a visit does not cascade.
+ */
+
+export const DEFAULT_REVEAL_CONDITION = 'connected';
+
+/** True when `node` should be drawn as "?" given the set of unlocked node ids */
+export function isNodeLocked(node, unlocked) {
+  if (!node?.locked) return false;
+  return !(unlocked && unlocked.has(node.id));
+}
+
+/** `nodes` without the ones still locked; the same array when none are */
+export function getRevealedNodes(nodes, unlocked) {
+  const list = Array.isArray(nodes) ? nodes : [];
+  return list.some(n => isNodeLocked(n, unlocked)) ? list.filter(n => !isNodeLocked(n, unlocked)) : list;
+}
+
+/**
+ * `hidden` ({ nodes:Set, edges:Set }, e.g. hidden tag layers) plus every node still
+ * locked, for search; `hidden` itself when no node is locked.
+ */
+export function withLockedNodesHidden(hidden, nodes, unlocked) {
+  const locked = (nodes || []).filter(n => isNodeLocked(n, unlocked)).map(n => n.id);
+  if (locked.length === 0) return hidden;
+  return {
+    nodes: new Set([...(hidden?.nodes || []), ...locked]),
+    edges: hidden?.edges || new Set()
+  };
+}
+
+/** Node and edge ids whose visit satisfies this node's reveal condition */
+export function getRevealTriggers(node, edges = []) {
+  const condition = node?.revealCondition ?? DEFAULT_REVEAL_CONDITION;
+  if (condition && typeof condition === 'object' && Array.isArray(condition.anyOf)) {
+    return condition.anyOf;
+  }
+  const triggers = [];
+  edges.forEach(e => {
+    if (e.source === node.id) triggers.push(e.id, e.target);
+    else if (e.target === node.id) triggers.push(e.id, e.source);
+  });
+  return triggers;
+}
+
+/**
+ * Ids of locked nodes (not yet unlocked) whose reveal condition is satisfied
+ * by the visited sets.
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {{nodes: Set<string>, edges: Set<string>, unlocked?: Set<string>}} visited
+ * @returns {string[]}
+ */
+export function findNodesToUnlock(graph, visited) {
+  const nodes = Array.isArray(graph?.nodes) ? graph.nodes : [];
+  const edges = Array.isArray(graph?.edges) ? graph.edges : [];
+  if (!visited) return [];
+
+  const isVisited = (id) => visited.nodes?.has(id) || visited.edges?.has(id);
+
+  return nodes
+    .filter(n => isNodeLocked(n, visited.unlocked))
+    .filter(n => getRevealTriggers(n, edges).some(isVisited))
+    .map(n => n.id);
+}
@@ -0,0 +1,83 @@
+// src/utils/nodeLocks.test.js
+import { isNodeLocked, getRevealTriggers, findNodesToUnlock, getRevealedNodes, withLockedNodesHidden } from './nodeLocks.js';
+
+const visitedOf = ({ nodes = [], edges = [], unlocked = [] } = {}) => ({
+  nodes: new Set(nodes), edges: new Set(edges), unlocked: new Set(unlocked)
+});
+
+const graph = {
+  nodes: [
+    { id: 'A', title: 'A' },
+    { id: 'B', title: 'B', locked: true },
+    { id: 'C', title: 'C' },
+    { id: 'D', title: 'D', locked: true, revealCondition: { anyOf: ['C'] } }
+  ],
+  edges: [
+    { id: 'A__B', source: 'A', target: 'B' },
+    { id: 'B__C', source: 'B', target: 'C' }
+  ]
+};
+
+describe('isNodeLocked', () => {
+  test('unlocked-by-default nodes are never locked', () => {
+    expect(isNodeLocked({ id: 'A' }, new Set())).toBe(false);
+  });
+
+  test('locked nodes stay locked until their id is in the unlocked set', () => {
+    expect(isNodeLocked({ id: 'B', locked: true }, new Set())).toBe(true);
+    expect(isNodeLocked({ id: 'B', locked: true }, new Set(['B']))).toBe(false);
+  });
+
+  test('a missing unlocked set counts as nothing unlocked', () => {
+    expect(isNodeLocked({ id: 'B', locked: true }, undefined)).toBe(true);
+  });
+});
+
+describe('getRevealTriggers', () => {
+  test('default "connected" condition lists incident edges and neighbours', () => {
+    expect(getRevealTriggers(graph.nodes[1], graph.edges).sort()).toEqual(['A', 'A__B', 'B__C', 'C']);
+  });
+
+  test('anyOf condition lists exactly the given ids', () => {
+    expect(getRevealTriggers(graph.nodes[3], graph.edges)).toEqual(['C']);
+  });
+});
+
+describe('findNodesToUnlock', () => {
+  test('nothing unlocks before any visit', () => {
+    expect(findNodesToUnlock(graph, visitedOf())).toEqual([]);
+  });
+
+  test('visiting a neighbour unlocks a connected locked node', () => {
+    expect(findNodesToUnlock(graph, visitedOf({ nodes: ['A'] }))).toEqual(['B']);
+  });
+
+  test('visiting an incident edge unlocks a connected locked node', () => {
+    expect(findNodesToUnlock(graph, visitedOf({ edges: ['B__C'] }))).toEqual(['B']);
+  });
+
+  test('anyOf nodes ignore adjacency and wait for their listed ids', () => {
+    expect(findNodesToUnlock(graph, visitedOf({ nodes: ['C'] }))).toEqual(['B', 'D']);
+  });
+
+  test('already unlocked nodes are not reported again', () => {
+    expect(findNodesToUnlock(graph, visitedOf({ nodes: ['A'], unlocked: ['B'] }))).toEqual([]);
+  });
+});
+
+describe('player-facing lists', () => {
+  test('the Reading view gets no locked nodes until they unlock', () => {
+    expect(getRevealedNodes(graph.nodes, new Set()).map(n => n.id)).toEqual(['A', 'C']);
+    expect(getRevealedNodes(graph.nodes, new Set(['B'])).map(n => n.id)).toEqual(['A', 'B', 'C']);
+    const open = graph.nodes.filter(n => !n.locked);
+    expect(getRevealedNodes(open, new Set())).toBe(open);
+  });
+
+  test('search hides locked nodes on top of hidden layers', () => {
+    const hidden = { nodes: new Set(['A']), edges: new Set(['A__B']) };
+    const result = withLockedNodesHidden(hidden, graph.nodes, new Set(['D']));
+    expect([...result.nodes].sort()).toEqual(['A', 'B']);
+    expect(result.edges).toBe(hidden.edges);
+    expect(withLockedNodesHidden(hidden, graph.nodes, new Set(['B', 'D']))).toBe(hidden);
+  });
+});
@@ -1,11 +1,61 @@
 // src/utils/notes.js
+
+/**
+ * Note entries
+ *
+ * A target's notes (`graph.notes[id]`) are an array whose entries are either:
+ * - a plain string (always visible), or
+ * - { text: string, requires: string } — hidden in the viewer until the node/edge
+ *   id in `requires` has been visited (progressive reveal).
+ *
+ * Everything that reads note text should go through getNoteText so both shapes work.
+ */
+
 export function getNotesForTarget(graphData, id) {
   const raw = graphData?.notes?.[id];
   return Array.isArray(raw) ? raw : (raw ? [raw] : []);
 }
 
+/** Text of a note entry, whichever shape it is stored in */
+export function getNoteText(note) {
+  if (typeof note === 'string') return note;
+  return typeof note?.text === 'string' ? note.text : '';
+}
+
+/** Node/edge id that must be visited before this note is shown, or null */
+export function getNoteRequirement(note) {
+  const requires = typeof note === 'object' ? note?.requires : null;
+  return typeof requires === 'string' && requires.trim() ? requires : null;
+}
+
+/** Build a note entry; stays a plain string unless it has a prerequisite */
+export function makeNote(text, requires = null) {
+  const req = typeof requires === 'string' ? requires.trim() : '';
+  return req ? { text, requires: req } : text;
+}
+
+export function isNoteUnlocked(note, visited) {
+  const requires = getNoteRequirement(note);
+  if (!requires) return true;
+  return !!(visited?.nodes?.has(requires) || visited?.edges?.has(requires));
+}
+
+/**
+ * Notes the player may currently read for a target, plus how many are still hidden.
+ * @returns {{ notes: string[], hiddenCount: number }}
+ */
+export function getVisibleNotes(graphData, id, visited) {
+  const all = getNotesForTarget(graphData, id);
+  const unlocked = all.filter(note => isNoteUnlocked(note, visited));
+  return {
+    notes: unlocked.map(getNoteText),
+    hiddenCount: all.length - unlocked.length
+  };
+}
+
 export function hasContent(graphData, id) {
   return getNotesForTarget(graphData, id)
+    .map(getNoteText)
     .join('\n\n')
     .trim()
     .length > 0;
@@ -0,0 +1,51 @@
+// src/utils/notes.test.js
+import { getNoteText, getNoteRequirement, makeNote, isNoteUnlocked, getVisibleNotes, hasContent } from './notes.js';
+
+const visitedOf = ({ nodes = [], edges = [] } = {}) => ({ nodes: new Set(nodes), edges: new Set(edges) });
+
+const graph = {
+  notes: {
+    A: ['always', { text: 'after B', requires: 'B' }, { text: 'after edge', requires: 'B__C' }],
+    E: [{ text: 'only hidden', requires: 'Z' }]
+  }
+};
+
+describe('note entry shapes', () => {
+  test('getNoteText reads strings and { text } entries', () => {
+    expect(getNoteText('plain')).toBe('plain');
+    expect(getNoteText({ text: 'obj', requires: 'B' })).toBe('obj');
+    expect(getNoteText(null)).toBe('');
+  });
+
+  test('getNoteRequirement is null for plain strings and blank ids', () => {
+    expect(getNoteRequirement('plain')).toBeNull();
+    expect(getNoteRequirement({ text: 'x', requires: '  ' })).toBeNull();
+    expect(getNoteRequirement({ text: 'x', requires: 'B' })).toBe('B');
+  });
+
+  test('makeNote only produces an object when there is a prerequisite', () => {
+    expect(makeNote('hi')).toBe('hi');
+    expect(makeNote('hi', ' ')).toBe('hi');
+    expect(makeNote('hi', ' B ')).toEqual({ text: 'hi', requires: 'B' });
+  });
+});
+
+describe('progressive reveal', () => {
+  test('isNoteUnlocked accepts visited nodes or edges', () => {
+    const note = { text: 'x', requires: 'B__C' };
+    expect(isNoteUnlocked(note, visitedOf())).toBe(false);
+    expect(isNoteUnlocked(note, visitedOf({ edges: ['B__C'] }))).toBe(true);
+    expect(isNoteUnlocked('plain', undefined)).toBe(true);
+  });
+
+  test('getVisibleNotes returns unlocked text and a hidden count', () => {
+    expect(getVisibleNotes(graph, 'A', visitedOf())).toEqual({ notes: ['always'], hiddenCount: 2 });
+    expect(getVisibleNotes(graph, 'A', visitedOf({ nodes: ['B'] }))).toEqual({ notes: ['always', 'after B'], hiddenCount: 1 });
+    expect(getVisibleNotes(graph, 'A', visitedOf({ nodes: ['B'], edges: ['B__C'] })).hiddenCount).toBe(0);
+  });
+
+  test('hasContent reads text from object entries', () => {
+    expect(hasContent(graph, 'E')).toBe(true);
+    expect(hasContent(graph, 'missing')).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+// src/utils/subgraphClipboard.js
+/**
+ * SubgraphClipboard — move copied subgraphs (graph/clipboard.js) through the system clipboard.
+ *
+ * The payload is written as JSON text so it can be pasted into a map open in another
+ * tab (or another browser window). When the Clipboard API is missing or refused
+ * (insecure origin, permission denied), a copy kept in localStorage stands in; it is
+ * shared by tabs of the same origin.
+ *
+ * Storage key: shiplog.clipboard.v1
+ */
+
+import { parseClipboardSubgraph } from '../graph/clipboard.js';
+import { printDebug, printWarn } from './debug.js';
+
+const KEY = 'shiplog.clipboard.v1';
+
+function saveFallback(text) {
+  try {
+    localStorage.setItem(KEY, text);
+  } catch {
+    // Best effort: large pictures can exceed the quota
+  }
+}
+
+function loadFallback() {
+  try {
+    return localStorage.getItem(KEY);
+  } catch {
+    return null;
+  }
+}
+
+/** True when a paste might find something (the clipboard can't be peeked without a permission prompt) */
+export function canReadSubgraph() {
+  return typeof navigator !== 'undefined' && typeof navigator.clipboard?.readText === 'function'
+    ? true
+    : parseClipboardSubgraph(loadFallback()) !== null;
+}
+
+export async function writeSubgraph(payload) {
+  const text = JSON.stringify(payload);
+  saveFallback(text);
+  try {
+    await navigator.clipboard.writeText(text);
+    printDebug('📋 [clipboard] Copied subgraph:', payload.nodes.length, 'nodes');
+  } catch (e) {
+    printWarn('📋 [clipboard] System clipboard unavailable; copy kept for this browser only', e);
+  }
+}
+
+/** Payload from the system clipboard (or the local copy when it can't be read); null if none */
+export async function readSubgraph() {
+  let text;
+  try {
+    text = await navigator.clipboard.readText();
+  } catch (e) {
+    printWarn('📋 [clipboard] System clipboard unreadable; using the last copy from this browser', e);
+    text = loadFallback();
+  }
+  return parseClipboardSubgraph(text);
+}
@@ -0,0 +1,37 @@
+// src/utils/tourStore.js
+/**
+ * TourStore — persist guided-tour progress per map in localStorage.
+ * Shape:
+ *   { [tourId]: stepIndex } — the last step the player reached in each tour
+ *
+ * Storage key: shiplog.tours.v1:<mapName>
+ */
+
+const VERSION = 'v1';
+export const tourProgressStorageKey = (mapName) => `shiplog.tours.${VERSION}:${mapName || 'default_map'}`;
+
+function sanitize(obj) {
+  const out = {};
+  if (!obj || typeof obj !== 'object') return out;
+  Object.entries(obj).forEach(([tourId, index]) => {
+    if (Number.isInteger(index) && index >= 0) out[tourId] = index;
+  });
+  return out;
+}
+
+export function loadTourProgress(mapName) {
+  try {
+    const raw = localStorage.getItem(tourProgressStorageKey(mapName));
+    return sanitize(raw ? JSON.parse(raw) : null);
+  } catch {
+    return {};
+  }
+}
+
+export function saveTourProgress(mapName, progress) {
+  try {
+    localStorage.setItem(tourProgressStorageKey(mapName), JSON.stringify(sanitize(progress)));
+  } catch {
+    // Best effort: ignore quota/serialisation errors
+  }
+}
@@ -2,48 +2,70 @@
 /**
  * VisitedStore — persist "visited" node/edge IDs per map in localStorage.
  * Shape:
- *   { nodes: Set<string>, edges: Set<string> }
+ *   { nodes: Set<string>, edges: Set<string>, unlocked: Set<string>, visitedAt: { [id]: ms } }
+ *
+ * `unlocked` holds ids of locked ("?") nodes the player has revealed; see utils/nodeLocks.js.
+ * `visitedAt` holds first-visit timestamps; the discovery replay (graph/timeline.js) orders by it.
+ * Entries saved before either existed load with an empty `unlocked` set / `visitedAt` map.
  *
  * Storage key: shiplog.visited.v1:<mapName>
  */
 
 const VERSION = 'v1';
-const KEY = (mapName) => `shiplog.visited.${VERSION}:${mapName || 'default_map'}`;
+export const visitedStorageKey = (mapName) => `shiplog.visited.${VERSION}:${mapName || 'default_map'}`;
 
 function toArrays(visited) {
   return {
     nodes: Array.from(visited?.nodes ?? []),
     edges: Array.from(visited?.edges ?? []),
+    unlocked: Array.from(visited?.unlocked ?? []),
+    visitedAt: { ...(visited?.visitedAt ?? {}) },
   };
 }
 
+function toTimestamps(obj) {
+  const out = {};
+  if (!obj || typeof obj !== 'object') return out;
+  Object.entries(obj).forEach(([id, ts]) => {
+    if (Number.isFinite(ts)) out[id] = ts;
+  });
+  return out;
+}
+
 function toSets(obj) {
   return {
     nodes: new Set(Array.isArray(obj?.nodes) ? obj.nodes : []),
     edges: new Set(Array.isArray(obj?.edges) ? obj.edges : []),
+    unlocked: new Set(Array.isArray(obj?.unlocked) ? obj.unlocked : []),
+    visitedAt: toTimestamps(obj?.visitedAt),
   };
 }
 
 export function loadVisited(mapName) {
   try {
-    const raw = localStorage.getItem(KEY(mapName));
-    if (!raw) return { nodes: new Set(), edges: new Set() };
+    const raw = localStorage.getItem(visitedStorageKey(mapName));
+    if (!raw) return toSets(null);
     return toSets(JSON.parse(raw));
   } catch {
-    return { nodes: new Set(), edges: new Set() };
+    return toSets(null);
   }
 }
 
 export function saveVisited(mapName, visited) {
   try {
-    localStorage.setItem(KEY(mapName), JSON.stringify(toArrays(visited)));
+    localStorage.setItem(visitedStorageKey(mapName), JSON.stringify(toArrays(visited)));
   } catch {
     // Best effort: ignore quota/serialisation errors
   }
 }
 
+/** Copy of the visited sets, safe to mutate before handing to setState */
+export function cloneVisited(visited) {
+  return toSets(toArrays(visited));
+}
+
 export function clearVisited(mapName) {
   try {
-    localStorage.removeItem(KEY(mapName));
+    localStorage.removeItem(visitedStorageKey(mapName));
   } catch { /* noop */ }
 }
@@ -0,0 +1,176 @@
+// src/utils/zip.js
+
+/**
+ * Minimal ZIP archive writer/reader
+ *
+ * Responsibilities
+ * - createZip(files): build an archive with every entry stored (no compression);
+ *   map packages are mostly images, which don't shrink anyway.
+ * - readZip(bytes): list an archive's files; stored entries always, deflated
+ *   ones (what OS "compress" tools write) where DecompressionStream exists.
+ *
+ * Gotchas
+ * - No ZIP64, encryption or multi-disk archives; those are rejected with an error.
+ * - File names are written as UTF-8 (general purpose flag bit 11).
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time/date fields
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+const toBytes = (data) => (typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data));
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{ path: string, data: Uint8Array|ArrayBuffer|string }>} files - strings are written as UTF-8
+ * @param {{ date?: Date }} [options] - modification time stamped on every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const entries = files.map(({ path, data }) => {
+    const bytes = toBytes(data);
+    return { name: encoder.encode(path), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.bytes.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+
+  const writeCommon = (e) => {
+    view.setUint16(pos, UTF8_FLAG, true);        // flags
+    view.setUint16(pos + 2, 0, true);            // method: stored
+    view.setUint16(pos + 4, time, true);
+    view.setUint16(pos + 6, day, true);
+    view.setUint32(pos + 8, e.crc, true);
+    view.setUint32(pos + 12, e.bytes.length, true); // compressed size
+    view.setUint32(pos + 16, e.bytes.length, true); // uncompressed size
+    view.setUint16(pos + 20, e.name.length, true);
+    view.setUint16(pos + 22, 0, true);           // extra field length
+    pos += 24;
+  };
+
+  entries.forEach(e => {
+    e.offset = pos;
+    view.setUint32(pos, LOCAL_HEADER, true);
+    view.setUint16(pos + 4, 20, true);           // version needed
+    pos += 6;
+    writeCommon(e);
+    out.set(e.name, pos);
+    pos += e.name.length;
+    out.set(e.bytes, pos);
+    pos += e.bytes.length;
+  });
+
+  const centralStart = pos;
+  entries.forEach(e => {
+    view.setUint32(pos, CENTRAL_HEADER, true);
+    view.setUint16(pos + 4, 20, true);           // version made by
+    view.setUint16(pos + 6, 20, true);           // version needed
+    pos += 8;
+    writeCommon(e);
+    view.setUint16(pos, 0, true);                // comment length
+    view.setUint16(pos + 2, 0, true);            // disk number
+    view.setUint16(pos + 4, 0, true);            // internal attributes
+    view.setUint32(pos + 6, 0, true);            // external attributes
+    view.setUint32(pos + 10, e.offset, true);
+    pos += 14;
+    out.set(e.name, pos);
+    pos += e.name.length;
+  });
+
+  view.setUint32(pos, END_OF_CENTRAL_DIR, true);
+  view.setUint16(pos + 8, entries.length, true);
+  view.setUint16(pos + 10, entries.length, true);
+  view.setUint32(pos + 12, pos - centralStart, true);
+  view.setUint32(pos + 16, centralStart, true);
+  return out;
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed ZIP entries; re-create the archive without compression');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a ZIP archive's files (directories are left out).
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Promise<Array<{ path: string, data: Uint8Array }>>}
+ * @throws {Error} when the data isn't a supported ZIP archive
+ */
+export async function readZip(data) {
+  const bytes = new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // End of central directory: last 22+ bytes (a trailing comment may follow it)
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP archive');
+  if (view.getUint16(eocd + 4, true) !== 0) throw new Error('Multi-disk ZIP archives are not supported');
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || pos === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_HEADER) throw new Error('Corrupt ZIP central directory');
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const path = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entry "${path}" is not supported`);
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry "${path}"`);
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(start, start + compressedSize);
+
+    let content;
+    if (method === 0) content = raw.slice();
+    else if (method === 8) content = await inflateRaw(raw);
+    else throw new Error(`ZIP entry "${path}" uses an unsupported compression method (${method})`);
+    if (crc32(content) !== crc) throw new Error(`ZIP entry "${path}" is corrupt (checksum mismatch)`);
+    files.push({ path, data: content });
+  }
+  return files;
+}
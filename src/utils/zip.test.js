@@ -0,0 +1,31 @@
+// src/utils/zip.test.js
+
+import { createZip, readZip, crc32 } from './zip.js';
+
+describe('zip', () => {
+  test('crc32 matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('round-trips text and binary entries', async () => {
+    const binary = new Uint8Array([0, 1, 2, 250, 255]);
+    const zip = createZip([
+      { path: 'map.json', data: '{"nodes":[]}' },
+      { path: 'map/ünïcode image.png', data: binary }
+    ], { date: new Date(2024, 0, 2, 3, 4, 6) });
+
+    expect(new DataView(zip.buffer).getUint32(0, true)).toBe(0x04034b50);
+    const files = await readZip(zip);
+    expect(files.map(f => f.path)).toEqual(['map.json', 'map/ünïcode image.png']);
+    expect(new TextDecoder().decode(files[0].data)).toBe('{"nodes":[]}');
+    expect(Array.from(files[1].data)).toEqual(Array.from(binary));
+  });
+
+  test('rejects data that is not a zip, and corrupt entries', async () => {
+    await expect(readZip(new TextEncoder().encode('hello'))).rejects.toThrow(/Not a ZIP archive/);
+
+    const zip = createZip([{ path: 'a.txt', data: 'abc' }]);
+    zip[30 + 'a.txt'.length] ^= 0xff; // flip a byte of the entry's data
+    await expect(readZip(zip)).rejects.toThrow(/checksum mismatch/);
+  });
+});